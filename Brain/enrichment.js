@@ -0,0 +1,377 @@
+// Enrichment: background on a node (a summary, pictures, links) from outside sources.
+// A provider is { name, enrich(node) } where node is a stored row ({ name, type, properties }) and enrich
+// resolves to null when it finds nothing, or to
+//   { summary: { title, text, url } | null, images: [{ url, thumbnail, title, source }], links: [{ url, title, source }] }
+// Which providers run depends on the node's type; BRAIN_ENRICHMENT_PROVIDERS replaces the defaults, e.g.
+//   "location=wikipedia,image-search;person=opengraph;*=wikipedia"   or just "stub" for every type.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { decodeCharacterReference } = require('./graph-formats');
+
+const DEFAULT_PROVIDERS = {
+    person: ['opengraph'],
+    location: ['wikipedia', 'image-search', 'opengraph'],
+    event: ['opengraph'],
+    concept: ['wikipedia', 'opengraph'],
+    '*': ['wikipedia', 'opengraph']
+};
+
+const USER_AGENT = 'OMI-Brain/1.0 (https://github.com/neooriginal/OMI.me-Apps)';
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_PAGE_BYTES = 1024 * 1024;
+const MAX_IMAGES = 4;
+const MAX_REDIRECTS = 3;
+// Cached results are fetched again after a week
+const ENRICHMENT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// "location=wikipedia,image-search;*=wikipedia" -> { location: [...], '*': [...] }; a bare list means every type
+function parseProviderConfig(text) {
+    if (!text || !text.trim()) return DEFAULT_PROVIDERS;
+
+    const config = {};
+    for (const entry of text.split(';').map(part => part.trim()).filter(Boolean)) {
+        const [type, list] = entry.includes('=') ? entry.split('=', 2) : ['*', entry];
+        config[type.trim()] = list.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    return config;
+}
+
+function providersFor(type, config) {
+    return config[type] || config['*'] || [];
+}
+
+function httpUrl(value, base) {
+    try {
+        const url = new URL(value, base);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+        timeout: FETCH_TIMEOUT_MS,
+        ...options,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'application/json', ...options.headers }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`${new URL(url).hostname} answered ${response.status}`);
+    }
+    return response.json();
+}
+
+// ===== Wikipedia / Wikidata =====
+
+function wikipediaProvider({ lang = 'en' } = {}) {
+    const api = `https://${lang}.wikipedia.org`;
+
+    const summary = title => fetchJson(`${api}/api/rest_v1/page/summary/${encodeURIComponent(title.replace(/ /g, '_'))}`);
+
+    return {
+        name: 'wikipedia',
+        async enrich(node) {
+            let page = await summary(node.name);
+            if (!page) {
+                // No article under that exact title: take the best title match instead
+                const search = await fetchJson(`${api}/w/rest.php/v1/search/title?q=${encodeURIComponent(node.name)}&limit=1`);
+                const best = search && search.pages && search.pages[0];
+                page = best ? await summary(best.key) : null;
+            }
+            if (!page || page.type === 'disambiguation' || !page.extract) return null;
+
+            const pageUrl = page.content_urls && page.content_urls.desktop && page.content_urls.desktop.page;
+            const image = page.originalimage || page.thumbnail;
+            const links = [{ url: pageUrl, title: `${page.title} on Wikipedia`, source: `${lang}.wikipedia.org` }];
+            if (page.wikibase_item) {
+                links.push({ url: `https://www.wikidata.org/wiki/${page.wikibase_item}`, title: `${page.title} on Wikidata`, source: 'wikidata.org' });
+            }
+
+            return {
+                summary: { title: page.title, text: page.description ? `${page.description}. ${page.extract}` : page.extract, url: pageUrl },
+                images: image ? [{ url: image.source, thumbnail: (page.thumbnail || image).source, title: page.title, source: `${lang}.wikipedia.org` }] : [],
+                links: links.filter(link => link.url)
+            };
+        }
+    };
+}
+
+// ===== OpenGraph =====
+
+// Pages come from user-entered properties, so the fetcher only connects to public addresses. Host names
+// are checked when connecting (so DNS changes can't reach the internal network), IP literals before each
+// request, redirects included.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges
+function isPublicAddress(address, family) {
+    return !PRIVATE_RANGES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+function assertPublicHost(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const family = net.isIP(host);
+    if (family && !isPublicAddress(host, family)) {
+        throw new Error(`Refusing to fetch ${host}: not a public address`);
+    }
+}
+
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!addresses.every(entry => isPublicAddress(entry.address, entry.family))) {
+            return callback(new Error(`Refusing to fetch ${hostname}: not a public address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const publicAgents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// name/property -> content of a page's <meta> tags
+function metaTags(html) {
+    const tags = {};
+    for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+        const attributes = {};
+        for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+            attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+        }
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content && !(key in tags)) {
+            tags[key] = attributes.content.trim();
+        }
+    }
+    return tags;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (reference, code) => decodeCharacterReference(reference, Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (reference, code) => decodeCharacterReference(reference, parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;|&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Web addresses among the node's properties (website, url, ...)
+function propertyUrls(node) {
+    return Object.values(node.properties || {})
+        .filter(value => typeof value === 'string' && /^https?:\/\//i.test(value))
+        .map(value => httpUrl(value))
+        .filter(Boolean);
+}
+
+function openGraphProvider() {
+    async function preview(pageUrl) {
+        let url = pageUrl;
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            assertPublicHost(url);
+            response = await fetch(url, {
+                agent: parsed => publicAgents[parsed.protocol],
+                timeout: FETCH_TIMEOUT_MS,
+                size: MAX_PAGE_BYTES,
+                redirect: 'manual',
+                headers: { 'User-Agent': USER_AGENT, Accept: 'text/html' }
+            });
+
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) break;
+            url = httpUrl(location, url);
+            if (!url || redirects >= MAX_REDIRECTS) return null;
+        }
+        if (!response.ok || !/text\/html|application\/xhtml/i.test(response.headers.get('content-type') || '')) {
+            return null;
+        }
+
+        const html = await response.text();
+        const tags = metaTags(html);
+        const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+        const title = tags['og:title'] || tags['twitter:title'] || (titleTag && decodeEntities(titleTag[1]).trim()) || null;
+        const text = tags['og:description'] || tags['twitter:description'] || tags.description || null;
+        const site = tags['og:site_name'] || new URL(url).hostname;
+        const image = httpUrl(tags['og:image'] || tags['twitter:image'] || '', url);
+
+        return {
+            summary: text ? { title: title || site, text, url } : null,
+            images: image ? [{ url: image, thumbnail: image, title: title || site, source: site }] : [],
+            links: [{ url, title: title || url, source: site }]
+        };
+    }
+
+    return {
+        name: 'opengraph',
+        async enrich(node) {
+            const urls = propertyUrls(node).slice(0, 3);
+            if (urls.length === 0) return null;
+
+            const previews = (await Promise.all(urls.map(url => preview(url).catch(error => {
+                console.warn(`OpenGraph preview of ${url} failed:`, error.message);
+                return null;
+            })))).filter(Boolean);
+            if (previews.length === 0) return null;
+
+            return {
+                summary: (previews.find(found => found.summary) || {}).summary || null,
+                images: previews.flatMap(found => found.images),
+                links: previews.flatMap(found => found.links)
+            };
+        }
+    };
+}
+
+// ===== Image search =====
+
+// Any JSON image search API: BRAIN_IMAGE_SEARCH_URL holds {query} (e.g.
+// "https://api.search.brave.com/res/v1/images/search?q={query}"), the key is sent in BRAIN_IMAGE_SEARCH_KEY_HEADER.
+// Results are read from the usual list fields (results, items, value, images, photos, hits).
+function imageSearchProvider({ url, key = null, keyHeader = 'Authorization' }) {
+    const first = (...values) => values.find(value => typeof value === 'string' && value) || null;
+
+    return {
+        name: 'image-search',
+        async enrich(node) {
+            const body = await fetchJson(url.replace('{query}', encodeURIComponent(node.name)), {
+                headers: key ? { [keyHeader]: key } : {}
+            });
+            const items = body && ['results', 'items', 'value', 'images', 'photos', 'hits']
+                .map(field => body[field])
+                .find(Array.isArray);
+            if (!items) return null;
+
+            const images = items.map(item => {
+                const properties = item.properties || {};
+                const src = item.src || {};
+                const thumbnail = item.thumbnail;
+                const imageUrl = httpUrl(first(properties.url, item.contentUrl, item.image, src.large, src.original,
+                    item.largeImageURL, item.link, item.url) || '');
+                if (!imageUrl) return null;
+
+                const page = httpUrl(first(item.hostPageUrl, item.pageURL, item.page, item.source, item.url) || '') || imageUrl;
+                return {
+                    url: imageUrl,
+                    thumbnail: httpUrl(first(thumbnail && thumbnail.src, thumbnail, item.thumbnailUrl, src.medium,
+                        item.previewURL) || '') || imageUrl,
+                    title: first(item.title, item.name, item.alt, item.tags) || node.name,
+                    source: new URL(page).hostname
+                };
+            }).filter(Boolean).slice(0, MAX_IMAGES);
+
+            return images.length > 0 ? { summary: null, images, links: [] } : null;
+        }
+    };
+}
+
+// ===== Offline stub =====
+
+// Deterministic results without network access, for tests and local development
+function stubProvider() {
+    return {
+        name: 'stub',
+        async enrich(node) {
+            const slug = encodeURIComponent(node.name.toLowerCase().replace(/\s+/g, '-'));
+            return {
+                summary: { title: node.name, text: `${node.name} is a ${node.type || 'node'} in your memory graph.`, url: `https://example.com/${slug}` },
+                images: [{ url: `https://example.com/${slug}.png`, thumbnail: `https://example.com/${slug}-thumb.png`, title: node.name, source: 'example.com' }],
+                links: [{ url: `https://example.com/${slug}`, title: node.name, source: 'example.com' }]
+            };
+        }
+    };
+}
+
+/**
+ * Providers available with this configuration; image search needs an API to be configured.
+ * @param {object} env - usually process.env
+ * @returns {{ providers: Map<string, {name: string, enrich: Function}>, config: Object<string, string[]> }}
+ */
+function createEnrichment(env) {
+    const providers = new Map();
+    const add = provider => providers.set(provider.name, provider);
+
+    add(wikipediaProvider({ lang: env.BRAIN_WIKIPEDIA_LANG || 'en' }));
+    add(openGraphProvider());
+    add(stubProvider());
+    if (env.BRAIN_IMAGE_SEARCH_URL) {
+        add(imageSearchProvider({
+            url: env.BRAIN_IMAGE_SEARCH_URL,
+            key: env.BRAIN_IMAGE_SEARCH_KEY || null,
+            keyHeader: env.BRAIN_IMAGE_SEARCH_KEY_HEADER || 'Authorization'
+        }));
+    }
+
+    return { providers, config: parseProviderConfig(env.BRAIN_ENRICHMENT_PROVIDERS) };
+}
+
+// A cached result is reused while the node's name, type and properties stay the same
+function enrichmentFingerprint(node) {
+    return crypto.createHash('sha1').update(JSON.stringify([node.type, node.name, node.properties || {}])).digest('hex');
+}
+
+/**
+ * Run the providers for the node's type, reusing fresh results cached in storage unless refresh is set.
+ * A provider that fails falls back to its previous result, if there is one.
+ * @param {object} storage - storage adapter (nodeEnrichment, saveNodeEnrichment)
+ * @param {{providers: Map, config: object}} enrichment - from createEnrichment
+ * @param {string} uid
+ * @param {object} node - stored node row
+ * @param {{refresh?: boolean, ttlMs?: number}} [options]
+ * @returns {Promise<{summary: object|null, images: Array, links: Array, providers: Array}>}
+ */
+async function enrichNode(storage, enrichment, uid, node, { refresh = false, ttlMs = ENRICHMENT_TTL_MS } = {}) {
+    const fingerprint = enrichmentFingerprint(node);
+    const stored = new Map((await storage.nodeEnrichment(uid, node.node_id)).map(row => [row.provider, row]));
+    const names = providersFor(node.type, enrichment.config).filter(name => enrichment.providers.has(name));
+
+    const results = await Promise.all(names.map(async name => {
+        const hit = stored.get(name);
+        const fromCache = hit && { provider: name, data: hit.data, fetchedAt: hit.fetched_at, cached: true };
+        const fresh = hit && hit.fingerprint === fingerprint && Date.now() - new Date(hit.fetched_at) < ttlMs;
+        if (fresh && !refresh) return fromCache;
+
+        try {
+            const data = await enrichment.providers.get(name).enrich(node);
+            await storage.saveNodeEnrichment(uid, node.node_id, name, { fingerprint, data });
+            return { provider: name, data, fetchedAt: new Date().toISOString(), cached: false };
+        } catch (error) {
+            console.warn(`Enrichment provider ${name} failed for ${node.node_id}:`, error.message);
+            return fromCache || null;
+        }
+    }));
+
+    // One summary (the first provider's that has one); images and links from all of them
+    const found = results.filter(result => result && result.data);
+    const unique = items => Array.from(new Map(items.map(item => [item.url, item])).values());
+    const summaryResult = found.find(result => result.data.summary);
+
+    return {
+        summary: summaryResult ? { ...summaryResult.data.summary, provider: summaryResult.provider } : null,
+        images: unique(found.flatMap(result => result.data.images.map(image => ({ ...image, provider: result.provider })))),
+        links: unique(found.flatMap(result => result.data.links.map(link => ({ ...link, provider: result.provider })))),
+        providers: results.filter(Boolean).map(result => ({
+            provider: result.provider,
+            found: Boolean(result.data),
+            fetchedAt: result.fetchedAt,
+            cached: result.cached
+        }))
+    };
+}
+
+module.exports = { createEnrichment, decodeEntities, enrichNode, parseProviderConfig, providersFor };
@@ -0,0 +1,347 @@
+// Entity resolution for the memory graph.
+// Matches freshly extracted entities against nodes that already exist for a user,
+// so "ORB-Mike", "ORB-Michael" and "ORB-MikeJohnson" collapse into one node.
+
+const { normalizeName } = require('./public/graph-matching');
+
+const MATCH_THRESHOLD = 0.88;
+
+// Common first-name nicknames, keyed by canonical form
+const NICKNAMES = {
+    alexander: ['alex', 'sasha', 'xander'],
+    alexandra: ['alex', 'lexi', 'sasha'],
+    andrew: ['andy', 'drew'],
+    anthony: ['tony'],
+    benjamin: ['ben', 'benny'],
+    charles: ['charlie', 'chuck'],
+    christopher: ['chris', 'topher'],
+    daniel: ['dan', 'danny'],
+    david: ['dave', 'davey'],
+    deborah: ['deb', 'debbie'],
+    edward: ['ed', 'eddie', 'ted'],
+    elizabeth: ['liz', 'lizzy', 'beth', 'eliza'],
+    gregory: ['greg'],
+    james: ['jim', 'jimmy', 'jamie'],
+    jennifer: ['jen', 'jenny'],
+    jessica: ['jess', 'jessie'],
+    john: ['johnny', 'jack'],
+    jonathan: ['jon', 'jonny'],
+    joseph: ['joe', 'joey'],
+    katherine: ['kate', 'katie', 'kathy', 'kat'],
+    kenneth: ['ken', 'kenny'],
+    margaret: ['maggie', 'meg', 'peggy'],
+    matthew: ['matt'],
+    michael: ['mike', 'mikey', 'mick'],
+    nicholas: ['nick', 'nicky'],
+    patricia: ['pat', 'patty', 'trish'],
+    rebecca: ['becky', 'becca'],
+    richard: ['rick', 'ricky', 'rich', 'dick'],
+    robert: ['rob', 'robbie', 'bob', 'bobby'],
+    samantha: ['sam', 'sammy'],
+    samuel: ['sam', 'sammy'],
+    stephen: ['steve', 'stevie'],
+    steven: ['steve', 'stevie'],
+    susan: ['sue', 'suzy'],
+    thomas: ['tom', 'tommy'],
+    timothy: ['tim', 'timmy'],
+    victoria: ['vicky', 'tori'],
+    william: ['will', 'bill', 'billy', 'liam']
+};
+
+// nickname -> set of canonical names it can stand for
+const NICKNAME_INDEX = new Map();
+for (const [canonical, variants] of Object.entries(NICKNAMES)) {
+    for (const name of [canonical, ...variants]) {
+        if (!NICKNAME_INDEX.has(name)) NICKNAME_INDEX.set(name, new Set());
+        NICKNAME_INDEX.get(name).add(canonical);
+    }
+}
+
+// "ORB-MikeJohnson" -> "mike johnson"
+function nameFromNodeId(nodeId) {
+    const bare = String(nodeId || '').replace(/^ORB-/i, '');
+    return normalizeName(bare.replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2').replace(/[-_]/g, ' '));
+}
+
+function sameFirstName(a, b) {
+    if (a === b) return true;
+    const canonA = NICKNAME_INDEX.get(a);
+    const canonB = NICKNAME_INDEX.get(b);
+    if (!canonA || !canonB) return false;
+    for (const name of canonA) {
+        if (canonB.has(name)) return true;
+    }
+    return false;
+}
+
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - range);
+        const end = Math.min(i + range + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (bMatches[j] || a[i] !== b[j]) continue;
+            aMatches[i] = true;
+            bMatches[j] = true;
+            matches++;
+            break;
+        }
+    }
+
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Score how likely two normalized names refer to the same entity (0..1)
+function nameSimilarity(a, b, type) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    if (type === 'person') {
+        const tokensA = a.split(' ');
+        const tokensB = b.split(' ');
+
+        if (sameFirstName(tokensA[0], tokensB[0])) {
+            // Same first name and same surname (if both have one)
+            if (tokensA.length > 1 && tokensB.length > 1) {
+                return tokensA[tokensA.length - 1] === tokensB[tokensB.length - 1] ? 0.95 : 0;
+            }
+            // "Mike" vs "Mike Johnson" / "Michael"
+            return 0.9;
+        }
+    }
+
+    // Typo-level differences only; short names are too easy to confuse
+    if (Math.min(a.length, b.length) < 4) return 0;
+    const score = jaroWinkler(a, b);
+    return score >= 0.94 ? score : 0;
+}
+
+function keysFor(node) {
+    const keys = new Set();
+    keys.add(normalizeName(node.name));
+    keys.add(nameFromNodeId(node.id));
+    for (const alias of node.aliases || []) {
+        keys.add(normalizeName(alias));
+    }
+    keys.delete('');
+    return keys;
+}
+
+function typesCompatible(a, b) {
+    return !a || !b || a === b;
+}
+
+// Buckets a name key is filed under: its first two characters (typos rarely hit the start of a name)
+// and its first word, plus the full names that word may be a nickname of
+function blocksFor(key) {
+    const firstWord = key.split(' ')[0];
+    const blocks = [`p:${[...key].slice(0, 2).join('')}`, `w:${firstWord}`];
+    for (const canonical of NICKNAME_INDEX.get(firstWord) || []) {
+        blocks.push(`w:${canonical}`);
+    }
+    return blocks;
+}
+
+// Existing nodes with their name keys worked out once, filed by blocksFor so an entity is only
+// scored against nodes that could match it
+function createCandidateIndex() {
+    const entries = new Map();
+    const blocks = new Map();
+
+    // Add a node, or file the new keys of one already added (after it gained aliases)
+    function add(node) {
+        if (!entries.has(node.id)) {
+            entries.set(node.id, { node, keys: new Set(), order: entries.size });
+        }
+        const entry = entries.get(node.id);
+        entry.node = node;
+
+        for (const key of keysFor(node)) {
+            if (entry.keys.has(key)) continue;
+            entry.keys.add(key);
+            for (const block of blocksFor(key)) {
+                if (!blocks.has(block)) blocks.set(block, new Set());
+                blocks.get(block).add(node.id);
+            }
+        }
+    }
+
+    // Entries sharing a bucket with any of the keys, in the order their nodes were added
+    function near(keys) {
+        const ids = new Set();
+        for (const key of keys) {
+            for (const block of blocksFor(key)) {
+                for (const id of blocks.get(block) || []) ids.add(id);
+            }
+        }
+        return Array.from(ids, id => entries.get(id)).sort((a, b) => a.order - b.order);
+    }
+
+    return { add, near, has: id => entries.has(id) };
+}
+
+// Find the best existing node for an entity; ambiguous ties return null
+function findMatch(entity, index) {
+    const entityKeys = keysFor(entity);
+    let best = null;
+    let bestScore = 0;
+    let tied = false;
+
+    for (const { node: candidate, keys } of index.near(entityKeys)) {
+        if (!typesCompatible(entity.type, candidate.type)) continue;
+
+        let score = 0;
+        for (const candidateKey of keys) {
+            for (const entityKey of entityKeys) {
+                score = Math.max(score, nameSimilarity(entityKey, candidateKey, entity.type || candidate.type));
+            }
+        }
+
+        if (score < MATCH_THRESHOLD) continue;
+
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+            tied = false;
+        } else if (score === bestScore && candidate.id !== best.id) {
+            tied = true;
+        }
+    }
+
+    return tied && bestScore < 1 ? null : best;
+}
+
+// Same source, target and (normalized) action means the same fact
+function relationshipKey(rel) {
+    return `${rel.source}|${rel.target}|${normalizeName(rel.action)}`;
+}
+
+function mergeAliases(existingAliases, ...names) {
+    const aliases = [...(existingAliases || [])];
+    const seen = new Set(aliases.map(normalizeName));
+    for (const name of names) {
+        const key = normalizeName(name);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        aliases.push(name);
+    }
+    return aliases;
+}
+
+// The work of resolveEntities, pausing (yield) after every `batchSize` entities
+function* resolveSteps(newData, existingNodes, batchSize) {
+    const candidates = createCandidateIndex();
+    for (const node of existingNodes.values()) {
+        candidates.add({ ...node, aliases: [...(node.aliases || [])] });
+    }
+    yield;
+
+    const idMap = new Map();
+    const touched = new Map();
+    const merged = [];
+
+    let count = 0;
+    for (const entity of newData.entities || []) {
+        if (++count % batchSize === 0) yield;
+        if (!entity || !entity.id || !entity.name) continue;
+
+        const match = findMatch(entity, candidates);
+
+        if (match) {
+            match.aliases = mergeAliases(match.aliases, entity.name);
+            match.aliases = match.aliases.filter(alias => normalizeName(alias) !== normalizeName(match.name));
+            match.properties = { ...match.properties, ...entity.properties };
+            candidates.add(match);
+            idMap.set(entity.id, match.id);
+            touched.set(match.id, match);
+            if (entity.id !== match.id) {
+                merged.push({ from: entity.id, into: match.id });
+            }
+            continue;
+        }
+
+        // Same id but clearly a different entity: give the newcomer its own id
+        let id = entity.id;
+        for (let n = 2; candidates.has(id); n++) {
+            id = `${entity.id}-${n}`;
+        }
+
+        const node = { id, type: entity.type, name: entity.name, aliases: [], properties: { ...entity.properties } };
+        candidates.add(node);
+        touched.set(id, node);
+        idMap.set(entity.id, id);
+    }
+
+    const seenRelationships = new Set();
+    const relationships = [];
+    for (const rel of newData.relationships || []) {
+        if (!rel) continue;
+        const source = idMap.get(rel.source) || rel.source;
+        const target = idMap.get(rel.target) || rel.target;
+        if (source === target) continue;
+
+        const key = relationshipKey({ source, target, action: rel.action });
+        if (seenRelationships.has(key)) continue;
+        seenRelationships.add(key);
+
+        relationships.push({ ...rel, source, target });
+    }
+
+    return {
+        entities: Array.from(touched.values()),
+        relationships,
+        merged
+    };
+}
+
+/**
+ * Resolve extracted entities against an existing graph.
+ * Matched entities are rewritten to the existing node id (their name becomes an alias),
+ * relationships are remapped accordingly, and self-loops/duplicates created by the remap are dropped.
+ * @param {{entities: Array, relationships: Array}} newData - output of processTextWithGPT
+ * @param {Map<string, object>} existingNodes - nodes map from loadMemoryGraph
+ * @returns {{entities: Array, relationships: Array, merged: Array<{from: string, into: string}>}}
+ */
+function resolveEntities(newData, existingNodes) {
+    const steps = resolveSteps(newData, existingNodes, Infinity);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+// resolveEntities for large batches (imports): hands the event loop back between batches of entities
+// so other requests aren't held up
+async function resolveEntitiesInBatches(newData, existingNodes, batchSize = 200) {
+    const steps = resolveSteps(newData, existingNodes, batchSize);
+    let step = steps.next();
+    while (!step.done) {
+        await new Promise(resolve => setImmediate(resolve));
+        step = steps.next();
+    }
+    return step.value;
+}
+
+module.exports = { resolveEntities, resolveEntitiesInBatches, mergeAliases, nameSimilarity, normalizeName, relationshipKey };
@@ -0,0 +1,129 @@
+// Community detection for the cluster view: Louvain modularity optimisation over the relationship graph.
+// Each level moves nodes into the neighbouring community with the best modularity gain until nothing moves,
+// then collapses communities into single nodes and repeats on the smaller graph.
+
+// Undirected weighted graph over node indexes; parallel edges are summed
+function buildGraph(size, edges) {
+    const adjacency = Array.from({ length: size }, () => new Map());
+    const selfLoops = new Float64Array(size);
+
+    edges.forEach(({ source, target, weight }) => {
+        if (source === target) {
+            selfLoops[source] += weight;
+            return;
+        }
+        adjacency[source].set(target, (adjacency[source].get(target) || 0) + weight);
+        adjacency[target].set(source, (adjacency[target].get(source) || 0) + weight);
+    });
+
+    return { adjacency, selfLoops };
+}
+
+// One level of local moves. Returns the community of each node, or null if no node moved.
+function moveNodes({ adjacency, selfLoops }) {
+    const size = adjacency.length;
+    const degree = new Float64Array(size);
+    let totalDegree = 0;
+    for (let i = 0; i < size; i++) {
+        adjacency[i].forEach(weight => { degree[i] += weight; });
+        degree[i] += 2 * selfLoops[i];
+        totalDegree += degree[i];
+    }
+    if (totalDegree === 0) return null;
+
+    const community = Int32Array.from({ length: size }, (_, i) => i);
+    const communityDegree = Float64Array.from(degree);
+    let movedAny = false;
+    let moved = true;
+
+    while (moved) {
+        moved = false;
+        for (let i = 0; i < size; i++) {
+            if (adjacency[i].size === 0) continue;
+
+            const current = community[i];
+            const links = new Map();
+            adjacency[i].forEach((weight, j) => {
+                links.set(community[j], (links.get(community[j]) || 0) + weight);
+            });
+
+            communityDegree[current] -= degree[i];
+            let best = current;
+            let bestGain = (links.get(current) || 0) - communityDegree[current] * degree[i] / totalDegree;
+            links.forEach((weight, candidate) => {
+                const gain = weight - communityDegree[candidate] * degree[i] / totalDegree;
+                if (gain > bestGain + 1e-12) {
+                    best = candidate;
+                    bestGain = gain;
+                }
+            });
+            communityDegree[best] += degree[i];
+
+            if (best !== current) {
+                community[i] = best;
+                moved = true;
+                movedAny = true;
+            }
+        }
+    }
+
+    return movedAny ? community : null;
+}
+
+// Collapse each community into one node; internal weight becomes a self-loop
+function aggregate({ adjacency, selfLoops }, community) {
+    const index = new Map();
+    community.forEach(c => { if (!index.has(c)) index.set(c, index.size); });
+
+    const edges = [];
+    for (let i = 0; i < adjacency.length; i++) {
+        const ci = index.get(community[i]);
+        if (selfLoops[i] > 0) edges.push({ source: ci, target: ci, weight: selfLoops[i] });
+        adjacency[i].forEach((weight, j) => {
+            // Each undirected edge is seen from both ends; keep one
+            if (j < i) return;
+            edges.push({ source: ci, target: index.get(community[j]), weight });
+        });
+    }
+
+    return {
+        graph: buildGraph(index.size, edges),
+        assignment: Array.from(community, c => index.get(c))
+    };
+}
+
+/**
+ * Split a graph into communities.
+ * @param {string[]} nodeIds
+ * @param {Array<{source: string, target: string, weight?: number}>} relationships - edges between nodeIds
+ * @returns {string[][]} communities as lists of node ids, largest first (isolated nodes are singletons)
+ */
+function detectCommunities(nodeIds, relationships) {
+    const index = new Map(nodeIds.map((id, i) => [id, i]));
+    const edges = relationships
+        .filter(rel => index.has(rel.source) && index.has(rel.target))
+        .map(rel => ({ source: index.get(rel.source), target: index.get(rel.target), weight: rel.weight || 1 }));
+
+    // membership[i]: the current level's node that original node i belongs to
+    let membership = nodeIds.map((_, i) => i);
+    let graph = buildGraph(nodeIds.length, edges);
+
+    for (;;) {
+        const community = moveNodes(graph);
+        if (!community) break;
+
+        const level = aggregate(graph, community);
+        membership = membership.map(node => level.assignment[node]);
+        graph = level.graph;
+    }
+
+    const groups = new Map();
+    membership.forEach((community, i) => {
+        if (!groups.has(community)) groups.set(community, []);
+        groups.get(community).push(nodeIds[i]);
+    });
+
+    return [...groups.values()].sort((a, b) => b.length - a.length);
+}
+
+module.exports = { detectCommunities };
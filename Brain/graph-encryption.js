@@ -0,0 +1,135 @@
+// End-to-end encrypted memory graphs (opt-in per user). The browser encrypts node names, aliases, property values,
+// relationship actions and source texts with an AES-GCM key derived from the user's passphrase; the server only
+// stores "enc:v1:<iv>:<ciphertext>" strings (base64url) and never sees the passphrase or the key.
+//
+// Features that need plaintext (chat, descriptions, extraction) work on decrypted material the browser sends with
+// that one request, which is used for the answer and not stored. OMI webhook memories arrive as plaintext, so they are
+// sealed right away to the user's public key (RSA-OAEP + AES-GCM) and wait until the browser can open and extract them.
+
+const crypto = require('crypto');
+
+const ENCRYPTED_VALUE_PATTERN = /^enc:v1:[A-Za-z0-9_-]{16}:[A-Za-z0-9_-]{22,}$/;
+const SALT_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+// Ciphertext of a 200 character name with multi-byte characters fits comfortably
+const MAX_ENCRYPTED_LENGTH = 4000;
+// Source texts: a 5000 character message or a long transcript
+const MAX_ENCRYPTED_SOURCE_LENGTH = 400000;
+const MAX_PRIVATE_KEY_LENGTH = 12000;
+const MIN_RSA_BITS = 2048;
+
+// Plaintext the browser may send along with one request
+const MAX_PLAINTEXT_NODES = 20000;
+const MAX_PLAINTEXT_RELATIONSHIPS = 50000;
+
+function isEncryptedValue(value, maxLength = MAX_ENCRYPTED_LENGTH) {
+    return typeof value === 'string' && value.length <= maxLength && ENCRYPTED_VALUE_PATTERN.test(value);
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Check the key material sent when a user turns encryption on.
+ * @param {{salt: string, keyCheck: string, publicKey: object, privateKey: string}} setup - PBKDF2 salt, a known text
+ *     encrypted with the passphrase key (to tell a wrong passphrase), the RSA-OAEP public key as a JWK, and the
+ *     private key (pkcs8) encrypted with the passphrase key
+ * @returns {string|null} error message, or null if valid
+ */
+function validateKeySetup({ salt, keyCheck, publicKey, privateKey } = {}) {
+    if (typeof salt !== 'string' || !SALT_PATTERN.test(salt)) {
+        return 'Invalid key salt';
+    }
+    if (!isEncryptedValue(keyCheck)) {
+        return 'Invalid key check';
+    }
+    if (typeof privateKey !== 'string' || privateKey.length > MAX_PRIVATE_KEY_LENGTH ||
+        !ENCRYPTED_VALUE_PATTERN.test(privateKey)) {
+        return 'Invalid private key';
+    }
+    if (!publicKey || typeof publicKey !== 'object' || publicKey.kty !== 'RSA' || publicKey.d) {
+        return 'Public key must be an RSA public key (JWK)';
+    }
+    try {
+        const key = crypto.createPublicKey({ key: { kty: 'RSA', n: publicKey.n, e: publicKey.e }, format: 'jwk' });
+        if (key.asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) {
+            return `Public key must have at least ${MIN_RSA_BITS} bits`;
+        }
+    } catch (error) {
+        return 'Invalid public key';
+    }
+    return null;
+}
+
+// Encrypt text for the holder of the private key: { key, iv, data } with a fresh AES key wrapped by RSA-OAEP (SHA-256)
+// and the AES-GCM ciphertext followed by its tag, as WebCrypto expects
+function sealText(publicKeyJwk, text) {
+    const publicKey = crypto.createPublicKey({ key: { kty: 'RSA', n: publicKeyJwk.n, e: publicKeyJwk.e }, format: 'jwk' });
+    const aesKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', aesKey, iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    const key = crypto.publicEncrypt({
+        key: publicKey,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+    }, aesKey);
+
+    return { key: base64url(key), iv: base64url(iv), data: base64url(data) };
+}
+
+/**
+ * Read the decrypted names and actions the browser sent for one request.
+ * @param {object} value - { nodes: { [nodeId]: { name, properties? } }, relationships: { [relationshipId]: action } }
+ * @returns {{nodes: Map<string, {name: string, properties: object}>, relationships: Map<string, string>}}
+ */
+function readPlaintext(value) {
+    const nodes = new Map();
+    const relationships = new Map();
+    if (!value || typeof value !== 'object') return { nodes, relationships };
+
+    const nodeEntries = value.nodes && typeof value.nodes === 'object' ? Object.entries(value.nodes) : [];
+    for (const [id, node] of nodeEntries.slice(0, MAX_PLAINTEXT_NODES)) {
+        if (!node || typeof node.name !== 'string') continue;
+        const properties = {};
+        if (node.properties && typeof node.properties === 'object' && !Array.isArray(node.properties)) {
+            Object.entries(node.properties).slice(0, 30).forEach(([key, propertyValue]) => {
+                if (['string', 'number', 'boolean'].includes(typeof propertyValue)) {
+                    properties[key] = typeof propertyValue === 'string' ? propertyValue.slice(0, 500) : propertyValue;
+                }
+            });
+        }
+        nodes.set(id, { name: node.name.slice(0, 200), properties });
+    }
+
+    const relationshipEntries = value.relationships && typeof value.relationships === 'object'
+        ? Object.entries(value.relationships)
+        : [];
+    for (const [id, action] of relationshipEntries.slice(0, MAX_PLAINTEXT_RELATIONSHIPS)) {
+        if (typeof action === 'string') relationships.set(id, action.slice(0, 500));
+    }
+
+    return { nodes, relationships };
+}
+
+// A stored node row with the browser's plaintext in place of its ciphertext, or null if none was sent
+function revealNode(row, plaintext) {
+    const known = plaintext.nodes.get(row.node_id);
+    return known ? { ...row, name: known.name, aliases: [], properties: known.properties } : null;
+}
+
+function revealRelationship(row, plaintext) {
+    return plaintext.relationships.has(row.id) ? { ...row, action: plaintext.relationships.get(row.id) } : null;
+}
+
+module.exports = {
+    MAX_ENCRYPTED_LENGTH,
+    MAX_ENCRYPTED_SOURCE_LENGTH,
+    isEncryptedValue,
+    validateKeySetup,
+    sealText,
+    readPlaintext,
+    revealNode,
+    revealRelationship
+};
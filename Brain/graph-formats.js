@@ -0,0 +1,360 @@
+// Serializers and parsers for moving a memory graph in and out of Brain.
+// Supported formats: JSON-LD, GraphML (opens in Gephi/yEd) and CSV node/edge tables (Gephi's spreadsheet import).
+// Every format carries names, aliases, properties (as JSON text in GraphML and CSV) and actions, plus when each fact
+// was first and last seen and how often it was mentioned. Imports read back everything but the dates and counts:
+// imported facts count as first seen at import time.
+
+const JSONLD_CONTEXT = {
+    '@vocab': 'https://omi.me/brain/vocab#',
+    name: 'http://schema.org/name',
+    alternateName: 'http://schema.org/alternateName',
+    properties: { '@type': '@json' },
+    source: { '@type': '@id' },
+    target: { '@type': '@id' },
+    firstSeen: { '@type': 'http://www.w3.org/2001/XMLSchema#dateTime' },
+    lastSeen: { '@type': 'http://www.w3.org/2001/XMLSchema#dateTime' }
+};
+
+const NODE_PREFIX = 'node:';
+
+// ===== Export =====
+
+// First/last seen and mention count of a node or relationship, left out where unknown
+function seenFields(item) {
+    const fields = { firstSeen: item.first_seen_at, lastSeen: item.last_seen_at, mentionCount: item.mention_count };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+}
+
+// Properties as JSON text for the flat formats, empty when there are none
+function propertiesText(properties) {
+    return properties && Object.keys(properties).length > 0 ? JSON.stringify(properties) : '';
+}
+
+function toJsonLd(graph) {
+    return {
+        '@context': JSONLD_CONTEXT,
+        '@graph': [
+            ...graph.nodes.map(node => ({
+                '@id': NODE_PREFIX + node.id,
+                '@type': 'Node',
+                nodeType: node.type,
+                name: node.name,
+                alternateName: node.aliases || [],
+                properties: node.properties || {},
+                ...seenFields(node)
+            })),
+            ...graph.relationships.map(rel => ({
+                '@type': 'Relationship',
+                source: NODE_PREFIX + rel.source,
+                target: NODE_PREFIX + rel.target,
+                action: rel.action,
+                ...seenFields(rel)
+            }))
+        ]
+    };
+}
+
+function escapeXml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toGraphML(graph) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+        '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+        '  <key id="aliases" for="node" attr.name="aliases" attr.type="string"/>',
+        '  <key id="properties" for="node" attr.name="properties" attr.type="string"/>',
+        '  <key id="action" for="edge" attr.name="label" attr.type="string"/>',
+        '  <key id="first_seen" for="all" attr.name="first_seen" attr.type="string"/>',
+        '  <key id="last_seen" for="all" attr.name="last_seen" attr.type="string"/>',
+        '  <key id="mentions" for="all" attr.name="mentions" attr.type="int"/>',
+        '  <graph id="brain" edgedefault="directed">'
+    ];
+
+    // <data> elements for the seen fields that are known
+    const seenData = item => {
+        const fields = seenFields(item);
+        return [['first_seen', fields.firstSeen], ['last_seen', fields.lastSeen], ['mentions', fields.mentionCount]]
+            .filter(([, value]) => value != null)
+            .map(([key, value]) => `      <data key="${key}">${escapeXml(value)}</data>`);
+    };
+
+    for (const node of graph.nodes) {
+        lines.push(`    <node id="${escapeXml(node.id)}">`);
+        lines.push(`      <data key="label">${escapeXml(node.name)}</data>`);
+        lines.push(`      <data key="type">${escapeXml(node.type)}</data>`);
+        lines.push(`      <data key="aliases">${escapeXml((node.aliases || []).join('|'))}</data>`);
+        const properties = propertiesText(node.properties);
+        if (properties) lines.push(`      <data key="properties">${escapeXml(properties)}</data>`);
+        lines.push(...seenData(node));
+        lines.push('    </node>');
+    }
+
+    graph.relationships.forEach((rel, index) => {
+        lines.push(`    <edge id="e${index}" source="${escapeXml(rel.source)}" target="${escapeXml(rel.target)}">`);
+        lines.push(`      <data key="action">${escapeXml(rel.action)}</data>`);
+        lines.push(...seenData(rel));
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n');
+}
+
+function csvField(value) {
+    const text = String(value == null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRows(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+function toNodesCsv(graph) {
+    return toCsvRows(
+        ['Id', 'Label', 'Type', 'Aliases', 'Properties', 'First Seen', 'Last Seen', 'Mentions'],
+        graph.nodes.map(node => [
+            node.id, node.name, node.type, (node.aliases || []).join('|'), propertiesText(node.properties),
+            node.first_seen_at, node.last_seen_at, node.mention_count
+        ])
+    );
+}
+
+function toEdgesCsv(graph) {
+    return toCsvRows(
+        ['Source', 'Target', 'Label', 'First Seen', 'Last Seen', 'Mentions'],
+        graph.relationships.map(rel => [rel.source, rel.target, rel.action, rel.first_seen_at, rel.last_seen_at, rel.mention_count])
+    );
+}
+
+// ===== Import =====
+
+function stripNodePrefix(id) {
+    const value = typeof id === 'object' && id !== null ? id['@id'] : id;
+    return String(value || '').replace(new RegExp(`^${NODE_PREFIX}`), '');
+}
+
+function hasType(item, type) {
+    const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+    return types.includes(type);
+}
+
+function fromJsonLd(input) {
+    const doc = typeof input === 'string' ? JSON.parse(input) : input;
+    const items = Array.isArray(doc) ? doc : (doc && doc['@graph']) || [];
+    const graph = { entities: [], relationships: [] };
+
+    for (const item of items) {
+        if (!item || typeof item !== 'object') continue;
+
+        if (hasType(item, 'Node')) {
+            const aliases = item.alternateName;
+            graph.entities.push({
+                id: stripNodePrefix(item['@id']),
+                type: item.nodeType,
+                name: item.name,
+                aliases: Array.isArray(aliases) ? aliases : (aliases ? [aliases] : []),
+                properties: item.properties && typeof item.properties === 'object' ? item.properties : {}
+            });
+        } else if (hasType(item, 'Relationship')) {
+            graph.relationships.push({
+                source: stripNodePrefix(item.source),
+                target: stripNodePrefix(item.target),
+                action: item.action
+            });
+        }
+    }
+
+    return graph;
+}
+
+// Properties written as JSON text; anything else is ignored
+function parseProperties(text) {
+    if (!text) return {};
+    try {
+        const properties = JSON.parse(text);
+        return properties && typeof properties === 'object' && !Array.isArray(properties) ? properties : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// "&#233;" or "&#xE9;"; a reference outside Unicode is left as written
+function decodeCharacterReference(reference, code) {
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : reference;
+}
+
+function decodeXml(value) {
+    return String(value || '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#x([0-9a-f]+);/gi, (reference, hex) => decodeCharacterReference(reference, parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (reference, code) => decodeCharacterReference(reference, Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function xmlAttributes(tag) {
+    const attributes = {};
+    const regex = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = regex.exec(tag)) !== null) {
+        attributes[match[1]] = decodeXml(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+}
+
+function xmlData(body, keyNames) {
+    const data = {};
+    const regex = /<data\b([^>]*)>([\s\S]*?)<\/data>/g;
+    let match;
+    while ((match = regex.exec(body)) !== null) {
+        const key = xmlAttributes(match[1]).key;
+        data[keyNames[key] || key] = decodeXml(match[2]).trim();
+    }
+    return data;
+}
+
+// Minimal GraphML reader: keys, nodes and edges with <data> children
+function fromGraphML(xml) {
+    const text = String(xml);
+    const nodeKeys = {};
+    const edgeKeys = {};
+    const graph = { entities: [], relationships: [] };
+
+    const keyRegex = /<key\b([^>]*?)\/?>/g;
+    let match;
+    while ((match = keyRegex.exec(text)) !== null) {
+        const attributes = xmlAttributes(match[1]);
+        const name = (attributes['attr.name'] || attributes.id || '').toLowerCase();
+        // A key without "for" applies to everything
+        const scope = attributes.for || 'all';
+        if (scope === 'node' || scope === 'all') nodeKeys[attributes.id] = name;
+        if (scope === 'edge' || scope === 'all') edgeKeys[attributes.id] = name;
+    }
+
+    const nodeRegex = /<node\b([^>]*?)(?:\/>|>([\s\S]*?)<\/node>)/g;
+    while ((match = nodeRegex.exec(text)) !== null) {
+        const attributes = xmlAttributes(match[1]);
+        const data = xmlData(match[2] || '', nodeKeys);
+        graph.entities.push({
+            id: attributes.id,
+            type: data.type,
+            name: data.label || data.name || attributes.id,
+            aliases: data.aliases ? data.aliases.split('|').filter(Boolean) : [],
+            properties: parseProperties(data.properties)
+        });
+    }
+
+    const edgeRegex = /<edge\b([^>]*?)(?:\/>|>([\s\S]*?)<\/edge>)/g;
+    while ((match = edgeRegex.exec(text)) !== null) {
+        const attributes = xmlAttributes(match[1]);
+        const data = xmlData(match[2] || '', edgeKeys);
+        graph.relationships.push({
+            source: attributes.source,
+            target: attributes.target,
+            action: data.label || data.action || data.relationship || ''
+        });
+    }
+
+    return graph;
+}
+
+// RFC 4180 CSV parser returning an array of objects keyed by lower-cased header
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(name => name.trim().toLowerCase());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        header.forEach((name, index) => {
+            record[name] = (values[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+// Nodes table (Id, Label, Type, Aliases, Properties) and/or edges table (Source, Target, Label)
+function fromCsv(nodesCsv, edgesCsv) {
+    const graph = { entities: [], relationships: [] };
+
+    for (const record of nodesCsv ? parseCsv(nodesCsv) : []) {
+        graph.entities.push({
+            id: record.id,
+            type: record.type,
+            name: record.label || record.name || record.id,
+            aliases: record.aliases ? record.aliases.split('|').filter(Boolean) : [],
+            properties: parseProperties(record.properties)
+        });
+    }
+
+    for (const record of edgesCsv ? parseCsv(edgesCsv) : []) {
+        graph.relationships.push({
+            source: record.source,
+            target: record.target,
+            action: record.label || record.action || ''
+        });
+    }
+
+    return graph;
+}
+
+module.exports = {
+    decodeCharacterReference,
+    toJsonLd,
+    toGraphML,
+    toNodesCsv,
+    toEdgesCsv,
+    fromJsonLd,
+    fromGraphML,
+    fromCsv
+};
@@ -0,0 +1,107 @@
+// Level-of-detail view of a large graph: the top-K nodes are shown as they are, everything else is
+// folded into cluster summary nodes the client can expand on demand.
+// Hidden neighbours of a visible node are grouped under it ("anchor" clusters); hidden nodes with no
+// visible neighbour are grouped by node type.
+
+const CLUSTER_PREFIX = 'CLUSTER:';
+
+const TYPE_PLURALS = {
+    person: 'people',
+    location: 'locations',
+    event: 'events',
+    concept: 'concepts'
+};
+
+function anchorClusterId(nodeId) {
+    return `${CLUSTER_PREFIX}anchor:${nodeId}`;
+}
+
+function typeClusterId(type) {
+    return `${CLUSTER_PREFIX}type:${type || ''}`;
+}
+
+// "CLUSTER:anchor:ORB-Anna" -> { kind: 'anchor', key: 'ORB-Anna' }; null for anything else
+function parseClusterId(id) {
+    const match = /^CLUSTER:(anchor|type):(.*)$/.exec(String(id || ''));
+    return match ? { kind: match[1], key: match[2] } : null;
+}
+
+/**
+ * Assign each hidden node to the best-ranked visible node it is connected to.
+ * @param {string[]} visibleIds - visible node ids, best first
+ * @param {Array<{source: string, target: string}>} relationships - relationships touching the visible nodes
+ * @returns {Map<string, string[]>} anchor node id -> hidden node ids
+ */
+function groupByAnchor(visibleIds, relationships) {
+    const rank = new Map(visibleIds.map((id, index) => [id, index]));
+    const anchorOf = new Map();
+
+    for (const rel of relationships) {
+        const sourceVisible = rank.has(rel.source);
+        const targetVisible = rank.has(rel.target);
+        if (sourceVisible === targetVisible) continue;
+
+        const anchor = sourceVisible ? rel.source : rel.target;
+        const hidden = sourceVisible ? rel.target : rel.source;
+        const current = anchorOf.get(hidden);
+        if (current === undefined || rank.get(anchor) < rank.get(current)) {
+            anchorOf.set(hidden, anchor);
+        }
+    }
+
+    const groups = new Map();
+    anchorOf.forEach((anchor, hidden) => {
+        if (!groups.has(anchor)) groups.set(anchor, []);
+        groups.get(anchor).push(hidden);
+    });
+    return groups;
+}
+
+function typeLabel(type) {
+    return TYPE_PLURALS[type] || (type ? `${type} nodes` : 'untyped nodes');
+}
+
+/**
+ * Summary node standing in for `remaining` hidden nodes. `connections` drives its size on the client.
+ * @param {string} id - cluster id from anchorClusterId / typeClusterId
+ * @param {{ remaining: number, offset?: number, anchor?: {id: string, name: string}, type?: string }} summary
+ */
+function clusterNode(id, { remaining, offset = 0, anchor = null, type = null }) {
+    const name = anchor
+        ? `+${remaining} around ${anchor.name}`
+        : `+${remaining} ${typeLabel(type)}`;
+
+    return {
+        id: id,
+        type: 'cluster',
+        name: name,
+        aliases: [],
+        connections: remaining,
+        cluster: {
+            anchor: anchor ? anchor.id : null,
+            nodeType: anchor ? null : type,
+            remaining: remaining,
+            offset: offset
+        }
+    };
+}
+
+// Line from a cluster to the node it hangs off
+function clusterEdge(clusterId, anchorId) {
+    return {
+        id: `${clusterId}:edge`,
+        source: anchorId,
+        target: clusterId,
+        action: '',
+        strength: 0.5
+    };
+}
+
+module.exports = {
+    anchorClusterId,
+    typeClusterId,
+    parseClusterId,
+    groupByAnchor,
+    clusterNode,
+    clusterEdge
+};
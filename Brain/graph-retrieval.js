@@ -0,0 +1,41 @@
+// Graph retrieval helpers for chat.
+// Picks the nodes a question is about and ranks the facts around them,
+// so the model only sees a relevant subgraph instead of the whole memory graph.
+
+const { normalizeName, questionTokens, findSeedNodes } = require('./public/graph-matching');
+
+/**
+ * Rank candidate facts by hop distance from the seeds, overlap with the question and memory strength.
+ * @param {Array<{source: string, target: string, action: string, strength?: number}>} relationships
+ * @param {Map<string, number>} distances - hop distance of each reached node from the nearest seed
+ * @param {string} question
+ * @param {number} limit - maximum number of facts to keep
+ * @returns {Array<object>} the top facts, best first
+ */
+function rankFacts(relationships, distances, question, limit = 60) {
+    const tokens = new Set(questionTokens(question));
+
+    return relationships
+        .map(rel => {
+            const sourceDistance = distances.has(rel.source) ? distances.get(rel.source) : Infinity;
+            const targetDistance = distances.has(rel.target) ? distances.get(rel.target) : Infinity;
+            const nearest = Math.min(sourceDistance, targetDistance);
+
+            let score = 1 / (1 + nearest);
+            if (sourceDistance === 0 && targetDistance === 0) score += 0.5;
+
+            const actionTokens = normalizeName(rel.action).split(' ');
+            if (actionTokens.some(token => tokens.has(token))) score += 0.3;
+
+            // Strong (recent, often repeated) memories win over faint ones
+            score *= 0.5 + 0.5 * (typeof rel.strength === 'number' ? rel.strength : 1);
+
+            return { rel, score };
+        })
+        .filter(item => Number.isFinite(item.score) && item.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(item => item.rel);
+}
+
+module.exports = { findSeedNodes, rankFacts };
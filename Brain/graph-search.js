@@ -0,0 +1,76 @@
+// Fuzzy text scoring for graph search, modelled on Postgres pg_trgm + full-text search.
+// The SQLite adapter registers searchScore() as a SQL function; Supabase uses the brain_search RPC.
+
+const { normalizeName } = require('./entity-resolution');
+
+// Hits scoring below this are dropped (same cut-off as the brain_search RPC)
+const MIN_SEARCH_SCORE = 0.4;
+
+// pg_trgm style: each word padded with two leading spaces and one trailing space. Words are letters and digits
+// of any script (normalizeName), and trigrams are made of characters, not UTF-16 units, as in Postgres.
+function trigramList(text) {
+    const list = [];
+    for (const word of normalizeName(text).split(' ')) {
+        if (!word) continue;
+        const padded = Array.from(`  ${word} `);
+        for (let i = 0; i < padded.length - 2; i++) {
+            list.push(padded.slice(i, i + 3).join(''));
+        }
+    }
+    return list;
+}
+
+// Jaccard similarity of the two trigram sets (pg_trgm similarity)
+function similarity(a, b) {
+    const setA = new Set(trigramList(a));
+    const setB = new Set(trigramList(b));
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    for (const trigram of setA) {
+        if (setB.has(trigram)) shared++;
+    }
+    return shared / (setA.size + setB.size - shared);
+}
+
+// Best similarity between the query and any continuous stretch of the text (pg_trgm word_similarity)
+function wordSimilarity(query, text) {
+    const queryTrigrams = new Set(trigramList(query));
+    const textTrigrams = trigramList(text);
+    if (queryTrigrams.size === 0 || textTrigrams.length === 0) return 0;
+
+    const maxExtent = queryTrigrams.size * 2;
+    let best = 0;
+
+    for (let start = 0; start < textTrigrams.length; start++) {
+        const seen = new Set();
+        for (let end = start; end < Math.min(textTrigrams.length, start + maxExtent); end++) {
+            const trigram = textTrigrams[end];
+            if (queryTrigrams.has(trigram)) seen.add(trigram);
+            const extent = end - start + 1;
+            best = Math.max(best, seen.size / (queryTrigrams.size + extent - seen.size));
+        }
+    }
+    return best;
+}
+
+// Full-text match: every query word appears in the text
+function fullTextMatch(query, text) {
+    const words = new Set(normalizeName(text).split(' '));
+    const terms = normalizeName(query).split(' ').filter(Boolean);
+    return terms.length > 0 && terms.every(term => words.has(term));
+}
+
+/**
+ * Relevance of a piece of text to a search query.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number} 1 for a full-text match, otherwise the best trigram similarity (0..1)
+ */
+function searchScore(query, text) {
+    if (!query || !text) return 0;
+    if (fullTextMatch(query, text)) return 1;
+    return Math.max(similarity(query, text), wordSimilarity(query, text));
+}
+
+module.exports = { searchScore, similarity, wordSimilarity, MIN_SEARCH_SCORE };
@@ -0,0 +1,94 @@
+// Sign-in codes. A uid on its own proves nothing (OMI puts it in every app URL), so logging in takes a one-time
+// code sent to that uid through OMI: the app's notification endpoint delivers it to the phone the account is
+// signed in on. Only an HMAC of the code keyed with a server secret is stored, next to the user
+// (brain_users.code_check), so someone who can read that table still can't try the million codes offline.
+// A delivery is { name, send(uid, { code, link }) }. BRAIN_LOGIN_DELIVERY picks it: "omi" (the default when
+// OMI_APP_ID and OMI_APP_SECRET are set) or "console", which prints codes to the server log for local use.
+// In production the log is no place for working codes: there console delivery has to be asked for by name.
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const LOGIN_CODE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_RESEND_MS = 60 * 1000;
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_CODE_PATTERN = /^\d{6}$/;
+
+function generateLoginCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+// What is stored for a code: bound to the uid so a code can't be replayed against another account
+function loginCodeCheck(secret, uid, code) {
+    return crypto.createHmac('sha256', secret).update(`login-code:${uid}:${code}`).digest('hex');
+}
+
+function loginMessage(code, link) {
+    const minutes = LOGIN_CODE_TTL_MS / 60000;
+    return link
+        ? `Your Brain sign-in code is ${code} (valid for ${minutes} minutes). Or open ${link}`
+        : `Your Brain sign-in code is ${code} (valid for ${minutes} minutes).`;
+}
+
+function omiDelivery({ baseUrl, appId, appSecret }) {
+    return {
+        name: 'omi',
+        async send(uid, { code, link }) {
+            const url = new URL(`/v2/integrations/${encodeURIComponent(appId)}/notification`, baseUrl);
+            url.searchParams.set('uid', uid);
+            url.searchParams.set('message', loginMessage(code, link));
+
+            const response = await fetch(url.href, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${appSecret}` },
+                timeout: 10000
+            });
+            if (!response.ok) {
+                throw new Error(`OMI notification failed with status ${response.status}`);
+            }
+        }
+    };
+}
+
+function consoleDelivery() {
+    return {
+        name: 'console',
+        async send(uid, { code, link }) {
+            console.log(`Login code for UID ${uid}: ${loginMessage(code, link)}`);
+        }
+    };
+}
+
+function createLoginDelivery(env) {
+    const hasOmi = Boolean(env.OMI_APP_ID && env.OMI_APP_SECRET);
+    const kind = env.BRAIN_LOGIN_DELIVERY || (hasOmi ? 'omi' : 'console');
+
+    if (kind === 'console' && !env.BRAIN_LOGIN_DELIVERY && env.NODE_ENV === 'production') {
+        throw new Error('Set OMI_APP_ID and OMI_APP_SECRET to send sign-in codes through OMI ' +
+            '(or BRAIN_LOGIN_DELIVERY=console to write them to the server log)');
+    }
+
+    switch (kind) {
+        case 'omi':
+            if (!hasOmi) throw new Error('BRAIN_LOGIN_DELIVERY=omi needs OMI_APP_ID and OMI_APP_SECRET');
+            return omiDelivery({
+                baseUrl: env.OMI_API_BASE_URL || 'https://api.omi.me',
+                appId: env.OMI_APP_ID,
+                appSecret: env.OMI_APP_SECRET
+            });
+        case 'console':
+            return consoleDelivery();
+        default:
+            throw new Error(`Unknown BRAIN_LOGIN_DELIVERY "${kind}" (expected "omi" or "console")`);
+    }
+}
+
+module.exports = {
+    LOGIN_CODE_TTL_MS,
+    LOGIN_CODE_RESEND_MS,
+    MAX_LOGIN_ATTEMPTS,
+    LOGIN_CODE_PATTERN,
+    generateLoginCode,
+    loginCodeCheck,
+    createLoginDelivery
+};
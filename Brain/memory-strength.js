@@ -0,0 +1,22 @@
+// Memory strength: recent and frequently repeated facts are strong, old one-off facts fade.
+// Strength halves every half-life; each extra mention stretches the half-life (spaced-repetition style).
+
+const HALF_LIFE_DAYS = Number(process.env.MEMORY_HALF_LIFE_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current strength of a node or relationship.
+ * @param {{mention_count?: number, last_seen_at?: string, created_at?: string}} record
+ * @param {number} [now] - timestamp in ms, defaults to Date.now()
+ * @returns {number} strength between 0 and 1
+ */
+function memoryStrength(record, now = Date.now()) {
+    const mentions = Math.max(1, Number(record.mention_count) || 1);
+    const lastSeen = new Date(record.last_seen_at || record.created_at || now).getTime();
+    const ageDays = Math.max(0, (now - (Number.isNaN(lastSeen) ? now : lastSeen)) / DAY_MS);
+
+    const halfLife = HALF_LIFE_DAYS * (1 + Math.log(mentions));
+    return Math.pow(0.5, ageDays / halfLife);
+}
+
+module.exports = { memoryStrength, HALF_LIFE_DAYS };
@@ -0,0 +1,214 @@
+// Node type ontology. Every user has the four built-in types; they can restyle those and define their own
+// (projects, organizations, ...). Definitions feed validation, the extraction prompt and node colours.
+// Each type also declares the properties its nodes usually carry ({ birthday: 'date', ... }); the kind
+// decides how a value is checked. Nodes may hold other keys too, as plain text.
+
+const { isEncryptedValue } = require('./graph-encryption');
+
+const BUILTIN_NODE_TYPES = [
+    {
+        name: 'person', color: '#ff4d4d', icon: '👤', description: 'People: agents who can perform actions',
+        properties: { birthday: 'date', email: 'email', phone: 'text', role: 'text', organization: 'text' }
+    },
+    {
+        name: 'location', color: '#4ecdc4', icon: '📍', description: 'Places that provide context and spatial relationships',
+        properties: { address: 'text', city: 'text', country: 'text', website: 'url' }
+    },
+    {
+        name: 'event', color: '#ffd93d', icon: '📅', description: 'Temporal markers that connect other entities',
+        properties: { date: 'date', end_date: 'date', recurrence: 'text' }
+    },
+    {
+        name: 'concept', color: '#a78bfa', icon: '💡', description: 'Abstract ideas that link multiple entities',
+        properties: { website: 'url' }
+    }
+];
+
+// Fallback for entities of a type the user doesn't have
+const DEFAULT_NODE_TYPE = 'concept';
+
+const MAX_NODE_TYPES = 50;
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,29}$/;
+// Used by the graph view for its own nodes (graph-lod.js cluster summaries)
+const RESERVED_TYPE_NAMES = ['cluster'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const PROPERTY_KINDS = ['text', 'number', 'boolean', 'date', 'email', 'url'];
+const MAX_NODE_PROPERTIES = 30;
+const MAX_PROPERTY_LENGTH = 500;
+const PROPERTY_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+// Full dates, year-month, year, or a yearless day such as a birthday ("--04-12")
+const DATE_PATTERN = /^(\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?|--(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01]))$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const KIND_HINTS = {
+    text: 'text',
+    number: 'a number',
+    boolean: 'true or false',
+    date: 'a date (YYYY-MM-DD)',
+    email: 'an email address',
+    url: 'an http(s) URL'
+};
+
+function isBuiltinNodeType(name) {
+    return BUILTIN_NODE_TYPES.some(type => type.name === name);
+}
+
+/**
+ * Check a type definition from the API.
+ * @param {{name: string, description?: string, color?: string, icon?: string, properties?: object}} definition
+ * @returns {string|null} error message, or null if valid
+ */
+function validateNodeTypeDefinition({ name, description, color, icon, properties }) {
+    if (typeof name !== 'string' || !TYPE_NAME_PATTERN.test(name)) {
+        return 'Type names are 1-30 lowercase letters, digits, - or _, starting with a letter';
+    }
+    if (RESERVED_TYPE_NAMES.includes(name)) {
+        return `"${name}" is reserved for the graph view`;
+    }
+    if (description != null && (typeof description !== 'string' || description.length > 300)) {
+        return 'Invalid type description';
+    }
+    if (color != null && (typeof color !== 'string' || !COLOR_PATTERN.test(color))) {
+        return 'Color must look like #a1b2c3';
+    }
+    if (icon != null && (typeof icon !== 'string' || [...icon].length > 4)) {
+        return 'Icon must be a short emoji or symbol';
+    }
+    if (properties != null) {
+        if (typeof properties !== 'object' || Array.isArray(properties)) {
+            return 'Properties must map names to kinds';
+        }
+        const entries = Object.entries(properties);
+        if (entries.length > MAX_NODE_PROPERTIES) {
+            return `At most ${MAX_NODE_PROPERTIES} properties per type`;
+        }
+        for (const [key, kind] of entries) {
+            if (!PROPERTY_KEY_PATTERN.test(key)) {
+                return `Invalid property name "${key}"`;
+            }
+            if (!PROPERTY_KINDS.includes(kind)) {
+                return `Property kinds are ${PROPERTY_KINDS.join(', ')}`;
+            }
+        }
+    }
+    return null;
+}
+
+// "Start Date" -> "start_date"
+function propertyKey(key) {
+    return String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Normalised value of the given kind, or undefined if it doesn't fit
+function propertyValue(kind, value) {
+    switch (kind) {
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+            return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 'false') return value === 'true';
+            return undefined;
+        case 'date':
+            return typeof value === 'string' && DATE_PATTERN.test(value.trim()) ? value.trim() : undefined;
+        case 'email':
+            return typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? value.trim() : undefined;
+        case 'url':
+            try {
+                const url = new URL(String(value).trim());
+                return ['http:', 'https:'].includes(url.protocol) ? url.href : undefined;
+            } catch (error) {
+                return undefined;
+            }
+        default:
+            if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') return undefined;
+            return String(value).trim();
+    }
+}
+
+/**
+ * Check a node's properties against its type. Empty values are dropped.
+ * @param {object} properties - property name -> value
+ * @param {{properties?: object}} type - the node's type definition (from mergeNodeTypes)
+ * @param {{encrypted?: boolean}} [options] - values are ciphertext (graph-encryption.js): only keys are checked
+ * @returns {{properties: object, errors: Object<string, string>}} the valid properties, normalised,
+ *     and a message for each one that was left out
+ */
+function cleanNodeProperties(properties, type, { encrypted = false } = {}) {
+    const cleaned = {};
+    const errors = {};
+    if (properties == null) return { properties: cleaned, errors };
+    if (typeof properties !== 'object' || Array.isArray(properties)) {
+        return { properties: cleaned, errors: { '': 'Properties must be an object' } };
+    }
+
+    const schema = (type && type.properties) || {};
+    for (const [rawKey, value] of Object.entries(properties)) {
+        if (value == null || value === '') continue;
+
+        const key = propertyKey(rawKey);
+        if (!PROPERTY_KEY_PATTERN.test(key)) {
+            errors[rawKey] = 'Property names start with a letter and use letters, digits or _';
+            continue;
+        }
+        if (Object.keys(cleaned).length >= MAX_NODE_PROPERTIES) {
+            errors[rawKey] = `At most ${MAX_NODE_PROPERTIES} properties per node`;
+            continue;
+        }
+
+        // Encrypted values were checked against their kind in the browser
+        if (encrypted) {
+            if (isEncryptedValue(value)) {
+                cleaned[key] = value;
+            } else {
+                errors[rawKey] = 'Expected an encrypted value';
+            }
+            continue;
+        }
+
+        const kind = schema[key] || 'text';
+        const normalised = propertyValue(kind, value);
+        if (normalised === undefined || normalised === '') {
+            errors[rawKey] = `Expected ${KIND_HINTS[kind]}`;
+        } else if (typeof normalised === 'string' && normalised.length > MAX_PROPERTY_LENGTH) {
+            errors[rawKey] = `At most ${MAX_PROPERTY_LENGTH} characters`;
+        } else {
+            cleaned[key] = normalised;
+        }
+    }
+
+    return { properties: cleaned, errors };
+}
+
+// Built-ins (with any stored overrides) followed by the user's own types
+function mergeNodeTypes(storedTypes) {
+    const stored = new Map(storedTypes.map(type => [type.name, type]));
+    const pick = (type, fallback = {}) => ({
+        name: type.name,
+        description: type.description || fallback.description || '',
+        color: type.color || fallback.color || null,
+        icon: type.icon || fallback.icon || null,
+        properties: { ...(fallback.properties || {}), ...(type.properties || {}) }
+    });
+
+    return [
+        ...BUILTIN_NODE_TYPES.map(type => ({ ...pick(stored.get(type.name) || type, type), builtin: true })),
+        ...storedTypes
+            .filter(type => !isBuiltinNodeType(type.name))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(type => ({ ...pick(type), builtin: false }))
+    ];
+}
+
+module.exports = {
+    BUILTIN_NODE_TYPES,
+    DEFAULT_NODE_TYPE,
+    MAX_NODE_TYPES,
+    PROPERTY_KINDS,
+    isBuiltinNodeType,
+    validateNodeTypeDefinition,
+    cleanNodeProperties,
+    mergeNodeTypes
+};
@@ -38,16 +38,6 @@ class BrainVisualizationManager {
                         const processed = processMemoryData(data);
                         self.postMessage({ type: 'memoriesProcessed', data: processed });
                         break;
-                    
-                    case 'calculateClusters':
-                        const clusters = calculateClusters(data);
-                        self.postMessage({ type: 'clustersCalculated', data: clusters });
-                        break;
-                    
-                    case 'generateHeatmap':
-                        const heatmap = generateHeatmapData(data);
-                        self.postMessage({ type: 'heatmapGenerated', data: heatmap });
-                        break;
                 }
             });
             
@@ -59,31 +49,6 @@ class BrainVisualizationManager {
                     timestamp: new Date(memory.created_at).getTime()
                 }));
             }
-            
-            function calculateClusters(nodes) {
-                // K-means clustering algorithm
-                const k = Math.min(5, Math.floor(nodes.length / 10));
-                const clusters = [];
-                // Simplified clustering logic
-                for (let i = 0; i < k; i++) {
-                    clusters.push({
-                        id: i,
-                        nodes: nodes.filter((_, idx) => idx % k === i),
-                        center: { x: Math.random() * 200 - 100, y: Math.random() * 200 - 100 }
-                    });
-                }
-                return clusters;
-            }
-            
-            function generateHeatmapData(memories) {
-                // Generate density map
-                const grid = {};
-                memories.forEach(memory => {
-                    const key = Math.floor(memory.x / 50) + ',' + Math.floor(memory.y / 50);
-                    grid[key] = (grid[key] || 0) + 1;
-                });
-                return grid;
-            }
         `;
         
         const blob = new Blob([workerCode], { type: 'application/javascript' });
@@ -101,18 +66,18 @@ class BrainVisualizationManager {
             case 'memoriesProcessed':
                 this.updateVisualization(data);
                 break;
-            case 'clustersCalculated':
-                this.renderClusterView(data);
-                break;
-            case 'heatmapGenerated':
-                this.renderHeatmap(data);
-                break;
         }
     }
 
     // ===== View Switching =====
     switchView(viewType) {
         this.currentView = viewType;
+
+        // Stop the cluster scene's render loop when leaving it
+        if (this.clusterAnimationFrame) {
+            cancelAnimationFrame(this.clusterAnimationFrame);
+            this.clusterAnimationFrame = null;
+        }
         
         // Add view controls to UI
         this.addViewControls();
@@ -233,6 +198,15 @@ class BrainVisualizationManager {
                     width: 100%;
                     height: 100%;
                 }
+
+                .heatmap-modes {
+                    position: absolute;
+                    top: 90px;
+                    left: 20px;
+                    display: flex;
+                    gap: 8px;
+                    z-index: 100;
+                }
                 
                 .timeline-container {
                     position: absolute;
@@ -387,78 +361,128 @@ class BrainVisualizationManager {
 
     // ===== Heat Map View =====
     showHeatmapView() {
-        if (!this.memoryData) {
-            this.loadMemoryData().then(() => this.createHeatmap());
-        } else {
-            this.createHeatmap();
-        }
+        this.createHeatmap();
     }
 
-    createHeatmap() {
-        // Clear existing Three.js scene if present
+    // Grids are computed on the server from node and relationship timestamps
+    async createHeatmap() {
         const container = document.getElementById('network-container');
-        
+        this.heatmapMode = this.heatmapMode || 'type-week';
+
+        container.querySelectorAll('.heatmap-canvas, .heatmap-modes, .memory-tooltip').forEach(el => el.remove());
+
+        const modes = document.createElement('div');
+        modes.className = 'heatmap-modes';
+        [['type-week', 'Types by week'], ['hour', 'Hour of day'], ['adjacency', 'Connections']].forEach(([mode, label]) => {
+            const button = document.createElement('button');
+            button.className = `view-btn ${mode === this.heatmapMode ? 'active' : ''}`;
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                this.heatmapMode = mode;
+                this.createHeatmap();
+            });
+            modes.appendChild(button);
+        });
+
         // Create canvas for heatmap
         const canvas = document.createElement('canvas');
         canvas.className = 'heatmap-canvas';
         canvas.width = container.clientWidth;
         canvas.height = container.clientHeight;
-        container.appendChild(canvas);
-        
-        const ctx = canvas.getContext('2d');
-        
-        // Process data in Web Worker if available
-        if (this.worker) {
-            this.worker.postMessage({ 
-                type: 'generateHeatmap', 
-                data: this.memoryData 
-            });
-        } else {
-            this.renderHeatmapDirect(ctx);
+        container.append(canvas, modes);
+
+        try {
+            const response = await fetch(
+                `/api/heatmap?mode=${this.heatmapMode}&tzOffset=${new Date().getTimezoneOffset()}`,
+                { credentials: 'include' }
+            );
+
+            if (response.ok) {
+                this.renderHeatmap(await GraphCrypto.readJson(response));
+            }
+        } catch (error) {
+            console.error('Error loading heatmap:', error);
         }
     }
 
-    renderHeatmap(gridData) {
+    // Blue (few) to red (many)
+    heatmapColor(intensity) {
+        return `hsla(${(1 - intensity) * 240}, 100%, 50%, ${0.25 + intensity * 0.75})`;
+    }
+
+    renderHeatmap(grid) {
         const canvas = document.querySelector('.heatmap-canvas');
         if (!canvas) return;
         
         const ctx = canvas.getContext('2d');
-        const cellSize = 50;
-        
-        // Find max density for normalization
-        const maxDensity = Math.max(...Object.values(gridData));
-        
-        // Draw heatmap
-        Object.entries(gridData).forEach(([key, density]) => {
-            const [x, y] = key.split(',').map(Number);
-            const intensity = density / maxDensity;
-            
-            // Create gradient from blue to red based on density
-            const hue = (1 - intensity) * 240; // Blue to red
-            ctx.fillStyle = `hsla(${hue}, 100%, 50%, ${0.3 + intensity * 0.7})`;
-            
-            ctx.fillRect(
-                x * cellSize + canvas.width / 2,
-                y * cellSize + canvas.height / 2,
-                cellSize,
-                cellSize
-            );
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '14px Inter';
+        ctx.fillText(grid.title, 20, 150);
+
+        if (grid.rows.length === 0 || grid.columns.length === 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillText('No memories yet', 20, 180);
+            return;
+        }
+
+        // Grid area: row labels on the left, column labels underneath, legend at the bottom
+        const left = 140;
+        const top = 170;
+        const cellWidth = Math.max(2, (canvas.width - left - 40) / grid.columns.length);
+        const cellHeight = Math.max(2, Math.min(cellWidth * 1.5, 40, (canvas.height - top - 140) / grid.rows.length));
+        const max = Math.max(1, grid.max);
+
+        grid.cells.forEach((row, r) => {
+            row.forEach((value, c) => {
+                ctx.fillStyle = value > 0 ? this.heatmapColor(value / max) : 'rgba(255, 255, 255, 0.04)';
+                ctx.fillRect(left + c * cellWidth, top + r * cellHeight, cellWidth - 1, cellHeight - 1);
+            });
         });
-        
-        // Add legend
-        this.drawHeatmapLegend(ctx);
+
+        // Adjacency: outline each cluster's block on the diagonal
+        if (grid.rows[0].group !== undefined) {
+            ctx.strokeStyle = 'rgba(0, 255, 170, 0.8)';
+            let blockStart = 0;
+            grid.rows.forEach((row, r) => {
+                const next = grid.rows[r + 1];
+                if (next && next.group === row.group) return;
+                const size = r + 1 - blockStart;
+                ctx.strokeRect(left + blockStart * cellWidth, top + blockStart * cellHeight, size * cellWidth, size * cellHeight);
+                blockStart = r + 1;
+            });
+        }
+
+        // Labels, thinned out so they don't overlap
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '11px Inter';
+        const rowStep = Math.ceil(12 / cellHeight);
+        grid.rows.forEach((row, r) => {
+            if (r % rowStep) return;
+            const label = String(row.label);
+            ctx.fillText(label.length > 18 ? `${label.slice(0, 17)}…` : label, 20, top + r * cellHeight + cellHeight / 2 + 4);
+        });
+        const columnStep = Math.ceil(70 / cellWidth);
+        const gridBottom = top + grid.rows.length * cellHeight;
+        grid.columns.forEach((column, c) => {
+            if (c % columnStep) return;
+            const label = String(column.label);
+            ctx.fillText(label.length > 10 ? `${label.slice(0, 9)}…` : label, left + c * cellWidth, gridBottom + 16);
+        });
+
+        this.drawHeatmapLegend(ctx, { x: left, y: gridBottom + 50, max: grid.max, unit: grid.unit });
+        this.addHeatmapTooltips(canvas, grid, { left, top, cellWidth, cellHeight });
     }
 
-    drawHeatmapLegend(ctx) {
+    drawHeatmapLegend(ctx, { x, y, max, unit }) {
         const legendWidth = 200;
-        const legendHeight = 20;
-        const x = 20;
-        const y = 20;
+        const legendHeight = 14;
         
-        // Create gradient
+        // Same scale as the cells
         const gradient = ctx.createLinearGradient(x, y, x + legendWidth, y);
-        gradient.addColorStop(0, 'hsl(240, 100%, 50%)'); // Blue (low)
-        gradient.addColorStop(1, 'hsl(0, 100%, 50%)');   // Red (high)
+        [0, 0.25, 0.5, 0.75, 1].forEach(stop => gradient.addColorStop(stop, this.heatmapColor(stop)));
         
         ctx.fillStyle = gradient;
         ctx.fillRect(x, y, legendWidth, legendHeight);
@@ -466,74 +490,180 @@ class BrainVisualizationManager {
         // Add labels
         ctx.fillStyle = '#fff';
         ctx.font = '12px Inter';
-        ctx.fillText('Low Density', x, y - 5);
-        ctx.fillText('High Density', x + legendWidth - 70, y - 5);
+        ctx.fillText('0', x, y + legendHeight + 16);
+        const maxLabel = `${max} ${unit}`;
+        ctx.fillText(maxLabel, x + legendWidth - ctx.measureText(maxLabel).width, y + legendHeight + 16);
+    }
+
+    // Hovering a cell shows its row, column and count
+    addHeatmapTooltips(canvas, grid, { left, top, cellWidth, cellHeight }) {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'memory-tooltip';
+        tooltip.style.display = 'none';
+        canvas.parentElement.appendChild(tooltip);
+
+        canvas.addEventListener('mousemove', (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+            const y = (event.clientY - rect.top) * (canvas.height / rect.height);
+            const c = Math.floor((x - left) / cellWidth);
+            const r = Math.floor((y - top) / cellHeight);
+
+            if (x < left || y < top || r >= grid.rows.length || c >= grid.columns.length) {
+                tooltip.style.display = 'none';
+                return;
+            }
+
+            const value = grid.cells[r][c];
+            const column = grid.mode === 'hour' ? `${grid.columns[c].label}:00`
+                : grid.mode === 'type-week' ? `week of ${grid.columns[c].label}`
+                : grid.columns[c].label;
+            tooltip.textContent = `${grid.rows[r].label} · ${column}: ${value} ${grid.unit}`;
+            tooltip.style.display = 'block';
+            tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+            tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+        });
+        canvas.addEventListener('mouseleave', () => {
+            tooltip.style.display = 'none';
+        });
     }
 
     // ===== Timeline View =====
     showTimelineView() {
-        if (!this.memoryData) {
-            this.loadMemoryData().then(() => this.createTimeline());
-        } else {
-            this.createTimeline();
-        }
+        this.createTimeline();
     }
 
-    createTimeline() {
+    // Buckets come from the server, by when each fact was first seen, in the browser's time zone
+    async createTimeline() {
         const container = document.getElementById('network-container');
-        
-        // Create timeline container
+        this.timelineInterval = this.timelineInterval || 'day';
+
+        document.getElementById('timeline-view')?.remove();
         const timelineDiv = document.createElement('div');
         timelineDiv.className = 'timeline-container';
         timelineDiv.id = 'timeline-view';
         container.appendChild(timelineDiv);
-        
-        // Sort memories by date
-        const sortedMemories = [...(this.memoryData || [])].sort((a, b) => 
-            new Date(a.created_at) - new Date(b.created_at)
-        );
-        
-        // Group by day
-        const groupedByDay = this.groupMemoriesByDay(sortedMemories);
-        
-        // Create timeline visualization
-        this.renderTimeline(groupedByDay, timelineDiv);
-    }
 
-    groupMemoriesByDay(memories) {
-        const groups = {};
-        
-        memories.forEach(memory => {
-            const date = new Date(memory.created_at).toLocaleDateString();
-            if (!groups[date]) {
-                groups[date] = [];
+        try {
+            const response = await fetch(
+                `/api/timeline?interval=${this.timelineInterval}&tzOffset=${new Date().getTimezoneOffset()}`,
+                { credentials: 'include' }
+            );
+
+            if (response.ok) {
+                const { buckets } = await GraphCrypto.readJson(response);
+                this.renderTimeline(buckets, timelineDiv);
             }
-            groups[date].push(memory);
-        });
-        
-        return groups;
+        } catch (error) {
+            console.error('Error loading timeline:', error);
+        }
     }
 
-    renderTimeline(groupedMemories, container) {
-        const timelineHTML = Object.entries(groupedMemories).map(([date, memories]) => `
-            <div class="timeline-day">
-                <div class="timeline-date">${date}</div>
-                <div class="timeline-bar" style="height: ${Math.min(100, memories.length * 10)}px">
-                    <span class="memory-count">${memories.length}</span>
-                </div>
-            </div>
-        `).join('');
-        
-        container.innerHTML = `
-            <div class="timeline-wrapper">
-                ${timelineHTML}
-            </div>
-        `;
+    // "2024-03-11" -> a local label for the day, week or month starting then
+    formatTimelineBucket(start, interval = this.timelineInterval) {
+        const [year, month, day] = start.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+
+        if (interval === 'month') {
+            return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+        }
+        return `${interval === 'week' ? 'Week of ' : ''}${date.toLocaleDateString()}`;
+    }
+
+    renderTimeline(buckets, container) {
+        container.innerHTML = '';
+
+        const intervals = document.createElement('div');
+        intervals.className = 'timeline-intervals';
+        ['day', 'week', 'month'].forEach(interval => {
+            const button = document.createElement('button');
+            button.className = `view-btn ${interval === this.timelineInterval ? 'active' : ''}`;
+            button.textContent = interval.charAt(0).toUpperCase() + interval.slice(1);
+            button.addEventListener('click', () => {
+                this.timelineInterval = interval;
+                this.createTimeline();
+            });
+            intervals.appendChild(button);
+        });
+        container.appendChild(intervals);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'timeline-wrapper';
+        const maxTotal = Math.max(1, ...buckets.map(bucket => bucket.total));
+
+        if (buckets.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'timeline-date';
+            empty.textContent = 'No memories yet';
+            wrapper.appendChild(empty);
+        }
+
+        buckets.forEach(bucket => {
+            const label = this.formatTimelineBucket(bucket.start);
+            const day = document.createElement('div');
+            day.className = 'timeline-day';
+
+            // One segment per entity type plus relationships, stacked bottom-up
+            const bar = document.createElement('div');
+            bar.className = 'timeline-bar';
+            bar.style.height = `${Math.max(4, (bucket.total / maxTotal) * 90)}px`;
+            const segments = [
+                ...Object.entries(bucket.nodes).map(([type, count]) => [type, count, this.typeColor(type)]),
+                ['relationships', bucket.relationships, 'rgba(170, 170, 170, 0.6)']
+            ].filter(([, count]) => count > 0);
+            segments.forEach(([, count, color]) => {
+                const segment = document.createElement('div');
+                segment.className = 'timeline-segment';
+                segment.style.flexGrow = count;
+                segment.style.background = color;
+                bar.appendChild(segment);
+            });
+            bar.title = `${label}\n${segments.map(([type, count]) => `${type}: ${count}`).join('\n')}\nClick to show what was learned`;
+            bar.addEventListener('click', () => this.isolateTimelineBucket(bucket.start));
+
+            const count = document.createElement('span');
+            count.className = 'memory-count';
+            count.textContent = bucket.total;
+            bar.appendChild(count);
+
+            const date = document.createElement('div');
+            date.className = 'timeline-date';
+            date.textContent = label;
+
+            day.append(date, bar);
+            wrapper.appendChild(day);
+        });
+
+        container.appendChild(wrapper);
         
         // Add timeline-specific styles
         this.addTimelineStyles();
     }
 
+    // Same palette as the graph's node colours
+    typeColor(type) {
+        const color = typeof getNodeColor === 'function' ? getNodeColor(type) : 0x4a9eff;
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+
+    // Back to the graph, showing only what was learned in one timeline bucket
+    async isolateTimelineBucket(start) {
+        try {
+            const response = await fetch(
+                `/api/timeline/${start}?interval=${this.timelineInterval}&tzOffset=${new Date().getTimezoneOffset()}`,
+                { credentials: 'include' }
+            );
+
+            if (response.ok) {
+                const subgraph = await GraphCrypto.readJson(response);
+                this.currentView = 'graph';
+                this.showGraphView({ ...subgraph, title: `Learned: ${this.formatTimelineBucket(start)}` });
+            }
+        } catch (error) {
+            console.error('Error loading timeline subgraph:', error);
+        }
+    }
+
     addTimelineStyles() {
         if (document.getElementById('timeline-styles')) return;
         
@@ -564,7 +694,8 @@ class BrainVisualizationManager {
                 
                 .timeline-bar {
                     width: 30px;
-                    background: linear-gradient(to top, rgba(0, 255, 170, 0.3), rgba(0, 255, 170, 0.8));
+                    display: flex;
+                    flex-direction: column-reverse;
                     border-radius: 4px;
                     position: relative;
                     cursor: pointer;
@@ -573,7 +704,26 @@ class BrainVisualizationManager {
                 
                 .timeline-bar:hover {
                     transform: scaleY(1.1);
-                    background: linear-gradient(to top, rgba(0, 255, 170, 0.5), rgba(0, 255, 170, 1));
+                    filter: brightness(1.3);
+                }
+
+                .timeline-segment {
+                    flex-basis: 0;
+                    opacity: 0.8;
+                }
+
+                .timeline-segment:last-of-type {
+                    border-radius: 4px 4px 0 0;
+                }
+
+                .timeline-segment:first-child {
+                    border-radius: 0 0 4px 4px;
+                }
+
+                .timeline-intervals {
+                    display: flex;
+                    gap: 8px;
+                    margin-bottom: 4px;
                 }
                 
                 .memory-count {
@@ -592,26 +742,25 @@ class BrainVisualizationManager {
 
     // ===== Cluster View =====
     showClusterView() {
-        if (!this.memoryData) {
-            this.loadMemoryData().then(() => this.createClusters());
-        } else {
-            this.createClusters();
-        }
+        this.createClusters();
     }
 
-    createClusters() {
-        // Use Web Worker for clustering if available
-        if (this.worker) {
-            this.worker.postMessage({ 
-                type: 'calculateClusters', 
-                data: this.memoryData 
+    // Communities are detected and labelled on the server
+    async createClusters() {
+        try {
+            const response = await fetch('/api/clusters', {
+                credentials: 'include'
             });
-        } else {
-            this.renderClusterViewDirect();
+
+            if (response.ok) {
+                this.renderClusterView(await GraphCrypto.readJson(response));
+            }
+        } catch (error) {
+            console.error('Error loading clusters:', error);
         }
     }
 
-    renderClusterView(clusters) {
+    renderClusterView({ clusters, links }) {
         // Create Three.js scene for cluster visualization
         if (!window.THREE) return;
         
@@ -619,6 +768,7 @@ class BrainVisualizationManager {
         const container = document.getElementById('network-container');
         
         // Clear existing content
+        if (this.clusterAnimationFrame) cancelAnimationFrame(this.clusterAnimationFrame);
         container.innerHTML = '';
         this.addViewControls();
         
@@ -632,18 +782,22 @@ class BrainVisualizationManager {
             75,
             container.clientWidth / container.clientHeight,
             0.1,
-            1000
+            2000
         );
         camera.position.z = 500;
         
         // Add lights
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
         scene.add(ambientLight);
+        const pointLight = new THREE.PointLight(0xffffff, 0.8);
+        pointLight.position.set(0, 0, 600);
+        scene.add(pointLight);
         
-        // Create cluster spheres
-        clusters.forEach((cluster, index) => {
+        // One sphere per community, spread over a sphere shell (largest first), sized by member count
+        const shell = 260;
+        const meshes = clusters.map((cluster, index) => {
             const geometry = new THREE.SphereGeometry(
-                20 + cluster.nodes.length * 2,
+                12 + Math.sqrt(cluster.size) * 6,
                 32,
                 32
             );
@@ -655,25 +809,48 @@ class BrainVisualizationManager {
             });
             
             const mesh = new THREE.Mesh(geometry, material);
+            const y = clusters.length > 1 ? 1 - (index / (clusters.length - 1)) * 2 : 0;
+            const ring = Math.sqrt(1 - y * y);
+            const theta = index * Math.PI * (3 - Math.sqrt(5));
             mesh.position.set(
-                cluster.center.x * 2,
-                cluster.center.y * 2,
-                Math.random() * 100 - 50
+                Math.cos(theta) * ring * shell,
+                y * shell,
+                Math.sin(theta) * ring * shell
             );
+
+            if (window.SpriteText) {
+                const label = new SpriteText(cluster.label);
+                label.textHeight = 12;
+                label.color = '#ffffff';
+                label.position.y = geometry.parameters.radius + 14;
+                mesh.add(label);
+            }
             
             scene.add(mesh);
+            return mesh;
+        });
+
+        // Lines between communities that share relationships
+        const maxCount = Math.max(1, ...links.map(link => link.count));
+        links.forEach(link => {
+            const geometry = new THREE.BufferGeometry().setFromPoints([
+                meshes[link.source].position,
+                meshes[link.target].position
+            ]);
+            const material = new THREE.LineBasicMaterial({
+                color: 0xaaaaaa,
+                transparent: true,
+                opacity: 0.1 + 0.5 * (link.count / maxCount)
+            });
+            scene.add(new THREE.Line(geometry, material));
         });
         
         // Animation loop
         const animate = () => {
-            requestAnimationFrame(animate);
+            this.clusterAnimationFrame = requestAnimationFrame(animate);
             
-            // Rotate clusters
-            scene.children.forEach(child => {
-                if (child instanceof THREE.Mesh) {
-                    child.rotation.y += 0.005;
-                }
-            });
+            // Slowly turn the whole constellation
+            scene.rotation.y += 0.002;
             
             renderer.render(scene, camera);
         };
@@ -684,31 +861,52 @@ class BrainVisualizationManager {
         this.showClusterInfo(clusters);
     }
 
+    // Labels and member names come from the user's data, so the panel is built with textContent
     showClusterInfo(clusters) {
-        const infoHTML = `
-            <div class="cluster-info">
-                <h3 style="color: #00ffaa; margin: 0 0 15px 0;">Memory Clusters</h3>
-                ${clusters.map((cluster, i) => `
-                    <div class="cluster-item" style="margin-bottom: 10px;">
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <div style="width: 12px; height: 12px; border-radius: 50%; 
-                                background: hsl(${i * 360 / clusters.length}, 70%, 50%);">
-                            </div>
-                            <span style="color: #fff;">Cluster ${i + 1}</span>
-                        </div>
-                        <div style="color: rgba(255,255,255,0.6); font-size: 12px; margin-left: 20px;">
-                            ${cluster.nodes.length} memories
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
-        
-        document.getElementById('network-container').insertAdjacentHTML('beforeend', infoHTML);
+        const panel = document.createElement('div');
+        panel.className = 'cluster-info';
+
+        const title = document.createElement('h3');
+        title.style.cssText = 'color: #00ffaa; margin: 0 0 15px 0;';
+        title.textContent = 'Memory Clusters';
+        panel.appendChild(title);
+
+        if (clusters.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'color: rgba(255,255,255,0.6); font-size: 12px;';
+            empty.textContent = 'Not enough connected memories to form clusters yet.';
+            panel.appendChild(empty);
+        }
+
+        clusters.forEach((cluster, i) => {
+            const item = document.createElement('div');
+            item.className = 'cluster-item';
+            item.style.marginBottom = '10px';
+
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+            const swatch = document.createElement('div');
+            swatch.style.cssText = `width: 12px; height: 12px; border-radius: 50%; flex-shrink: 0;
+                background: hsl(${i * 360 / clusters.length}, 70%, 50%);`;
+            const label = document.createElement('span');
+            label.style.color = '#fff';
+            label.textContent = cluster.label;
+            header.append(swatch, label);
+
+            const details = document.createElement('div');
+            details.style.cssText = 'color: rgba(255,255,255,0.6); font-size: 12px; margin-left: 20px;';
+            details.textContent = `${cluster.size} memories: ${cluster.topMembers.map(member => member.name).join(', ')}`;
+
+            item.append(header, details);
+            panel.appendChild(item);
+        });
+
+        document.getElementById('network-container').appendChild(panel);
     }
 
     // ===== Graph View (Default) =====
-    showGraphView() {
+    // With a subgraph ({ nodes, relationships, title }), shows just that instead of the whole graph
+    showGraphView(subgraph = null) {
         // Restore original Three.js visualization
         const container = document.getElementById('network-container');
         container.innerHTML = '';
@@ -717,7 +915,11 @@ class BrainVisualizationManager {
         // Re-initialize the original scene
         if (typeof initScene === 'function') {
             initScene();
-            loadMemoryGraph(this.uid);
+            if (subgraph) {
+                showSubgraph(subgraph);
+            } else {
+                reloadMemoryGraph();
+            }
         }
     }
     
@@ -785,7 +987,7 @@ class BrainVisualizationManager {
             });
             
             if (response.ok) {
-                const data = await response.json();
+                const data = await GraphCrypto.readJson(response);
                 this.memoryData = data.nodes || [];
                 return this.memoryData;
             }
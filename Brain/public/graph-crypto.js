@@ -0,0 +1,166 @@
+// End-to-end encryption of the memory graph in the browser (the server side is graph-encryption.js).
+// A passphrase gives an AES-GCM key (PBKDF2) that encrypts names, aliases, property values, actions and
+// source texts as "enc:v1:<iv>:<ciphertext>". The key only lives in this page; reloading asks for the passphrase again.
+// OMI memories reach the server as plaintext, so it seals them to an RSA-OAEP key pair whose private half is
+// stored encrypted with the passphrase key.
+const GraphCrypto = (() => {
+    const PREFIX = 'enc:v1:';
+    const ENCRYPTED_VALUE = /enc:v1:[A-Za-z0-9_-]{16}:[A-Za-z0-9_-]{22,}/g;
+    const PBKDF2_ITERATIONS = 310000;
+    // Known plaintext, to tell a wrong passphrase from a corrupt value
+    const KEY_CHECK = 'brain-key-check';
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    let key = null;
+    let privateKey = null;
+
+    function toBase64url(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    async function deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: fromBase64url(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function encryptBytes(withKey, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, withKey, bytes);
+        return `${PREFIX}${toBase64url(iv)}:${toBase64url(data)}`;
+    }
+
+    async function decryptBytes(withKey, value) {
+        const [iv, data] = value.slice(PREFIX.length).split(':');
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64url(iv) }, withKey, fromBase64url(data));
+    }
+
+    function isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    function isUnlocked() {
+        return key !== null;
+    }
+
+    function requireKey() {
+        if (!key) throw new Error('The memory graph is locked');
+        return key;
+    }
+
+    async function encrypt(text) {
+        return encryptBytes(requireKey(), encoder.encode(String(text)));
+    }
+
+    async function decrypt(value) {
+        return decoder.decode(await decryptBytes(requireKey(), value));
+    }
+
+    // A new key pair for a passphrase; unlocks this page and returns what POST /api/encryption stores
+    async function createKeys(passphrase) {
+        const salt = toBase64url(crypto.getRandomValues(new Uint8Array(16)));
+        const passphraseKey = await deriveKey(passphrase, salt);
+        const pair = await crypto.subtle.generateKey(
+            { name: 'RSA-OAEP', modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+            true,
+            ['encrypt', 'decrypt']
+        );
+        const publicJwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+        const pkcs8 = await crypto.subtle.exportKey('pkcs8', pair.privateKey);
+
+        const setup = {
+            salt,
+            keyCheck: await encryptBytes(passphraseKey, encoder.encode(KEY_CHECK)),
+            publicKey: { kty: publicJwk.kty, n: publicJwk.n, e: publicJwk.e },
+            privateKey: await encryptBytes(passphraseKey, pkcs8)
+        };
+
+        key = passphraseKey;
+        privateKey = pair.privateKey;
+        return setup;
+    }
+
+    // Unlock with the stored key material (GET /api/encryption); false for a wrong passphrase
+    async function unlock(passphrase, { salt, keyCheck, privateKey: encryptedPrivateKey }) {
+        const passphraseKey = await deriveKey(passphrase, salt);
+        try {
+            if (decoder.decode(await decryptBytes(passphraseKey, keyCheck)) !== KEY_CHECK) return false;
+        } catch (error) {
+            return false;
+        }
+
+        const pkcs8 = await decryptBytes(passphraseKey, encryptedPrivateKey);
+        privateKey = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['decrypt']);
+        key = passphraseKey;
+        return true;
+    }
+
+    // Text the server sealed to our public key ({ key, iv, data }, see sealText in graph-encryption.js)
+    async function openSealed(sealed) {
+        if (!privateKey) throw new Error('The memory graph is locked');
+        const rawKey = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, fromBase64url(sealed.key));
+        const aesKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64url(sealed.iv) }, aesKey, fromBase64url(sealed.data));
+        return decoder.decode(data);
+    }
+
+    // Decrypt every encrypted value in a string ("+12 around enc:v1:...", "enc:v1:... & enc:v1:...")
+    async function decryptString(text) {
+        const matches = text.match(ENCRYPTED_VALUE);
+        if (!matches) return text;
+
+        const plain = await Promise.all(matches.map(value => decrypt(value).catch(error => {
+            console.error('Could not decrypt a value:', error);
+            return value;
+        })));
+        let i = 0;
+        return text.replace(ENCRYPTED_VALUE, () => plain[i++]);
+    }
+
+    // A copy of an API response with every encrypted string (and key) decrypted
+    async function decryptDeep(value) {
+        if (!key) return value;
+        if (typeof value === 'string') return decryptString(value);
+        if (Array.isArray(value)) return Promise.all(value.map(decryptDeep));
+        if (value && typeof value === 'object') {
+            const entries = await Promise.all(Object.entries(value).map(async ([name, item]) =>
+                [await decryptString(name), await decryptDeep(item)]));
+            return Object.fromEntries(entries);
+        }
+        return value;
+    }
+
+    // response.json() with encrypted values decrypted, for code that calls fetch directly
+    async function readJson(response) {
+        return decryptDeep(await response.json());
+    }
+
+    return {
+        isEncrypted,
+        isUnlocked,
+        encrypt,
+        decrypt,
+        createKeys,
+        unlock,
+        openSealed,
+        decryptDeep,
+        readJson
+    };
+})();
@@ -0,0 +1,82 @@
+// Name matching used by both the server (entity-resolution.js, graph-retrieval.js) and the browser (script.js,
+// which picks the part of an encrypted graph to send with a chat message), so both find the same nodes.
+const GraphMatching = (() => {
+    const STOPWORDS = new Set([
+        'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does',
+        'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'in', 'is', 'it', 'its', 'know',
+        'me', 'my', 'of', 'on', 'or', 'she', 'tell', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was',
+        'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+    ]);
+
+    // Lowercase letters and digits of any script, words separated by single spaces.
+    // Accents on Latin letters are folded ("José" -> "jose"); marks that tell words apart in other scripts
+    // (Cyrillic й, Devanagari vowel signs) are kept.
+    function normalizeName(value) {
+        return String(value || '')
+            .normalize('NFKD')
+            .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1')
+            .normalize('NFKC')
+            .toLocaleLowerCase()
+            .replace(/[^\p{L}\p{N}\p{M}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function questionTokens(question) {
+        return normalizeName(question)
+            .split(' ')
+            .filter(token => token.length >= 3 && !STOPWORDS.has(token));
+    }
+
+    /**
+     * Score nodes by how directly the question mentions them.
+     * @param {string} question
+     * @param {Array<{id: string, name: string, aliases?: string[]}>} nodes
+     * @param {number} limit - maximum number of seeds
+     * @returns {Array<{id: string, score: number}>}
+     */
+    function findSeedNodes(question, nodes, limit = 10) {
+        const text = ` ${normalizeName(question)} `;
+        const tokens = new Set(questionTokens(question));
+        const seeds = [];
+
+        for (const node of nodes) {
+            let score = 0;
+
+            for (const name of [node.name, ...(node.aliases || [])]) {
+                const key = normalizeName(name);
+                if (key.length < 2) continue;
+
+                // Whole name appears in the question
+                if (text.includes(` ${key} `)) {
+                    score = Math.max(score, 1);
+                    continue;
+                }
+
+                // Partial mention, e.g. "Anna" for "Anna Schmidt"
+                const nameTokens = key.split(' ').filter(token => token.length >= 3 && !STOPWORDS.has(token));
+                if (nameTokens.length === 0) continue;
+                const hits = nameTokens.filter(token => tokens.has(token)).length;
+                score = Math.max(score, 0.8 * hits / nameTokens.length);
+            }
+
+            if (score >= 0.4) {
+                seeds.push({ id: node.id, score });
+            }
+        }
+
+        return seeds
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    return {
+        normalizeName,
+        questionTokens,
+        findSeedNodes
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphMatching;
+}
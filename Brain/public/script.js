@@ -31,14 +31,37 @@ async function checkAuth() {
     }
 }
 
-function logout() {
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST', credentials: 'include' });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
     // Clear auth data
     localStorage.removeItem('uid');
     window.location.href = '/login.html';
 }
 
-// API call helper
-async function apiCall(endpoint, options = {}) {
+// Ends the sessions on every device signed in to this account, including this one
+async function logoutEverywhere() {
+    if (!confirm('Sign out on every device signed in to this account?')) return;
+
+    try {
+        const response = await apiCall('/api/auth/logout-all', { method: 'POST' });
+        if (!response) return;
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        localStorage.removeItem('uid');
+        window.location.href = '/login.html';
+    } catch (error) {
+        console.error('Error signing out everywhere:', error);
+        alert('Failed to sign out everywhere');
+    }
+}
+
+// API call helper. Once an encrypted graph is unlocked, response.json() decrypts; { raw: true } leaves the ciphertext.
+async function apiCall(endpoint, { raw = false, ...options } = {}) {
     try {
         const baseOptions = {
             headers: {
@@ -54,6 +77,10 @@ async function apiCall(endpoint, options = {}) {
             window.location.href = '/login.html';
             return null;
         }
+        if (!raw && GraphCrypto.isUnlocked()) {
+            const readJson = response.json.bind(response);
+            response.json = async () => GraphCrypto.decryptDeep(await readJson());
+        }
         return response;
     } catch (error) {
         console.error('API call error:', error);
@@ -74,6 +101,343 @@ async function loadProfile() {
     }
 }
 
+// End-to-end encryption (graph-crypto.js). encryptionState is GET /api/encryption: { enabled, salt, keyCheck, ... }
+let encryptionState = { enabled: false };
+// The whole graph, decrypted, for what the browser now does itself (search, extraction) and the parts of it
+// chat and descriptions send along. { nodes, relationships, raw } with raw as stored; null once stale.
+let plainGraph = null;
+// The conversation so far; encrypted graphs don't keep chat sessions on the server
+let encryptedChatHistory = [];
+// Descriptions of an encrypted graph's nodes, which the server doesn't store: node id -> { version, data },
+// kept in memory only and written again once the node or its connections change
+const plainDescriptions = new Map();
+
+async function loadEncryptionState() {
+    const response = await apiCall('/api/encryption', { raw: true });
+    if (response && response.ok) {
+        encryptionState = await response.json();
+    }
+    return encryptionState;
+}
+
+// Ask for the passphrase until it opens the graph
+function unlockGraph() {
+    const modal = document.getElementById('unlock-modal');
+    const input = document.getElementById('unlock-passphrase');
+    const error = document.getElementById('unlock-error');
+    const button = document.getElementById('unlock-submit');
+
+    modal.style.display = 'flex';
+    document.body.classList.add('modal-open');
+    input.focus();
+
+    return new Promise(resolve => {
+        const submit = async () => {
+            if (!input.value) return;
+            button.disabled = true;
+            error.textContent = '';
+            try {
+                if (await GraphCrypto.unlock(input.value, encryptionState)) {
+                    input.value = '';
+                    modal.style.display = 'none';
+                    document.body.classList.remove('modal-open');
+                    resolve();
+                } else {
+                    error.textContent = 'Wrong passphrase';
+                }
+            } catch (e) {
+                console.error('Error unlocking graph:', e);
+                error.textContent = 'Could not unlock the graph';
+            } finally {
+                button.disabled = false;
+            }
+        };
+        button.onclick = submit;
+        input.onkeypress = e => {
+            if (e.key === 'Enter') submit();
+        };
+    });
+}
+
+async function loadPlainGraph() {
+    if (!plainGraph) {
+        const response = await apiCall('/api/memory-graph', { raw: true });
+        if (!response || !response.ok) {
+            throw new Error('Could not load the memory graph');
+        }
+        const raw = await response.json();
+        plainGraph = { ...(await GraphCrypto.decryptDeep(raw)), raw };
+    }
+    return plainGraph;
+}
+
+// The decrypted names, properties and actions the server may use for one request
+function plaintextPayload(graph) {
+    return {
+        nodes: Object.fromEntries(graph.nodes.map(node => [node.id, { name: node.name, properties: node.properties }])),
+        relationships: Object.fromEntries(graph.relationships.map(rel => [rel.id, rel.action]))
+    };
+}
+
+// Nodes a message names, best first, matched the same way the server matches plain graphs (graph-matching.js)
+function plainSeedNodes(graph, message, limit = 10) {
+    return GraphMatching.findSeedNodes(message, graph.nodes, limit).map(seed => seed.id);
+}
+
+// The seeds, the facts up to `hops` away from them (nearest and strongest first) and the nodes those facts join
+function plainNeighbourhood(graph, seedIds, { hops = 2, maxFacts = 150 } = {}) {
+    const reached = new Set(seedIds);
+    const facts = new Map();
+    let frontier = new Set(seedIds);
+
+    for (let hop = 1; hop <= hops && frontier.size > 0 && facts.size < maxFacts; hop++) {
+        const next = new Set();
+        const touching = graph.relationships
+            .filter(rel => !facts.has(rel.id) && (frontier.has(rel.source) || frontier.has(rel.target)))
+            .sort((a, b) => (b.strength || 0) - (a.strength || 0))
+            .slice(0, maxFacts - facts.size);
+
+        for (const rel of touching) {
+            facts.set(rel.id, rel);
+            for (const id of [rel.source, rel.target]) {
+                if (!reached.has(id)) {
+                    reached.add(id);
+                    next.add(id);
+                }
+            }
+        }
+        frontier = next;
+    }
+
+    return {
+        nodes: graph.nodes.filter(node => reached.has(node.id)),
+        relationships: Array.from(facts.values())
+    };
+}
+
+// What a chat message sends of an encrypted graph: only the part around the nodes it (or the last answer) is about.
+// Without any, the most connected memories, as the server does for plain graphs.
+async function chatPlaintext(message) {
+    const graph = await loadPlainGraph();
+    const lastAnswer = encryptedChatHistory.filter(turn => !turn.is_user).pop();
+    let seeds = [...new Set([...plainSeedNodes(graph, message), ...((lastAnswer && lastAnswer.citations) || [])])];
+
+    if (seeds.length === 0) {
+        seeds = [...graph.nodes]
+            .sort((a, b) => (b.connections || 0) - (a.connections || 0))
+            .slice(0, 5)
+            .map(node => node.id);
+    }
+
+    return plaintextPayload(plainNeighbourhood(graph, seeds));
+}
+
+async function encryptProperties(properties) {
+    const entries = await Promise.all(Object.entries(properties || {})
+        .filter(([, value]) => value != null && value !== '')
+        .map(async ([key, value]) => [key, await GraphCrypto.encrypt(value)]));
+    return Object.fromEntries(entries);
+}
+
+// "Anna-Lena" and "anna lena" match, as they do on the server
+function matchKey(value) {
+    return GraphMatching.normalizeName(value);
+}
+
+// Node ids of an encrypted graph are random: ids made from names would give them away
+function newEncryptedNodeId() {
+    return `ORB-${crypto.randomUUID()}`;
+}
+
+// Save an extraction ({ entities, relationships }, from /api/process-text or /api/import) into the encrypted
+// graph: entities whose name or alias matches a node become that node, facts already stored keep their
+// ciphertext (so they are reinforced, not duplicated), everything else is encrypted here.
+// source: { type, text, externalId? }. Returns the /api/memory-graph/encrypted response body.
+async function saveEncryptedExtraction(extracted, source, pendingId = null) {
+    const graph = await loadPlainGraph();
+    const rawNodes = new Map(graph.raw.nodes.map(node => [node.id, node]));
+    const rawActions = new Map(graph.raw.relationships.map(rel => [rel.id, rel.action]));
+
+    const byName = new Map();
+    graph.nodes.forEach(node => [node.name, ...(node.aliases || [])]
+        .forEach(name => byName.has(matchKey(name)) || byName.set(matchKey(name), node)));
+
+    const ids = new Map();
+    const entities = [];
+    for (const entity of extracted.entities || []) {
+        const name = entity && typeof entity.name === 'string' ? entity.name.trim() : '';
+        if (!name || ids.has(entity.id)) continue;
+
+        const existing = byName.get(matchKey(name));
+        const id = existing ? existing.id : newEncryptedNodeId();
+        ids.set(entity.id, id);
+        if (!existing) byName.set(matchKey(name), { id, name, aliases: [] });
+
+        const raw = existing && rawNodes.get(existing.id);
+        const isAlias = existing && matchKey(existing.name) !== matchKey(name) &&
+            !(existing.aliases || []).some(alias => matchKey(alias) === matchKey(name));
+        entities.push({
+            id,
+            type: existing && existing.type ? existing.type : entity.type,
+            name: raw ? raw.name : await GraphCrypto.encrypt(name),
+            aliases: [
+                ...(raw ? raw.aliases || [] : []),
+                ...(isAlias ? [await GraphCrypto.encrypt(name)] : []),
+                ...(raw ? [] : await Promise.all((entity.aliases || []).map(alias => GraphCrypto.encrypt(alias))))
+            ],
+            properties: await encryptProperties(entity.properties)
+        });
+    }
+
+    const relationships = [];
+    for (const rel of extracted.relationships || []) {
+        const source = ids.get(rel.source);
+        const target = ids.get(rel.target);
+        const action = typeof rel.action === 'string' ? rel.action.trim() : '';
+        if (!source || !target || source === target) continue;
+
+        const stored = graph.relationships.find(known =>
+            known.source === source && known.target === target && matchKey(known.action) === matchKey(action));
+        relationships.push({
+            source,
+            target,
+            action: stored ? rawActions.get(stored.id) : await GraphCrypto.encrypt(action)
+        });
+    }
+
+    const response = await apiCall('/api/memory-graph/encrypted', {
+        method: 'POST',
+        body: JSON.stringify({
+            entities,
+            relationships,
+            source: source && {
+                type: source.type,
+                externalId: source.externalId,
+                content: await GraphCrypto.encrypt(source.text)
+            },
+            pendingId: pendingId || undefined
+        })
+    });
+    if (!response) return null;
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Saving failed');
+    }
+    plainGraph = null;
+    return data;
+}
+
+// OMI memories that arrived while the graph was locked: open each, extract it, save it encrypted
+let processingPendingMemories = false;
+
+async function processPendingMemories() {
+    if (processingPendingMemories || !GraphCrypto.isUnlocked()) return;
+    processingPendingMemories = true;
+
+    try {
+        let memories;
+        do {
+            const response = await apiCall('/api/pending-memories');
+            if (!response || !response.ok) return;
+            ({ memories } = await response.json());
+
+            for (const memory of memories) {
+                const text = await GraphCrypto.openSealed(memory.sealed);
+                const extractResponse = await apiCall('/api/process-text', {
+                    method: 'POST',
+                    body: JSON.stringify({ text })
+                });
+                if (!extractResponse || !extractResponse.ok) {
+                    throw new Error(`Extraction failed for memory ${memory.memory_id}`);
+                }
+
+                const { extracted } = await extractResponse.json();
+                const saved = await saveEncryptedExtraction(extracted, {
+                    type: 'omi',
+                    externalId: memory.memory_id,
+                    text
+                }, memory.id);
+                if (saved && saved.delta) {
+                    applyGraphDelta(saved.delta);
+                } else if (saved) {
+                    updateVisualization(saved);
+                }
+            }
+        } while (memories.length > 0);
+    } catch (error) {
+        console.error('Error processing pending memories:', error);
+    } finally {
+        processingPendingMemories = false;
+    }
+}
+
+// Turn on encryption: encrypt the whole graph here under a new passphrase and swap it in on the server
+async function enableEncryption() {
+    const passphrase = document.getElementById('encryption-passphrase').value;
+    const confirmation = document.getElementById('encryption-passphrase-confirm').value;
+    const status = document.getElementById('encryption-status');
+
+    if (passphrase.length < 12) {
+        status.textContent = 'Use a passphrase of at least 12 characters';
+        return;
+    }
+    if (passphrase !== confirmation) {
+        status.textContent = 'The passphrases do not match';
+        return;
+    }
+    if (!confirm('Turn on encryption? Sources, chat history, descriptions and web results are deleted, ' +
+        'and a forgotten passphrase means the graph is lost. This cannot be turned off.')) return;
+
+    const button = document.getElementById('enable-encryption');
+    button.disabled = true;
+    status.textContent = 'Encrypting your graph...';
+
+    try {
+        const response = await apiCall('/api/memory-graph');
+        if (!response || !response.ok) {
+            throw new Error('Could not load the memory graph');
+        }
+        const graph = await response.json();
+
+        const key = await GraphCrypto.createKeys(passphrase);
+        const nodes = await Promise.all(graph.nodes.map(async node => ({
+            id: node.id,
+            newId: newEncryptedNodeId(),
+            name: await GraphCrypto.encrypt(node.name),
+            aliases: await Promise.all((node.aliases || []).map(alias => GraphCrypto.encrypt(alias))),
+            properties: await encryptProperties(node.properties)
+        })));
+        const relationships = await Promise.all(graph.relationships.map(async rel => ({
+            id: rel.id,
+            action: await GraphCrypto.encrypt(rel.action || '')
+        })));
+
+        const saveResponse = await apiCall('/api/encryption', {
+            method: 'POST',
+            body: JSON.stringify({ key, nodes, relationships })
+        });
+        if (!saveResponse) return;
+        const data = await saveResponse.json();
+        if (!saveResponse.ok) {
+            throw new Error(data.error || 'Could not turn on encryption');
+        }
+
+        // Start over locked, like any other visit
+        window.location.reload();
+    } catch (error) {
+        console.error('Error turning on encryption:', error);
+        status.textContent = error.message;
+        button.disabled = false;
+    }
+}
+
+function renderEncryptionSection() {
+    const enabled = Boolean(encryptionState.enabled);
+    document.getElementById('encryption-on').style.display = enabled ? '' : 'none';
+    document.getElementById('encryption-off').style.display = enabled ? 'none' : '';
+}
+
 // Three.js scene setup
 let scene, camera, renderer, controls, composer;
 let nodes = new Map();
@@ -150,9 +514,15 @@ function initPostProcessing() {
     composer.addPass(bloomPass);
 }
 
+// Node radius grows with the number of connections (log scale so hubs don't swamp the view)
+function nodeRadius(node) {
+    return Math.min(2 + Math.log1p(node.connections || 0) * 0.8, 6);
+}
+
 // Create node object
 function createNodeObject(node) {
-    const geometry = new THREE.SphereGeometry(2, 32, 32);  // Smaller nodes
+    const radius = nodeRadius(node);
+    const geometry = new THREE.SphereGeometry(radius, 32, 32);
     const material = new THREE.MeshPhongMaterial({
         color: getNodeColor(node.type),
         emissive: getNodeColor(node.type),
@@ -173,7 +543,7 @@ function createNodeObject(node) {
     };
 
     // Add glow effect
-    const glowGeometry = new THREE.SphereGeometry(3, 32, 32);  // Smaller glow
+    const glowGeometry = new THREE.SphereGeometry(radius * 1.5, 32, 32);
     const glowMaterial = new THREE.ShaderMaterial({
         uniforms: {
             color: { value: new THREE.Color(getNodeColor(node.type)) }
@@ -201,12 +571,13 @@ function createNodeObject(node) {
     sphere.add(glow);
 
     // Add label
-    const label = new SpriteText(node.name);
+    const icon = nodeTypeIcon(node.type);
+    const label = new SpriteText(icon ? `${icon} ${node.name}` : node.name);
     label.textHeight = 8;
     label.color = '#ffffff';
     label.backgroundColor = 'rgba(0, 0, 0, 0.5)';
     label.padding = 2;
-    label.position.y = 10;
+    label.position.y = radius + 8;
     sphere.add(label);
 
     // Store reference to original node data
@@ -215,8 +586,14 @@ function createNodeObject(node) {
     return sphere;
 }
 
+// Resting opacity of a relationship line: faint memories fade out
+function baseLineOpacity(line) {
+    const strength = typeof line.userData.strength === 'number' ? line.userData.strength : 1;
+    return 0.04 + 0.16 * strength;
+}
+
 // Create relationship line
-function createRelationshipLine(source, target, action) {
+function createRelationshipLine(source, target, action, strength) {
     const points = [source.position, target.position];
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
 
@@ -228,7 +605,8 @@ function createRelationshipLine(source, target, action) {
     });
 
     const line = new THREE.Line(geometry, material);
-    line.userData = { source, target, action };
+    line.userData = { source, target, action, strength };
+    material.opacity = baseLineOpacity(line);
 
     // Add action label
     const label = new SpriteText(action);
@@ -243,6 +621,7 @@ function createRelationshipLine(source, target, action) {
 
 // Update visualization with new data
 function updateVisualization(data) {
+    plainGraph = null;
     // Clear existing objects
     nodeObjects.forEach(obj => scene.remove(obj));
     lineObjects.forEach(obj => scene.remove(obj));
@@ -257,20 +636,183 @@ function updateVisualization(data) {
     });
 
     // Create relationship lines
-    data.relationships.forEach(rel => {
-        const sourceObj = nodeObjects.get(rel.source);
-        const targetObj = nodeObjects.get(rel.target);
-        if (sourceObj && targetObj) {
-            const line = createRelationshipLine(sourceObj, targetObj, rel.action);
-            lineObjects.push(line);
-            scene.add(line);
-        }
-    });
+    data.relationships.forEach(addRelationshipLine);
 
     // Position nodes using force-directed layout
     updateNodePositions();
 }
 
+// Add the line for a relationship whose endpoints are both in the scene
+function addRelationshipLine(rel) {
+    const sourceObj = nodeObjects.get(rel.source);
+    const targetObj = nodeObjects.get(rel.target);
+    if (!sourceObj || !targetObj) return null;
+
+    const line = createRelationshipLine(sourceObj, targetObj, rel.action, rel.strength);
+    line.userData.id = rel.id;
+    lineObjects.push(line);
+    scene.add(line);
+    return line;
+}
+
+// Where to put a node that wasn't part of the last layout: next to its placed neighbours, else around
+// `origin` (the cluster it was expanded from), else somewhere in the brain
+function initialNodePosition(nodeId, relationships, origin) {
+    const neighbors = relationships
+        .filter(rel => rel.source === nodeId || rel.target === nodeId)
+        .map(rel => nodeObjects.get(rel.source === nodeId ? rel.target : rel.source))
+        .filter(Boolean);
+
+    const jitter = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
+        .normalize()
+        .multiplyScalar(distanceScale * 0.6);
+
+    if (neighbors.length === 0) {
+        if (origin) return jitter.add(origin);
+        return jitter.multiplyScalar(1 + Math.random() * 3);
+    }
+
+    const center = new THREE.Vector3();
+    neighbors.forEach(neighbor => center.add(neighbor.position));
+    return center.divideScalar(neighbors.length).add(jitter);
+}
+
+// Patch the scene from a server delta ({ added, updated, removed }) without re-running the layout,
+// so existing nodes stay where they are. Applying the same delta twice is a no-op, so a tab can
+// safely receive its own changes back over /api/events.
+function applyGraphDelta(delta, { origin } = {}) {
+    plainGraph = null;
+    const removedNodes = new Set(delta.removed.nodes);
+    const staleLines = new Set(delta.removed.relationships);
+    const linesById = new Map(lineObjects.map(line => [line.userData.id, line]));
+
+    // Relationships that need a (new) line: unknown ones, or ones whose endpoints or action changed
+    const incoming = [...delta.added.relationships, ...delta.updated.relationships].filter(rel => {
+        const line = linesById.get(rel.id);
+        if (!line) return true;
+
+        if (line.userData.source.userData.id === rel.source &&
+            line.userData.target.userData.id === rel.target &&
+            line.userData.action === rel.action) {
+            line.userData.strength = rel.strength;
+            line.material.opacity = baseLineOpacity(line);
+            return false;
+        }
+        staleLines.add(rel.id);
+        return true;
+    });
+
+    lineObjects = lineObjects.filter(line => {
+        if (staleLines.has(line.userData.id) ||
+            removedNodes.has(line.userData.source.userData.id) ||
+            removedNodes.has(line.userData.target.userData.id)) {
+            scene.remove(line);
+            return false;
+        }
+        return true;
+    });
+
+    removedNodes.forEach(id => {
+        const nodeObject = nodeObjects.get(id);
+        if (!nodeObject) return;
+        if (nodeObject === selectedNode) selectNode(null);
+        scene.remove(nodeObject);
+        nodeObjects.delete(id);
+    });
+
+    // Name, type and connection count shape the sphere, so such updates get a new object in the same spot
+    let reselect = null;
+    delta.updated.nodes.forEach(node => {
+        const previous = nodeObjects.get(node.id);
+        if (!previous) return;
+
+        if (previous.userData.name === node.name &&
+            previous.userData.type === node.type &&
+            previous.userData.connections === node.connections) {
+            previous.userData = node;
+            return;
+        }
+
+        const nodeObject = createNodeObject(node);
+        nodeObject.position.copy(previous.position);
+        lineObjects.forEach(line => {
+            if (line.userData.source === previous) line.userData.source = nodeObject;
+            if (line.userData.target === previous) line.userData.target = nodeObject;
+        });
+
+        scene.remove(previous);
+        scene.add(nodeObject);
+        nodeObjects.set(node.id, nodeObject);
+        if (previous === selectedNode) reselect = nodeObject;
+    });
+
+    // Updated nodes that aren't loaded stay folded into their cluster
+    const relationships = [...delta.added.relationships, ...delta.updated.relationships];
+    delta.added.nodes.forEach(node => {
+        if (nodeObjects.has(node.id)) return;
+        const nodeObject = createNodeObject(node);
+        nodeObject.position.copy(initialNodePosition(node.id, relationships, origin));
+        nodeObjects.set(node.id, nodeObject);
+        scene.add(nodeObject);
+        appear(nodeObject);
+    });
+
+    incoming.forEach(rel => {
+        const line = addRelationshipLine(rel);
+        if (line) appear(line);
+    });
+    lineObjects.forEach(updateLineGeometry);
+
+    if (reselect) selectNode(reselect, { refresh: true });
+}
+
+// New nodes grow in with a brief flash, new lines fade in
+const APPEAR_DURATION = 1200;  // ms
+let appearing = [];
+
+function appear(object) {
+    if (object.isLine) {
+        object.material.opacity = 0;
+    } else {
+        object.scale.setScalar(0.01);
+    }
+    appearing.push({ object, start: performance.now() });
+}
+
+function updateAppearing(now) {
+    appearing = appearing.filter(({ object, start }) => {
+        const progress = Math.min((now - start) / APPEAR_DURATION, 1);
+        const ease = 1 - Math.pow(1 - progress, 3);
+
+        if (object.isLine) {
+            object.material.opacity = baseLineOpacity(object) * ease;
+        } else {
+            object.scale.setScalar(Math.max(ease, 0.01));
+            object.material.emissiveIntensity = 0.8 + 1.5 * (1 - progress);
+        }
+        return progress < 1;
+    });
+}
+
+// Move a relationship line (and its action label) to its endpoints' current positions
+function updateLineGeometry(line) {
+    const start = line.userData.source.position;
+    const end = line.userData.target.position;
+
+    // Update line geometry
+    const points = [start, end];
+    line.geometry.setFromPoints(points);
+
+    // Update action label position
+    if (line.children[0]) {
+        line.children[0].position.set(
+            (start.x + end.x) / 2,
+            (start.y + end.y) / 2,
+            (start.z + end.z) / 2
+        );
+    }
+}
+
 // Force-directed layout
 function updateNodePositions() {
     const nodes = Array.from(nodeObjects.values());
@@ -349,23 +891,87 @@ function updateNodePositions() {
     });
 
     // Update relationship lines
-    lineObjects.forEach(line => {
-        const start = line.userData.source.position;
-        const end = line.userData.target.position;
-
-        // Update line geometry
-        const points = [start, end];
-        line.geometry.setFromPoints(points);
-
-        // Update action label position
-        if (line.children[0]) {
-            line.children[0].position.set(
-                (start.x + end.x) / 2,
-                (start.y + end.y) / 2,
-                (start.z + end.z) / 2
-            );
-        }
+    lineObjects.forEach(updateLineGeometry);
+}
+
+// Nodes loaded up front; the rest arrive as cluster summary nodes that expand on click
+const GRAPH_VIEW_LIMIT = 300;
+
+// Title of the subgraph on screen instead of the whole graph (e.g. one timeline day), or null
+let isolatedView = null;
+
+// Show only the given subgraph; context nodes (older nodes the new facts connect to) are dimmed
+function showSubgraph(data) {
+    isolatedView = data.title;
+    updateVisualization(data);
+    data.nodes.filter(node => node.context).forEach(node => {
+        nodeObjects.get(node.id).material.opacity = 0.3;
     });
+
+    document.getElementById('isolation-banner')?.remove();
+    const banner = document.createElement('div');
+    banner.id = 'isolation-banner';
+    const title = document.createElement('span');
+    title.textContent = `${data.title} (${data.nodes.filter(node => !node.context).length} nodes, ${data.relationships.length} relationships)`;
+    const showAll = document.createElement('button');
+    showAll.textContent = 'Show all';
+    showAll.addEventListener('click', reloadMemoryGraph);
+    banner.append(title, showAll);
+    document.getElementById('network-container').appendChild(banner);
+}
+
+// Fetch the graph's level-of-detail view and lay it out from scratch
+function reloadMemoryGraph() {
+    isolatedView = null;
+    document.getElementById('isolation-banner')?.remove();
+
+    return apiCall(`/api/memory-graph?limit=${GRAPH_VIEW_LIMIT}`)
+        .then(response => response && response.json())
+        .then(data => {
+            if (data) {
+                updateVisualization(data);
+            }
+        })
+        .catch(console.error);
+}
+
+// Live updates: memories saved in other tabs or by the OMI webhook show up without a refresh
+function subscribeToGraphEvents() {
+    if (!window.EventSource) return;
+
+    const events = new EventSource('/api/events');
+    let connected = false;
+
+    // While a subgraph is isolated, changes are picked up by "Show all" instead
+    events.addEventListener('open', () => {
+        // Changes made while the stream was down were missed
+        if (connected && !isolatedView) reloadMemoryGraph();
+        connected = true;
+    });
+    events.addEventListener('delta', async event => {
+        const delta = await GraphCrypto.decryptDeep(JSON.parse(event.data));
+        if (!isolatedView) applyGraphDelta(delta);
+    });
+    events.addEventListener('reload', () => {
+        if (!isolatedView) reloadMemoryGraph();
+    });
+    // An OMI memory was sealed for this (encrypted) graph
+    events.addEventListener('pending', processPendingMemories);
+}
+
+// Load the next page of a cluster summary node's nodes next to it
+function expandCluster(clusterObject) {
+    const { id, cluster } = clusterObject.userData;
+    const origin = clusterObject.position.clone();
+
+    return apiCall(`/api/memory-graph/clusters/${encodeURIComponent(id)}?limit=${GRAPH_VIEW_LIMIT}&offset=${cluster.offset}`)
+        .then(response => response && response.json())
+        .then(data => {
+            if (data && data.delta) {
+                applyGraphDelta(data.delta, { origin });
+            }
+        })
+        .catch(console.error);
 }
 
 // Handle window resize
@@ -390,6 +996,11 @@ function onNodeClick(event) {
 
     if (intersects.length > 0) {
         const clickedNode = intersects[0].object;
+        // Cluster summaries (graph-lod.js) carry their paging state; a real node may have any type
+        if (clickedNode.userData.cluster) {
+            expandCluster(clickedNode);
+            return;
+        }
         selectNode(clickedNode);
     } else {
         selectNode(null);
@@ -397,10 +1008,11 @@ function onNodeClick(event) {
 }
 
 // Node selection handling
-function selectNode(node) {
+// refresh: the same node again after an edit; keeps the edit modal and skips the description
+function selectNode(node, { refresh = false } = {}) {
     // Remove any existing edit modal
     const existingModal = document.getElementById('edit-node-modal');
-    if (existingModal) {
+    if (existingModal && !refresh) {
         existingModal.remove();
         document.body.classList.remove('modal-open');
     }
@@ -417,7 +1029,7 @@ function selectNode(node) {
             obj.material.emissiveIntensity = 0.8;
         });
         lineObjects.forEach(line => {
-            line.material.opacity = 0.2;
+            line.material.opacity = baseLineOpacity(line);
             line.children[0].visible = false;  // Hide all action labels
         });
     }
@@ -458,6 +1070,8 @@ function selectNode(node) {
             }
         });
 
+        if (refresh) return;
+
         // Get connected relationships
         const connections = lineObjects
             .filter(line =>
@@ -486,14 +1100,8 @@ function selectNode(node) {
         chatMessages.appendChild(loadingDiv);
         chatMessages.scrollTop = chatMessages.scrollHeight;
 
-        // Generate node description
-        apiCall('/api/generate-description', {
-            method: 'POST',
-            body: JSON.stringify({
-                node: node.userData,
-                connections: connections.slice(0, 50) // Limit connections to prevent payload size issues
-            })
-        })
+        // Stored description, or a new one if the node's connections changed since it was written
+        requestNodeDescription(node.userData.id)
             .then(async response => {
                 if (!response.ok) {
                     throw new Error(`Server error: ${response.status}`);
@@ -513,19 +1121,28 @@ function selectNode(node) {
                 messageDiv.className = 'message system';
                 messageDiv.innerHTML = `
                 <div class="node-header">
-                    <strong>${node.userData.name}</strong> (${node.userData.type})
-                </div>
-                <div class="node-description">
-                    ${data.description}
+                    <strong></strong> (<span class="node-header-type"></span>)
                 </div>
+                <div class="node-description"></div>
                 <div class="node-actions">
+                    <button class="edit-node-btn regenerate-node-btn" title="Write a new description and refresh web results">
+                        <span class="icon">🔄</span> Regenerate
+                    </button>
                     <button class="edit-node-btn" onclick="showEditNodeModal()">
                         <span class="icon">✏️</span> Edit Node Details
                     </button>
                 </div>
             `;
+                messageDiv.querySelector('.node-header strong').textContent = node.userData.name;
+                messageDiv.querySelector('.node-header-type').textContent = node.userData.type;
+                messageDiv.querySelector('.node-description').textContent = data.description;
+                messageDiv.querySelector('.regenerate-node-btn')
+                    .addEventListener('click', () => regenerateNodeDetails(node.userData.id, messageDiv));
                 chatMessages.appendChild(messageDiv);
                 chatMessages.scrollTop = chatMessages.scrollHeight;
+
+                loadNodeSources(node.userData.id, messageDiv);
+                loadNodeEnrichment(node.userData.id, messageDiv);
             })
             .catch(error => {
                 console.error('Error generating description:', error);
@@ -541,82 +1158,920 @@ function selectNode(node) {
     }
 }
 
-// Show edit node modal
-function showEditNodeModal() {
-    if (!selectedNode) return;
-
-    const editModal = document.createElement('div');
-    editModal.className = 'modal-overlay';
-    editModal.id = 'edit-node-modal';
-    editModal.innerHTML = `
-        <div class="modal-content">
-            <div class="modal-header">
-                <h2>Edit Node</h2>
-                <button class="modal-close" onclick="closeEditModal()">✕</button>
-            </div>
-            <div class="modal-body">
-                <div id="node-edit-controls">
-                    <div class="input-group">
-                        <label for="edit-node-name">Name</label>
-                        <input type="text" id="edit-node-name" value="${selectedNode.userData.name}" placeholder="Node name">
-                    </div>
-                    <div class="input-group">
-                        <label for="edit-node-type">Type</label>
-                        <select id="edit-node-type">
-                            ${['person', 'location', 'event', 'concept'].map(type =>
-        `<option value="${type}" ${type === selectedNode.userData.type ? 'selected' : ''}>${type}</option>`
-    ).join('')}
-                        </select>
-                    </div>
-                </div>
-            </div>
-            <div class="modal-footer">
-                <button class="action-button danger" onclick="deleteSelectedNode()">Delete Node</button>
-                <button class="action-button" onclick="closeEditModal()">Cancel</button>
-                <button class="action-button primary" onclick="updateSelectedNode()">Save Changes</button>
-            </div>
-        </div>
-    `;
-    document.body.appendChild(editModal);
-    document.body.classList.add('modal-open');
-}
+// Chat sessions
+let currentChatSessionId = null;
 
-// Close edit modal
-function closeEditModal() {
-    const modal = document.getElementById('edit-node-modal');
-    if (modal) {
-        modal.remove();
-        document.body.classList.remove('modal-open');
+// Append a message bubble to the chat panel
+function appendChatMessage(role, text, citations) {
+    const chatMessages = document.getElementById('chat-messages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${role}`;
+    messageDiv.textContent = text;
+    if (role === 'ai') {
+        appendCitations(messageDiv, citations);
     }
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageDiv;
 }
 
-// Update selected node
-async function updateSelectedNode() {
-    if (!selectedNode) return;
-
-    const nameInput = document.getElementById('edit-node-name');
-    const typeSelect = document.getElementById('edit-node-type');
-    const newName = nameInput.value.trim();
-    const newType = typeSelect.value;
+// Fill the conversation picker
+async function loadChatSessions() {
+    const select = document.getElementById('chat-session-select');
+    if (!select) return;
 
-    if (!newName) {
-        alert('Name cannot be empty');
-        return;
+    try {
+        const response = await apiCall('/api/chat/sessions');
+        if (!response || !response.ok) return;
+
+        const { sessions } = await response.json();
+        select.innerHTML = '<option value="">New conversation</option>';
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.session_id;
+            option.textContent = `${session.title} · ${new Date(session.last_activity).toLocaleDateString()}`;
+            select.appendChild(option);
+        });
+        select.value = currentChatSessionId || '';
+        document.getElementById('chat-session-delete').disabled = !currentChatSessionId;
+    } catch (error) {
+        console.error('Error loading chat sessions:', error);
     }
+}
 
+// Resume a stored conversation
+async function openChatSession(sessionId) {
     try {
-        const response = await apiCall(`/api/node/${selectedNode.userData.id}`, {
-            method: 'PUT',
+        const response = await apiCall(`/api/chat/sessions/${encodeURIComponent(sessionId)}`);
+        if (!response || !response.ok) return;
+
+        const session = await response.json();
+        currentChatSessionId = session.session_id;
+        document.getElementById('chat-messages').innerHTML = '';
+        session.messages.forEach(m => {
+            appendChatMessage(m.is_user ? 'user' : 'ai', m.text, m.citations);
+        });
+        document.getElementById('chat-session-delete').disabled = false;
+    } catch (error) {
+        console.error('Error opening chat session:', error);
+    }
+}
+
+function startNewChatSession() {
+    currentChatSessionId = null;
+    encryptedChatHistory = [];
+    document.getElementById('chat-messages').innerHTML = '';
+    document.getElementById('chat-session-select').value = '';
+    document.getElementById('chat-session-delete').disabled = true;
+}
+
+async function deleteCurrentChatSession() {
+    if (!currentChatSessionId || !confirm('Delete this conversation?')) return;
+
+    try {
+        const response = await apiCall(`/api/chat/sessions/${encodeURIComponent(currentChatSessionId)}`, {
+            method: 'DELETE'
+        });
+
+        if (response && response.ok) {
+            startNewChatSession();
+            loadChatSessions();
+        }
+    } catch (error) {
+        console.error('Error deleting chat session:', error);
+        alert('Failed to delete conversation');
+    }
+}
+
+// Highlight the nodes a chat answer was based on
+function highlightCitedNodes(nodeIds) {
+    if (!nodeIds || nodeIds.length === 0) return;
+
+    selectNode(null);
+    const cited = new Set(nodeIds);
+
+    nodeObjects.forEach((obj, id) => {
+        if (cited.has(id)) {
+            obj.material.opacity = 1;
+            obj.material.emissiveIntensity = 2;
+            obj.userData.baseScale = 1.5;
+        } else {
+            obj.material.opacity = 0.3;
+            obj.material.emissiveIntensity = 0.8;
+            obj.userData.baseScale = 1;
+        }
+    });
+
+    lineObjects.forEach(line => {
+        const linksCited = cited.has(line.userData.source.userData.id) && cited.has(line.userData.target.userData.id);
+        line.material.opacity = linksCited ? 0.6 : baseLineOpacity(line) * 0.5;
+    });
+}
+
+// Clear chat citation highlighting
+function clearCitedHighlight() {
+    nodeObjects.forEach(obj => {
+        obj.material.opacity = 0.7;
+        obj.material.emissiveIntensity = 0.8;
+        obj.userData.baseScale = 1;
+    });
+    lineObjects.forEach(line => {
+        line.material.opacity = baseLineOpacity(line);
+    });
+}
+
+// Render clickable chips for the nodes an answer cites
+function appendCitations(messageDiv, nodeIds) {
+    if (!nodeIds || nodeIds.length === 0) return;
+
+    const list = document.createElement('div');
+    list.className = 'message-citations';
+
+    nodeIds.forEach(id => {
+        const nodeObject = nodeObjects.get(id);
+        if (!nodeObject) return;
+
+        const chip = document.createElement('button');
+        chip.className = 'citation-chip';
+        chip.textContent = nodeObject.userData.name;
+        chip.addEventListener('click', () => {
+            clearCitedHighlight();
+            selectNode(nodeObject);
+        });
+        list.appendChild(chip);
+    });
+
+    if (list.children.length > 0) {
+        messageDiv.appendChild(list);
+    }
+}
+
+// Fly the camera to a node, then select it
+function focusNode(node) {
+    const nodePos = node.position;
+    const distance = 150;  // Fixed distance for consistent view
+    const targetPos = new THREE.Vector3(
+        nodePos.x + distance,
+        nodePos.y + distance,
+        nodePos.z + distance
+    );
+
+    // Animate camera movement
+    const startPos = camera.position.clone();
+    const startLook = controls.target.clone();
+    const endLook = nodePos.clone();
+
+    const duration = 1000;  // 1 second
+    const startTime = Date.now();
+
+    function animateCamera() {
+        const elapsed = Date.now() - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+
+        // Smooth easing
+        const ease = progress < 0.5 ?
+            2 * progress * progress :
+            -1 + (4 - 2 * progress) * progress;
+
+        camera.position.lerpVectors(startPos, targetPos, ease);
+        controls.target.lerpVectors(startLook, endLook, ease);
+        controls.update();
+
+        if (progress < 1) {
+            requestAnimationFrame(animateCamera);
+        } else {
+            // Select the node after camera movement
+            selectNode(node);
+        }
+    }
+
+    animateCamera();
+}
+
+// Search node names and relationship actions on the server (fuzzy, with type/date filters)
+async function runSearch() {
+    const query = document.getElementById('search-input').value.trim();
+    const searchResults = document.getElementById('search-results');
+    if (!query) return;
+
+    const params = new URLSearchParams({ q: query });
+    const typeFilter = document.getElementById('search-type');
+    const sinceFilter = document.getElementById('search-since');
+    if (typeFilter && typeFilter.value) params.set('type', typeFilter.value);
+    if (sinceFilter && sinceFilter.value) params.set('since', sinceFilter.value);
+
+    searchResults.innerHTML = '<div class="no-results">Searching...</div>';
+
+    try {
+        if (encryptionState.enabled) {
+            renderSearchResults(searchPlainGraph(await loadPlainGraph(), query, {
+                type: typeFilter && typeFilter.value,
+                since: sinceFilter && sinceFilter.value
+            }));
+            return;
+        }
+
+        const response = await apiCall(`/api/search?${params}`);
+        if (!response) return;
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Search failed');
+        }
+        renderSearchResults(data.results);
+    } catch (error) {
+        console.error('Error searching:', error);
+        const message = document.createElement('div');
+        message.className = 'no-results';
+        message.textContent = `Search failed: ${error.message}`;
+        searchResults.replaceChildren(message);
+    }
+}
+
+// Search for an encrypted graph, which the server can't read: substring matches on the decrypted names,
+// aliases and actions, in the same shape as /api/search results
+function searchPlainGraph(graph, query, { type, since, limit = 20 }) {
+    const needle = matchKey(query);
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const nodeIndex = new Map(graph.nodes.map(node => [node.id, node]));
+    const recentEnough = item => !sinceTime || new Date(item.last_seen_at).getTime() >= sinceTime;
+
+    const neighborsOf = id => graph.relationships
+        .filter(rel => rel.source === id || rel.target === id)
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, 10)
+        .map(rel => ({
+            isSource: rel.source === id,
+            action: rel.action,
+            node: nodeIndex.get(rel.source === id ? rel.target : rel.source)
+        }))
+        .filter(neighbor => neighbor.node);
+
+    const nodeHits = graph.nodes
+        .filter(node => (!type || node.type === type) && recentEnough(node) &&
+            [node.name, ...(node.aliases || [])].some(name => matchKey(name).includes(needle)))
+        .map(node => ({ kind: 'node', node, neighbors: neighborsOf(node.id), rank: node.strength }));
+
+    const relationshipHits = type ? [] : graph.relationships
+        .filter(rel => recentEnough(rel) && matchKey(rel.action).includes(needle) &&
+            nodeIndex.has(rel.source) && nodeIndex.has(rel.target))
+        .map(rel => ({
+            kind: 'relationship',
+            relationship: rel,
+            source: nodeIndex.get(rel.source),
+            target: nodeIndex.get(rel.target),
+            neighbors: neighborsOf(rel.source),
+            rank: rel.strength
+        }));
+
+    return [...nodeHits, ...relationshipHits]
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, limit);
+}
+
+function renderSearchResults(results) {
+    const searchResults = document.getElementById('search-results');
+    searchResults.innerHTML = '';
+
+    if (results.length === 0) {
+        searchResults.innerHTML = '<div class="no-results">No matching memories found</div>';
+        return;
+    }
+
+    results.forEach(result => {
+        // Relationship hits focus their source node
+        const focus = result.kind === 'node' ? result.node : result.source;
+
+        const resultDiv = document.createElement('div');
+        resultDiv.className = 'search-result';
+
+        const header = document.createElement('div');
+        header.className = 'result-header';
+        const type = document.createElement('div');
+        type.className = 'result-type';
+        type.textContent = result.kind === 'node' ? focus.type : 'connection';
+        const name = document.createElement('div');
+        name.className = 'result-name';
+        name.textContent = result.kind === 'node'
+            ? focus.name
+            : `${result.source.name} → ${result.relationship.action} → ${result.target.name}`;
+        header.append(type, name);
+
+        const connections = document.createElement('div');
+        connections.className = 'result-connections';
+        if (result.neighbors.length > 0) {
+            const count = document.createElement('div');
+            count.className = 'connections-count';
+            count.textContent = result.kind === 'node'
+                ? `${focus.connections} connections:`
+                : `${focus.name} · ${focus.connections} connections:`;
+
+            const list = document.createElement('div');
+            list.className = 'connections-list';
+            result.neighbors.slice(0, 3).forEach(neighbor => {
+                const connection = document.createElement('div');
+                connection.className = 'connection';
+                connection.textContent = `${neighbor.isSource ? '→' : '←'} ${neighbor.action} ${neighbor.node.name}`;
+                list.appendChild(connection);
+            });
+            if (focus.connections > 3) {
+                const more = document.createElement('div');
+                more.className = 'more-connections';
+                more.textContent = `+${focus.connections - 3} more...`;
+                list.appendChild(more);
+            }
+            connections.append(count, list);
+        } else {
+            connections.innerHTML = '<div class="no-connections">No connections</div>';
+        }
+
+        resultDiv.append(header, connections);
+
+        // Click handler to focus on node (if it is part of the loaded graph)
+        const nodeObject = nodeObjects.get(focus.id);
+        if (nodeObject) {
+            resultDiv.addEventListener('click', () => focusNode(nodeObject));
+        } else {
+            resultDiv.classList.add('not-loaded');
+            resultDiv.title = 'Not in the current view';
+        }
+
+        searchResults.appendChild(resultDiv);
+    });
+}
+
+// Show "mentioned in" snippets for a node
+async function loadNodeSources(nodeId, container) {
+    try {
+        const response = await apiCall(`/api/node/${encodeURIComponent(nodeId)}/sources`);
+        if (!response || !response.ok) return;
+
+        const { sources } = await response.json();
+        if (!sources.length) return;
+
+        const section = document.createElement('div');
+        section.className = 'node-sources';
+
+        const title = document.createElement('div');
+        title.className = 'node-sources-title';
+        title.textContent = `Mentioned in (${sources.length})`;
+        section.appendChild(title);
+
+        sources.forEach(source => {
+            const item = document.createElement('div');
+            item.className = 'node-source';
+
+            const meta = document.createElement('div');
+            meta.className = 'node-source-meta';
+            const sourceLabels = { omi: 'OMI', import: 'Import', upload: 'Upload' };
+            meta.textContent = `${new Date(source.created_at).toLocaleString()} · ${sourceLabels[source.type] || 'Upload'}`;
+
+            // Encrypted sources arrive whole once decrypted
+            const snippet = document.createElement('div');
+            snippet.className = 'node-source-snippet';
+            snippet.textContent = source.snippet.length > 220 ? `${source.snippet.slice(0, 200)}…` : source.snippet;
+
+            const forgetBtn = document.createElement('button');
+            forgetBtn.className = 'node-source-forget';
+            forgetBtn.textContent = 'Forget source';
+            forgetBtn.addEventListener('click', () => forgetSource(source.id));
+
+            item.appendChild(meta);
+            item.appendChild(snippet);
+            item.appendChild(forgetBtn);
+            section.appendChild(item);
+        });
+
+        container.appendChild(section);
+    } catch (error) {
+        console.error('Error loading node sources:', error);
+    }
+}
+
+// Background on a node from the enrichment providers: a summary, pictures and links.
+// Everything here comes from outside sources, so it is built with textContent.
+async function loadNodeEnrichment(nodeId, container, { refresh = false } = {}) {
+    try {
+        const query = refresh ? '?refresh=true' : '';
+        const response = await apiCall(`/api/node/${encodeURIComponent(nodeId)}/enrichment${query}`);
+        if (!response || !response.ok) return;
+
+        const { summary, images, links } = await response.json();
+        const previous = container.querySelector('.node-enrichment');
+        if (previous) previous.remove();
+        if (!summary && !images.length && !links.length) return;
+
+        const section = document.createElement('div');
+        section.className = 'node-enrichment';
+
+        const title = document.createElement('div');
+        title.className = 'node-sources-title';
+        title.textContent = 'From the web';
+        section.appendChild(title);
+
+        if (summary) {
+            const text = document.createElement('div');
+            text.className = 'node-enrichment-summary';
+            text.textContent = summary.text;
+            section.appendChild(text);
+        }
+
+        if (images.length) {
+            const gallery = document.createElement('div');
+            gallery.className = 'node-enrichment-images';
+            images.slice(0, 4).forEach(image => {
+                const link = document.createElement('a');
+                link.href = image.url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+
+                const img = document.createElement('img');
+                img.src = image.thumbnail || image.url;
+                img.alt = image.title || '';
+                img.title = `${image.title || ''} (${image.source})`;
+                img.loading = 'lazy';
+                img.referrerPolicy = 'no-referrer';
+                img.addEventListener('error', () => link.remove());
+
+                link.appendChild(img);
+                gallery.appendChild(link);
+            });
+            section.appendChild(gallery);
+        }
+
+        links.forEach(item => {
+            const link = document.createElement('a');
+            link.className = 'node-enrichment-link';
+            link.href = item.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = `${item.title} · ${item.source}`;
+            section.appendChild(link);
+        });
+
+        container.appendChild(section);
+    } catch (error) {
+        console.error('Error loading node enrichment:', error);
+    }
+}
+
+// The stored description, or a new one (POST) if there is none or the node's connections changed since.
+// An encrypted graph has no stored descriptions: each one is written from the node and its connections, sent decrypted,
+// and kept in this tab for as long as they stay the same
+async function requestNodeDescription(nodeId, { regenerate = false } = {}) {
+    const url = `/api/node/${encodeURIComponent(nodeId)}/description`;
+    if (encryptionState.enabled) {
+        const neighbourhood = plainNeighbourhood(await loadPlainGraph(), [nodeId], { hops: 1, maxFacts: 2000 });
+        const version = plainNodeVersion(nodeId, neighbourhood);
+        const cached = plainDescriptions.get(nodeId);
+        if (!regenerate && cached && cached.version === version) {
+            return new Response(JSON.stringify({ ...cached.data, cached: true }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        const response = await apiCall(url, {
+            method: 'POST',
+            body: JSON.stringify({ plaintext: plaintextPayload(neighbourhood) })
+        });
+        if (response && response.ok) {
+            plainDescriptions.set(nodeId, { version, data: await response.clone().json() });
+        }
+        return response;
+    }
+    if (!regenerate) {
+        const response = await apiCall(url);
+        if (!response || !response.ok) return response;
+        const stored = await response.clone().json();
+        if (stored.description && !stored.stale) return response;
+    }
+    return apiCall(url, { method: 'POST' });
+}
+
+// What a description of the node depends on, as nodeGraphVersion in server.js: the node and its relationships
+function plainNodeVersion(nodeId, neighbourhood) {
+    const node = neighbourhood.nodes.find(candidate => candidate.id === nodeId);
+    const names = new Map(neighbourhood.nodes.map(candidate => [candidate.id, candidate.name]));
+    const facts = neighbourhood.relationships
+        .map(rel => {
+            const isSource = rel.source === nodeId;
+            const otherId = isSource ? rel.target : rel.source;
+            return `${isSource ? '->' : '<-'} ${otherId} ${names.get(otherId) || otherId} ${rel.action}`;
+        })
+        .sort();
+    return JSON.stringify(node ? [node.name, node.type, node.properties || {}, facts] : null);
+}
+
+// Regenerate action: a new description and fresh web results, replacing the stored ones
+async function regenerateNodeDetails(nodeId, messageDiv) {
+    const button = messageDiv.querySelector('.regenerate-node-btn');
+    button.disabled = true;
+
+    try {
+        const response = await requestNodeDescription(nodeId, { regenerate: true });
+        if (!response) return;
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        messageDiv.querySelector('.node-description').textContent = data.description;
+        await loadNodeEnrichment(nodeId, messageDiv, { refresh: true });
+    } catch (error) {
+        console.error('Error regenerating node details:', error);
+        alert('Failed to regenerate description');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Delete a source and the facts that only it produced
+async function forgetSource(sourceId) {
+    if (!confirm('Delete this source? Memories that were only learned from it will be removed too.')) return;
+
+    try {
+        const response = await apiCall(`/api/sources/${sourceId}?cascade=true`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            updateVisualization(data);
+            selectNode(null);
+        }
+    } catch (error) {
+        console.error('Error deleting source:', error);
+        alert('Failed to delete source');
+    }
+}
+
+// Show edit node modal
+function showEditNodeModal() {
+    if (!selectedNode) return;
+
+    // Other nodes of the same type are merge candidates
+    const mergeCandidates = Array.from(nodeObjects.values())
+        .map(obj => obj.userData)
+        .filter(node => node.id !== selectedNode.userData.id && node.type === selectedNode.userData.type)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const editModal = document.createElement('div');
+    editModal.className = 'modal-overlay';
+    editModal.id = 'edit-node-modal';
+    editModal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Edit Node</h2>
+                <button class="modal-close" onclick="closeEditModal()">✕</button>
+            </div>
+            <div class="modal-body">
+                <div id="node-edit-controls">
+                    <div class="input-group">
+                        <label for="edit-node-name">Name</label>
+                        <input type="text" id="edit-node-name" value="${selectedNode.userData.name}" placeholder="Node name">
+                    </div>
+                    <div class="input-group">
+                        <label for="edit-node-type">Type</label>
+                        <select id="edit-node-type">
+                            ${nodeTypeNames().map(type =>
+        `<option value="${type}" ${type === selectedNode.userData.type ? 'selected' : ''}>${type}</option>`
+    ).join('')}
+                        </select>
+                    </div>
+                    <div class="input-group">
+                        <label>Properties</label>
+                        <div id="property-editor"></div>
+                        <button class="action-button" onclick="addPropertyRow()">+ Add property</button>
+                    </div>
+                    <div class="input-group">
+                        <label>Relationships</label>
+                        <div id="relationship-editor"></div>
+                    </div>
+                    <div class="input-group">
+                        <label for="merge-node-target">Merge into</label>
+                        <select id="merge-node-target">
+                            <option value="">Don't merge</option>
+                            ${mergeCandidates.map(node =>
+        `<option value="${node.id}">${node.name}</option>`
+    ).join('')}
+                        </select>
+                    </div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="action-button danger" onclick="deleteSelectedNode()">Delete Node</button>
+                <button class="action-button" onclick="closeEditModal()">Cancel</button>
+                <button class="action-button" onclick="mergeSelectedNode()">Merge</button>
+                <button class="action-button primary" onclick="updateSelectedNode()">Save Changes</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(editModal);
+    document.body.classList.add('modal-open');
+    renderPropertyEditor(selectedNode.userData.properties || {});
+    renderRelationshipEditor();
+
+    // The property fields follow the chosen type; keep what was typed so far
+    document.getElementById('edit-node-type').addEventListener('change', () => {
+        renderPropertyEditor(collectPropertyEditor());
+    });
+}
+
+// Input types for the property kinds a node type declares
+const PROPERTY_INPUT_TYPES = { number: 'number', email: 'email', url: 'url' };
+
+// Key-value rows for the node's properties: the type's usual properties first, then any others.
+// Empty values are dropped on save.
+function renderPropertyEditor(properties) {
+    const editor = document.getElementById('property-editor');
+    if (!editor) return;
+    editor.innerHTML = '';
+
+    const typeName = document.getElementById('edit-node-type').value;
+    const type = nodeTypes.find(known => known.name === typeName);
+    const schema = (type && type.properties) || {};
+
+    Object.entries(schema).forEach(([key, kind]) => addPropertyRow(key, properties[key], kind));
+    Object.entries(properties)
+        .filter(([key]) => !(key in schema))
+        .forEach(([key, value]) => addPropertyRow(key, value));
+}
+
+function addPropertyRow(key = '', value = '', kind = null) {
+    const editor = document.getElementById('property-editor');
+    const row = document.createElement('div');
+    row.className = 'property-row';
+
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.className = 'property-key';
+    keyInput.value = key;
+    keyInput.placeholder = 'name';
+    keyInput.maxLength = 40;
+    // Schema properties keep their name; only the value is editable
+    keyInput.readOnly = Boolean(kind);
+
+    let valueInput;
+    if (kind === 'boolean') {
+        valueInput = document.createElement('select');
+        [['', ''], ['true', 'yes'], ['false', 'no']].forEach(([optionValue, label]) => valueInput.add(new Option(label, optionValue)));
+        valueInput.value = value == null ? '' : String(value);
+    } else {
+        valueInput = document.createElement('input');
+        valueInput.type = PROPERTY_INPUT_TYPES[kind] || 'text';
+        valueInput.value = value == null ? '' : value;
+        valueInput.placeholder = kind === 'date' ? 'YYYY-MM-DD' : (kind || 'value');
+        valueInput.maxLength = 500;
+    }
+    valueInput.className = 'property-value';
+
+    const remove = document.createElement('button');
+    remove.className = 'action-button danger';
+    remove.textContent = '✕';
+    remove.title = 'Remove property';
+    remove.addEventListener('click', () => {
+        if (kind) {
+            valueInput.value = '';
+        } else {
+            row.remove();
+        }
+    });
+
+    row.append(keyInput, valueInput, remove);
+    editor.appendChild(row);
+    if (!key) keyInput.focus();
+}
+
+function collectPropertyEditor() {
+    const properties = {};
+    document.querySelectorAll('#property-editor .property-row').forEach(row => {
+        const key = row.querySelector('.property-key').value.trim();
+        const value = row.querySelector('.property-value').value.trim();
+        if (key && value) {
+            properties[key] = value;
+        }
+    });
+    return properties;
+}
+
+// Relationships of the selected node, each editable in place, plus a row to add a new one.
+// Built with textContent since names and actions are user data.
+function renderRelationshipEditor() {
+    const editor = document.getElementById('relationship-editor');
+    if (!editor || !selectedNode) return;
+    editor.innerHTML = '';
+
+    const node = selectedNode;
+    const lines = lineObjects.filter(line =>
+        (line.userData.source === node || line.userData.target === node) &&
+        !line.userData.source.userData.cluster &&
+        !line.userData.target.userData.cluster
+    );
+
+    lines.forEach(line => {
+        const isSource = line.userData.source === node;
+        const other = isSource ? line.userData.target : line.userData.source;
+        const row = document.createElement('div');
+        row.className = 'relationship-row';
+
+        const direction = document.createElement('span');
+        direction.className = 'relationship-direction';
+        direction.textContent = isSource ? `→ ${other.userData.name}` : `← ${other.userData.name}`;
+        direction.title = isSource
+            ? `${node.userData.name} ${line.userData.action} ${other.userData.name}`
+            : `${other.userData.name} ${line.userData.action} ${node.userData.name}`;
+
+        const action = document.createElement('input');
+        action.type = 'text';
+        action.value = line.userData.action;
+        action.maxLength = 200;
+        action.addEventListener('change', () => {
+            if (action.value.trim() && action.value.trim() !== line.userData.action) {
+                updateRelationship(line.userData.id, { action: action.value.trim() });
+            }
+        });
+
+        const reverse = document.createElement('button');
+        reverse.className = 'action-button';
+        reverse.textContent = '⇄';
+        reverse.title = 'Reverse direction';
+        reverse.addEventListener('click', () => updateRelationship(line.userData.id, { reverse: true }));
+
+        const remove = document.createElement('button');
+        remove.className = 'action-button danger';
+        remove.textContent = '✕';
+        remove.title = 'Delete relationship';
+        remove.addEventListener('click', () => deleteRelationship(line.userData.id, direction.title));
+
+        row.append(direction, action, reverse, remove);
+        editor.appendChild(row);
+    });
+
+    // New relationship: this node -> other node, or the other way round
+    const addRow = document.createElement('div');
+    addRow.className = 'relationship-row';
+
+    const direction = document.createElement('select');
+    direction.id = 'new-relationship-direction';
+    [['out', '→'], ['in', '←']].forEach(([value, label]) => direction.add(new Option(label, value)));
+
+    const target = document.createElement('select');
+    target.id = 'new-relationship-node';
+    target.add(new Option('Connect to...', ''));
+    Array.from(nodeObjects.values())
+        .map(obj => obj.userData)
+        .filter(other => other.id !== node.userData.id && !other.cluster)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(other => target.add(new Option(other.name, other.id)));
+
+    const action = document.createElement('input');
+    action.type = 'text';
+    action.id = 'new-relationship-action';
+    action.placeholder = 'e.g. works with';
+    action.maxLength = 200;
+
+    const add = document.createElement('button');
+    add.className = 'action-button primary';
+    add.textContent = 'Add';
+    add.addEventListener('click', createRelationship);
+
+    addRow.append(direction, target, action, add);
+    editor.appendChild(addRow);
+}
+
+// Apply a relationship edit's delta and keep the modal showing the (possibly recreated) selected node
+function applyRelationshipDelta(delta) {
+    const nodeId = selectedNode.userData.id;
+    applyGraphDelta(delta);
+    const node = nodeObjects.get(nodeId);
+    if (node) {
+        selectNode(node, { refresh: true });
+        renderRelationshipEditor();
+    }
+}
+
+async function createRelationship() {
+    if (!selectedNode) return;
+
+    const otherId = document.getElementById('new-relationship-node').value;
+    const action = document.getElementById('new-relationship-action').value.trim();
+    if (!otherId || !action) {
+        alert('Choose a node and describe the relationship');
+        return;
+    }
+
+    const outgoing = document.getElementById('new-relationship-direction').value === 'out';
+    try {
+        const response = await apiCall('/api/relationship', {
+            method: 'POST',
+            body: JSON.stringify({
+                source: outgoing ? selectedNode.userData.id : otherId,
+                target: outgoing ? otherId : selectedNode.userData.id,
+                action: encryptionState.enabled ? await GraphCrypto.encrypt(action) : action
+            })
+        });
+        if (!response) return;
+
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to create relationship');
+            return;
+        }
+        applyRelationshipDelta(data.delta);
+    } catch (error) {
+        console.error('Error creating relationship:', error);
+        alert('Failed to create relationship');
+    }
+}
+
+// changes: { action } and/or { reverse: true }
+async function updateRelationship(relationshipId, changes) {
+    try {
+        if (encryptionState.enabled && changes.action !== undefined) {
+            changes = { ...changes, action: await GraphCrypto.encrypt(changes.action) };
+        }
+        const response = await apiCall(`/api/relationship/${encodeURIComponent(relationshipId)}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+        if (!response) return;
+
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to update relationship');
+            renderRelationshipEditor();
+            return;
+        }
+        applyRelationshipDelta(data.delta);
+    } catch (error) {
+        console.error('Error updating relationship:', error);
+        alert('Failed to update relationship');
+    }
+}
+
+async function deleteRelationship(relationshipId, description) {
+    if (!confirm(`Delete "${description}"?`)) return;
+
+    try {
+        const response = await apiCall(`/api/relationship/${encodeURIComponent(relationshipId)}`, {
+            method: 'DELETE'
+        });
+
+        if (response && response.ok) {
+            const data = await response.json();
+            applyRelationshipDelta(data.delta);
+        }
+    } catch (error) {
+        console.error('Error deleting relationship:', error);
+        alert('Failed to delete relationship');
+    }
+}
+
+// Close edit modal
+function closeEditModal() {
+    const modal = document.getElementById('edit-node-modal');
+    if (modal) {
+        modal.remove();
+        document.body.classList.remove('modal-open');
+    }
+}
+
+// Update selected node
+async function updateSelectedNode() {
+    if (!selectedNode) return;
+
+    const nameInput = document.getElementById('edit-node-name');
+    const typeSelect = document.getElementById('edit-node-type');
+    const newName = nameInput.value.trim();
+    const newType = typeSelect.value;
+
+    if (!newName) {
+        alert('Name cannot be empty');
+        return;
+    }
+
+    try {
+        const properties = collectPropertyEditor();
+        const response = await apiCall(`/api/node/${encodeURIComponent(selectedNode.userData.id)}`, {
+            method: 'PUT',
             body: JSON.stringify({
                 uid: localStorage.getItem('uid'),
-                name: newName,
-                type: newType
+                name: encryptionState.enabled ? await GraphCrypto.encrypt(newName) : newName,
+                type: newType,
+                properties: encryptionState.enabled ? await encryptProperties(properties) : properties
             })
         });
+        if (!response) return;
+
+        if (response.status === 400) {
+            const data = await response.json();
+            const details = Object.entries(data.properties || {}).map(([key, message]) => `${key}: ${message}`);
+            alert([data.error, ...details].join('\n'));
+            return;
+        }
 
         if (response.ok) {
             const data = await response.json();
-            updateVisualization(data);
+            applyGraphDelta(data.delta);
             closeEditModal();
             // Reselect the updated node
             const updatedNode = nodeObjects.get(selectedNode.userData.id);
@@ -635,13 +2090,13 @@ async function deleteSelectedNode() {
     if (!selectedNode || !confirm('Are you sure you want to delete this node and all its relationships?')) return;
 
     try {
-        const response = await apiCall(`/api/node/${selectedNode.userData.id}`, {
+        const response = await apiCall(`/api/node/${encodeURIComponent(selectedNode.userData.id)}`, {
             method: 'DELETE'
         });
 
         if (response.ok) {
             const data = await response.json();
-            updateVisualization(data);
+            applyGraphDelta(data.delta);
             closeEditModal();
             selectNode(null); // Deselect node
         }
@@ -651,6 +2106,111 @@ async function deleteSelectedNode() {
     }
 }
 
+// Merge selected node into another node
+async function mergeSelectedNode() {
+    if (!selectedNode) return;
+
+    const keepNodeId = document.getElementById('merge-node-target').value;
+    if (!keepNodeId) {
+        alert('Choose a node to merge into');
+        return;
+    }
+
+    const keepNode = nodeObjects.get(keepNodeId);
+    if (!confirm(`Merge "${selectedNode.userData.name}" into "${keepNode.userData.name}"? Its connections will move to "${keepNode.userData.name}".`)) return;
+
+    try {
+        const response = await apiCall('/api/node/merge', {
+            method: 'POST',
+            body: JSON.stringify({
+                keepNodeId: keepNodeId,
+                mergeNodeId: selectedNode.userData.id
+            })
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            applyGraphDelta(data.delta);
+            closeEditModal();
+            const mergedNode = nodeObjects.get(keepNodeId);
+            selectNode(mergedNode || null);
+        }
+    } catch (error) {
+        console.error('Error merging nodes:', error);
+        alert('Failed to merge nodes');
+    }
+}
+
+// Import a graph file (JSON-LD, GraphML, or CSV nodes/edges tables)
+async function importGraphFiles(files) {
+    const status = document.getElementById('import-status');
+    const list = Array.from(files);
+    if (list.length === 0) return;
+
+    const readFile = file => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+
+    try {
+        const contents = await Promise.all(list.map(readFile));
+        const name = list[0].name.toLowerCase();
+        let body;
+
+        if (name.endsWith('.csv')) {
+            // The edges table is the one with Source/Target columns
+            const isEdges = text => /^\uFEFF?\s*"?source"?\s*,/i.test(text);
+            body = {
+                format: 'csv',
+                data: contents.find(text => !isEdges(text)),
+                edges: contents.find(isEdges)
+            };
+        } else if (name.endsWith('.graphml') || name.endsWith('.xml')) {
+            body = { format: 'graphml', data: contents[0] };
+        } else {
+            body = { format: 'jsonld', data: contents[0] };
+        }
+
+        status.textContent = 'Importing...';
+        const response = await apiCall('/api/import', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        if (!response) return;
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Import failed');
+        }
+
+        // Encrypted graph: the server only parsed the file
+        if (data.extracted) {
+            const saved = await saveEncryptedExtraction(data.extracted, {
+                type: 'import',
+                text: `Imported ${body.format} file: ${data.extracted.entities.length} nodes, ${data.extracted.relationships.length} relationships`
+            });
+            if (!saved) return;
+            reloadMemoryGraph();
+            status.textContent = `Imported ${data.extracted.entities.length} nodes and ${data.extracted.relationships.length} connections` +
+                (data.skipped ? `, skipped ${data.skipped} invalid items` : '') +
+                (saved.rejected && saved.rejected.length ? `, ${saved.rejected.length} rejected` : '');
+            return;
+        }
+
+        updateVisualization(data);
+        const { imported } = data;
+        status.textContent = `Imported ${imported.nodes} nodes and ${imported.relationships} connections` +
+            (imported.merged ? ` (${imported.merged} merged into existing nodes)` : '') +
+            (imported.skipped ? `, skipped ${imported.skipped} invalid items` : '') +
+            (imported.rejected && imported.rejected.length ? `, ${imported.rejected.length} rejected` : '');
+    } catch (error) {
+        console.error('Error importing graph:', error);
+        status.textContent = `Import failed: ${error.message}`;
+    }
+}
+
 // Data deletion functions
 function showDeleteConfirmation() {
     document.getElementById('delete-modal').style.display = 'flex';
@@ -722,14 +2282,262 @@ async function deleteAllData() {
     }
 }
 
-// Get color based on node type
+// The user's node types ({ name, description, color, icon, builtin, count }), from /api/node-types
+let nodeTypes = [];
+
+function nodeTypeNames() {
+    return nodeTypes.length > 0 ? nodeTypes.map(type => type.name) : ['person', 'location', 'event', 'concept'];
+}
+
+function nodeTypeIcon(type) {
+    const definition = nodeTypes.find(known => known.name === type);
+    return definition ? definition.icon : null;
+}
+
+// Load the ontology and refresh everything that lists types
+async function loadNodeTypes() {
+    try {
+        const response = await apiCall('/api/node-types');
+        if (!response || !response.ok) return;
+
+        const data = await response.json();
+        nodeTypes = data.types;
+
+        const typeFilter = document.getElementById('search-type');
+        if (typeFilter) {
+            const current = typeFilter.value;
+            typeFilter.innerHTML = '';
+            typeFilter.add(new Option('All types', ''));
+            nodeTypes.forEach(type => typeFilter.add(new Option(type.name, type.name)));
+            typeFilter.value = nodeTypes.some(type => type.name === current) ? current : '';
+        }
+
+        renderNodeTypeEditor(data.unknown || []);
+    } catch (error) {
+        console.error('Error loading node types:', error);
+    }
+}
+
+// Profile tab: restyle, add, delete and retype node types
+function renderNodeTypeEditor(unknownTypes) {
+    const editor = document.getElementById('node-type-editor');
+    if (!editor) return;
+    editor.innerHTML = '';
+
+    const typeSelect = (exclude) => {
+        const select = document.createElement('select');
+        nodeTypes.filter(type => type.name !== exclude).forEach(type => select.add(new Option(type.name, type.name)));
+        return select;
+    };
+
+    nodeTypes.forEach(type => {
+        const row = document.createElement('div');
+        row.className = 'node-type-row';
+
+        const name = document.createElement('span');
+        name.className = 'node-type-name';
+        name.textContent = `${type.name} (${type.count})`;
+        name.title = type.builtin ? 'Built-in type' : 'Your type';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = type.color || '#4a9eff';
+
+        const icon = document.createElement('input');
+        icon.type = 'text';
+        icon.className = 'node-type-icon';
+        icon.value = type.icon || '';
+        icon.placeholder = 'Icon';
+
+        const description = document.createElement('input');
+        description.type = 'text';
+        description.value = type.description;
+        description.placeholder = 'What belongs in this type (helps extraction)';
+
+        const properties = document.createElement('input');
+        properties.type = 'text';
+        properties.className = 'node-type-properties';
+        properties.value = formatPropertySchema(type.properties || {});
+        properties.placeholder = 'Properties, e.g. deadline:date, client';
+
+        const save = document.createElement('button');
+        save.className = 'action-button';
+        save.textContent = 'Save';
+        save.addEventListener('click', () => saveNodeType(type.name, {
+            color: color.value,
+            icon: icon.value.trim(),
+            description: description.value.trim(),
+            properties: parsePropertySchema(properties.value)
+        }));
+
+        const remove = document.createElement('button');
+        remove.className = 'action-button danger';
+        remove.textContent = type.builtin ? 'Reset' : 'Delete';
+        remove.title = type.builtin ? 'Restore the default colour, icon, description and properties' : 'Delete this type';
+        remove.addEventListener('click', () => deleteNodeType(type, typeSelect(type.name)));
+
+        row.append(name, color, icon, description, save, remove, properties);
+        editor.appendChild(row);
+    });
+
+    // Types nodes still carry but that aren't defined (e.g. after an import)
+    unknownTypes.forEach(type => {
+        const row = document.createElement('div');
+        row.className = 'node-type-row';
+
+        const name = document.createElement('span');
+        name.className = 'node-type-name';
+        name.textContent = `${type.name} (${type.count}, undefined)`;
+
+        const target = typeSelect(null);
+        const retype = document.createElement('button');
+        retype.className = 'action-button';
+        retype.textContent = 'Move nodes';
+        retype.addEventListener('click', () => retypeNodes(type.name, target.value));
+
+        row.append(name, target, retype);
+        editor.appendChild(row);
+    });
+
+    const addRow = document.createElement('div');
+    addRow.className = 'node-type-row';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.placeholder = 'New type, e.g. project';
+    name.maxLength = 30;
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = '#4a9eff';
+
+    const icon = document.createElement('input');
+    icon.type = 'text';
+    icon.className = 'node-type-icon';
+    icon.placeholder = 'Icon';
+
+    const add = document.createElement('button');
+    add.className = 'action-button primary';
+    add.textContent = 'Add type';
+    add.addEventListener('click', () => saveNodeType(name.value.trim().toLowerCase(), {
+        color: color.value,
+        icon: icon.value.trim()
+    }));
+
+    addRow.append(name, color, icon, add);
+    editor.appendChild(addRow);
+}
+
+// { deadline: 'date', client: 'text' } <-> "deadline:date, client"
+function formatPropertySchema(schema) {
+    return Object.entries(schema)
+        .map(([key, kind]) => kind === 'text' ? key : `${key}:${kind}`)
+        .join(', ');
+}
+
+function parsePropertySchema(text) {
+    const schema = {};
+    text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [key, kind] = part.split(':').map(piece => piece.trim());
+        schema[key.toLowerCase()] = (kind || 'text').toLowerCase();
+    });
+    return schema;
+}
+
+// Colours and icons are baked into the scene, so type changes redraw the graph
+async function afterNodeTypeChange() {
+    await loadNodeTypes();
+    reloadMemoryGraph();
+}
+
+async function saveNodeType(name, definition) {
+    if (!name) return;
+
+    try {
+        const response = await apiCall(`/api/node-types/${encodeURIComponent(name)}`, {
+            method: 'PUT',
+            body: JSON.stringify(definition)
+        });
+        if (!response) return;
+
+        if (!response.ok) {
+            const data = await response.json();
+            alert(data.error || 'Failed to save node type');
+            return;
+        }
+        await afterNodeTypeChange();
+    } catch (error) {
+        console.error('Error saving node type:', error);
+        alert('Failed to save node type');
+    }
+}
+
+// Nodes of a deleted type move to the type picked in `replacement`
+async function deleteNodeType(type, replacement) {
+    let query = '';
+    if (!type.builtin && type.count > 0) {
+        const choice = prompt(
+            `${type.count} nodes have the type "${type.name}". Move them to which type?\n(${Array.from(replacement.options).map(option => option.value).join(', ')})`,
+            replacement.value
+        );
+        if (!choice) return;
+        query = `?retypeTo=${encodeURIComponent(choice.trim())}`;
+    } else if (!confirm(type.builtin ? `Reset "${type.name}" to its default style?` : `Delete the type "${type.name}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await apiCall(`/api/node-types/${encodeURIComponent(type.name)}${query}`, {
+            method: 'DELETE'
+        });
+        if (!response) return;
+
+        if (!response.ok) {
+            const data = await response.json();
+            alert(data.error || 'Failed to delete node type');
+            return;
+        }
+        await afterNodeTypeChange();
+    } catch (error) {
+        console.error('Error deleting node type:', error);
+        alert('Failed to delete node type');
+    }
+}
+
+async function retypeNodes(from, to) {
+    try {
+        const response = await apiCall('/api/node-types/retype', {
+            method: 'POST',
+            body: JSON.stringify({ from, to })
+        });
+        if (!response) return;
+
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Failed to retype nodes');
+            return;
+        }
+        await afterNodeTypeChange();
+    } catch (error) {
+        console.error('Error retyping nodes:', error);
+        alert('Failed to retype nodes');
+    }
+}
+
+// Get color based on node type: the user's colour for it, else the defaults
 function getNodeColor(type) {
+    const definition = nodeTypes.find(known => known.name === type);
+    if (definition && definition.color) {
+        return parseInt(definition.color.slice(1), 16);
+    }
+
     // Distinct, vibrant colors for each type
     const colors = {
         person: 0xff4d4d,    // Bright red for people
         location: 0x4ecdc4,  // Turquoise for locations
         event: 0xffd93d,     // Bright yellow for events
-        concept: 0xa78bfa    // Purple for concepts
+        concept: 0xa78bfa,   // Purple for concepts
+        cluster: 0x6b7280    // Muted gray for cluster summaries
     };
     return colors[type] || 0x4a9eff;
 }
@@ -745,6 +2553,7 @@ function animate() {
             node.userData.animate();
         }
     });
+    updateAppearing(performance.now());
 
     composer.render();
 }
@@ -763,6 +2572,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         window.history.replaceState({}, document.title, window.location.pathname);
     }
 
+    // An encrypted graph stays locked until the passphrase is entered
+    await loadEncryptionState();
+    if (encryptionState.enabled) {
+        await unlockGraph();
+    }
+
     initScene();
     animate();
 
@@ -798,9 +2613,30 @@ document.addEventListener('DOMContentLoaded', async () => {
                     })
                 });
 
-                if (response.ok) {
+                // Encrypted graph: the server only extracted; matching and saving happen here
+                if (response.ok && encryptionState.enabled) {
+                    const { extracted } = await response.json();
+                    const saved = await saveEncryptedExtraction(extracted, { type: 'upload', text: `User: ${text}\n` });
+                    if (saved.delta) {
+                        applyGraphDelta(saved.delta);
+                    } else {
+                        updateVisualization(saved);
+                    }
+
+                    textUpload.value = '';
+                    uploadStatus.innerHTML = `
+                        <div class="success">
+                            <span class="icon">✓</span>
+                            Text processed and saved encrypted
+                        </div>
+                    `;
+                } else if (response.ok) {
                     const data = await response.json();
-                    updateVisualization(data);
+                    if (data.delta) {
+                        applyGraphDelta(data.delta);
+                    } else {
+                        updateVisualization(data);
+                    }
 
                     // Clear input and show success message
                     textUpload.value = '';
@@ -841,11 +2677,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (!message) return;
 
             // Add user message to chat
-            const userMessageDiv = document.createElement('div');
-            userMessageDiv.className = 'message user';
-            userMessageDiv.textContent = message;
-            chatMessages.appendChild(userMessageDiv);
-            chatMessages.scrollTop = chatMessages.scrollHeight;
+            appendChatMessage('user', message);
 
             // Clear input
             chatInput.value = '';
@@ -853,26 +2685,39 @@ document.addEventListener('DOMContentLoaded', async () => {
             try {
                 const response = await apiCall('/api/chat', {
                     method: 'POST',
-                    body: JSON.stringify({ message })
+                    body: JSON.stringify(encryptionState.enabled ? {
+                        message,
+                        history: encryptedChatHistory,
+                        plaintext: await chatPlaintext(message)
+                    } : {
+                        message,
+                        session_id: currentChatSessionId || undefined
+                    })
                 });
                 if (response) {
                     const data = await response.json();
+                    if (!response.ok) {
+                        throw new Error(data.error || 'Chat failed');
+                    }
 
                     // Add AI response to chat
-                    const aiMessageDiv = document.createElement('div');
-                    aiMessageDiv.className = 'message ai';
-                    aiMessageDiv.textContent = data.response;
-                    chatMessages.appendChild(aiMessageDiv);
-                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                    appendChatMessage('ai', data.response, data.citations);
+                    highlightCitedNodes(data.citations);
+
+                    if (encryptionState.enabled) {
+                        encryptedChatHistory.push(
+                            { text: message, is_user: true },
+                            { text: data.response, is_user: false, citations: data.citations }
+                        );
+                    } else if (data.session_id !== currentChatSessionId) {
+                        currentChatSessionId = data.session_id;
+                        loadChatSessions();
+                    }
                 }
             } catch (error) {
                 console.error('Chat error:', error);
                 // Show error message in chat
-                const errorDiv = document.createElement('div');
-                errorDiv.className = 'message error';
-                errorDiv.textContent = 'Sorry, there was an error processing your message.';
-                chatMessages.appendChild(errorDiv);
-                chatMessages.scrollTop = chatMessages.scrollHeight;
+                appendChatMessage('error', 'Sorry, there was an error processing your message.');
             }
         });
 
@@ -885,112 +2730,42 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
-    // Initialize search functionality
-    const searchBtn = document.getElementById('search-btn');
-    const searchInput = document.getElementById('search-input');
-    const searchResults = document.getElementById('search-results');
-
-    if (searchBtn && searchInput) {
-        searchBtn.addEventListener('click', () => {
-            const query = searchInput.value.trim();
-            if (!query) return;
-
-            // Clear previous results
-            searchResults.innerHTML = '';
-
-            // Get all nodes that match the search
-            const matchingNodes = Array.from(nodeObjects.values())
-                .filter(node =>
-                    node.userData.name.toLowerCase().includes(query.toLowerCase()) ||
-                    node.userData.type.toLowerCase().includes(query.toLowerCase())
-                );
-
-            if (matchingNodes.length > 0) {
-                matchingNodes.forEach(node => {
-                    // Find connected nodes and relationships
-                    const connections = lineObjects
-                        .filter(line =>
-                            line.userData.source === node ||
-                            line.userData.target === node
-                        )
-                        .map(line => ({
-                            node: line.userData.source === node ?
-                                line.userData.target : line.userData.source,
-                            action: line.userData.action,
-                            isSource: line.userData.source === node
-                        }));
-
-                    const resultDiv = document.createElement('div');
-                    resultDiv.className = 'search-result';
-                    resultDiv.innerHTML = `
-                        <div class="result-header">
-                            <div class="result-type">${node.userData.type}</div>
-                            <div class="result-name">${node.userData.name}</div>
-                        </div>
-                        <div class="result-connections">
-                            ${connections.length ? `
-                                <div class="connections-count">${connections.length} connections:</div>
-                                <div class="connections-list">
-                                    ${connections.slice(0, 3).map(conn =>
-                        `<div class="connection">
-                                            ${conn.isSource ? '→' : '←'} ${conn.action} ${conn.node.userData.name}
-                                        </div>`
-                    ).join('')}
-                                    ${connections.length > 3 ? `<div class="more-connections">+${connections.length - 3} more...</div>` : ''}
-                                </div>
-                            ` : '<div class="no-connections">No connections</div>'}
-                        </div>
-                    `;
-
-                    // Click handler to focus on node
-                    resultDiv.addEventListener('click', () => {
-                        // Smooth camera transition
-                        const nodePos = node.position;
-                        const distance = 150;  // Fixed distance for consistent view
-                        const targetPos = new THREE.Vector3(
-                            nodePos.x + distance,
-                            nodePos.y + distance,
-                            nodePos.z + distance
-                        );
-
-                        // Animate camera movement
-                        const startPos = camera.position.clone();
-                        const startLook = controls.target.clone();
-                        const endLook = nodePos.clone();
-
-                        const duration = 1000;  // 1 second
-                        const startTime = Date.now();
-
-                        function animateCamera() {
-                            const elapsed = Date.now() - startTime;
-                            const progress = Math.min(elapsed / duration, 1);
-
-                            // Smooth easing
-                            const ease = progress < 0.5 ?
-                                2 * progress * progress :
-                                -1 + (4 - 2 * progress) * progress;
-
-                            camera.position.lerpVectors(startPos, targetPos, ease);
-                            controls.target.lerpVectors(startLook, endLook, ease);
-                            controls.update();
-
-                            if (progress < 1) {
-                                requestAnimationFrame(animateCamera);
-                            } else {
-                                // Select the node after camera movement
-                                selectNode(node);
-                            }
-                        }
+    // Initialize graph import
+    const importBtn = document.getElementById('import-graph');
+    const importFile = document.getElementById('import-file');
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', () => importGraphFiles(importFile.files));
+    }
 
-                        animateCamera();
-                    });
+    // Initialize chat session switching
+    const sessionSelect = document.getElementById('chat-session-select');
+    const sessionNewBtn = document.getElementById('chat-session-new');
+    const sessionDeleteBtn = document.getElementById('chat-session-delete');
 
-                    searchResults.appendChild(resultDiv);
-                });
+    if (sessionSelect) {
+        sessionSelect.addEventListener('change', () => {
+            if (sessionSelect.value) {
+                openChatSession(sessionSelect.value);
             } else {
-                searchResults.innerHTML = '<div class="no-results">No matching nodes found</div>';
+                startNewChatSession();
             }
         });
+        sessionNewBtn.addEventListener('click', startNewChatSession);
+        sessionDeleteBtn.addEventListener('click', deleteCurrentChatSession);
+        // Conversations with an encrypted graph aren't stored
+        if (encryptionState.enabled) {
+            sessionSelect.disabled = true;
+        } else {
+            loadChatSessions();
+        }
+    }
+
+    // Initialize search functionality
+    const searchBtn = document.getElementById('search-btn');
+    const searchInput = document.getElementById('search-input');
+
+    if (searchBtn && searchInput) {
+        searchBtn.addEventListener('click', runSearch);
 
         // Handle enter key for search
         searchInput.addEventListener('keypress', (e) => {
@@ -999,6 +2774,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                 searchBtn.click();
             }
         });
+
+        // Re-run the current search when a filter changes
+        ['search-type', 'search-since'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) filter.addEventListener('change', () => {
+                if (searchInput.value.trim()) runSearch();
+            });
+        });
     }
 
     // Initialize tab switching
@@ -1013,19 +2796,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             if (tab === 'profile') {
                 loadProfile();
+                renderEncryptionSection();
             }
         });
     });
 
-    // Load initial memory graph
-    apiCall('/api/memory-graph')
-        .then(response => response && response.json())
-        .then(data => {
-            if (data) {
-                updateVisualization(data);
-            }
-        })
-        .catch(console.error);
+    // Load the user's node types (colours, icons) and the initial memory graph, then follow changes made elsewhere
+    loadNodeTypes().then(reloadMemoryGraph).then(processPendingMemories);
+    subscribeToGraphEvents();
 
     // Initialize mobile UI toggle
     const mobileToggle = document.getElementById('mobile-toggle');
@@ -11,6 +11,8 @@ const STATIC_ASSETS = [
   '/offline.html',
   '/style.css',
   '/script.js',
+  '/graph-crypto.js',
+  '/graph-matching.js',
   '/logo.jpg',
   '/manifest.json',
   'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap',
@@ -1,5 +1,6 @@
 -- Stored procedure for atomic user data reset
 -- This ensures all operations happen together or not at all
+-- It removes the same rows as deleteUserData in storage-supabase.js and storage-sqlite.js; change them together
 
 CREATE OR REPLACE FUNCTION public.reset_user_data(p_uid TEXT)
 RETURNS void
@@ -9,22 +10,38 @@ AS $$
 BEGIN
     -- Ensure predictable search_path for SECURITY DEFINER
     PERFORM set_config('search_path', 'public', true);
-    
+
+    -- Sign-in sessions, so every browser is signed out
+    DELETE FROM brain_login_sessions WHERE uid = p_uid;
+
+    -- OMI memories still sealed for the browser to extract
+    DELETE FROM brain_pending_memories WHERE uid = p_uid;
+
+    -- Chat history and the user's node types
+    DELETE FROM brain_chat_sessions WHERE uid = p_uid;
+    DELETE FROM brain_node_types WHERE uid = p_uid;
+
+    -- Cached enrichment results
+    DELETE FROM memory_node_enrichment WHERE uid = p_uid;
+
+    -- Source transcripts (provenance links cascade with them)
+    DELETE FROM memory_sources WHERE uid = p_uid;
+
+    -- Forget which OMI memories were ingested so they can be replayed
+    DELETE FROM brain_processed_memories WHERE uid = p_uid;
+
     -- Order matters if you don't have ON DELETE CASCADE:
     -- Delete relationships first (they reference nodes)
     DELETE FROM memory_relationships WHERE uid = p_uid;
-    
+
     -- Then delete nodes
     DELETE FROM memory_nodes WHERE uid = p_uid;
-    
-    -- Finally reset user's encryption key status
-    UPDATE brain_users 
-    SET 
-        code_check = NULL,
-        has_key = false
-    WHERE uid = p_uid;
-    
-    -- If no rows were updated (user doesn't exist), that's okay
+
+    -- Finally the user row, with its pending sign-in code and encryption key material
+    -- (has_key, key_salt, key_check, public_key, private_key)
+    DELETE FROM brain_users WHERE uid = p_uid;
+
+    -- If the user doesn't exist, that's okay
     -- The function will complete successfully
 END;
 $$;
@@ -32,4 +49,4 @@ $$;
 -- Revoke execute from public roles, only allow through API server
 REVOKE EXECUTE ON FUNCTION public.reset_user_data(TEXT) FROM anon, authenticated;
 -- If you need authenticated users to call it directly, uncomment:
--- GRANT EXECUTE ON FUNCTION public.reset_user_data(TEXT) TO authenticated;
\ No newline at end of file
+-- GRANT EXECUTE ON FUNCTION public.reset_user_data(TEXT) TO authenticated;
@@ -7,20 +7,27 @@ require('dotenv').config();
 const express = require('express');
 const OpenAI = require('openai');
 const bodyParser = require('body-parser');
-const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
+const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
-const sanitizeHtml = require('sanitize-html');
 const { URL } = require('url');
 const fetch = require('node-fetch');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_ANON_KEY
-);
+const { resolveEntitiesInBatches, mergeAliases, relationshipKey } = require('./entity-resolution');
+const { findSeedNodes, rankFacts } = require('./graph-retrieval');
+const graphFormats = require('./graph-formats');
+const { memoryStrength } = require('./memory-strength');
+const graphLod = require('./graph-lod');
+const { detectCommunities } = require('./graph-communities');
+const nodeTypes = require('./node-types');
+const { createEnrichment, enrichNode } = require('./enrichment');
+const loginCodes = require('./login-codes');
+const graphEncryption = require('./graph-encryption');
+const { BrainSessionStore } = require('./session-store');
+const { createStorage } = require('./storage');
+
+// Initialize storage (Supabase by default, SQLite with BRAIN_STORAGE=sqlite)
+const storage = createStorage();
 
 // Generic error handler to prevent leaking sensitive info
 function handleDatabaseError(error, operation) {
@@ -31,65 +38,12 @@ function handleDatabaseError(error, operation) {
     };
 }
 
-// Initialize database tables
-async function createTables() {
-    try {
-        console.log('Setting up Brain app tables...');
-
-        // Create brain_users table
-        const { error: error1 } = await supabase.rpc('exec_sql', {
-            sql_query: `
-                CREATE TABLE IF NOT EXISTS brain_users (
-                    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-                    uid TEXT UNIQUE NOT NULL,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-                );
-            `
-        });
-
-        // Create memory_nodes table
-        const { error: error2 } = await supabase.rpc('exec_sql', {
-            sql_query: `
-                CREATE TABLE IF NOT EXISTS memory_nodes (
-                    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-                    uid TEXT NOT NULL,
-                    node_id TEXT NOT NULL,
-                    type TEXT,
-                    name TEXT,
-                    connections INTEGER DEFAULT 0,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-                    UNIQUE(uid, node_id)
-                );
-            `
-        });
-
-        // Create memory_relationships table
-        const { error: error3 } = await supabase.rpc('exec_sql', {
-            sql_query: `
-                CREATE TABLE IF NOT EXISTS memory_relationships (
-                    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-                    uid TEXT NOT NULL,
-                    source TEXT NOT NULL,
-                    target TEXT NOT NULL,
-                    action TEXT,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-                );
-            `
-        });
-
-        if (error1 || error2 || error3) {
-            console.log('Tables may already exist or exec_sql function not found.');
-            console.log('Please run the setup-supabase.sql script in your Supabase SQL editor.');
-        } else {
-            console.log('Brain app tables created successfully!');
-        }
-    } catch (err) {
-        console.log('Auto-table creation failed. Please run setup-supabase.sql manually.');
-        console.log('Error:', err.message);
-    }
-}
-
-createTables().catch(console.error);
+storage.init()
+    .then(() => {
+        // Expired sessions are never read again; clear them out now and then
+        setInterval(() => storage.pruneLoginSessions().catch(console.error), 60 * 60 * 1000).unref();
+    })
+    .catch(console.error);
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -100,12 +54,65 @@ const openai = new OpenAI({
     apiKey: process.env.OPENROUTER_API_KEY
 });
 
+const webhookLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 30, // limit webhook to 30 requests per minute
+    message: { error: 'Webhook rate limit exceeded.' },
+});
+
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // sign-in code requests and guesses per IP
+    message: { error: 'Too many sign-in attempts. Please try again later.' },
+});
+
+// How sign-in codes reach the user (OMI notification, or the server log for local use)
+const loginDelivery = loginCodes.createLoginDelivery(process.env);
+
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
 app.use(cookieParser());
 
+// Sessions end after BRAIN_SESSION_IDLE_HOURS without a request, and BRAIN_SESSION_MAX_DAYS after signing in
+// however active they are
+const SESSION_COOKIE = 'brain.sid';
+const SESSION_IDLE_MS = (Number(process.env.BRAIN_SESSION_IDLE_HOURS) || 7 * 24) * 60 * 60 * 1000;
+const SESSION_ABSOLUTE_MS = (Number(process.env.BRAIN_SESSION_MAX_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// SESSION_SECRET may list several secrets separated by commas: the first signs new cookies, the rest
+// are still accepted, so a secret can be rotated without signing everyone out
+function sessionSecrets() {
+    const secrets = (process.env.SESSION_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean);
+    if (secrets.length > 0) return secrets;
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('SESSION_SECRET must be set in production, or every restart signs everyone out');
+    }
+    console.warn('SESSION_SECRET is not set; using a random one, so sessions end when the server restarts');
+    return [crypto.randomBytes(64).toString('hex')];
+}
+
+// Behind a TLS-terminating proxy, BRAIN_TRUST_PROXY (the number of proxies) lets secure cookies and
+// rate limits see the real protocol and client address
+if (process.env.BRAIN_TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.BRAIN_TRUST_PROXY) || process.env.BRAIN_TRUST_PROXY);
+}
+
+const SESSION_SECRETS = sessionSecrets();
+
 app.use(session({
-    secret: process.env.SESSION_SECRET || crypto.randomBytes(64).toString('hex')
+    name: SESSION_COOKIE,
+    secret: SESSION_SECRETS,
+    store: new BrainSessionStore(storage, { ttlMs: SESSION_IDLE_MS }),
+    resave: false,
+    saveUninitialized: false,
+    rolling: true,
+    cookie: {
+        httpOnly: true,
+        secure: 'auto',
+        sameSite: 'lax',
+        maxAge: SESSION_IDLE_MS
+    }
 }));
 app.use(express.static(__dirname + '/public'));
 
@@ -113,6 +120,37 @@ app.get("/privacy", (req, res) => {
     res.sendFile(__dirname + '/public/privacy.html');
 });
 
+// Graph API shape of a stored node / relationship row
+function toGraphNode(node, now = Date.now()) {
+    return {
+        id: node.node_id,
+        type: node.type,
+        name: node.name,
+        aliases: node.aliases || [],
+        properties: node.properties || {},
+        connections: node.connections || 0,
+        created_at: node.created_at,
+        first_seen_at: node.first_seen_at || node.created_at,
+        last_seen_at: node.last_seen_at || node.created_at,
+        mention_count: node.mention_count || 1,
+        strength: memoryStrength(node, now)
+    };
+}
+
+function toGraphRelationship(rel, now = Date.now()) {
+    return {
+        id: rel.id,
+        source: rel.source,
+        target: rel.target,
+        action: rel.action,
+        created_at: rel.created_at,
+        first_seen_at: rel.first_seen_at || rel.created_at,
+        last_seen_at: rel.last_seen_at || rel.created_at,
+        mention_count: rel.mention_count || 1,
+        strength: memoryStrength(rel, now)
+    };
+}
+
 // Load memory graph from database
 async function loadMemoryGraph(uid) {
     const nodes = new Map();
@@ -120,31 +158,18 @@ async function loadMemoryGraph(uid) {
 
     try {
         // Load nodes
-        const { data: dbNodes } = await supabase
-            .from('memory_nodes')
-            .select()
-            .eq('uid', uid);
+        const dbNodes = await storage.listNodes(uid);
+
+        const now = Date.now();
 
         dbNodes.forEach(node => {
-            nodes.set(node.node_id, {
-                id: node.node_id,
-                type: node.type,
-                name: node.name,
-                connections: node.connections
-            });
+            nodes.set(node.node_id, toGraphNode(node, now));
         });
 
         // Load relationships
-        const { data: dbRelationships } = await supabase
-            .from('memory_relationships')
-            .select()
-            .eq('uid', uid);
+        const dbRelationships = await storage.listRelationships(uid);
 
-        relationships.push(...dbRelationships.map(rel => ({
-            source: rel.source,
-            target: rel.target,
-            action: rel.action
-        })));
+        relationships.push(...dbRelationships.map(rel => toGraphRelationship(rel, now)));
 
         return { nodes, relationships };
     } catch (error) {
@@ -153,574 +178,2715 @@ async function loadMemoryGraph(uid) {
     }
 }
 
-// Save memory graph to database
-async function saveMemoryGraph(uid, newData) {
-    try {
-        // Save new nodes
-        for (const entity of newData.entities) {
-            await supabase
-                .from('memory_nodes')
-                .upsert([
-                    {
-                        uid: uid,
-                        node_id: entity.id,
-                        type: entity.type,
-                        name: entity.name,
-                        connections: entity.connections
-                    }
-                ]);
-        }
+// Level-of-detail loading: relationships read around the visible nodes, and nodes per cluster expansion
+const GRAPH_VIEW_EDGE_LIMIT = 20000;
+const CLUSTER_PAGE_SIZE = 100;
 
-        // Save new relationships
-        for (const rel of newData.relationships) {
-            await supabase
-                .from('memory_relationships')
-                .upsert([
-                    {
-                        uid: uid,
-                        source: rel.source,
-                        target: rel.target,
-                        action: rel.action
-                    }
-                ]);
-        }
-    } catch (error) {
-        throw error;
-    }
+function byDegree(a, b) {
+    return ((b.connections || 0) - (a.connections || 0)) ||
+        ((b.mention_count || 1) - (a.mention_count || 1)) ||
+        a.node_id.localeCompare(b.node_id);
 }
 
-// Process chat with efficient context
-async function processChatWithGPT(uid, message) {
-    const memoryGraph = await getcontextArray(uid);
-    const contextString = `People and Places: ${Array.from(memoryGraph.nodes.values()).map(n => n.name).join(', ')}\n` +
-        `Facts: ${memoryGraph.relationships.map(r => `${r.source} ${r.action} ${r.target}`).join('. ')}`;
-
-    const systemPrompt = `You are a friendly and engaging AI companion with access to these memories:
+// Work out a top-K view: which nodes are shown (by degree, or by memory strength),
+// which hidden nodes hang off each shown node, and how many other nodes of each type are left over
+async function planGraphView(uid, { limit, rank = 'degree' }) {
+    let top;
+    if (rank === 'strength') {
+        // Strength isn't stored, so rank the most recently seen candidates here
+        const now = Date.now();
+        top = (await storage.listNodesPage(uid, { orderBy: 'recent', limit: limit * 3 }))
+            .sort((a, b) => memoryStrength(b, now) - memoryStrength(a, now))
+            .slice(0, limit);
+    } else {
+        top = await storage.listNodesPage(uid, { limit });
+    }
 
-${contextString}
+    const visibleIds = top.map(node => node.node_id);
+    const edges = visibleIds.length > 0
+        ? await storage.relationshipsTouching(uid, visibleIds, GRAPH_VIEW_EDGE_LIMIT)
+        : [];
+    const anchored = graphLod.groupByAnchor(visibleIds, edges);
+    const hidden = new Map((await storage.getNodes(uid, [...anchored.values()].flat()))
+        .map(node => [node.node_id, node]));
+
+    const typeCounts = await storage.countNodesByType(uid);
+    const total = typeCounts.reduce((sum, row) => sum + Number(row.count), 0);
+
+    // Per type: nodes neither shown nor hanging off a shown node
+    const looseCounts = new Map(typeCounts.map(row => [row.type || '', Number(row.count)]));
+    [...top, ...hidden.values()].forEach(node => {
+        const type = node.type || '';
+        looseCounts.set(type, (looseCounts.get(type) || 0) - 1);
+    });
 
-Personality Guidelines:
-- Be warm and conversational, like chatting with a friend
-- Show enthusiasm and genuine interest
-- Use casual language and natural expressions
-- Add personality with occasional humor or playful remarks
-- Be empathetic and understanding
-- Share insights in a relatable way
+    return {
+        top,
+        visible: new Set(visibleIds),
+        edges,
+        anchored,
+        hidden,
+        looseCounts,
+        total
+    };
+}
 
-When responding:
-1. Make it personal:
-   - Connect memories to emotions and experiences
-   - Share observations like you're telling a story
-   - Use "I notice" or "I remember" instead of formal statements
-   - Express excitement about interesting connections
+// The top-K nodes, the relationships between them and one summary node per cluster of hidden nodes
+async function loadGraphView(uid, options) {
+    const plan = await planGraphView(uid, options);
+    const now = Date.now();
+
+    const nodes = plan.top.map(node => toGraphNode(node, now));
+    const relationships = plan.edges
+        .filter(rel => plan.visible.has(rel.source) && plan.visible.has(rel.target))
+        .map(rel => toGraphRelationship(rel, now));
+
+    const names = new Map(plan.top.map(node => [node.node_id, node.name]));
+    plan.anchored.forEach((hiddenIds, anchorId) => {
+        const id = graphLod.anchorClusterId(anchorId);
+        nodes.push(graphLod.clusterNode(id, {
+            remaining: hiddenIds.length,
+            anchor: { id: anchorId, name: names.get(anchorId) }
+        }));
+        relationships.push(graphLod.clusterEdge(id, anchorId));
+    });
 
-2. Keep it natural:
-   - Chat like a friend would
-   - Use contractions (I'm, you're, that's)
-   - Add conversational fillers (you know, actually, well)
-   - React naturally to discoveries ("Oh, that's interesting!")
+    plan.looseCounts.forEach((count, type) => {
+        if (count > 0) {
+            nodes.push(graphLod.clusterNode(graphLod.typeClusterId(type), { remaining: count, type }));
+        }
+    });
 
-3. Be helpful but human:
-   - If you know something, share it enthusiastically
-   - If you don't know, be honest and casual about it
-   - Suggest possibilities and connections
-   - Show curiosity about what you're discussing
+    return { nodes, relationships, total: plan.total, shown: plan.top.length };
+}
 
-Memory Status: ${memoryGraph.nodes.length > 0 ?
-            `I've got quite a collection here - ${memoryGraph.nodes.length} memories all connected in interesting ways!` :
-            "I don't have any memories stored yet, but I'm excited to learn!"}`;
+// Next page of a cluster's hidden nodes as a delta: the nodes and their relationships are added,
+// the cluster node is updated with what's left (or removed once it is empty). Null for unknown clusters.
+async function expandGraphCluster(uid, clusterId, { limit, rank, offset = 0 }) {
+    const parsed = graphLod.parseClusterId(clusterId);
+    if (!parsed) return null;
+
+    const plan = await planGraphView(uid, { limit, rank });
+    let members;
+    let total;
+    let anchor = null;
+
+    if (parsed.kind === 'anchor') {
+        const hiddenIds = plan.anchored.get(parsed.key);
+        if (!hiddenIds) return null;
+
+        members = hiddenIds.map(id => plan.hidden.get(id)).filter(Boolean).sort(byDegree);
+        total = members.length;
+        anchor = { id: parsed.key, name: plan.top.find(node => node.node_id === parsed.key).name };
+    } else {
+        // Walk this type's nodes in degree order, skipping those shown or in an anchor cluster
+        members = [];
+        const batchSize = 500;
+        for (let dbOffset = 0; members.length < offset + CLUSTER_PAGE_SIZE; dbOffset += batchSize) {
+            const batch = await storage.listNodesPage(uid, { type: parsed.key, offset: dbOffset, limit: batchSize });
+            members.push(...batch.filter(node => !plan.visible.has(node.node_id) && !plan.hidden.has(node.node_id)));
+            if (batch.length < batchSize) break;
+        }
+        total = plan.looseCounts.get(parsed.key) || 0;
+    }
 
-    try {
-        const completion = await openai.chat.completions.create({
-            model: "openai/gpt-4o",
-            messages: [
-                {
-                    role: "system",
-                    content: systemPrompt
-                },
-                {
-                    role: "user",
-                    content: message
-                }
-            ],
-            temperature: 0.7,
-            max_tokens: 150
-        });
+    const page = members.slice(offset, offset + CLUSTER_PAGE_SIZE);
+    const pageIds = page.map(node => node.node_id);
+    const edges = pageIds.length > 0
+        ? await storage.relationshipsTouching(uid, pageIds, GRAPH_VIEW_EDGE_LIMIT)
+        : [];
+
+    const now = Date.now();
+    const remaining = Math.max(total - offset - page.length, 0);
+    const delta = {
+        added: {
+            nodes: page.map(node => toGraphNode(node, now)),
+            relationships: edges.map(rel => toGraphRelationship(rel, now))
+        },
+        updated: { nodes: [], relationships: [] },
+        removed: { nodes: [], relationships: [] }
+    };
 
-        return completion.choices[0].message.content;
-    } catch (error) {
-        console.error('Error processing chat:', error);
-        throw error;
+    if (remaining > 0) {
+        delta.updated.nodes.push(graphLod.clusterNode(clusterId, {
+            remaining,
+            offset: offset + page.length,
+            anchor,
+            type: parsed.kind === 'type' ? parsed.key : null
+        }));
+    } else {
+        delta.removed.nodes.push(clusterId);
     }
+
+    return delta;
 }
 
-async function getcontextArray(uid) {
-    const memoryGraph = await loadMemoryGraph(uid);
-    return memoryGraph;
+function graphViewOptions(query) {
+    return {
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 300, 1), 5000),
+        rank: query.rank === 'strength' ? 'strength' : 'degree'
+    };
 }
 
-// Process text with GPT-4 to extract entities and relationships
-async function processTextWithGPT(text) {
-    const prompt = `Analyze this text like a human brain processing new information. Extract key entities and their relationships, focusing on logical connections and cognitive patterns. Format as JSON:
+// Upper bound on relationships read around the nodes a mutation touches
+const DELTA_EDGE_LIMIT = 10000;
 
-    {
-        "entities": [
-            {
-                "id": "ORB-EntityName",
-                "type": "person|location|event|concept",
-                "name": "Original Name"
-            }
-        ],
-        "relationships": [
-            {
-                "source": "ORB-EntityName1",
-                "target": "ORB-EntityName2",
-                "action": "description of relationship"
-            }
-        ]
-    }
+// Larger saves (bulk imports) skip the diff and ask open views to reload
+const LIVE_DELTA_MAX_NODES = 200;
 
-    Text: "${text}"
+// The given nodes, every relationship touching them and those relationships' other endpoints.
+// extraNodeIds are read as well, so neighbours that lost their last edge still show up.
+async function loadGraphSlice(uid, nodeIds, extraNodeIds = []) {
+    const relationships = nodeIds.length > 0
+        ? await storage.relationshipsTouching(uid, nodeIds, DELTA_EDGE_LIMIT)
+        : [];
 
-    Guidelines for brain-like processing:
-    1. Entity Recognition:
-       - People: Identify as agents who can perform actions (ORB-FirstName format)
-       - Locations: Places that provide context and spatial relationships
-       - Events: Temporal markers that connect other entities
-       - Concepts: Abstract ideas that link multiple entities
+    const ids = new Set([...nodeIds, ...extraNodeIds]);
+    relationships.forEach(rel => {
+        ids.add(rel.source);
+        ids.add(rel.target);
+    });
 
-    2. Relationship Analysis:
-       - Cause and Effect: Look for direct impacts between entities
-       - Temporal Sequences: How events and actions flow
-       - Logical Dependencies: What relies on what
-       - Contextual Links: How environment affects actions
+    const nodes = await storage.getNodes(uid, Array.from(ids));
+    return {
+        nodes: new Map(nodes.map(node => [node.node_id, node])),
+        relationships: new Map(relationships.map(rel => [rel.id, rel]))
+    };
+}
 
-    3. Pattern Recognition:
-       - Find recurring themes or behaviors
-       - Identify hierarchical relationships
-       - Connect related concepts
-       - Establish meaningful associations
+// Open GET /api/events streams by uid: { res, sid, expiresAt } with the session each one was opened in
+// and when that session runs out (refreshed from the session store by the stream's heartbeat)
+const eventStreams = new Map();
 
-    4. Cognitive Rules:
-       - Only extract significant, memorable information
-       - Focus on actionable or impactful relationships
-       - Prioritize unusual or notable connections
-       - Link new information to existing patterns
+// Push an event to every open brain view of this user
+function publishGraphEvent(uid, event, data = {}) {
+    const streams = eventStreams.get(uid);
+    if (!streams) return;
 
-    Create relationships that mirror how human memory works:
-    - Use active, specific verbs for relationships
-    - Make connections bidirectional when logical
-    - Include context in relationship descriptions
-    - Connect abstract concepts to concrete examples
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    const now = Date.now();
+    streams.forEach(stream => {
+        if (now >= stream.expiresAt) {
+            stream.res.end();
+        } else {
+            stream.res.write(payload);
+        }
+    });
+}
 
-    Return empty arrays if no meaningful patterns found.`;
+// End a user's open event streams (only those of one session, given its id): a browser that was signed out
+// must stop getting graph changes
+function closeEventStreams(uid, sid = null) {
+    const streams = eventStreams.get(uid);
+    if (!streams) return;
 
-    try {
-        const completion = await openai.chat.completions.create({
-            model: "openai/gpt-4o",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are a precise entity and relationship extraction system. Extract key information and format it exactly as requested. Return only valid JSON."
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            response_format: { type: "json_object" },
-            temperature: 0.45,
-            max_tokens: 1000
-        });
+    streams.forEach(stream => {
+        if (sid === null || stream.sid === sid) stream.res.end();
+    });
+}
 
-        return JSON.parse(completion.choices[0].message.content);
-    } catch (error) {
-        console.error('Error processing text with GPT:', error);
-        throw error;
-    }
+// When a session ends: idle timeout (cookie expiry) or SESSION_ABSOLUTE_MS after signing in, whichever is first
+// (0 for a session that never signed in)
+function sessionExpiresAt(expires, authenticatedAt) {
+    const signedInAt = Date.parse(authenticatedAt);
+    if (!Number.isFinite(signedInAt)) return 0;
+    const idle = expires ? Date.parse(expires) : Infinity;
+    return Math.min(idle, signedInAt + SESSION_ABSOLUTE_MS);
 }
 
-// Authentication middleware
-function requireAuth(req, res, next) {
-    console.log('RequireAuth - Session ID:', req.sessionID);
-    console.log('RequireAuth - Session data:', req.session);
-    console.log('RequireAuth - Cookies:', req.headers.cookie);
+function isEmptyDelta(delta) {
+    return ['added', 'updated', 'removed'].every(change =>
+        delta[change].nodes.length === 0 && delta[change].relationships.length === 0);
+}
 
-    if (!req.session || !req.session.userId) {
-        console.log('RequireAuth - Authentication failed: No session or userId');
-        return res.status(401).json({ error: 'Authentication required' });
+// Run a mutation that only affects the given nodes and their edges, and describe what it changed:
+// { result, delta: { added, updated, removed } } where added/updated hold graph API nodes and relationships
+// and removed holds ids. Lets the client patch its scene instead of reloading the whole graph.
+// The delta is also pushed to the user's open /api/events streams.
+async function withGraphDelta(uid, nodeIds, mutate) {
+    const before = await loadGraphSlice(uid, nodeIds);
+    const result = await mutate();
+    const after = await loadGraphSlice(uid, nodeIds, Array.from(before.nodes.keys()));
+
+    const now = Date.now();
+    const delta = {
+        added: { nodes: [], relationships: [] },
+        updated: { nodes: [], relationships: [] },
+        removed: { nodes: [], relationships: [] }
+    };
+
+    const diff = (previousRows, currentRows, kind, format) => {
+        currentRows.forEach((row, id) => {
+            const previous = previousRows.get(id);
+            if (!previous) {
+                delta.added[kind].push(format(row, now));
+            } else if (JSON.stringify(previous) !== JSON.stringify(row)) {
+                delta.updated[kind].push(format(row, now));
+            }
+        });
+        previousRows.forEach((row, id) => {
+            if (!currentRows.has(id)) delta.removed[kind].push(id);
+        });
+    };
+
+    diff(before.nodes, after.nodes, 'nodes', toGraphNode);
+    diff(before.relationships, after.relationships, 'relationships', toGraphRelationship);
+
+    if (!isEmptyDelta(delta)) {
+        publishGraphEvent(uid, 'delta', delta);
     }
 
-    console.log('RequireAuth - Authentication successful for UID:', req.session.userId);
-    req.uid = req.session.userId;
-    next();
+    return { result, delta };
 }
 
-// Input validation middleware
-function validateUid(req, res, next) {
-    // Handle both JSON and form data
-    const uid = req.body.uid || req.query.uid;
-    if (!uid || typeof uid !== 'string' || uid.length < 3 || uid.length > 50) {
-        return res.status(400).json({ error: 'Invalid user ID format' });
-    }
-    req.uid = uid.replace(/[^a-zA-Z0-9-_]/g, '');
-    next();
+// Another relationship stating the same fact, if any (the database allows one per source, target and action)
+async function findDuplicateRelationship(uid, rel, exceptId = null) {
+    const key = relationshipKey(rel);
+    return (await storage.relationshipsFrom(uid, [rel.source]))
+        .find(existing => existing.id !== exceptId && relationshipKey(existing) === key) || null;
 }
 
-function validateTextInput(req, res, next) {
-    const { message, transcript_segments } = req.body;
+// Save memory graph to database in one transaction, together with the source text it came from
+// ({ type, externalId, content }) so every node and relationship links back to it.
+// Facts seen again are reinforced (mention_count + 1, last_seen_at = now) instead of duplicated.
+// Returns the new source id, how many nodes/relationships were written, which items were rejected (and why)
+// and the graph delta (null for batches too large to diff; open views are told to reload instead).
+// With encrypted set, names, aliases, property values and actions must be ciphertext from the browser.
+async function saveMemoryGraph(uid, newData, source = null, { encrypted = false } = {}) {
+    const rejected = [];
+    const nodes = new Map();
+    const types = new Map((await loadNodeTypes(uid)).map(type => [type.name, type]));
+
+    for (const entity of newData.entities || []) {
+        const id = entity && typeof entity.id === 'string' ? entity.id : '';
+        const name = entity && typeof entity.name === 'string' ? entity.name.trim() : '';
+        const validName = encrypted ? graphEncryption.isEncryptedValue(name) : name && name.length <= 200;
+        if (!id || id.length > 100 || !validName) {
+            rejected.push({ kind: 'node', id: id || null, reason: 'Missing or invalid id or name' });
+            continue;
+        }
+        const type = types.has(entity.type) ? entity.type : nodeTypes.DEFAULT_NODE_TYPE;
+        // Extracted attributes that don't fit the type's schema are dropped, not the whole entity
+        const { properties } = nodeTypes.cleanNodeProperties(entity.properties, types.get(type), { encrypted });
+        const aliases = entity.aliases || [];
+        nodes.set(id, {
+            node_id: id,
+            type: type,
+            name: name,
+            aliases: encrypted && Array.isArray(aliases) ? aliases.filter(alias => graphEncryption.isEncryptedValue(alias)) : aliases,
+            properties: properties
+        });
+    }
 
-    if (message && (typeof message !== 'string' || message.length > 5000)) {
-        return res.status(400).json({ error: 'Invalid message format or too long' });
+    const candidates = [];
+    for (const rel of newData.relationships || []) {
+        const validAction = encrypted
+            ? rel && graphEncryption.isEncryptedValue(rel.action)
+            : rel && (rel.action == null || (typeof rel.action === 'string' && rel.action.length <= 500));
+        if (!rel || typeof rel.source !== 'string' || typeof rel.target !== 'string' || !validAction) {
+            rejected.push({ kind: 'relationship', source: rel ? rel.source : null, target: rel ? rel.target : null, reason: 'Invalid relationship' });
+            continue;
+        }
+        if (rel.source === rel.target) {
+            rejected.push({ kind: 'relationship', source: rel.source, target: rel.target, reason: 'Self-loop' });
+            continue;
+        }
+        candidates.push(rel);
     }
 
-    if (transcript_segments && (!Array.isArray(transcript_segments) || transcript_segments.length > 100)) {
-        return res.status(400).json({ error: 'Invalid transcript format or too many segments' });
+    // Endpoints must be in this batch or already in the graph
+    const outside = [...new Set(candidates.flatMap(rel => [rel.source, rel.target]))].filter(id => !nodes.has(id));
+    const known = new Set((await storage.getNodes(uid, outside)).map(row => row.node_id));
+
+    // Reuse the stored wording of a fact so "Lives in" and "lives in" hit the same (uid, source, target, action) row
+    const storedActions = new Map();
+    const existingRows = await storage.relationshipsFrom(uid, [...new Set(candidates.map(rel => rel.source))]);
+    existingRows.forEach(row => storedActions.set(relationshipKey(row), row.action));
+
+    const relationships = new Map();
+    for (const rel of candidates) {
+        if (!(nodes.has(rel.source) || known.has(rel.source)) || !(nodes.has(rel.target) || known.has(rel.target))) {
+            rejected.push({ kind: 'relationship', source: rel.source, target: rel.target, reason: 'Unknown node' });
+            continue;
+        }
+
+        const key = relationshipKey(rel);
+        if (relationships.has(key)) continue;
+        relationships.set(key, {
+            source: rel.source,
+            target: rel.target,
+            action: storedActions.has(key) ? storedActions.get(key) : (rel.action || '').trim()
+        });
     }
 
-    next();
-}
+    const save = () => storage.saveGraph(uid, {
+        nodes: Array.from(nodes.values()),
+        relationships: Array.from(relationships.values()),
+        source: source && {
+            source_type: source.type || 'upload',
+            external_id: source.externalId || null,
+            content: source.content
+        }
+    });
 
-function validateNodeData(req, res, next) {
-    const { name, type } = req.body;
+    const touched = new Set(nodes.keys());
+    relationships.forEach(rel => {
+        touched.add(rel.source);
+        touched.add(rel.target);
+    });
 
-    if (!name || typeof name !== 'string' || name.length > 200) {
-        return res.status(400).json({ error: 'Invalid node name' });
+    let saved;
+    let delta = null;
+    if (touched.size <= LIVE_DELTA_MAX_NODES) {
+        ({ result: saved, delta } = await withGraphDelta(uid, Array.from(touched), save));
+    } else {
+        saved = await save();
+        publishGraphEvent(uid, 'reload');
     }
 
-    if (!type || typeof type !== 'string' || !['person', 'location', 'event', 'concept'].includes(type)) {
-        return res.status(400).json({ error: 'Invalid node type' });
+    if (rejected.length > 0) {
+        console.warn(`Rejected ${rejected.length} graph items for UID ${uid}`);
     }
 
-    next();
+    return { ...saved, rejected, delta };
 }
 
-app.get("/overview", (req, res) => {
-    res.sendFile(__dirname + '/public/overview.html');
-});
+// Cut a short excerpt around the first mention of any of the given terms
+function extractSnippet(text, terms, radius = 100) {
+    const content = String(text || '');
+    // Encrypted sources are cut in the browser once decrypted
+    if (graphEncryption.isEncryptedValue(content, graphEncryption.MAX_ENCRYPTED_SOURCE_LENGTH)) return content;
+
+    const lower = content.toLowerCase();
+    let index = -1;
+    let length = 0;
+
+    for (const term of terms) {
+        if (!term) continue;
+        const found = lower.indexOf(String(term).toLowerCase());
+        if (found !== -1 && (index === -1 || found < index)) {
+            index = found;
+            length = term.length;
+        }
+    }
 
-app.get("/", async (req, res) => {
-    const uid = req.query.uid;
+    if (index === -1) {
+        return content.length > radius * 2 ? content.slice(0, radius * 2) + '…' : content;
+    }
 
-    if (uid && typeof uid === 'string' && uid.length >= 3 && uid.length <= 50) {
-        try {
-            const sanitizedUid = uid.replace(/[^a-zA-Z0-9-_]/g, '');
+    const start = Math.max(0, index - radius);
+    const end = Math.min(content.length, index + length + radius);
+    return (start > 0 ? '…' : '') + content.slice(start, end).trim() + (end < content.length ? '…' : '');
+}
 
-            await supabase
-                .from('brain_users')
-                .upsert([
-                    {
-                        uid: sanitizedUid
-                    }
-                ]);
+// Delete a source; with cascade, also delete facts that no other source backs up
+async function deleteMemorySource(uid, sourceId, cascade) {
+    const source = await storage.getSource(uid, sourceId);
+    if (!source) return null;
 
-            req.session.userId = sanitizedUid;
-            req.session.loginTime = new Date().toISOString();
+    const removed = { nodes: [], relationships: [] };
 
-            return res.redirect('/');
-        } catch (error) {
-            console.error('Auto-login error:', error);
+    if (cascade) {
+        Object.assign(removed, await storage.orphanedBySource(uid, sourceId));
+
+        await storage.deleteRelationships(uid, removed.relationships);
+
+        for (const nodeId of removed.nodes) {
+            await storage.deleteNode(uid, nodeId);
         }
     }
 
-    res.sendFile(__dirname + '/public/main.html');
-});
+    await storage.deleteSource(uid, sourceId);
 
-// Login route
-app.get("/login", (req, res) => {
-    res.sendFile(__dirname + '/public/login.html');
-});
+    return removed;
+}
+
+// Entity-resolution stage: map extracted entities onto existing nodes before saving
+async function resolveMemoryGraph(uid, newData) {
+    const memoryGraph = await loadMemoryGraph(uid);
+    const resolved = await resolveEntitiesInBatches(newData, memoryGraph.nodes);
+
+    if (resolved.merged.length > 0) {
+        console.log(`Resolved ${resolved.merged.length} entities onto existing nodes for UID ${uid}`);
+    }
+
+    return resolved;
+}
+
+// Merge mergeId into keepId: rewire its relationships, keep its names as aliases, delete it
+async function mergeNodes(uid, keepId, mergeId) {
+    const rows = await storage.getNodes(uid, [keepId, mergeId]);
+
+    const keepNode = rows.find(row => row.node_id === keepId);
+    const mergeNode = rows.find(row => row.node_id === mergeId);
+    if (!keepNode || !mergeNode) {
+        return null;
+    }
+
+    await storage.rewireNode(uid, mergeId, keepId);
+
+    // Keep the merged node's provenance on the surviving node
+    await storage.linkNodeSources(uid, keepId, await storage.nodeSourceIds(uid, mergeId));
+
+    const aliases = mergeAliases(keepNode.aliases, mergeNode.name, ...(mergeNode.aliases || []))
+        .filter(alias => alias !== keepNode.name);
+
+    const earliest = [keepNode.first_seen_at, mergeNode.first_seen_at].filter(Boolean).sort()[0];
+    const latest = [keepNode.last_seen_at, mergeNode.last_seen_at].filter(Boolean).sort().pop();
+
+    await storage.updateNode(uid, keepId, {
+        aliases: aliases,
+        first_seen_at: earliest,
+        last_seen_at: latest,
+        mention_count: (keepNode.mention_count || 1) + (mergeNode.mention_count || 1)
+    });
+
+    await storage.deleteNode(uid, mergeId);
+
+    return { id: keepId, aliases: aliases };
+}
+
+// Retrieve the part of the graph a question is about: seed nodes, N hops out, top-ranked facts.
+// For an encrypted graph, plaintext (graphEncryption.readPlaintext) stands in for the stored names and actions;
+// nodes and relationships the browser didn't decrypt are left out.
+async function retrieveSubgraph(uid, question, { hops = 2, maxFacts = 60, edgesPerHop = 500, seedHints = [], plaintext = null } = {}) {
+    const dbNodes = (await storage.listNodes(uid))
+        .map(node => plaintext ? graphEncryption.revealNode(node, plaintext) : node)
+        .filter(Boolean);
+    const nodes = dbNodes.map(node => ({
+        id: node.node_id,
+        type: node.type,
+        name: node.name,
+        aliases: node.aliases || [],
+        properties: node.properties || {},
+        connections: node.connections || 0,
+        strength: memoryStrength(node)
+    }));
+    const nodeIndex = new Map(nodes.map(node => [node.id, node]));
+
+    let seedIds = findSeedNodes(question, nodes).map(seed => seed.id);
+
+    // Nodes the conversation was already about (e.g. cited in the previous answer)
+    for (const id of seedHints) {
+        if (nodeIndex.has(id) && !seedIds.includes(id)) seedIds.push(id);
+    }
+
+    // Nothing named in the question: fall back to the strongest, most connected memories
+    if (seedIds.length === 0) {
+        seedIds = [...nodes]
+            .sort((a, b) => (b.strength - a.strength) || (b.connections - a.connections))
+            .slice(0, 5)
+            .map(node => node.id);
+    }
+
+    const distances = new Map(seedIds.map(id => [id, 0]));
+    const edges = new Map();
+    let frontier = seedIds;
+
+    for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+        const dbRelationships = await storage.relationshipsTouching(uid, frontier, edgesPerHop);
+
+        const next = [];
+        for (const row of dbRelationships) {
+            const rel = plaintext ? graphEncryption.revealRelationship(row, plaintext) : row;
+            if (!rel) continue;
+            edges.set(rel.id, { ...rel, strength: memoryStrength(rel) });
+            for (const endpoint of [rel.source, rel.target]) {
+                if (!distances.has(endpoint)) {
+                    distances.set(endpoint, hop);
+                    next.push(endpoint);
+                }
+            }
+        }
+        frontier = next;
+    }
+
+    const facts = rankFacts(Array.from(edges.values()), distances, question, maxFacts);
+
+    const subgraphIds = new Set(seedIds);
+    facts.forEach(rel => {
+        subgraphIds.add(rel.source);
+        subgraphIds.add(rel.target);
+    });
+
+    return {
+        seeds: seedIds,
+        nodes: Array.from(subgraphIds).map(id => nodeIndex.get(id)).filter(Boolean),
+        relationships: facts,
+        totalNodes: nodes.length
+    };
+}
+
+const SEARCH_NEIGHBOR_LIMIT = 10;
+
+// Ranked search hits from the database, each with the node(s) involved and their strongest neighbors
+async function searchMemoryGraph(uid, { query, type = null, since = null, limit = 20 }) {
+    const hits = await storage.searchGraph(uid, { query, type, since, limit });
+
+    const relationships = new Map();
+    const relationshipHits = hits.filter(hit => hit.kind === 'relationship');
+    for (const rel of await Promise.all(relationshipHits.map(hit => storage.getRelationship(uid, hit.id)))) {
+        if (rel) relationships.set(rel.id, rel);
+    }
+
+    const hitNodeIds = new Set(hits.filter(hit => hit.kind === 'node').map(hit => hit.id));
+    relationships.forEach(rel => {
+        hitNodeIds.add(rel.source);
+        hitNodeIds.add(rel.target);
+    });
+
+    const now = Date.now();
+    const edges = hitNodeIds.size > 0
+        ? await storage.relationshipsTouching(uid, Array.from(hitNodeIds), hitNodeIds.size * 50)
+        : [];
+
+    const nodeIds = new Set(hitNodeIds);
+    edges.forEach(rel => {
+        nodeIds.add(rel.source);
+        nodeIds.add(rel.target);
+    });
+    const nodes = new Map((await storage.getNodes(uid, Array.from(nodeIds))).map(node => [node.node_id, {
+        id: node.node_id,
+        type: node.type,
+        name: node.name,
+        aliases: node.aliases || [],
+        connections: node.connections || 0
+    }]));
+
+    const neighborsOf = (nodeId) => edges
+        .filter(rel => (rel.source === nodeId || rel.target === nodeId) && rel.source !== rel.target)
+        .map(rel => ({ rel, strength: memoryStrength(rel, now) }))
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, SEARCH_NEIGHBOR_LIMIT)
+        .map(({ rel }) => {
+            const isSource = rel.source === nodeId;
+            return {
+                node: nodes.get(isSource ? rel.target : rel.source),
+                action: rel.action,
+                isSource
+            };
+        })
+        .filter(neighbor => neighbor.node);
+
+    return hits.map(hit => {
+        if (hit.kind === 'node') {
+            const node = nodes.get(hit.id);
+            return node && { kind: 'node', score: hit.score, node, neighbors: neighborsOf(hit.id) };
+        }
+
+        const rel = relationships.get(hit.id);
+        const source = rel && nodes.get(rel.source);
+        const target = rel && nodes.get(rel.target);
+        return source && target && {
+            kind: 'relationship',
+            score: hit.score,
+            relationship: { id: rel.id, source: rel.source, target: rel.target, action: rel.action },
+            source,
+            target,
+            neighbors: neighborsOf(rel.source)
+        };
+    }).filter(Boolean);
+}
+
+// Cluster view: communities returned, members listed per community, and remembered model labels
+const MAX_COMMUNITIES = 24;
+const COMMUNITY_TOP_MEMBERS = 8;
+const COMMUNITY_LABEL_CACHE_SIZE = 2000;
+const communityLabels = new Map();
+
+// Short topic labels for communities, one model call for all of them. Labels are cached by the
+// community's top members so unchanged communities aren't relabelled; on failure the top names are used.
+// Encrypted graphs always get the top names (the browser decrypts them).
+async function labelCommunities(uid, communities, { encrypted = false } = {}) {
+    const keyOf = community => `${uid}:${community.topMembers.map(member => member.id).join('|')}`;
+    const fallback = community => community.topMembers.slice(0, 2).map(member => member.name).join(' & ');
+    if (encrypted) {
+        return communities.map(community => ({ ...community, label: fallback(community) }));
+    }
+    const unlabelled = communities.filter(community => !communityLabels.has(keyOf(community)));
+
+    if (unlabelled.length > 0) {
+        const listing = unlabelled.map((community, i) =>
+            `${i + 1}. ${community.topMembers.map(member => `${member.name} (${member.type})`).join(', ')}`
+        ).join('\n');
+
+        let labels = [];
+        try {
+            const completion = await openai.chat.completions.create({
+                model: "openai/gpt-4o",
+                messages: [
+                    {
+                        role: "system",
+                        content: "You name groups of related memories. Return only valid JSON."
+                    },
+                    {
+                        role: "user",
+                        content: `Each numbered line lists the most connected entities of one group in a personal memory graph.
+Give each group a short label (2-4 words) describing what ties it together, e.g. "College friends" or "Japan trip".
+
+${listing}
+
+Return {"labels": ["label for group 1", "label for group 2", ...]} with exactly ${unlabelled.length} labels in order.`
+                    }
+                ],
+                response_format: { type: "json_object" },
+                temperature: 0.3,
+                max_tokens: 400
+            });
+            labels = JSON.parse(completion.choices[0].message.content).labels || [];
+        } catch (error) {
+            console.error('Error labelling communities:', error);
+        }
+
+        unlabelled.forEach((community, i) => {
+            const label = typeof labels[i] === 'string' && labels[i].trim()
+                ? labels[i].trim().slice(0, 60)
+                : null;
+            // Only remember real labels, so a failed call is retried next time
+            if (!label) return;
+            if (communityLabels.size >= COMMUNITY_LABEL_CACHE_SIZE) {
+                communityLabels.delete(communityLabels.keys().next().value);
+            }
+            communityLabels.set(keyOf(community), label);
+        });
+    }
+
+    return communities.map(community => ({
+        ...community,
+        label: communityLabels.get(keyOf(community)) || fallback(community)
+    }));
+}
+
+// Communities of the user's graph (Louvain over relationships, repeated mentions weigh more),
+// the largest first, each with its top members by degree, a type breakdown and links to other communities
+async function detectMemoryCommunities(uid, { limit = MAX_COMMUNITIES, encrypted = false } = {}) {
+    const nodes = await storage.listNodes(uid);
+    const relationships = await storage.listRelationships(uid);
+
+    const groups = detectCommunities(
+        nodes.map(node => node.node_id),
+        relationships.map(rel => ({
+            source: rel.source,
+            target: rel.target,
+            weight: 1 + Math.log(Math.max(1, Number(rel.mention_count) || 1))
+        }))
+    ).filter(members => members.length > 1);
+
+    const nodeIndex = new Map(nodes.map(node => [node.node_id, node]));
+    const shown = groups.slice(0, limit);
+    const communityOf = new Map();
+    shown.forEach((members, i) => members.forEach(id => communityOf.set(id, i)));
+
+    const communities = shown.map((members, i) => {
+        const memberNodes = members.map(id => nodeIndex.get(id)).sort(byDegree);
+        const types = {};
+        memberNodes.forEach(node => {
+            const type = node.type || 'unknown';
+            types[type] = (types[type] || 0) + 1;
+        });
+
+        return {
+            id: i,
+            size: members.length,
+            types,
+            topMembers: memberNodes.slice(0, COMMUNITY_TOP_MEMBERS).map(node => ({
+                id: node.node_id,
+                name: node.name,
+                type: node.type,
+                connections: node.connections || 0
+            }))
+        };
+    });
+
+    const links = new Map();
+    relationships.forEach(rel => {
+        const source = communityOf.get(rel.source);
+        const target = communityOf.get(rel.target);
+        if (source === undefined || target === undefined || source === target) return;
+
+        const key = source < target ? `${source}:${target}` : `${target}:${source}`;
+        links.set(key, (links.get(key) || 0) + 1);
+    });
+
+    return {
+        clusters: await labelCommunities(uid, communities, { encrypted }),
+        links: Array.from(links, ([key, count]) => {
+            const [source, target] = key.split(':').map(Number);
+            return { source, target, count };
+        }),
+        totalClusters: groups.length,
+        unclustered: nodes.length - groups.reduce((sum, members) => sum + members.length, 0)
+    };
+}
+
+// Timeline: what was learned per period, by when facts were first seen
+const TIMELINE_INTERVALS = ['day', 'week', 'month'];
+const TIMELINE_SUBGRAPH_LIMIT = 2000;
+
+// Date#getTimezoneOffset() of the client, in minutes; bad input means UTC
+function parseTzOffset(value) {
+    const offset = parseInt(value, 10);
+    return Number.isInteger(offset) && Math.abs(offset) <= 14 * 60 ? offset : 0;
+}
+
+// [{ start, nodes: { type: count }, relationships, total }] oldest first
+async function loadTimeline(uid, { interval, tzOffset }) {
+    const buckets = new Map();
+    (await storage.timelineCounts(uid, { interval, tzOffset })).forEach(row => {
+        if (!buckets.has(row.bucket)) {
+            buckets.set(row.bucket, { start: row.bucket, nodes: {}, relationships: 0, total: 0 });
+        }
+        const bucket = buckets.get(row.bucket);
+        const count = Number(row.count);
+        if (row.kind === 'node') {
+            bucket.nodes[row.type || 'unknown'] = count;
+        } else {
+            bucket.relationships += count;
+        }
+        bucket.total += count;
+    });
+
+    return Array.from(buckets.values()).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// UTC range of the local period starting on `start` (YYYY-MM-DD); null if start isn't a date
+function timelineRange(start, interval, tzOffset) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(start);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const from = Date.UTC(year, month - 1, day);
+    if (Number.isNaN(from) || new Date(from).getUTCDate() !== day) return null;
+
+    const to = {
+        day: Date.UTC(year, month - 1, day + 1),
+        week: Date.UTC(year, month - 1, day + 7),
+        month: Date.UTC(year, month, day)
+    }[interval];
+
+    const shift = tzOffset * 60 * 1000;
+    return { from: new Date(from + shift).toISOString(), to: new Date(to + shift).toISOString() };
+}
+
+// Subgraph learned in one period: facts first seen then, plus the older nodes those relationships
+// connect to (flagged `context: true`) so every relationship has both ends
+async function loadTimelineSubgraph(uid, range) {
+    const learned = await storage.learnedBetween(uid, { ...range, limit: TIMELINE_SUBGRAPH_LIMIT });
+    const learnedIds = new Set(learned.nodes.map(node => node.node_id));
+
+    const contextIds = new Set();
+    learned.relationships.forEach(rel => {
+        [rel.source, rel.target].forEach(id => {
+            if (!learnedIds.has(id)) contextIds.add(id);
+        });
+    });
+    const context = contextIds.size > 0 ? await storage.getNodes(uid, Array.from(contextIds)) : [];
+
+    const now = Date.now();
+    return {
+        ...range,
+        nodes: [
+            ...learned.nodes.map(node => toGraphNode(node, now)),
+            ...context.map(node => ({ ...toGraphNode(node, now), context: true }))
+        ],
+        relationships: learned.relationships.map(rel => toGraphRelationship(rel, now)),
+        truncated: learned.nodes.length === TIMELINE_SUBGRAPH_LIMIT ||
+            learned.relationships.length === TIMELINE_SUBGRAPH_LIMIT
+    };
+}
+
+// Heatmaps: a grid of counts with labelled rows and columns, drawn by the heatmap view.
+// Shape: { mode, title, unit, rows: [{ key, label, group? }], columns: [{ key, label }], cells: number[row][column], max }
+const HEATMAP_MODES = ['type-week', 'hour', 'adjacency'];
+const HEATMAP_MAX_WEEKS = 52;
+const ADJACENCY_MAX_NODES = 60;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function heatmap(fields, rows, columns, cells) {
+    return { ...fields, rows, columns, cells, max: Math.max(0, ...cells.flat()) };
+}
+
+// Entity types (and relationships) learned per week, for the most recent weeks
+async function typeByWeekHeatmap(uid, tzOffset) {
+    const counts = await storage.timelineCounts(uid, { interval: 'week', tzOffset });
+    if (counts.length === 0) {
+        return heatmap({ title: 'Facts learned per week, by type', unit: 'facts' }, [], [], []);
+    }
+
+    // Every week from the first to the last, empty ones included
+    const weeks = [];
+    const last = new Date(`${counts[counts.length - 1].bucket}T00:00:00Z`);
+    for (let week = new Date(`${counts[0].bucket}T00:00:00Z`); week <= last; week.setUTCDate(week.getUTCDate() + 7)) {
+        weeks.push(week.toISOString().slice(0, 10));
+    }
+    const columns = weeks.slice(-HEATMAP_MAX_WEEKS).map(week => ({ key: week, label: week }));
+    const columnIndex = new Map(columns.map((column, i) => [column.key, i]));
+
+    const totals = new Map();
+    counts.forEach(row => {
+        const key = row.kind === 'node' ? (row.type || 'unknown') : 'relationships';
+        totals.set(key, (totals.get(key) || 0) + Number(row.count));
+    });
+    const rowKeys = Array.from(totals.keys())
+        .filter(key => key !== 'relationships')
+        .sort((a, b) => totals.get(b) - totals.get(a));
+    if (totals.has('relationships')) rowKeys.push('relationships');
+
+    const cells = rowKeys.map(() => columns.map(() => 0));
+    counts.forEach(row => {
+        const column = columnIndex.get(row.bucket);
+        if (column === undefined) return;
+        const key = row.kind === 'node' ? (row.type || 'unknown') : 'relationships';
+        cells[rowKeys.indexOf(key)][column] += Number(row.count);
+    });
+
+    return heatmap(
+        { title: 'Facts learned per week, by type', unit: 'facts' },
+        rowKeys.map(key => ({ key, label: key })),
+        columns,
+        cells
+    );
+}
+
+// Facts learned by weekday (Monday first) and hour of day, in the client's time zone
+async function hourHeatmap(uid, tzOffset) {
+    const weekdays = [1, 2, 3, 4, 5, 6, 0];
+    const cells = weekdays.map(() => new Array(24).fill(0));
+    (await storage.activityByHour(uid, { tzOffset })).forEach(row => {
+        cells[weekdays.indexOf(Number(row.weekday))][Number(row.hour)] = Number(row.count);
+    });
+
+    return heatmap(
+        { title: 'Facts learned by hour of day', unit: 'facts' },
+        weekdays.map(day => ({ key: day, label: WEEKDAY_NAMES[day] })),
+        Array.from({ length: 24 }, (_, hour) => ({ key: hour, label: String(hour).padStart(2, '0') })),
+        cells
+    );
+}
+
+// Relationship counts between the best connected nodes, ordered so each community forms a block
+async function adjacencyHeatmap(uid) {
+    const nodes = await storage.listNodes(uid);
+    const relationships = await storage.listRelationships(uid);
+
+    const community = new Map();
+    detectCommunities(nodes.map(node => node.node_id), relationships)
+        .forEach((members, i) => members.forEach(id => community.set(id, i)));
+
+    const top = [...nodes].sort(byDegree).slice(0, ADJACENCY_MAX_NODES)
+        .sort((a, b) => (community.get(a.node_id) - community.get(b.node_id)) || byDegree(a, b));
+    const index = new Map(top.map((node, i) => [node.node_id, i]));
+
+    const cells = top.map(() => top.map(() => 0));
+    relationships.forEach(rel => {
+        const source = index.get(rel.source);
+        const target = index.get(rel.target);
+        if (source === undefined || target === undefined) return;
+        cells[source][target] += 1;
+        if (source !== target) cells[target][source] += 1;
+    });
+
+    const labels = top.map(node => ({ key: node.node_id, label: node.name, group: community.get(node.node_id) }));
+    return heatmap(
+        { title: `Connections between the ${top.length} best connected nodes, grouped by cluster`, unit: 'relationships' },
+        labels,
+        labels,
+        cells
+    );
+}
+
+const CHAT_HISTORY_TOKEN_BUDGET = 2000;
+// Turns the browser may send with a message to an encrypted graph (it keeps that conversation itself)
+const CHAT_MAX_CLIENT_HISTORY = 50;
+// A stored conversation keeps its newest messages (two per turn)
+const CHAT_MAX_STORED_MESSAGES = 200;
+
+// Rough token estimate (~4 characters per token) for history budgeting
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// Newest turns first until the token budget is spent, returned oldest first
+function trimHistory(messages, budget = CHAT_HISTORY_TOKEN_BUDGET) {
+    const kept = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(messages[i].text);
+        if (used + cost > budget) break;
+        used += cost;
+        kept.unshift(messages[i]);
+    }
+    return kept;
+}
+
+// The random part keeps two chats started in the same millisecond apart
+function newChatSessionId(uid) {
+    return `CHAT-${uid}-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// " - birthday: 1906-12-09, role: Engineer" for the chat context
+function describeProperties(properties) {
+    const entries = Object.entries(properties || {});
+    return entries.length > 0 ? ` - ${entries.map(([key, value]) => `${key}: ${value}`).join(', ')}` : '';
+}
+
+// Process chat with a retrieved subgraph as context; returns the answer plus the node ids it cites.
+// plaintext: the browser's decrypted names and actions for an encrypted graph (see retrieveSubgraph)
+async function processChatWithGPT(uid, message, history = [], { plaintext = null } = {}) {
+    // Follow-ups ("what about her sister?") lean on what the conversation already covered
+    const recentUserText = history.filter(m => m.is_user).slice(-2).map(m => m.text);
+    const lastAnswer = [...history].reverse().find(m => !m.is_user);
+    const subgraph = await retrieveSubgraph(uid, [...recentUserText, message].join('\n'), {
+        seedHints: (lastAnswer && lastAnswer.citations) || [],
+        plaintext
+    });
+    const nodeIndex = new Map(subgraph.nodes.map(node => [node.id, node]));
+    const label = id => `[${id}] ${nodeIndex.has(id) ? nodeIndex.get(id).name : id}`;
+
+    const contextString = `Entities:\n${subgraph.nodes.map(n => `- [${n.id}] ${n.name} (${n.type})${describeProperties(n.properties)}`).join('\n')}\n\n` +
+        `Facts:\n${subgraph.relationships.map(r => `- ${label(r.source)} ${r.action} ${label(r.target)}${r.strength < 0.2 ? ' (faint memory)' : ''}`).join('\n')}`;
+
+    const systemPrompt = `You are a friendly and engaging AI companion with access to these memories:
+
+${contextString}
+
+Personality Guidelines:
+- Be warm and conversational, like chatting with a friend
+- Show enthusiasm and genuine interest
+- Use casual language and natural expressions
+- Add personality with occasional humor or playful remarks
+- Be empathetic and understanding
+- Share insights in a relatable way
+
+When responding:
+1. Make it personal:
+   - Connect memories to emotions and experiences
+   - Share observations like you're telling a story
+   - Use "I notice" or "I remember" instead of formal statements
+   - Express excitement about interesting connections
+
+2. Keep it natural:
+   - Chat like a friend would
+   - Use contractions (I'm, you're, that's)
+   - Add conversational fillers (you know, actually, well)
+   - React naturally to discoveries ("Oh, that's interesting!")
+
+3. Be helpful but human:
+   - If you know something, share it enthusiastically
+   - If you don't know, be honest and casual about it
+   - Treat "(faint memory)" facts as half-remembered and hedge accordingly
+   - Suggest possibilities and connections
+   - Show curiosity about what you're discussing
+
+Answer format:
+- Return only a JSON object: {"response": "your reply", "cited_node_ids": ["ORB-..."]}
+- "cited_node_ids" lists the ids (in square brackets above) of the entities your reply relies on
+- Never put the bracketed ids inside "response"
+
+Memory Status: ${subgraph.totalNodes > 0 ?
+            `I've got quite a collection here - ${subgraph.totalNodes} memories, and ${subgraph.nodes.length} of them look relevant right now!` :
+            "I don't have any memories stored yet, but I'm excited to learn!"}`;
+
+    try {
+        const completion = await openai.chat.completions.create({
+            model: "openai/gpt-4o",
+            messages: [
+                {
+                    role: "system",
+                    content: systemPrompt
+                },
+                ...trimHistory(history).map(m => ({
+                    role: m.is_user ? "user" : "assistant",
+                    content: m.text
+                })),
+                {
+                    role: "user",
+                    content: message
+                }
+            ],
+            response_format: { type: "json_object" },
+            temperature: 0.7,
+            max_tokens: 800
+        });
+
+        const content = completion.choices[0].message.content;
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (parseError) {
+            parsed = { response: content, cited_node_ids: content.match(/ORB-[\p{L}\p{M}\p{N}_-]+/gu) || [] };
+        }
+
+        const citations = [...new Set(Array.isArray(parsed.cited_node_ids) ? parsed.cited_node_ids : [])]
+            .filter(id => nodeIndex.has(id));
+
+        return {
+            response: String(parsed.response || ''),
+            citations
+        };
+    } catch (error) {
+        console.error('Error processing chat:', error);
+        throw error;
+    }
+}
+
+// The user's node types: built-ins (possibly restyled) plus their own
+async function loadNodeTypes(uid) {
+    return nodeTypes.mergeNodeTypes(await storage.listNodeTypes(uid));
+}
+
+// Process text with GPT-4 to extract entities and relationships, typed with the user's node types
+async function processTextWithGPT(text, types) {
+    const typeGuide = types
+        .map(type => `       - ${type.name}${type.description ? `: ${type.description}` : ''}`)
+        .join('\n');
+    const propertyGuide = types
+        .filter(type => Object.keys(type.properties).length > 0)
+        .map(type => `       - ${type.name}: ${Object.entries(type.properties).map(([key, kind]) => `${key} (${kind})`).join(', ')}`)
+        .join('\n');
+
+    const prompt = `Analyze this text like a human brain processing new information. Extract key entities and their relationships, focusing on logical connections and cognitive patterns. Format as JSON:
+
+    {
+        "entities": [
+            {
+                "id": "ORB-EntityName",
+                "type": "${types.map(type => type.name).join('|')}",
+                "name": "Original Name",
+                "properties": { "attribute": "value" }
+            }
+        ],
+        "relationships": [
+            {
+                "source": "ORB-EntityName1",
+                "target": "ORB-EntityName2",
+                "action": "description of relationship"
+            }
+        ]
+    }
+
+    Text: "${text}"
+
+    Guidelines for brain-like processing:
+    1. Entity Recognition (use exactly one of these types; people get ORB-FirstName ids):
+${typeGuide}
+
+       Attributes of a single entity (a birthday, an email, someone's role, a street address) go in its
+       "properties", not in relationships. Only include values the text states; dates as YYYY-MM-DD.
+       Usual properties per type (others are fine when the text gives them):
+${propertyGuide}
+
+    2. Relationship Analysis:
+       - Cause and Effect: Look for direct impacts between entities
+       - Temporal Sequences: How events and actions flow
+       - Logical Dependencies: What relies on what
+       - Contextual Links: How environment affects actions
+
+    3. Pattern Recognition:
+       - Find recurring themes or behaviors
+       - Identify hierarchical relationships
+       - Connect related concepts
+       - Establish meaningful associations
+
+    4. Cognitive Rules:
+       - Only extract significant, memorable information
+       - Focus on actionable or impactful relationships
+       - Prioritize unusual or notable connections
+       - Link new information to existing patterns
+
+    Create relationships that mirror how human memory works:
+    - Use active, specific verbs for relationships
+    - Make connections bidirectional when logical
+    - Include context in relationship descriptions
+    - Connect abstract concepts to concrete examples
+
+    Return empty arrays if no meaningful patterns found.`;
+
+    try {
+        const completion = await openai.chat.completions.create({
+            model: "openai/gpt-4o",
+            messages: [
+                {
+                    role: "system",
+                    content: "You are a precise entity and relationship extraction system. Extract key information and format it exactly as requested. Return only valid JSON."
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ],
+            response_format: { type: "json_object" },
+            temperature: 0.45,
+            max_tokens: 1000
+        });
+
+        return JSON.parse(completion.choices[0].message.content);
+    } catch (error) {
+        console.error('Error processing text with GPT:', error);
+        throw error;
+    }
+}
+
+// Flatten transcript segments into "Speaker: text" lines for extraction
+function transcriptToText(segments) {
+    let text = '';
+    for (const segment of segments) {
+        if (!segment) continue;
+        const speaker = segment.is_user ? 'User' : segment.speaker;
+        if (speaker && segment.text) {
+            text += speaker + ': ' + segment.text + '\n';
+        }
+    }
+    return text;
+}
+
+// Authentication middleware
+function requireAuth(req, res, next) {
+    // Only /api/auth/verify sets authenticatedAt: a session must have come from a sign-in code
+    if (!req.session || !req.session.userId || !req.session.authenticatedAt) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Rolling cookies keep an active session going; this caps how long one sign-in lasts
+    if (Date.now() - Date.parse(req.session.authenticatedAt) > SESSION_ABSOLUTE_MS) {
+        closeEventStreams(req.session.userId, req.sessionID);
+        return req.session.destroy(() => {
+            res.clearCookie(SESSION_COOKIE);
+            res.status(401).json({ error: 'Session expired, please sign in again' });
+        });
+    }
+
+    req.uid = req.session.userId;
+    next();
+}
+
+// Sets req.encrypted: whether the user's graph holds ciphertext (graph-encryption.js)
+async function loadGraphEncryption(req, res, next) {
+    try {
+        const user = await storage.getUser(req.uid);
+        req.encrypted = Boolean(user && user.has_key);
+    } catch (error) {
+        const result = handleDatabaseError(error, 'encryption lookup');
+        return res.status(result.status).json({ error: result.error });
+    }
+    next();
+}
+
+// Input validation middleware
+function validateUid(req, res, next) {
+    // Handle both JSON and form data
+    const uid = req.body.uid || req.query.uid;
+    if (!uid || typeof uid !== 'string' || uid.length < 3 || uid.length > 50) {
+        return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+    req.uid = uid.replace(/[^a-zA-Z0-9-_]/g, '');
+    next();
+}
+
+function validateTextInput(req, res, next) {
+    const { message, transcript_segments } = req.body;
+
+    if (message && (typeof message !== 'string' || message.length > 5000)) {
+        return res.status(400).json({ error: 'Invalid message format or too long' });
+    }
+
+    if (transcript_segments && (!Array.isArray(transcript_segments) || transcript_segments.length > 100)) {
+        return res.status(400).json({ error: 'Invalid transcript format or too many segments' });
+    }
+
+    next();
+}
+
+// Checks name and type, and properties (if given) against the type's schema; req.body.properties is
+// replaced by the normalised values. Runs after loadGraphEncryption.
+async function validateNodeData(req, res, next) {
+    const { name, type, properties } = req.body;
+
+    if (!name || typeof name !== 'string' ||
+        (req.encrypted ? !graphEncryption.isEncryptedValue(name) : name.length > 200)) {
+        return res.status(400).json({ error: 'Invalid node name' });
+    }
+
+    try {
+        const types = await loadNodeTypes(req.uid);
+        const definition = typeof type === 'string' && types.find(known => known.name === type);
+        if (!definition) {
+            return res.status(400).json({ error: 'Invalid node type' });
+        }
+
+        if (properties !== undefined) {
+            const cleaned = nodeTypes.cleanNodeProperties(properties, definition, { encrypted: req.encrypted });
+            if (Object.keys(cleaned.errors).length > 0) {
+                return res.status(400).json({ error: 'Invalid node properties', properties: cleaned.errors });
+            }
+            req.body.properties = cleaned.properties;
+        }
+    } catch (error) {
+        console.error('Error loading node types:', error);
+        return res.status(500).json({ error: 'Error loading node types' });
+    }
+
+    next();
+}
+
+function validateRelationshipAction(action, encrypted = false) {
+    if (encrypted) return graphEncryption.isEncryptedValue(action);
+    return typeof action === 'string' && action.trim().length > 0 && action.length <= 200;
+}
+
+app.get("/overview", (req, res) => {
+    res.sendFile(__dirname + '/public/overview.html');
+});
+
+// OMI opens the app with ?uid=; that only picks the account, signing in still takes a code
+app.get("/", (req, res) => {
+    const uid = req.query.uid;
+
+    if (uid && typeof uid === 'string' && uid.length >= 3 && uid.length <= 50) {
+        const sanitizedUid = uid.replace(/[^a-zA-Z0-9-_]/g, '');
+        if (!req.session.authenticatedAt || req.session.userId !== sanitizedUid) {
+            return res.redirect(`/login?uid=${encodeURIComponent(sanitizedUid)}`);
+        }
+        return res.redirect('/');
+    }
+
+    res.sendFile(__dirname + '/public/main.html');
+});
+
+// Login route
+app.get("/login", (req, res) => {
+    res.sendFile(__dirname + '/public/login.html');
+});
+
+// Auth endpoints. Signing in is two steps: request a code for a uid, which is sent to that OMI account,
+// then verify it. The same answer is given whether or not the uid has used Brain before.
+app.post("/api/auth/request-code", authLimiter, validateUid, async (req, res) => {
+    try {
+        const uid = req.uid;
+
+        const user = await storage.getUser(uid);
+        if (user && user.code_sent_at && Date.now() - Date.parse(user.code_sent_at) < loginCodes.LOGIN_CODE_RESEND_MS) {
+            return res.status(429).json({ error: 'A code was just sent. Please wait a minute before asking again.' });
+        }
+
+        const code = loginCodes.generateLoginCode();
+        await storage.setLoginCode(uid, {
+            codeCheck: loginCodes.loginCodeCheck(SESSION_SECRETS[0], uid, code),
+            expiresAt: new Date(Date.now() + loginCodes.LOGIN_CODE_TTL_MS).toISOString()
+        });
+
+        // Only link to a configured address: the Host header is up to the caller
+        const link = process.env.FRONTEND_URL_BRAIN
+            ? `${process.env.FRONTEND_URL_BRAIN.replace(/\/+$/, '')}/login?uid=${encodeURIComponent(uid)}&code=${code}`
+            : null;
+        await loginDelivery.send(uid, { code, link });
+
+        res.json({ success: true, delivery: loginDelivery.name });
+    } catch (error) {
+        console.error('Sign-in code error:', error);
+        res.status(500).json({ error: 'Could not send a sign-in code' });
+    }
+});
+
+app.post("/api/auth/verify", authLimiter, validateUid, async (req, res) => {
+    const uid = req.uid;
+    const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+
+    if (!loginCodes.LOGIN_CODE_PATTERN.test(code)) {
+        return res.status(400).json({ error: 'Enter the 6-digit code' });
+    }
+
+    try {
+        const valid = await storage.consumeLoginCode(uid, loginCodes.loginCodeCheck(SESSION_SECRETS[0], uid, code), loginCodes.MAX_LOGIN_ATTEMPTS);
+        if (!valid) {
+            return res.status(401).json({ error: 'Wrong or expired code' });
+        }
+
+        // New session id on sign-in, so an id planted before it can't ride along
+        req.session.regenerate((err) => {
+            if (err) {
+                console.error('Session regenerate error:', err);
+                return res.status(500).json({ error: 'Login failed' });
+            }
+
+            req.session.userId = uid;
+            req.session.loginTime = new Date().toISOString();
+            req.session.authenticatedAt = req.session.loginTime;
+
+            req.session.save((saveErr) => {
+                if (saveErr) {
+                    console.error('Session save error:', saveErr);
+                    return res.status(500).json({ error: 'Login failed' });
+                }
+
+                res.json({
+                    success: true,
+                    uid: uid
+                });
+            });
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+    if (req.session && req.session.userId) {
+        closeEventStreams(req.session.userId, req.sessionID);
+    }
+    req.session.destroy((err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ success: true });
+    });
+});
+
+// Sign out everywhere: ends every session of this user, on every device, including this one
+app.post("/api/auth/logout-all", requireAuth, async (req, res) => {
+    try {
+        const ended = await storage.deleteLoginSessions(req.uid);
+        // Streams opened through other instances end at their next heartbeat, when the session is gone
+        closeEventStreams(req.uid);
+
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Session destruction error:', err);
+            }
+            res.clearCookie(SESSION_COOKIE);
+            res.json({ success: true, sessions: ended });
+        });
+    } catch (error) {
+        const result = handleDatabaseError(error, 'sign out everywhere');
+        res.status(result.status).json({ error: result.error });
+    }
+});
+
+// Profile endpoint
+app.get('/api/profile', requireAuth, async (req, res) => {
+    try {
+        const uid = req.uid;
+        const user = await storage.getUser(uid);
+
+        if (user) {
+            res.json({
+                uid: user.uid,
+                loginTime: req.session.loginTime
+            });
+        } else {
+            res.status(404).json({ error: 'User not found' });
+        }
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Error fetching profile' });
+    }
+});
+
+// Key material of an encrypted graph, for unlocking it in the browser: { enabled, salt, keyCheck, publicKey, privateKey }
+// (the private key is encrypted with the passphrase key, which never leaves the browser)
+app.get('/api/encryption', requireAuth, async (req, res) => {
+    try {
+        const user = await storage.getUser(req.uid);
+        if (!user || !user.has_key) {
+            return res.json({ enabled: false });
+        }
+
+        res.json({
+            enabled: true,
+            salt: user.key_salt,
+            keyCheck: user.key_check,
+            publicKey: JSON.parse(user.public_key),
+            privateKey: user.private_key
+        });
+    } catch (error) {
+        console.error('Error loading encryption key:', error);
+        res.status(500).json({ error: 'Error loading encryption key' });
+    }
+});
+
+// Turn on end-to-end encryption: { key: { salt, keyCheck, publicKey, privateKey }, nodes: [{ id, newId, name, aliases,
+// properties }], relationships: [{ id, action }] } with every value already encrypted in the browser and a random
+// new id per node (ids are often made from names). The lists must cover the stored graph exactly; sources, chat
+// sessions, descriptions and enrichment are deleted.
+// There is no way back short of deleting all data.
+app.post('/api/encryption', requireAuth, loadGraphEncryption, async (req, res) => {
+    const { key, nodes, relationships } = req.body;
+    const uid = req.uid;
+
+    if (req.encrypted) {
+        return res.status(409).json({ error: 'Encryption is already turned on' });
+    }
+
+    const keyError = graphEncryption.validateKeySetup(key);
+    if (keyError) {
+        return res.status(400).json({ error: keyError });
+    }
+
+    if (!Array.isArray(nodes) || !Array.isArray(relationships)) {
+        return res.status(400).json({ error: 'Encrypted nodes and relationships are required' });
+    }
+
+    const encryptedNodes = [];
+    for (const node of nodes) {
+        const aliases = node && Array.isArray(node.aliases) ? node.aliases : [];
+        const cleaned = nodeTypes.cleanNodeProperties(node && node.properties, null, { encrypted: true });
+        if (!node || typeof node.id !== 'string' || typeof node.newId !== 'string' || !/^ORB-[\w-]{8,96}$/.test(node.newId) ||
+            !graphEncryption.isEncryptedValue(node.name) ||
+            !aliases.every(alias => graphEncryption.isEncryptedValue(alias)) || Object.keys(cleaned.errors).length > 0) {
+            return res.status(400).json({ error: 'Every node must be encrypted', id: node && node.id });
+        }
+        encryptedNodes.push({ node_id: node.id, new_node_id: node.newId, name: node.name, aliases, properties: cleaned.properties });
+    }
+
+    for (const rel of relationships) {
+        if (!rel || typeof rel.id !== 'string' || !graphEncryption.isEncryptedValue(rel.action)) {
+            return res.status(400).json({ error: 'Every relationship must be encrypted', id: rel && rel.id });
+        }
+    }
+
+    try {
+        const [storedNodes, storedRelationships] = await Promise.all([
+            storage.listNodes(uid),
+            storage.listRelationships(uid)
+        ]);
+        const covers = (ids, stored) => {
+            const unique = new Set(ids);
+            return unique.size === ids.length && unique.size === stored.size && ids.every(id => stored.has(id));
+        };
+        const newIds = new Set(encryptedNodes.map(node => node.new_node_id));
+        if (newIds.size !== encryptedNodes.length || storedNodes.some(node => newIds.has(node.node_id))) {
+            return res.status(400).json({ error: 'New node ids must be unique' });
+        }
+        if (!covers(encryptedNodes.map(node => node.node_id), new Set(storedNodes.map(node => node.node_id))) ||
+            !covers(relationships.map(rel => rel.id), new Set(storedRelationships.map(rel => String(rel.id))))) {
+            return res.status(409).json({ error: 'The graph changed while it was being encrypted. Please try again.' });
+        }
+
+        const encrypted = await storage.encryptGraph(uid, {
+            key: {
+                salt: key.salt,
+                keyCheck: key.keyCheck,
+                publicKey: JSON.stringify({ kty: 'RSA', n: key.publicKey.n, e: key.publicKey.e }),
+                privateKey: key.privateKey
+            },
+            nodes: encryptedNodes,
+            relationships: relationships.map(rel => ({ id: rel.id, action: rel.action }))
+        });
+        // Checked again in the same transaction as the switch-over
+        if (!encrypted) {
+            return res.status(409).json({ error: 'The graph changed while it was being encrypted. Please try again.' });
+        }
+        publishGraphEvent(uid, 'reload');
+
+        console.log(`Turned on encryption for UID ${uid}`);
+        res.json({ enabled: true });
+    } catch (error) {
+        console.error('Error turning on encryption:', error);
+        res.status(500).json({ error: 'Error turning on encryption' });
+    }
+});
+
+app.get("/setup", async (req, res) => {
+    res.json({ 'is_setup_completed': true });
+});
+
+// Edit node endpoint ({ name, type, properties? }); properties, when sent, replace the stored ones
+app.put('/api/node/:nodeId', requireAuth, loadGraphEncryption, validateNodeData, async (req, res) => {
+    try {
+        const { nodeId } = req.params;
+        const { name, type, properties } = req.body;
+        const uid = req.uid;
+
+        if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
+            return res.status(400).json({ error: 'Invalid node ID' });
+        }
+
+        const { delta } = await withGraphDelta(uid, [nodeId], () => storage.updateNode(uid, nodeId, {
+            name: name,
+            type: type,
+            properties: properties
+        }));
+
+        res.json({ delta });
+    } catch (error) {
+        console.error('Error updating node:', error);
+        res.status(500).json({ error: 'Error updating node' });
+    }
+});
+
+// Delete node endpoint
+app.delete('/api/node/:nodeId', requireAuth, async (req, res) => {
+    const { nodeId } = req.params;
+    const uid = req.uid;
+
+    if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
+        return res.status(400).json({ error: 'Invalid node ID' });
+    }
+
+    try {
+        const { delta } = await withGraphDelta(uid, [nodeId], () => storage.deleteNode(uid, nodeId));
+
+        res.json({ delta });
+    } catch (error) {
+        console.error('Error deleting node:', error);
+        res.status(500).json({ error: 'Error deleting node' });
+    }
+});
+
+// Merge two nodes endpoint
+app.post('/api/node/merge', requireAuth, async (req, res) => {
+    const { keepNodeId, mergeNodeId } = req.body;
+    const uid = req.uid;
+
+    for (const nodeId of [keepNodeId, mergeNodeId]) {
+        if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
+            return res.status(400).json({ error: 'Invalid node ID' });
+        }
+    }
+
+    if (keepNodeId === mergeNodeId) {
+        return res.status(400).json({ error: 'Cannot merge a node into itself' });
+    }
+
+    try {
+        const { result: merged, delta } = await withGraphDelta(uid, [keepNodeId, mergeNodeId],
+            () => mergeNodes(uid, keepNodeId, mergeNodeId));
+        if (!merged) {
+            return res.status(404).json({ error: 'Node not found' });
+        }
+
+        res.json({ delta });
+    } catch (error) {
+        console.error('Error merging nodes:', error);
+        res.status(500).json({ error: 'Error merging nodes' });
+    }
+});
+
+// The user's node types with how many nodes have each (plus any stored types outside the ontology)
+app.get('/api/node-types', requireAuth, async (req, res) => {
+    try {
+        const uid = req.uid;
+        const counts = new Map((await storage.countNodesByType(uid)).map(row => [row.type, Number(row.count)]));
+        const types = (await loadNodeTypes(uid)).map(type => ({ ...type, count: counts.get(type.name) || 0 }));
+        const unknown = Array.from(counts.keys()).filter(name => name && !types.some(type => type.name === name));
+
+        res.json({ types, unknown: unknown.map(name => ({ name, count: counts.get(name) })) });
+    } catch (error) {
+        console.error('Error loading node types:', error);
+        res.status(500).json({ error: 'Error loading node types' });
+    }
+});
+
+// Define a node type, or restyle an existing one ({ description, color, icon, properties }).
+// properties maps property names to kinds (text, number, boolean, date, email, url).
+app.put('/api/node-types/:name', requireAuth, async (req, res) => {
+    const uid = req.uid;
+    const definition = {
+        name: req.params.name,
+        description: req.body.description || null,
+        color: req.body.color || null,
+        icon: req.body.icon || null,
+        properties: req.body.properties || {}
+    };
+
+    const invalid = nodeTypes.validateNodeTypeDefinition(definition);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const stored = await storage.listNodeTypes(uid);
+        const isNew = !nodeTypes.isBuiltinNodeType(definition.name) && !stored.some(type => type.name === definition.name);
+        if (isNew && stored.length >= nodeTypes.MAX_NODE_TYPES) {
+            return res.status(400).json({ error: `At most ${nodeTypes.MAX_NODE_TYPES} node types` });
+        }
+
+        await storage.upsertNodeType(uid, definition);
+        res.json({ types: await loadNodeTypes(uid) });
+    } catch (error) {
+        console.error('Error saving node type:', error);
+        res.status(500).json({ error: 'Error saving node type' });
+    }
+});
+
+// Delete a node type. Its nodes must be moved to another type first, or in the same call with ?retypeTo=.
+// For built-in types this only resets their colour, icon, description and properties.
+app.delete('/api/node-types/:name', requireAuth, async (req, res) => {
+    const uid = req.uid;
+    const { name } = req.params;
+    const { retypeTo } = req.query;
+
+    try {
+        const types = await loadNodeTypes(uid);
+        if (!types.some(type => type.name === name)) {
+            return res.status(404).json({ error: 'Node type not found' });
+        }
+
+        if (nodeTypes.isBuiltinNodeType(name)) {
+            await storage.deleteNodeType(uid, name);
+            return res.json({ types: await loadNodeTypes(uid), retyped: 0 });
+        }
+
+        let retyped = 0;
+        if (retypeTo) {
+            if (retypeTo === name || !types.some(type => type.name === retypeTo)) {
+                return res.status(400).json({ error: 'Invalid replacement type' });
+            }
+            retyped = await storage.retypeNodes(uid, name, retypeTo);
+        } else {
+            const inUse = (await storage.countNodesByType(uid)).find(row => row.type === name);
+            if (inUse && Number(inUse.count) > 0) {
+                return res.status(409).json({ error: 'Nodes still have this type; choose a type to move them to', count: Number(inUse.count) });
+            }
+        }
+
+        await storage.deleteNodeType(uid, name);
+        if (retyped > 0) {
+            publishGraphEvent(uid, 'reload');
+        }
+
+        res.json({ types: await loadNodeTypes(uid), retyped });
+    } catch (error) {
+        console.error('Error deleting node type:', error);
+        res.status(500).json({ error: 'Error deleting node type' });
+    }
+});
+
+// Move every node of one type to another ({ from, to }), e.g. concepts that are really projects,
+// or nodes left with a type that is no longer defined
+app.post('/api/node-types/retype', requireAuth, async (req, res) => {
+    const uid = req.uid;
+    const { from, to } = req.body;
+
+    if (!from || typeof from !== 'string' || from.length > 50 || from === to) {
+        return res.status(400).json({ error: 'Invalid type to retype from' });
+    }
+
+    try {
+        const types = await loadNodeTypes(uid);
+        if (!to || !types.some(type => type.name === to)) {
+            return res.status(400).json({ error: 'Invalid type to retype to' });
+        }
+
+        const retyped = await storage.retypeNodes(uid, from, to);
+        if (retyped > 0) {
+            publishGraphEvent(uid, 'reload');
+        }
+
+        res.json({ retyped });
+    } catch (error) {
+        console.error('Error retyping nodes:', error);
+        res.status(500).json({ error: 'Error retyping nodes' });
+    }
+});
+
+// Create a relationship between two existing nodes
+app.post('/api/relationship', requireAuth, loadGraphEncryption, async (req, res) => {
+    const { source, target, action } = req.body;
+    const uid = req.uid;
+
+    for (const nodeId of [source, target]) {
+        if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
+            return res.status(400).json({ error: 'Invalid node ID' });
+        }
+    }
+
+    if (source === target) {
+        return res.status(400).json({ error: 'A relationship needs two different nodes' });
+    }
+
+    if (!validateRelationshipAction(action, req.encrypted)) {
+        return res.status(400).json({ error: 'Invalid relationship action' });
+    }
+
+    try {
+        const rel = { source, target, action: action.trim() };
+
+        if ((await storage.getNodes(uid, [source, target])).length < 2) {
+            return res.status(404).json({ error: 'Node not found' });
+        }
+
+        const duplicate = await findDuplicateRelationship(uid, rel);
+        if (duplicate) {
+            return res.status(409).json({ error: 'This relationship already exists', id: duplicate.id });
+        }
+
+        const now = new Date().toISOString();
+        const { result: id, delta } = await withGraphDelta(uid, [source, target], () => storage.insertRelationship(uid, {
+            ...rel,
+            first_seen_at: now,
+            last_seen_at: now,
+            mention_count: 1
+        }));
+
+        res.status(201).json({ id, delta });
+    } catch (error) {
+        console.error('Error creating relationship:', error);
+        res.status(500).json({ error: 'Error creating relationship' });
+    }
+});
+
+// Change a relationship's action text and/or reverse its direction ({ action, reverse: true })
+app.put('/api/relationship/:relationshipId', requireAuth, loadGraphEncryption, async (req, res) => {
+    const { relationshipId } = req.params;
+    const { action, reverse } = req.body;
+    const uid = req.uid;
+
+    if (!relationshipId || typeof relationshipId !== 'string' || relationshipId.length > 100) {
+        return res.status(400).json({ error: 'Invalid relationship ID' });
+    }
+
+    if (action !== undefined && !validateRelationshipAction(action, req.encrypted)) {
+        return res.status(400).json({ error: 'Invalid relationship action' });
+    }
+
+    try {
+        const rel = await storage.getRelationship(uid, relationshipId);
+        if (!rel) {
+            return res.status(404).json({ error: 'Relationship not found' });
+        }
+
+        const fields = {
+            source: reverse === true ? rel.target : rel.source,
+            target: reverse === true ? rel.source : rel.target,
+            action: action !== undefined ? action.trim() : rel.action
+        };
+
+        const duplicate = await findDuplicateRelationship(uid, fields, relationshipId);
+        if (duplicate) {
+            return res.status(409).json({ error: 'This relationship already exists', id: duplicate.id });
+        }
+
+        const { delta } = await withGraphDelta(uid, [rel.source, rel.target],
+            () => storage.updateRelationship(uid, relationshipId, fields));
+
+        res.json({ delta });
+    } catch (error) {
+        console.error('Error updating relationship:', error);
+        res.status(500).json({ error: 'Error updating relationship' });
+    }
+});
+
+// Delete a single relationship, leaving both nodes in place
+app.delete('/api/relationship/:relationshipId', requireAuth, async (req, res) => {
+    const { relationshipId } = req.params;
+    const uid = req.uid;
+
+    if (!relationshipId || typeof relationshipId !== 'string' || relationshipId.length > 100) {
+        return res.status(400).json({ error: 'Invalid relationship ID' });
+    }
+
+    try {
+        const rel = await storage.getRelationship(uid, relationshipId);
+        if (!rel) {
+            return res.status(404).json({ error: 'Relationship not found' });
+        }
+
+        const { delta } = await withGraphDelta(uid, [rel.source, rel.target],
+            () => storage.deleteRelationships(uid, [relationshipId]));
+
+        res.json({ delta });
+    } catch (error) {
+        console.error('Error deleting relationship:', error);
+        res.status(500).json({ error: 'Error deleting relationship' });
+    }
+});
+
+// Recompute connection counts (node degrees) for the signed-in user
+app.post('/api/connections/repair', requireAuth, async (req, res) => {
+    try {
+        const uid = req.uid;
+        const repaired = await storage.recountConnections(uid);
+        if (repaired > 0) {
+            console.log(`Repaired connection counts of ${repaired} nodes for UID ${uid}`);
+            publishGraphEvent(uid, 'reload');
+        }
+
+        // Get updated memory graph
+        const memoryGraph = await loadMemoryGraph(uid);
+        res.json({
+            repaired,
+            nodes: Array.from(memoryGraph.nodes.values()),
+            relationships: memoryGraph.relationships
+        });
+    } catch (error) {
+        console.error('Error repairing connection counts:', error);
+        res.status(500).json({ error: 'Error repairing connection counts' });
+    }
+});
+
+// Sources ("mentioned in") for a node
+app.get('/api/node/:nodeId/sources', requireAuth, async (req, res) => {
+    const { nodeId } = req.params;
+    const uid = req.uid;
+
+    if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
+        return res.status(400).json({ error: 'Invalid node ID' });
+    }
+
+    try {
+        const node = await storage.getNode(uid, nodeId);
+        if (!node) {
+            return res.status(404).json({ error: 'Node not found' });
+        }
+
+        const terms = [node.name, ...(node.aliases || [])];
+        const sources = (await storage.nodeSources(uid, nodeId))
+            .map(source => ({
+                id: source.id,
+                type: source.source_type,
+                created_at: source.created_at,
+                snippet: extractSnippet(source.content, terms)
+            }))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+        res.json({ sources });
+    } catch (error) {
+        console.error('Error loading node sources:', error);
+        res.status(500).json({ error: 'Error loading node sources' });
+    }
+});
+
+// Sources for a relationship
+app.get('/api/relationship/:relationshipId/sources', requireAuth, async (req, res) => {
+    const { relationshipId } = req.params;
+    const uid = req.uid;
+
+    if (!relationshipId || typeof relationshipId !== 'string' || relationshipId.length > 100) {
+        return res.status(400).json({ error: 'Invalid relationship ID' });
+    }
+
+    try {
+        const rel = await storage.getRelationship(uid, relationshipId);
+        if (!rel) {
+            return res.status(404).json({ error: 'Relationship not found' });
+        }
+
+        const terms = [rel.source, rel.target].map(id => String(id || '').replace(/^ORB-/, ''));
+        const sources = (await storage.relationshipSources(uid, relationshipId))
+            .map(source => ({
+                id: source.id,
+                type: source.source_type,
+                created_at: source.created_at,
+                snippet: extractSnippet(source.content, terms)
+            }))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+        res.json({ sources });
+    } catch (error) {
+        console.error('Error loading relationship sources:', error);
+        res.status(500).json({ error: 'Error loading relationship sources' });
+    }
+});
 
-// Auth endpoints
-app.post("/api/auth/login", validateUid, async (req, res) => {
+// List source transcripts
+app.get('/api/sources', requireAuth, async (req, res) => {
     try {
         const uid = req.uid;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
 
-        // Create or update user record
-        await supabase
-            .from('brain_users')
-            .upsert([
-                {
-                    uid: uid
-                }
-            ]);
+        const rows = await storage.listSources(uid, limit);
 
-        // Set session and ensure it's saved
-        req.session.userId = uid;
-        req.session.loginTime = new Date().toISOString();
+        res.json({
+            sources: rows.map(row => ({
+                id: row.id,
+                type: row.source_type,
+                external_id: row.external_id,
+                created_at: row.created_at,
+                snippet: extractSnippet(row.content, [])
+            }))
+        });
+    } catch (error) {
+        console.error('Error listing sources:', error);
+        res.status(500).json({ error: 'Error listing sources' });
+    }
+});
 
-        // Force session save
-        req.session.save((err) => {
-            if (err) {
-                console.error('Session save error:', err);
-                return res.status(500).json({ error: 'Login failed' });
-            }
+// Delete a source transcript (?cascade=true also removes facts only it produced)
+app.delete('/api/sources/:sourceId', requireAuth, async (req, res) => {
+    const { sourceId } = req.params;
+    const uid = req.uid;
+    const cascade = req.query.cascade === 'true';
 
-            res.json({
-                success: true,
-                uid: uid
+    if (!sourceId || typeof sourceId !== 'string' || !/^[0-9a-f-]{36}$/i.test(sourceId)) {
+        return res.status(400).json({ error: 'Invalid source ID' });
+    }
+
+    try {
+        const removed = await deleteMemorySource(uid, sourceId, cascade);
+        if (!removed) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+        if (removed.nodes.length > 0 || removed.relationships.length > 0) {
+            publishGraphEvent(uid, 'reload');
+        }
+
+        // Get updated memory graph
+        const memoryGraph = await loadMemoryGraph(uid);
+        res.json({
+            removed,
+            nodes: Array.from(memoryGraph.nodes.values()),
+            relationships: memoryGraph.relationships
+        });
+    } catch (error) {
+        console.error('Error deleting source:', error);
+        res.status(500).json({ error: 'Error deleting source' });
+    }
+});
+
+// Protected API endpoints
+app.post('/api/chat', requireAuth, validateTextInput, loadGraphEncryption, async (req, res) => {
+    try {
+        const { message, session_id } = req.body;
+        const uid = req.uid;
+
+        if (!message || typeof message !== 'string') {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+
+        // Encrypted graph: answer from what the browser decrypted for this message ({ history, plaintext })
+        // and keep nothing, since a stored conversation would be plaintext
+        if (req.encrypted) {
+            const history = (Array.isArray(req.body.history) ? req.body.history : [])
+                .slice(-CHAT_MAX_CLIENT_HISTORY)
+                .filter(m => m && typeof m.text === 'string' && m.text.length <= 5000)
+                .map(m => ({
+                    text: m.text,
+                    is_user: m.is_user === true,
+                    citations: Array.isArray(m.citations) ? m.citations.filter(id => typeof id === 'string') : []
+                }));
+            const { response, citations } = await processChatWithGPT(uid, message, history, {
+                plaintext: graphEncryption.readPlaintext(req.body.plaintext)
             });
+            return res.json({ session_id: null, response, citations });
+        }
+
+        if (session_id && (typeof session_id !== 'string' || session_id.length > 120)) {
+            return res.status(400).json({ error: 'Invalid session ID' });
+        }
+
+        const existing = session_id ? await storage.getChatSession(uid, session_id) : null;
+        if (session_id && !existing) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+
+        const sessionId = existing ? existing.session_id : newChatSessionId(uid);
+        const history = existing && Array.isArray(existing.messages) ? existing.messages : [];
+
+        const { response, citations } = await processChatWithGPT(uid, message, history);
+
+        // Only this turn is appended, so another answer finishing in the meantime isn't overwritten
+        const nowSec = Date.now() / 1000;
+        try {
+            await storage.appendChatMessages(uid, {
+                session_id: sessionId,
+                title: message.slice(0, 60),
+                messages: [
+                    { text: message, timestamp: nowSec, is_user: true },
+                    { text: response, timestamp: nowSec + 0.1, is_user: false, citations }
+                ]
+            }, CHAT_MAX_STORED_MESSAGES);
+        } catch (error) {
+            console.error('Persist chat failed (non-fatal):', error);
+        }
+
+        res.json({ session_id: sessionId, response, citations });
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Error processing chat' });
+    }
+});
+
+// List chat sessions
+app.get('/api/chat/sessions', requireAuth, async (req, res) => {
+    try {
+        const uid = req.uid;
+        const sessions = await storage.listChatSessions(uid, 50);
+
+        res.json({
+            sessions: sessions.map(session => ({
+                session_id: session.session_id,
+                title: session.title || 'Untitled conversation',
+                message_count: (session.messages || []).length,
+                last_activity: session.last_activity,
+                created_at: session.created_at
+            }))
         });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Login failed' });
+        console.error('Error listing chat sessions:', error);
+        res.status(500).json({ error: 'Error listing chat sessions' });
     }
 });
 
-app.post("/api/auth/logout", (req, res) => {
-    req.session.destroy((err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Logout failed' });
+// Resume a chat session
+app.get('/api/chat/sessions/:sessionId', requireAuth, async (req, res) => {
+    try {
+        const session = await storage.getChatSession(req.uid, req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
+
+        res.json({
+            session_id: session.session_id,
+            title: session.title,
+            messages: session.messages || []
+        });
+    } catch (error) {
+        console.error('Error loading chat session:', error);
+        res.status(500).json({ error: 'Error loading chat session' });
+    }
+});
+
+// Delete a chat session
+app.delete('/api/chat/sessions/:sessionId', requireAuth, async (req, res) => {
+    try {
+        const deleted = await storage.deleteChatSession(req.uid, req.params.sessionId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Chat session not found' });
         }
-        res.clearCookie('connect.sid');
+
         res.json({ success: true });
-    });
+    } catch (error) {
+        console.error('Error deleting chat session:', error);
+        res.status(500).json({ error: 'Error deleting chat session' });
+    }
 });
 
-// Profile endpoint
-app.get('/api/profile', requireAuth, async (req, res) => {
+function addSampleData(uid, numNodes = 3000, numRelationships = 5000) {
+    const types = ['person', 'location', 'event', 'concept'];
+    const actions = ['knows', 'lives_in', 'attended', 'connected_to', 'influenced', 'created'];
+
+    const firstNames = ['Liam', 'Emma', 'Noah', 'Olivia', 'Ethan', 'Ava', 'James', 'Sophia', 'Lucas', 'Mia'];
+    const lastNames = ['Johnson', 'Smith', 'Brown', 'Williams', 'Taylor', 'Anderson', 'Davis', 'Miller', 'Wilson', 'Moore'];
+    const places = ['New York', 'Berlin', 'Tokyo', 'London', 'Paris', 'Sydney', 'Toronto', 'Madrid', 'Rome', 'Amsterdam'];
+    const events = ['Tech Conference', 'Music Festival', 'Art Exhibition', 'Startup Meetup', 'Science Fair'];
+    const concepts = ['Quantum Computing', 'AI Ethics', 'Sustainable Energy', 'Blockchain Security', 'Neural Networks'];
+
+    let nodes = [];
+    let relationships = [];
+
+    for (let i = 0; i < numNodes; i++) {
+        const id = `node-${i}`;
+        const type = getRandomElement(types);
+        let name;
+
+        switch (type) {
+            case 'Person':
+                name = `${getRandomElement(firstNames)} ${getRandomElement(lastNames)}`;
+                break;
+            case 'Location':
+                name = getRandomElement(places);
+                break;
+            case 'Event':
+                name = getRandomElement(events);
+                break;
+            case 'Concept':
+                name = getRandomElement(concepts);
+                break;
+        }
+
+        nodes.push({ id, type, name, uid });
+    }
+
+    for (let i = 0; i < numRelationships; i++) {
+        const source = getRandomElement(nodes).id;
+        const target = getRandomElement(nodes).id;
+        if (source !== target) {
+            const action = getRandomElement(actions);
+            relationships.push({ source, target, action, uid });
+        }
+    }
+
+    return { nodes, relationships };
+}
+
+function getRandomElement(array) {
+    return array[Math.floor(Math.random() * array.length)];
+}
+
+// Get current memory graph.
+// ?limit=K returns a level-of-detail view instead: the top K nodes (?rank=degree|strength) plus cluster summary nodes
+app.get('/api/memory-graph', requireAuth, async (req, res) => {
     try {
         const uid = req.uid;
-        const { data: rows } = await supabase
-            .from('brain_users')
-            .select()
-            .eq('uid', uid);
+        const sample = req.query.sample === 'true';
 
-        if (rows && rows.length > 0) {
-            res.json({
-                uid: rows[0].uid,
-                loginTime: req.session.loginTime
-            });
+        if (req.query.limit && !sample) {
+            return res.json(await loadGraphView(uid, graphViewOptions(req.query)));
+        }
+
+        let memoryGraph = await loadMemoryGraph(uid);
+
+        if (sample) {
+            memoryGraph = addSampleData(uid, 500, 800);
+        }
+        const visualizationData = {
+            nodes: Array.from(memoryGraph.nodes.values()),
+            relationships: memoryGraph.relationships
+        };
+
+        res.json(visualizationData);
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Error fetching memory graph' });
+    }
+});
+
+// Live graph changes for the signed-in user as Server-Sent Events:
+// "delta" ({ added, updated, removed }) after node edits and saves, "reload" after bulk changes
+app.get('/api/events', requireAuth, (req, res) => {
+    const uid = req.uid;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'  // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const stream = {
+        res,
+        sid: req.sessionID,
+        expiresAt: sessionExpiresAt(req.session.cookie.expires, req.session.authenticatedAt)
+    };
+    if (!eventStreams.has(uid)) eventStreams.set(uid, new Set());
+    eventStreams.get(uid).add(stream);
+
+    // Comment lines keep proxies from closing an idle stream. Each beat also checks the session is still there,
+    // since it may have timed out or been ended by another instance; other requests keep extending it.
+    const heartbeat = setInterval(async () => {
+        try {
+            const session = await storage.getLoginSession(stream.sid);
+            stream.expiresAt = session
+                ? sessionExpiresAt(session.expires_at, session.data && session.data.authenticatedAt)
+                : 0;
+        } catch (error) {
+            console.error('Event stream session check failed:', error);
+        }
+
+        if (Date.now() >= stream.expiresAt) {
+            res.end();
         } else {
-            res.status(404).json({ error: 'User not found' });
+            res.write(': ping\n\n');
+        }
+    }, 25000);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = eventStreams.get(uid);
+        if (streams) {
+            streams.delete(stream);
+            if (streams.size === 0) eventStreams.delete(uid);
+        }
+    });
+});
+
+// Expand a cluster summary node from a level-of-detail view (same ?limit and ?rank as the view, plus ?offset)
+app.get('/api/memory-graph/clusters/:clusterId', requireAuth, async (req, res) => {
+    const { clusterId } = req.params;
+
+    if (!clusterId || clusterId.length > 200) {
+        return res.status(400).json({ error: 'Invalid cluster ID' });
+    }
+
+    try {
+        const delta = await expandGraphCluster(req.uid, clusterId, {
+            ...graphViewOptions(req.query),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+        if (!delta) {
+            return res.status(404).json({ error: 'Cluster not found' });
         }
+
+        res.json({ delta });
     } catch (error) {
-        console.error('Profile error:', error);
-        res.status(500).json({ error: 'Error fetching profile' });
+        console.error('Error expanding cluster:', error);
+        res.status(500).json({ error: 'Error expanding cluster' });
+    }
+});
+
+// Communities in the memory graph with model-generated labels, for the cluster view (?limit=)
+app.get('/api/clusters', requireAuth, loadGraphEncryption, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAX_COMMUNITIES, 1), 50);
+        res.json(await detectMemoryCommunities(req.uid, { limit, encrypted: req.encrypted }));
+    } catch (error) {
+        console.error('Error detecting clusters:', error);
+        res.status(500).json({ error: 'Error detecting clusters' });
+    }
+});
+
+// Facts learned per day, week or month with counts by entity type (?interval=&tzOffset=)
+app.get('/api/timeline', requireAuth, async (req, res) => {
+    const interval = req.query.interval || 'day';
+    if (!TIMELINE_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: 'interval must be day, week or month' });
+    }
+
+    try {
+        const tzOffset = parseTzOffset(req.query.tzOffset);
+        res.json({ interval, buckets: await loadTimeline(req.uid, { interval, tzOffset }) });
+    } catch (error) {
+        console.error('Error loading timeline:', error);
+        res.status(500).json({ error: 'Error loading timeline' });
+    }
+});
+
+// The subgraph learned in the period starting on :start (YYYY-MM-DD, same ?interval and ?tzOffset)
+app.get('/api/timeline/:start', requireAuth, async (req, res) => {
+    const interval = req.query.interval || 'day';
+    if (!TIMELINE_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: 'interval must be day, week or month' });
+    }
+
+    const range = timelineRange(req.params.start, interval, parseTzOffset(req.query.tzOffset));
+    if (!range) {
+        return res.status(400).json({ error: 'start must be a YYYY-MM-DD date' });
+    }
+
+    try {
+        res.json(await loadTimelineSubgraph(req.uid, range));
+    } catch (error) {
+        console.error('Error loading timeline subgraph:', error);
+        res.status(500).json({ error: 'Error loading timeline subgraph' });
+    }
+});
+
+// Heatmap grids computed from the graph (?mode=type-week|hour|adjacency&tzOffset=)
+app.get('/api/heatmap', requireAuth, async (req, res) => {
+    const mode = req.query.mode || 'type-week';
+    if (!HEATMAP_MODES.includes(mode)) {
+        return res.status(400).json({ error: 'mode must be type-week, hour or adjacency' });
+    }
+
+    try {
+        const tzOffset = parseTzOffset(req.query.tzOffset);
+        const grid = mode === 'type-week' ? await typeByWeekHeatmap(req.uid, tzOffset)
+            : mode === 'hour' ? await hourHeatmap(req.uid, tzOffset)
+            : await adjacencyHeatmap(req.uid);
+
+        res.json({ mode, ...grid });
+    } catch (error) {
+        console.error('Error building heatmap:', error);
+        res.status(500).json({ error: 'Error building heatmap' });
+    }
+});
+
+// Fuzzy search over node names and relationship actions (?q=&type=&since=&limit=)
+app.get('/api/search', requireAuth, loadGraphEncryption, async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const type = typeof req.query.type === 'string' && req.query.type ? req.query.type : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    if (req.encrypted) {
+        return res.status(409).json({ error: 'An encrypted graph is searched in the browser' });
+    }
+
+    if (!query || query.length > 200) {
+        return res.status(400).json({ error: 'Search query must be 1-200 characters' });
+    }
+    if (type && type.length > 50) {
+        return res.status(400).json({ error: 'Invalid node type' });
+    }
+
+    let since = null;
+    if (req.query.since) {
+        const parsed = typeof req.query.since === 'string' ? new Date(req.query.since) : new Date(NaN);
+        if (isNaN(parsed)) {
+            return res.status(400).json({ error: 'since must be a date, e.g. 2024-01-31' });
+        }
+        since = parsed.toISOString();
+    }
+
+    try {
+        const results = await searchMemoryGraph(req.uid, { query, type, since, limit });
+        res.json({ query, results });
+    } catch (error) {
+        console.error('Error searching memory graph:', error);
+        res.status(500).json({ error: 'Error searching memory graph' });
+    }
+});
+
+// A decrypted OMI memory sent back for extraction (webhook transcripts have up to 500 segments)
+const MAX_PENDING_TEXT_LENGTH = 200000;
+const PENDING_MEMORY_BATCH = 20;
+
+// For an encrypted graph nothing is saved: the extraction is returned ({ extracted }) for the browser to resolve,
+// encrypt and save through /api/memory-graph/encrypted. It may send a decrypted OMI memory as { text } instead.
+app.post('/api/process-text', requireAuth, validateTextInput, loadGraphEncryption, async (req, res) => {
+    try {
+        const { transcript_segments } = req.body;
+        const uid = req.uid;
+        const pendingText = req.encrypted && typeof req.body.text === 'string' ? req.body.text : null;
+
+        if (pendingText !== null && pendingText.length > MAX_PENDING_TEXT_LENGTH) {
+            return res.status(400).json({ error: 'Text is too long' });
+        }
+
+        if (pendingText === null && (!transcript_segments || !Array.isArray(transcript_segments))) {
+            return res.status(400).json({ error: 'Transcript segments are required' });
+        }
+
+        const text = pendingText !== null ? pendingText : transcriptToText(transcript_segments);
+
+        if (!text.trim()) {
+            return res.status(400).json({ error: 'No valid text content found' });
+        }
+
+        const processedData = await processTextWithGPT(text, await loadNodeTypes(uid));
+        if (req.encrypted) {
+            return res.json({ extracted: processedData });
+        }
+
+        const resolvedData = await resolveMemoryGraph(uid, processedData);
+        const saved = await saveMemoryGraph(uid, resolvedData, { type: 'upload', content: text });
+
+        if (saved.delta) {
+            return res.json({ delta: saved.delta, rejected: saved.rejected });
+        }
+
+        // Too large to diff: send the whole graph
+        const memoryGraph = await loadMemoryGraph(uid);
+        res.json({
+            nodes: Array.from(memoryGraph.nodes.values()),
+            relationships: memoryGraph.relationships,
+            rejected: saved.rejected
+        });
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Error processing text' });
     }
 });
 
-app.get("/setup", async (req, res) => {
-    res.json({ 'is_setup_completed': true });
-});
+// Save a graph batch encrypted in the browser: { entities, relationships, source?: { type, content, externalId? },
+// pendingId? } where source.content is the encrypted source text and pendingId the sealed OMI memory it came from
+app.post('/api/memory-graph/encrypted', requireAuth, loadGraphEncryption, async (req, res) => {
+    const { entities, relationships, source, pendingId } = req.body;
+    const uid = req.uid;
+
+    if (!req.encrypted) {
+        return res.status(409).json({ error: 'Encryption is not turned on' });
+    }
+
+    if (!Array.isArray(entities) || !Array.isArray(relationships) ||
+        entities.length > MAX_IMPORT_NODES || relationships.length > MAX_IMPORT_RELATIONSHIPS) {
+        return res.status(400).json({ error: 'Invalid graph batch' });
+    }
+
+    if (source != null && (!['upload', 'omi', 'import'].includes(source.type) ||
+        !graphEncryption.isEncryptedValue(source.content, graphEncryption.MAX_ENCRYPTED_SOURCE_LENGTH) ||
+        (source.externalId != null && (typeof source.externalId !== 'string' || source.externalId.length > 100)))) {
+        return res.status(400).json({ error: 'Invalid source' });
+    }
+
+    if (pendingId != null && (typeof pendingId !== 'string' || pendingId.length > 100)) {
+        return res.status(400).json({ error: 'Invalid pending memory ID' });
+    }
 
-// Edit node endpoint
-app.put('/api/node/:nodeId', requireAuth, validateNodeData, async (req, res) => {
     try {
-        const { nodeId } = req.params;
-        const { name, type } = req.body;
-        const uid = req.uid;
+        const saved = await saveMemoryGraph(uid, { entities, relationships }, source || null, { encrypted: true });
 
-        if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
-            return res.status(400).json({ error: 'Invalid node ID' });
+        // Only once its facts are saved, so a failed save leaves the memory queued
+        if (pendingId != null) {
+            await storage.deletePendingMemory(uid, pendingId);
         }
 
-        await supabase
-            .from('memory_nodes')
-            .update({
-                name: name,
-                type: type
-            })
-            .eq('uid', uid)
-            .eq('node_id', nodeId);
+        if (saved.delta) {
+            return res.json({ delta: saved.delta, rejected: saved.rejected });
+        }
 
-        // Get updated memory graph
+        // Too large to diff: send the whole graph
         const memoryGraph = await loadMemoryGraph(uid);
-        const visualizationData = {
+        res.json({
             nodes: Array.from(memoryGraph.nodes.values()),
-            relationships: memoryGraph.relationships
-        };
+            relationships: memoryGraph.relationships,
+            rejected: saved.rejected
+        });
+    } catch (error) {
+        console.error('Error saving encrypted graph:', error);
+        res.status(500).json({ error: 'Error saving encrypted graph' });
+    }
+});
 
-        res.json(visualizationData);
+// OMI memories that arrived for an encrypted graph, sealed to the user's key, oldest first
+app.get('/api/pending-memories', requireAuth, async (req, res) => {
+    try {
+        const rows = await storage.listPendingMemories(req.uid, PENDING_MEMORY_BATCH);
+        res.json({
+            memories: rows.map(row => ({
+                id: row.id,
+                memory_id: row.memory_id,
+                created_at: row.created_at,
+                sealed: row.data
+            }))
+        });
     } catch (error) {
-        console.error('Error updating node:', error);
-        res.status(500).json({ error: 'Error updating node' });
+        console.error('Error listing pending memories:', error);
+        res.status(500).json({ error: 'Error listing pending memories' });
     }
 });
 
-// Delete node endpoint
-app.delete('/api/node/:nodeId', requireAuth, async (req, res) => {
-    const { nodeId } = req.params;
+// OMI memory-creation webhook: uid comes as a query param, the memory object as the body
+app.post('/webhook', webhookLimiter, validateUid, async (req, res) => {
     const uid = req.uid;
+    const memory = req.body || {};
+    const memoryId = memory.id ? String(memory.id).slice(0, 100) : null;
+    const segments = memory.transcript_segments;
 
-    if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
-        return res.status(400).json({ error: 'Invalid node ID' });
+    if (!memoryId) {
+        return res.status(400).json({ error: 'Memory id is required' });
     }
 
-    try {
-        await supabase
-            .from('memory_relationships')
-            .delete()
-            .eq('uid', uid)
-            .or(`source.eq.${nodeId},target.eq.${nodeId}`);
+    if (!Array.isArray(segments) || segments.length > 500) {
+        return res.status(400).json({ error: 'Invalid transcript format or too many segments' });
+    }
 
-        await supabase
-            .from('memory_nodes')
-            .delete()
-            .eq('uid', uid)
-            .eq('node_id', nodeId);
+    if (memory.discarded) {
+        return res.status(200).json({ message: 'Memory discarded, nothing to process' });
+    }
 
-        // Get updated memory graph
-        const memoryGraph = await loadMemoryGraph(uid);
-        const visualizationData = {
-            nodes: Array.from(memoryGraph.nodes.values()),
-            relationships: memoryGraph.relationships
-        };
+    const text = transcriptToText(segments);
+    if (!text.trim()) {
+        return res.status(200).json({ message: 'No valid text content found' });
+    }
 
-        res.json(visualizationData);
+    // Claim the memory id first so a retried delivery can't process it twice
+    let claimed;
+    try {
+        claimed = await storage.claimMemory(uid, memoryId);
     } catch (error) {
-        console.error('Error deleting node:', error);
-        res.status(500).json({ error: 'Error deleting node' });
+        const result = handleDatabaseError(error, 'webhook claim');
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    if (!claimed) {
+        return res.status(200).json({ message: 'Memory already processed' });
     }
-});
 
-// Protected API endpoints
-app.post('/api/chat', requireAuth, validateTextInput, async (req, res) => {
     try {
-        const { message } = req.body;
-        const uid = req.uid;
+        await storage.upsertUser(uid);
 
-        if (!message || typeof message !== 'string') {
-            return res.status(400).json({ error: 'Message is required' });
+        // Encrypted graph: seal the transcript to the user's key until their browser extracts it
+        const user = await storage.getUser(uid);
+        if (user.has_key) {
+            const sealed = graphEncryption.sealText(JSON.parse(user.public_key), text);
+            await storage.addPendingMemory(uid, memoryId, sealed);
+            publishGraphEvent(uid, 'pending');
+
+            console.log(`Queued encrypted memory ${memoryId} for UID ${uid}`);
+            return res.status(200).json({ success: true, queued: true });
         }
 
-        const response = await processChatWithGPT(uid, message);
-        res.json({ response });
+        const processedData = await processTextWithGPT(text, await loadNodeTypes(uid));
+        const resolvedData = await resolveMemoryGraph(uid, processedData);
+        const saved = await saveMemoryGraph(uid, resolvedData, { type: 'omi', externalId: memoryId, content: text });
+
+        console.log(`Processed memory ${memoryId} for UID ${uid}`);
+        res.status(200).json({
+            success: true,
+            nodes: saved.nodes,
+            relationships: saved.relationships,
+            merged: resolvedData.merged.length,
+            rejected: saved.rejected
+        });
     } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Error processing chat' });
+        console.error('Webhook processing error:', error);
+
+        // Release the claim so OMI's retry can process it again
+        await storage.releaseMemory(uid, memoryId).catch(err => console.error('Release claim failed:', err));
+
+        res.status(500).json({ error: 'Error processing memory' });
     }
 });
 
-function addSampleData(uid, numNodes = 3000, numRelationships = 5000) {
-    const types = ['person', 'location', 'event', 'concept'];
-    const actions = ['knows', 'lives_in', 'attended', 'connected_to', 'influenced', 'created'];
+app.get('/webhook/setup-status', (req, res) => {
+    return res.status(200).json({ is_setup_completed: true });
+});
 
-    const firstNames = ['Liam', 'Emma', 'Noah', 'Olivia', 'Ethan', 'Ava', 'James', 'Sophia', 'Lucas', 'Mia'];
-    const lastNames = ['Johnson', 'Smith', 'Brown', 'Williams', 'Taylor', 'Anderson', 'Davis', 'Miller', 'Wilson', 'Moore'];
-    const places = ['New York', 'Berlin', 'Tokyo', 'London', 'Paris', 'Sydney', 'Toronto', 'Madrid', 'Rome', 'Amsterdam'];
-    const events = ['Tech Conference', 'Music Festival', 'Art Exhibition', 'Startup Meetup', 'Science Fair'];
-    const concepts = ['Quantum Computing', 'AI Ethics', 'Sustainable Energy', 'Blockchain Security', 'Neural Networks'];
+// An import is written in one transaction, which with SQLite holds up every other request while it runs
+const MAX_IMPORT_NODES = 5000;
+const MAX_IMPORT_RELATIONSHIPS = 20000;
 
-    let nodes = [];
-    let relationships = [];
+// Letters (with their marks), digits, "_" and "-" of any script
+const NODE_ID_PATTERN = /^ORB-[\p{L}\p{M}\p{N}_-]+$/u;
 
-    for (let i = 0; i < numNodes; i++) {
-        const id = `node-${i}`;
-        const type = getRandomElement(types);
-        let name;
+// "Anna Schmidt" -> "ORB-AnnaSchmidt", "Иван Петров" -> "ORB-ИванПетров"
+function nodeIdFromName(name) {
+    const words = String(name).normalize('NFKC').match(/[\p{L}\p{M}\p{N}]+/gu) || ['Node'];
+    return 'ORB-' + words.map(word => word[0].toLocaleUpperCase() + word.slice(1)).join('').slice(0, 90);
+}
 
-        switch (type) {
-            case 'Person':
-                name = `${getRandomElement(firstNames)} ${getRandomElement(lastNames)}`;
-                break;
-            case 'Location':
-                name = getRandomElement(places);
-                break;
-            case 'Event':
-                name = getRandomElement(events);
-                break;
-            case 'Concept':
-                name = getRandomElement(concepts);
-                break;
+// Validate a parsed import file and give every node an id that fits this graph
+function prepareImportedGraph(parsed, typeNames) {
+    const entities = [];
+    const relationships = [];
+    const idMap = new Map();
+    const usedIds = new Set();
+    let skipped = 0;
+
+    for (const entity of parsed.entities) {
+        const name = typeof entity.name === 'string' ? entity.name.trim() : '';
+        const originalId = entity.id ? String(entity.id) : '';
+        if (!name || name.length > 200 || !originalId || originalId.length > 100) {
+            skipped++;
+            continue;
         }
 
-        nodes.push({ id, type, name, uid });
+        // Labels that give the same id ("Anna" twice, or only symbols) are still different nodes of the file
+        let id = idMap.get(originalId);
+        if (!id) {
+            const baseId = NODE_ID_PATTERN.test(originalId) ? originalId : nodeIdFromName(name);
+            id = baseId;
+            for (let n = 2; usedIds.has(id); n++) {
+                id = `${baseId}-${n}`;
+            }
+            usedIds.add(id);
+            idMap.set(originalId, id);
+        }
+        entities.push({
+            id,
+            type: typeNames.has(entity.type) ? entity.type : nodeTypes.DEFAULT_NODE_TYPE,
+            name,
+            aliases: (entity.aliases || [])
+                .filter(alias => typeof alias === 'string' && alias.trim() && alias.length <= 200)
+                .map(alias => alias.trim()),
+            // Checked against the type's schema when saved
+            properties: entity.properties
+        });
     }
 
-    for (let i = 0; i < numRelationships; i++) {
-        const source = getRandomElement(nodes).id;
-        const target = getRandomElement(nodes).id;
-        if (source !== target) {
-            const action = getRandomElement(actions);
-            relationships.push({ source, target, action, uid });
+    for (const rel of parsed.relationships) {
+        const source = idMap.get(String(rel.source));
+        const target = idMap.get(String(rel.target));
+        if (!source || !target) {
+            skipped++;
+            continue;
         }
-    }
 
-    return { nodes, relationships };
-}
+        const action = typeof rel.action === 'string' && rel.action.trim() ? rel.action.trim() : 'related to';
+        relationships.push({ source, target, action: action.slice(0, 500) });
+    }
 
-function getRandomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return { entities, relationships, skipped };
 }
 
-// Get current memory graph
-app.get('/api/memory-graph', requireAuth, async (req, res) => {
-    try {
-        const uid = req.uid;
-        const sample = req.query.sample === 'true';
+// Export the memory graph
+app.get('/api/export', requireAuth, async (req, res) => {
+    const format = req.query.format || 'jsonld';
+    const date = new Date().toISOString().slice(0, 10);
 
-        let memoryGraph = await loadMemoryGraph(uid);
+    if (!['jsonld', 'graphml', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid export format' });
+    }
 
-        if (sample) {
-            memoryGraph = addSampleData(uid, 500, 800);
-        }
-        const visualizationData = {
+    try {
+        const memoryGraph = await loadMemoryGraph(req.uid);
+        const graph = {
             nodes: Array.from(memoryGraph.nodes.values()),
             relationships: memoryGraph.relationships
         };
 
-        res.json(visualizationData);
+        if (format === 'graphml') {
+            res.set('Content-Type', 'application/graphml+xml; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="brain-graph-${date}.graphml"`);
+            return res.send(graphFormats.toGraphML(graph));
+        }
+
+        if (format === 'csv') {
+            const part = req.query.part === 'edges' ? 'edges' : 'nodes';
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="brain-${part}-${date}.csv"`);
+            return res.send(part === 'edges' ? graphFormats.toEdgesCsv(graph) : graphFormats.toNodesCsv(graph));
+        }
+
+        res.set('Content-Type', 'application/ld+json; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="brain-graph-${date}.jsonld"`);
+        res.send(JSON.stringify(graphFormats.toJsonLd(graph), null, 2));
     } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Error fetching memory graph' });
+        console.error('Error exporting graph:', error);
+        res.status(500).json({ error: 'Error exporting graph' });
     }
 });
 
-app.post('/api/process-text', requireAuth, validateTextInput, async (req, res) => {
-    try {
-        const { transcript_segments } = req.body;
-        const uid = req.uid;
+// Import a graph file and merge it into the existing graph
+// For an encrypted graph the parsed file is returned ({ extracted, skipped }) to be encrypted in the browser
+app.post('/api/import', requireAuth, loadGraphEncryption, async (req, res) => {
+    const { format, data, edges } = req.body;
+    const uid = req.uid;
 
-        if (!transcript_segments || !Array.isArray(transcript_segments)) {
-            return res.status(400).json({ error: 'Transcript segments are required' });
-        }
+    if (!['jsonld', 'graphml', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid import format' });
+    }
 
-        let text = '';
-        for (const segment of transcript_segments) {
-            if (segment.speaker && segment.text) {
-                text += segment.speaker + ': ' + segment.text + '\n';
-            }
+    if (!data && !(format === 'csv' && edges)) {
+        return res.status(400).json({ error: 'Import data is required' });
+    }
+
+    let parsed;
+    try {
+        if (format === 'jsonld') {
+            parsed = graphFormats.fromJsonLd(data);
+        } else if (format === 'graphml') {
+            parsed = graphFormats.fromGraphML(data);
+        } else {
+            parsed = graphFormats.fromCsv(data, edges);
         }
+    } catch (error) {
+        return res.status(400).json({ error: 'Could not parse import file' });
+    }
 
-        if (!text.trim()) {
-            return res.status(400).json({ error: 'No valid text content found' });
+    if (parsed.entities.length === 0) {
+        return res.status(400).json({ error: 'Import file contains no nodes' });
+    }
+
+    if (parsed.entities.length > MAX_IMPORT_NODES || parsed.relationships.length > MAX_IMPORT_RELATIONSHIPS) {
+        return res.status(413).json({ error: 'Import file is too large' });
+    }
+
+    try {
+        const typeNames = new Set((await loadNodeTypes(uid)).map(type => type.name));
+        const prepared = prepareImportedGraph(parsed, typeNames);
+        if (req.encrypted) {
+            return res.json({
+                extracted: { entities: prepared.entities, relationships: prepared.relationships },
+                skipped: prepared.skipped
+            });
         }
 
-        const processedData = await processTextWithGPT(text);
-        await saveMemoryGraph(uid, processedData);
+        const resolvedData = await resolveMemoryGraph(uid, prepared);
+        const saved = await saveMemoryGraph(uid, resolvedData, {
+            type: 'import',
+            content: `Imported ${format} file: ${prepared.entities.length} nodes, ${prepared.relationships.length} relationships`
+        });
 
         // Get updated memory graph
         const memoryGraph = await loadMemoryGraph(uid);
-        const visualizationData = {
+        res.json({
+            imported: {
+                nodes: saved.nodes,
+                relationships: saved.relationships,
+                merged: resolvedData.merged.length,
+                skipped: prepared.skipped,
+                rejected: saved.rejected
+            },
             nodes: Array.from(memoryGraph.nodes.values()),
             relationships: memoryGraph.relationships
-        };
-
-        res.json(visualizationData);
+        });
     } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Error processing text' });
+        console.error('Error importing graph:', error);
+        res.status(500).json({ error: 'Error importing graph' });
     }
 });
 
 // Delete all user data
 async function deleteAllUserData(uid) {
     try {
-        await supabase
-            .from('memory_relationships')
-            .delete()
-            .eq('uid', uid);
-
-        await supabase
-            .from('memory_nodes')
-            .delete()
-            .eq('uid', uid);
-
-        await supabase
-            .from('brain_users')
-            .delete()
-            .eq('uid', uid);
+        await storage.deleteUserData(uid);
 
         return true;
     } catch (error) {
@@ -734,8 +2900,10 @@ app.post('/api/delete-all-data', requireAuth, async (req, res) => {
     try {
         const uid = req.uid;
         await deleteAllUserData(uid);
+        publishGraphEvent(uid, 'reload');
 
         // Destroy session since user data is deleted
+        closeEventStreams(uid, req.sessionID);
         req.session.destroy((err) => {
             if (err) {
                 console.error('Session destruction error:', err);
@@ -749,49 +2917,50 @@ app.post('/api/delete-all-data', requireAuth, async (req, res) => {
     }
 });
 
-// Input validation middleware
-const validateInput = (req, res, next) => {
-    const { query, type } = req.body;
-
-    if (!query || typeof query !== 'string' || query.length > 200) {
-        return res.status(400).json({
-            error: 'Invalid query parameter'
-        });
-    }
-
-    if (!type || typeof type !== 'string' || type.length > 50) {
-        return res.status(400).json({
-            error: 'Invalid type parameter'
-        });
-    }
-
-    // Remove any potentially harmful characters
-    req.body.query = query.replace(/[^\w\s-]/g, '');
-    req.body.type = type.replace(/[^\w\s-]/g, '');
-
-    next();
-};
-
-// Enrich content endpoint
-// Generate node description
-app.post('/api/generate-description', requireAuth, async (req, res) => {
-    try {
-        const { node, connections } = req.body;
-
-        if (!node || !node.name || !node.type) {
-            return res.status(400).json({ error: 'Invalid node data' });
-        }
+// Node descriptions are generated once and stored on the node with the graph version they describe:
+// a hash of the node (name, type, properties) and its relationships. GET only ever serves the stored copy
+// (saying whether that version has changed since); a new one costs a model call and is only written on POST.
+const DESCRIPTION_MAX_CONNECTIONS = 50;
+const NODE_VERSION_MAX_RELATIONSHIPS = 2000;
+
+// The node's relationships as seen from the node, strongest first. With plaintext (an encrypted graph),
+// names and actions come from the browser and relationships it didn't decrypt are left out.
+async function nodeConnections(uid, node, plaintext = null) {
+    const now = Date.now();
+    const relationships = (await storage.relationshipsTouching(uid, [node.node_id], NODE_VERSION_MAX_RELATIONSHIPS))
+        .map(rel => plaintext ? graphEncryption.revealRelationship(rel, plaintext) : rel)
+        .filter(Boolean);
+    const otherIds = [...new Set(relationships.map(rel => rel.source === node.node_id ? rel.target : rel.source))];
+    const names = plaintext
+        ? new Map(otherIds.filter(id => plaintext.nodes.has(id)).map(id => [id, plaintext.nodes.get(id).name]))
+        : new Map((await storage.getNodes(uid, otherIds)).map(row => [row.node_id, row.name]));
+
+    return relationships
+        .map(rel => {
+            const isSource = rel.source === node.node_id;
+            const otherId = isSource ? rel.target : rel.source;
+            return { isSource, otherId, name: names.get(otherId) || otherId, action: rel.action, strength: memoryStrength(rel, now) };
+        })
+        .sort((a, b) => b.strength - a.strength);
+}
 
-        if (!connections || !Array.isArray(connections)) {
-            return res.status(400).json({ error: 'Invalid connections data' });
-        }
+function nodeGraphVersion(node, connections) {
+    const facts = connections
+        .map(c => `${c.isSource ? '->' : '<-'} ${c.otherId} ${c.name} ${c.action}`)
+        .sort();
+    return crypto.createHash('sha1')
+        .update(JSON.stringify([node.name, node.type, node.properties || {}, facts]))
+        .digest('hex');
+}
 
-        const prompt = `Analyze this node and its connections in a brain-like memory network:
+async function generateNodeDescription(node, connections) {
+    const properties = Object.entries(node.properties || {});
+    const prompt = `Analyze this node and its connections in a brain-like memory network:
 
 Node: ${node.name} (Type: ${node.type})
-
+${properties.length > 0 ? `Properties: ${properties.map(([key, value]) => `${key}: ${value}`).join(', ')}\n` : ''}
 Connections:
-${connections.map(c => `- ${c.isSource ? 'Connects to' : 'Connected from'} ${c.node.name} through action: ${c.action}`).join('\n')}
+${connections.slice(0, DESCRIPTION_MAX_CONNECTIONS).map(c => `- ${c.isSource ? 'Connects to' : 'Connected from'} ${c.name} through action: ${c.action}`).join('\n')}
 
 Provide a concise but insightful description that:
 1. Summarizes the node's role and significance
@@ -800,125 +2969,130 @@ Provide a concise but insightful description that:
 
 Keep the description natural and engaging, focusing on the most meaningful connections.`;
 
-        const completion = await openai.chat.completions.create({
-            model: "openai/gpt-4o",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an insightful analyst helping understand connections in a memory network. Focus on meaningful patterns and relationships."
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            temperature: 0.7,
-            max_tokens: 200
-        });
+    const completion = await openai.chat.completions.create({
+        model: "openai/gpt-4o",
+        messages: [
+            {
+                role: "system",
+                content: "You are an insightful analyst helping understand connections in a memory network. Focus on meaningful patterns and relationships."
+            },
+            {
+                role: "user",
+                content: prompt
+            }
+        ],
+        temperature: 0.7,
+        max_tokens: 200
+    });
 
-        res.json({ description: completion.choices[0].message.content });
-    } catch (error) {
-        console.error('Error generating description:', error);
-        res.status(500).json({ error: 'Failed to generate description' });
+    return completion.choices[0].message.content;
+}
+
+// The stored description (null if there is none); stale once the node or its connections changed
+async function storedNodeDescription(uid, node) {
+    if (!node.description) {
+        return { description: null, generatedAt: null, cached: true, stale: true };
     }
-});
+    const version = nodeGraphVersion(node, await nodeConnections(uid, node));
+    return {
+        description: node.description,
+        generatedAt: node.description_generated_at,
+        cached: true,
+        stale: node.description_version !== version
+    };
+}
 
-app.post('/api/enrich-content', requireAuth, validateInput, async (req, res) => {
-    try {
-        const { query, type } = req.body;
+// Write a new description and store it for the current graph version
+async function describeNode(uid, node) {
+    const connections = await nodeConnections(uid, node);
+    const version = nodeGraphVersion(node, connections);
+
+    const description = await generateNodeDescription(node, connections);
+    const generatedAt = new Date().toISOString();
+    await storage.updateNode(uid, node.node_id, {
+        description: description,
+        description_version: version,
+        description_generated_at: generatedAt
+    });
 
-        // Configure axios with proper headers and timeout
-        const axiosConfig = {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-            },
-            timeout: 5000,
-            maxRedirects: 5,
-            validateStatus: (status) => status >= 200 && status < 300
-        };
+    return { description, generatedAt, cached: false };
+}
 
-        // Search for images with rate limiting
-        const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query + ' ' + type)}&tbm=isch`;
+async function handleNodeDescription(req, res, { generate }) {
+    const { nodeId } = req.params;
+    const uid = req.uid;
 
-        const response = await axios.get(searchUrl, axiosConfig);
-        const cleanHtml = sanitizeHtml(response.data, {
-            allowedTags: [],
-            allowedAttributes: {},
-            textFilter: function (text) {
-                return text.replace(/[^\x20-\x7E]/g, '');
-            }
-        });
+    if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
+        return res.status(400).json({ error: 'Invalid node ID' });
+    }
 
-        // Extract and validate image URLs
-        const regex = /\["(https?:\/\/[^"]+\.(?:jpg|jpeg|png|gif))"/gi;
-        const images = [];
-        const seenUrls = new Set();
-        let match;
+    try {
+        const node = await storage.getNode(uid, nodeId);
+        if (!node) {
+            return res.status(404).json({ error: 'Node not found' });
+        }
 
-        while ((match = regex.exec(cleanHtml)) !== null && images.length < 4) {
-            try {
-                const imageUrl = match[1];
+        // Encrypted graph: describe what the browser decrypted for this request, without storing the result
+        if (req.encrypted) {
+            if (!generate) {
+                return res.status(409).json({ error: 'Descriptions of an encrypted graph are not stored' });
+            }
+            const plaintext = graphEncryption.readPlaintext(req.body.plaintext);
+            const revealed = graphEncryption.revealNode(node, plaintext);
+            if (!revealed) {
+                return res.status(400).json({ error: 'The decrypted node is required' });
+            }
+            const description = await generateNodeDescription(revealed, await nodeConnections(uid, node, plaintext));
+            return res.json({ description, generatedAt: new Date().toISOString(), cached: false });
+        }
 
-                // Skip if we've seen this URL before
-                if (seenUrls.has(imageUrl)) {
-                    continue;
-                }
+        res.json(generate ? await describeNode(uid, node) : await storedNodeDescription(uid, node));
+    } catch (error) {
+        console.error('Error generating description:', error);
+        res.status(500).json({ error: 'Failed to generate description' });
+    }
+}
 
-                // Validate URL
-                const parsedUrl = new URL(imageUrl);
-                if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-                    continue;
-                }
+// Node description: the stored one, { description, generatedAt, cached, stale }; never generates one
+app.get('/api/node/:nodeId/description', requireAuth, loadGraphEncryption, (req, res) => handleNodeDescription(req, res, { generate: false }));
 
-                // Add valid image
-                images.push({
-                    url: imageUrl,
-                    title: `Related image for ${query}`,
-                    source: parsedUrl.hostname
-                });
+// Write a new description, even if the stored one is current (for an encrypted graph: { plaintext } with the
+// node and its neighbours)
+app.post('/api/node/:nodeId/description', requireAuth, loadGraphEncryption, (req, res) => handleNodeDescription(req, res, { generate: true }));
 
-                seenUrls.add(imageUrl);
-            } catch (err) {
-                console.warn('Invalid image URL found:', err.message);
-                continue;
-            }
-        }
+// Enrichment: the node type's providers (enrichment.js), results cached per node and provider
+const nodeEnrichment = createEnrichment(process.env);
 
-        // Return results with appropriate cache headers
-        res.set('Cache-Control', 'private, max-age=3600');
-        res.json({
-            images,
-            links: [],
-            query,
-            timestamp: new Date().toISOString()
-        });
+const enrichmentLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 60,
+    message: { error: 'Enrichment rate limit exceeded.' },
+});
 
-    } catch (error) {
-        console.error('Error enriching content:', error);
+// Summary, images and links about a node from its type's enrichment providers (?refresh=true skips the cache)
+// Nothing for an encrypted graph: the providers would need the node's name in plaintext
+app.get('/api/node/:nodeId/enrichment', requireAuth, enrichmentLimiter, loadGraphEncryption, async (req, res) => {
+    const { nodeId } = req.params;
+    const uid = req.uid;
 
-        // Handle specific error types
-        if (error.code === 'ECONNABORTED') {
-            return res.status(504).json({
-                error: 'Request timeout',
-                images: [],
-                links: []
-            });
-        }
+    if (!nodeId || typeof nodeId !== 'string' || nodeId.length > 100) {
+        return res.status(400).json({ error: 'Invalid node ID' });
+    }
 
-        if (axios.isAxiosError(error) && error.response) {
-            return res.status(error.response.status || 500).json({
-                error: 'External service error',
-                images: [],
-                links: []
-            });
+    if (req.encrypted) {
+        return res.json({ summary: null, images: [], links: [], providers: [] });
+    }
+
+    try {
+        const node = await storage.getNode(uid, nodeId);
+        if (!node) {
+            return res.status(404).json({ error: 'Node not found' });
         }
 
-        res.status(500).json({
-            error: 'Internal server error',
-            images: [],
-            links: []
-        });
+        res.json(await enrichNode(storage, nodeEnrichment, uid, node, { refresh: req.query.refresh === 'true' }));
+    } catch (error) {
+        console.error('Error enriching node:', error);
+        res.status(500).json({ error: 'Error enriching node' });
     }
 });
 
@@ -0,0 +1,40 @@
+// express-session store on top of Brain's storage adapter, so sessions live in the same database as
+// everything else (SQLite or Supabase): they survive restarts and every instance sees the same ones.
+// A row expires with the session cookie; with rolling cookies that makes it the idle timeout.
+
+const session = require('express-session');
+
+class BrainSessionStore extends session.Store {
+    constructor(storage, { ttlMs }) {
+        super();
+        this.storage = storage;
+        this.ttlMs = ttlMs;
+    }
+
+    expiresAt(sess) {
+        const expires = sess.cookie && sess.cookie.expires;
+        return (expires ? new Date(expires) : new Date(Date.now() + this.ttlMs)).toISOString();
+    }
+
+    get(sid, callback) {
+        this.storage.getLoginSession(sid)
+            .then(row => callback(null, row ? row.data : null), callback);
+    }
+
+    set(sid, sess, callback) {
+        this.storage.saveLoginSession(sid, { uid: sess.userId || null, data: sess, expiresAt: this.expiresAt(sess) })
+            .then(() => callback && callback(null), callback);
+    }
+
+    touch(sid, sess, callback) {
+        this.storage.touchLoginSession(sid, this.expiresAt(sess))
+            .then(() => callback && callback(null), callback);
+    }
+
+    destroy(sid, callback) {
+        this.storage.deleteLoginSession(sid)
+            .then(() => callback && callback(null), callback);
+    }
+}
+
+module.exports = { BrainSessionStore };
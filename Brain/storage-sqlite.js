@@ -0,0 +1,936 @@
+// SQLite storage adapter for self-hosted and offline use. See storage.js for the interface.
+// Mirrors the tables in setup-supabase.sql; UUIDs are generated in JS and timestamps stored as ISO strings.
+
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { searchScore, MIN_SEARCH_SCORE } = require('./graph-search');
+
+const NOW = `(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS brain_users (
+        id TEXT PRIMARY KEY,
+        uid TEXT UNIQUE NOT NULL,
+        code_check TEXT,
+        code_expires_at TEXT,
+        code_sent_at TEXT,
+        code_attempts INTEGER DEFAULT 0,
+        has_key INTEGER DEFAULT 0,
+        key_salt TEXT,
+        key_check TEXT,
+        public_key TEXT,
+        private_key TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_nodes (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        node_id TEXT NOT NULL,
+        type TEXT,
+        name TEXT,
+        aliases TEXT DEFAULT '[]',
+        properties TEXT DEFAULT '{}',
+        description TEXT,
+        description_version TEXT,
+        description_generated_at TEXT,
+        connections INTEGER DEFAULT 0,
+        first_seen_at TEXT DEFAULT ${NOW},
+        last_seen_at TEXT DEFAULT ${NOW},
+        mention_count INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE(uid, node_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_relationships (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        source TEXT NOT NULL,
+        target TEXT NOT NULL,
+        action TEXT DEFAULT '',
+        first_seen_at TEXT DEFAULT ${NOW},
+        last_seen_at TEXT DEFAULT ${NOW},
+        mention_count INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT ${NOW}
+    );
+
+    CREATE TABLE IF NOT EXISTS brain_processed_memories (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        memory_id TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE(uid, memory_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_sources (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        source_type TEXT DEFAULT 'upload',
+        external_id TEXT,
+        content TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW}
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_node_sources (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        node_id TEXT NOT NULL,
+        source_id TEXT NOT NULL REFERENCES memory_sources(id) ON DELETE CASCADE,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE(uid, node_id, source_id),
+        FOREIGN KEY (uid, node_id) REFERENCES memory_nodes(uid, node_id)
+            ON DELETE CASCADE ON UPDATE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_relationship_sources (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        relationship_id TEXT NOT NULL REFERENCES memory_relationships(id) ON DELETE CASCADE,
+        source_id TEXT NOT NULL REFERENCES memory_sources(id) ON DELETE CASCADE,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE(relationship_id, source_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS brain_chat_sessions (
+        id TEXT PRIMARY KEY,
+        session_id TEXT UNIQUE NOT NULL,
+        uid TEXT NOT NULL,
+        title TEXT,
+        messages TEXT DEFAULT '[]',
+        last_activity TEXT DEFAULT ${NOW},
+        created_at TEXT DEFAULT ${NOW}
+    );
+
+    CREATE TABLE IF NOT EXISTS brain_node_types (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        color TEXT,
+        icon TEXT,
+        properties TEXT DEFAULT '{}',
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE(uid, name)
+    );
+
+    CREATE TABLE IF NOT EXISTS memory_node_enrichment (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        node_id TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        fingerprint TEXT,
+        data TEXT,
+        fetched_at TEXT DEFAULT ${NOW},
+        UNIQUE(uid, node_id, provider),
+        FOREIGN KEY (uid, node_id) REFERENCES memory_nodes(uid, node_id)
+            ON DELETE CASCADE ON UPDATE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS brain_login_sessions (
+        sid TEXT PRIMARY KEY,
+        uid TEXT,
+        data TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_brain_login_sessions_uid ON brain_login_sessions(uid);
+    CREATE INDEX IF NOT EXISTS idx_brain_login_sessions_expires ON brain_login_sessions(expires_at);
+
+    CREATE TABLE IF NOT EXISTS brain_pending_memories (
+        id TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        memory_id TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_brain_pending_memories_uid ON brain_pending_memories(uid, created_at);
+
+    CREATE INDEX IF NOT EXISTS idx_memory_nodes_uid ON memory_nodes(uid);
+    CREATE INDEX IF NOT EXISTS idx_memory_relationships_uid ON memory_relationships(uid);
+    CREATE INDEX IF NOT EXISTS idx_memory_relationships_source ON memory_relationships(uid, source);
+    CREATE INDEX IF NOT EXISTS idx_memory_relationships_target ON memory_relationships(uid, target);
+    CREATE INDEX IF NOT EXISTS idx_memory_sources_uid ON memory_sources(uid, created_at);
+    CREATE INDEX IF NOT EXISTS idx_memory_node_sources_source ON memory_node_sources(source_id);
+    CREATE INDEX IF NOT EXISTS idx_memory_relationship_sources_source ON memory_relationship_sources(source_id);
+    CREATE INDEX IF NOT EXISTS idx_brain_chat_sessions_uid ON brain_chat_sessions(uid, last_activity);
+    CREATE INDEX IF NOT EXISTS idx_memory_nodes_degree ON memory_nodes(uid, connections DESC);
+    CREATE INDEX IF NOT EXISTS idx_memory_nodes_last_seen ON memory_nodes(uid, last_seen_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_memory_nodes_first_seen ON memory_nodes(uid, first_seen_at);
+    CREATE INDEX IF NOT EXISTS idx_memory_relationships_first_seen ON memory_relationships(uid, first_seen_at);
+
+    -- Keep memory_nodes.connections equal to each node's degree as relationships come and go
+    CREATE TRIGGER IF NOT EXISTS memory_relationships_connections_insert
+    AFTER INSERT ON memory_relationships BEGIN
+        UPDATE memory_nodes SET connections = COALESCE(connections, 0) + 1
+        WHERE uid = NEW.uid AND node_id IN (NEW.source, NEW.target);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS memory_relationships_connections_delete
+    AFTER DELETE ON memory_relationships BEGIN
+        UPDATE memory_nodes SET connections = MAX(COALESCE(connections, 0) - 1, 0)
+        WHERE uid = OLD.uid AND node_id IN (OLD.source, OLD.target);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS memory_relationships_connections_update
+    AFTER UPDATE OF source, target ON memory_relationships BEGIN
+        UPDATE memory_nodes SET connections = MAX(COALESCE(connections, 0) - 1, 0)
+        WHERE uid = OLD.uid AND node_id IN (OLD.source, OLD.target);
+        UPDATE memory_nodes SET connections = COALESCE(connections, 0) + 1
+        WHERE uid = NEW.uid AND node_id IN (NEW.source, NEW.target);
+    END;
+`;
+
+const DEGREE = `(
+    SELECT COUNT(*) FROM memory_relationships r
+    WHERE r.uid = memory_nodes.uid AND (r.source = memory_nodes.node_id OR r.target = memory_nodes.node_id)
+)`;
+
+// Stay well below SQLite's bound-parameter limit
+const IN_CHUNK_SIZE = 500;
+
+const JSON_COLUMNS = ['aliases', 'properties', 'messages', 'data'];
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+// Parse JSON columns on the way out
+function fromRow(row) {
+    if (!row) return null;
+    for (const column of JSON_COLUMNS) {
+        if (typeof row[column] === 'string') {
+            row[column] = JSON.parse(row[column]);
+        }
+    }
+    return row;
+}
+
+// Serialize JSON columns and drop undefined fields on the way in
+function toRow(fields) {
+    const row = {};
+    for (const [column, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        row[column] = JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+    }
+    return row;
+}
+
+class SqliteStorage {
+    constructor(filename) {
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.function('brain_search_score', { deterministic: true }, searchScore);
+    }
+
+    async init() {
+        this.db.exec(SCHEMA);
+        this.addColumn('brain_users', 'code_check', 'TEXT');
+        this.addColumn('brain_users', 'code_expires_at', 'TEXT');
+        this.addColumn('brain_users', 'code_sent_at', 'TEXT');
+        this.addColumn('brain_users', 'code_attempts', 'INTEGER DEFAULT 0');
+        this.addColumn('brain_users', 'has_key', 'INTEGER DEFAULT 0');
+        this.addColumn('brain_users', 'key_salt', 'TEXT');
+        this.addColumn('brain_users', 'key_check', 'TEXT');
+        this.addColumn('brain_users', 'public_key', 'TEXT');
+        this.addColumn('brain_users', 'private_key', 'TEXT');
+        this.addColumn('memory_nodes', 'properties', `TEXT DEFAULT '{}'`);
+        this.addColumn('memory_nodes', 'description', 'TEXT');
+        this.addColumn('memory_nodes', 'description_version', 'TEXT');
+        this.addColumn('memory_nodes', 'description_generated_at', 'TEXT');
+        this.addColumn('brain_node_types', 'properties', `TEXT DEFAULT '{}'`);
+        this.collapseDuplicateRelationships();
+        this.db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_memory_relationships_fact ON memory_relationships(uid, source, target, action)');
+
+        // Backfill counts written before the triggers existed
+        this.run(`UPDATE memory_nodes SET connections = ${DEGREE} WHERE connections IS NOT ${DEGREE}`);
+    }
+
+    // Databases created before the (uid, source, target, action) index may hold repeated edges
+    collapseDuplicateRelationships() {
+        this.db.transaction(() => {
+            this.run(`UPDATE memory_relationships SET action = '' WHERE action IS NULL`);
+
+            const dupes = this.all(`
+                SELECT * FROM (
+                    SELECT id, mention_count, first_seen_at, last_seen_at,
+                           FIRST_VALUE(id) OVER (PARTITION BY uid, source, target, action ORDER BY created_at, id) AS keep_id
+                    FROM memory_relationships
+                ) WHERE id != keep_id
+            `);
+
+            for (const dupe of dupes) {
+                this.foldRelationship(dupe, dupe.keep_id);
+            }
+        })();
+    }
+
+    // Merge one relationship row into another: provenance, mention count and first/last seen
+    foldRelationship(dupe, keepId) {
+        this.run(`
+            INSERT OR IGNORE INTO memory_relationship_sources (id, uid, relationship_id, source_id)
+            SELECT lower(hex(randomblob(16))), uid, ?, source_id FROM memory_relationship_sources WHERE relationship_id = ?
+        `, keepId, dupe.id);
+        this.run(`
+            UPDATE memory_relationships
+            SET mention_count = COALESCE(mention_count, 1) + ?,
+                first_seen_at = MIN(first_seen_at, ?),
+                last_seen_at = MAX(last_seen_at, ?)
+            WHERE id = ?
+        `, dupe.mention_count || 1, dupe.first_seen_at, dupe.last_seen_at, keepId);
+        this.run('DELETE FROM memory_relationships WHERE id = ?', dupe.id);
+    }
+
+    // CREATE TABLE IF NOT EXISTS leaves tables from older versions as they were
+    addColumn(table, column, definition) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+        if (!columns.some(existing => existing.name === column)) {
+            this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    all(sql, ...params) {
+        return this.db.prepare(sql).all(...params).map(fromRow);
+    }
+
+    get(sql, ...params) {
+        return fromRow(this.db.prepare(sql).get(...params));
+    }
+
+    run(sql, ...params) {
+        return this.db.prepare(sql).run(...params);
+    }
+
+    insert(table, fields) {
+        const row = toRow({ id: crypto.randomUUID(), ...fields });
+        const columns = Object.keys(row);
+        this.run(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+            ...columns.map(column => row[column]));
+        return row.id;
+    }
+
+    update(table, fields, where, ...params) {
+        const row = toRow(fields);
+        const columns = Object.keys(row);
+        if (columns.length === 0) return;
+        this.run(`UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${where}`,
+            ...columns.map(column => row[column]), ...params);
+    }
+
+    // Select rows whose column matches any of the values
+    selectIn(table, uid, column, values) {
+        const rows = [];
+        for (let i = 0; i < values.length; i += IN_CHUNK_SIZE) {
+            const chunk = values.slice(i, i + IN_CHUNK_SIZE);
+            rows.push(...this.all(`SELECT * FROM ${table} WHERE uid = ? AND ${column} IN (${placeholders(chunk)})`,
+                uid, ...chunk));
+        }
+        return rows;
+    }
+
+    // ===== Users =====
+
+    async upsertUser(uid) {
+        this.run('INSERT INTO brain_users (id, uid) VALUES (?, ?) ON CONFLICT(uid) DO NOTHING', crypto.randomUUID(), uid);
+    }
+
+    async getUser(uid) {
+        return this.get('SELECT * FROM brain_users WHERE uid = ?', uid);
+    }
+
+    async setLoginCode(uid, { codeCheck, expiresAt }) {
+        this.run(`
+            INSERT INTO brain_users (id, uid, code_check, code_expires_at, code_sent_at, code_attempts)
+            VALUES (?, ?, ?, ?, ${NOW}, 0)
+            ON CONFLICT(uid) DO UPDATE SET
+                code_check = excluded.code_check,
+                code_expires_at = excluded.code_expires_at,
+                code_sent_at = excluded.code_sent_at,
+                code_attempts = 0
+        `, crypto.randomUUID(), uid, codeCheck, expiresAt);
+    }
+
+    async consumeLoginCode(uid, codeCheck, maxAttempts) {
+        return this.db.transaction(() => {
+            const user = this.get('SELECT * FROM brain_users WHERE uid = ?', uid);
+            if (!user || !user.code_check || user.code_expires_at <= new Date().toISOString()) return false;
+
+            if (user.code_check === codeCheck && user.code_attempts < maxAttempts) {
+                this.run('UPDATE brain_users SET code_check = NULL, code_expires_at = NULL, code_attempts = 0 WHERE uid = ?', uid);
+                return true;
+            }
+
+            const attempts = user.code_attempts + 1;
+            this.run(`UPDATE brain_users SET code_attempts = ?, code_check = ? WHERE uid = ?`,
+                attempts, attempts >= maxAttempts ? null : user.code_check, uid);
+            return false;
+        })();
+    }
+
+    // ===== Encryption =====
+
+    async encryptGraph(uid, { key, nodes, relationships }) {
+        return this.db.transaction(() => {
+            // Every stored node and relationship must be in the submitted set, or some would stay plaintext
+            const nodeIds = new Set(nodes.map(node => node.node_id));
+            const relationshipIds = new Set(relationships.map(rel => String(rel.id)));
+            const storedNodes = this.all('SELECT node_id FROM memory_nodes WHERE uid = ?', uid);
+            const storedRelationships = this.all('SELECT id FROM memory_relationships WHERE uid = ?', uid);
+            if (storedNodes.length !== nodes.length || !storedNodes.every(node => nodeIds.has(node.node_id)) ||
+                storedRelationships.length !== relationships.length || !storedRelationships.every(rel => relationshipIds.has(rel.id))) {
+                return false;
+            }
+
+            // Only ever stored as plaintext
+            for (const table of ['memory_node_enrichment', 'memory_sources', 'brain_chat_sessions']) {
+                this.run(`DELETE FROM ${table} WHERE uid = ?`, uid);
+            }
+
+            const updateNode = this.db.prepare(`
+                UPDATE memory_nodes
+                SET node_id = ?, name = ?, aliases = ?, properties = ?,
+                    description = NULL, description_version = NULL, description_generated_at = NULL
+                WHERE uid = ? AND node_id = ?
+            `);
+            const renameSource = this.db.prepare('UPDATE memory_relationships SET source = ? WHERE uid = ? AND source = ?');
+            const renameTarget = this.db.prepare('UPDATE memory_relationships SET target = ? WHERE uid = ? AND target = ?');
+            nodes.forEach(node => {
+                updateNode.run(node.new_node_id, node.name, JSON.stringify(node.aliases || []),
+                    JSON.stringify(node.properties || {}), uid, node.node_id);
+                renameSource.run(node.new_node_id, uid, node.node_id);
+                renameTarget.run(node.new_node_id, uid, node.node_id);
+            });
+
+            const updateRelationship = this.db.prepare('UPDATE memory_relationships SET action = ? WHERE uid = ? AND id = ?');
+            relationships.forEach(rel => updateRelationship.run(rel.action, uid, rel.id));
+
+            // The connection triggers can't follow a node and its relationships being renamed one by one
+            this.run(`UPDATE memory_nodes SET connections = ${DEGREE} WHERE uid = ? AND connections IS NOT ${DEGREE}`, uid);
+
+            this.run(`
+                INSERT INTO brain_users (id, uid, has_key, key_salt, key_check, public_key, private_key)
+                VALUES (?, ?, 1, ?, ?, ?, ?)
+                ON CONFLICT(uid) DO UPDATE SET
+                    has_key = 1,
+                    key_salt = excluded.key_salt,
+                    key_check = excluded.key_check,
+                    public_key = excluded.public_key,
+                    private_key = excluded.private_key
+            `, crypto.randomUUID(), uid, key.salt, key.keyCheck, key.publicKey, key.privateKey);
+            return true;
+        })();
+    }
+
+    // ===== Sign-in sessions =====
+
+    async getLoginSession(sid) {
+        return this.get('SELECT * FROM brain_login_sessions WHERE sid = ? AND expires_at > ?', sid, new Date().toISOString());
+    }
+
+    async saveLoginSession(sid, { uid, data, expiresAt }) {
+        this.run(`
+            INSERT INTO brain_login_sessions (sid, uid, data, expires_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(sid) DO UPDATE SET uid = excluded.uid, data = excluded.data, expires_at = excluded.expires_at
+        `, sid, uid, JSON.stringify(data), expiresAt);
+    }
+
+    async touchLoginSession(sid, expiresAt) {
+        this.run('UPDATE brain_login_sessions SET expires_at = ? WHERE sid = ?', expiresAt, sid);
+    }
+
+    async deleteLoginSession(sid) {
+        this.run('DELETE FROM brain_login_sessions WHERE sid = ?', sid);
+    }
+
+    async deleteLoginSessions(uid) {
+        return this.run('DELETE FROM brain_login_sessions WHERE uid = ?', uid).changes;
+    }
+
+    async pruneLoginSessions() {
+        this.run('DELETE FROM brain_login_sessions WHERE expires_at <= ?', new Date().toISOString());
+    }
+
+    // ===== Nodes =====
+
+    async listNodes(uid) {
+        return this.all('SELECT * FROM memory_nodes WHERE uid = ?', uid);
+    }
+
+    async getNodes(uid, nodeIds) {
+        return this.selectIn('memory_nodes', uid, 'node_id', nodeIds);
+    }
+
+    // One page of nodes, best connected (orderBy 'degree') or most recently seen ('recent') first.
+    // type narrows to one node type; '' means untyped nodes.
+    async listNodesPage(uid, { type, orderBy = 'degree', offset = 0, limit }) {
+        const order = orderBy === 'recent' ? 'last_seen_at DESC, mention_count DESC' : 'connections DESC, mention_count DESC';
+        const params = { uid, offset, limit };
+        let typeFilter = '';
+        if (type) {
+            typeFilter = 'AND type = @type';
+            params.type = type;
+        } else if (type === '') {
+            typeFilter = `AND (type IS NULL OR type = '')`;
+        }
+
+        return this.all(`
+            SELECT * FROM memory_nodes
+            WHERE uid = @uid ${typeFilter}
+            ORDER BY ${order}, node_id
+            LIMIT @limit OFFSET @offset
+        `, params);
+    }
+
+    async countNodesByType(uid) {
+        return this.all(`SELECT COALESCE(type, '') AS type, COUNT(*) AS count FROM memory_nodes WHERE uid = ? GROUP BY COALESCE(type, '')`, uid);
+    }
+
+    async getNode(uid, nodeId) {
+        return this.get('SELECT * FROM memory_nodes WHERE uid = ? AND node_id = ?', uid, nodeId);
+    }
+
+    async upsertNode(uid, node) {
+        const row = toRow({ id: crypto.randomUUID(), ...node, uid: uid });
+        const columns = Object.keys(row);
+        const updates = columns
+            .filter(column => !['id', 'uid', 'node_id'].includes(column))
+            .map(column => `${column} = excluded.${column}`);
+
+        this.run(`
+            INSERT INTO memory_nodes (${columns.join(', ')}) VALUES (${placeholders(columns)})
+            ON CONFLICT(uid, node_id) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}
+        `, ...columns.map(column => row[column]));
+    }
+
+    async updateNode(uid, nodeId, fields) {
+        this.update('memory_nodes', fields, 'uid = ? AND node_id = ?', uid, nodeId);
+    }
+
+    // Deletes the node and every relationship touching it
+    async deleteNode(uid, nodeId) {
+        this.db.transaction(() => {
+            this.run('DELETE FROM memory_relationships WHERE uid = ? AND (source = ? OR target = ?)', uid, nodeId, nodeId);
+            this.run('DELETE FROM memory_nodes WHERE uid = ? AND node_id = ?', uid, nodeId);
+        })();
+    }
+
+    // Recompute connection counts from the relationships table; returns how many nodes were corrected
+    async recountConnections(uid) {
+        return this.run(`UPDATE memory_nodes SET connections = ${DEGREE} WHERE uid = ? AND connections IS NOT ${DEGREE}`, uid).changes;
+    }
+
+    // ===== Relationships =====
+
+    async listRelationships(uid) {
+        return this.all('SELECT * FROM memory_relationships WHERE uid = ?', uid);
+    }
+
+    async getRelationship(uid, id) {
+        return this.get('SELECT * FROM memory_relationships WHERE uid = ? AND id = ?', uid, id);
+    }
+
+    async relationshipsFrom(uid, sourceNodeIds) {
+        return this.selectIn('memory_relationships', uid, 'source', sourceNodeIds);
+    }
+
+    async relationshipsTouching(uid, nodeIds, limit) {
+        if (nodeIds.length === 0) return [];
+        const list = placeholders(nodeIds);
+        return this.all(`
+            SELECT * FROM memory_relationships
+            WHERE uid = ? AND (source IN (${list}) OR target IN (${list}))
+            LIMIT ?
+        `, uid, ...nodeIds, ...nodeIds, limit);
+    }
+
+    // Returns the new relationship id
+    async insertRelationship(uid, rel) {
+        return this.insert('memory_relationships', { ...rel, uid: uid });
+    }
+
+    async updateRelationship(uid, id, fields) {
+        this.update('memory_relationships', fields, 'uid = ? AND id = ?', uid, id);
+    }
+
+    async deleteRelationships(uid, ids) {
+        for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+            const chunk = ids.slice(i, i + IN_CHUNK_SIZE);
+            this.run(`DELETE FROM memory_relationships WHERE uid = ? AND id IN (${placeholders(chunk)})`, uid, ...chunk);
+        }
+    }
+
+    // Point every relationship of fromNodeId at toNodeId, folding edges that become duplicates or self-loops
+    async rewireNode(uid, fromNodeId, toNodeId) {
+        this.db.transaction(() => {
+            this.run(`
+                DELETE FROM memory_relationships
+                WHERE uid = ? AND source IN (?, ?) AND target IN (?, ?)
+            `, uid, fromNodeId, toNodeId, fromNodeId, toNodeId);
+
+            const pairs = this.all(`
+                SELECT d.id, d.mention_count, d.first_seen_at, d.last_seen_at, k.id AS keep_id
+                FROM memory_relationships d
+                JOIN memory_relationships k ON k.uid = d.uid AND k.action = d.action
+                    AND k.source = CASE WHEN d.source = ? THEN ? ELSE d.source END
+                    AND k.target = CASE WHEN d.target = ? THEN ? ELSE d.target END
+                WHERE d.uid = ? AND (d.source = ? OR d.target = ?)
+            `, fromNodeId, toNodeId, fromNodeId, toNodeId, uid, fromNodeId, fromNodeId);
+
+            for (const pair of pairs) {
+                this.foldRelationship(pair, pair.keep_id);
+            }
+
+            this.run('UPDATE memory_relationships SET source = ? WHERE uid = ? AND source = ?', toNodeId, uid, fromNodeId);
+            this.run('UPDATE memory_relationships SET target = ? WHERE uid = ? AND target = ?', toNodeId, uid, fromNodeId);
+        })();
+    }
+
+    // Write nodes, relationships and their source in one transaction
+    async saveGraph(uid, { nodes, relationships, source = null }) {
+        const now = new Date().toISOString();
+
+        const upsertNode = this.db.prepare(`
+            INSERT INTO memory_nodes (id, uid, node_id, type, name, aliases, properties, first_seen_at, last_seen_at, mention_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+            ON CONFLICT(uid, node_id) DO UPDATE SET
+                type = excluded.type,
+                name = excluded.name,
+                aliases = excluded.aliases,
+                properties = json_patch(COALESCE(memory_nodes.properties, '{}'), excluded.properties),
+                last_seen_at = excluded.last_seen_at,
+                mention_count = COALESCE(memory_nodes.mention_count, 1) + 1
+        `);
+        const upsertRelationship = this.db.prepare(`
+            INSERT INTO memory_relationships (id, uid, source, target, action, first_seen_at, last_seen_at, mention_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+            ON CONFLICT(uid, source, target, action) DO UPDATE SET
+                last_seen_at = excluded.last_seen_at,
+                mention_count = COALESCE(memory_relationships.mention_count, 1) + 1
+            RETURNING id
+        `);
+        const linkNode = this.db.prepare(`
+            INSERT OR IGNORE INTO memory_node_sources (id, uid, node_id, source_id) VALUES (?, ?, ?, ?)
+        `);
+        const linkRelationship = this.db.prepare(`
+            INSERT OR IGNORE INTO memory_relationship_sources (id, uid, relationship_id, source_id) VALUES (?, ?, ?, ?)
+        `);
+
+        return this.db.transaction(() => {
+            const sourceId = source ? this.insert('memory_sources', { ...source, uid: uid }) : null;
+
+            for (const node of nodes) {
+                upsertNode.run(crypto.randomUUID(), uid, node.node_id, node.type, node.name,
+                    JSON.stringify(node.aliases || []), JSON.stringify(node.properties || {}), now, now);
+                if (sourceId) linkNode.run(crypto.randomUUID(), uid, node.node_id, sourceId);
+            }
+
+            for (const rel of relationships) {
+                const { id } = upsertRelationship.get(crypto.randomUUID(), uid, rel.source, rel.target, rel.action || '', now, now);
+                if (sourceId) linkRelationship.run(crypto.randomUUID(), uid, id, sourceId);
+            }
+
+            return { sourceId, nodes: nodes.length, relationships: relationships.length };
+        })();
+    }
+
+    // ===== Sources and provenance =====
+
+    // Returns the new source id
+    async insertSource(uid, source) {
+        return this.insert('memory_sources', { ...source, uid: uid });
+    }
+
+    async getSource(uid, id) {
+        return this.get('SELECT * FROM memory_sources WHERE uid = ? AND id = ?', uid, id);
+    }
+
+    // Newest first
+    async listSources(uid, limit) {
+        return this.all('SELECT * FROM memory_sources WHERE uid = ? ORDER BY created_at DESC LIMIT ?', uid, limit);
+    }
+
+    async deleteSource(uid, id) {
+        this.run('DELETE FROM memory_sources WHERE uid = ? AND id = ?', uid, id);
+    }
+
+    async linkNodeSources(uid, nodeId, sourceIds) {
+        const statement = this.db.prepare(`
+            INSERT INTO memory_node_sources (id, uid, node_id, source_id) VALUES (?, ?, ?, ?)
+            ON CONFLICT(uid, node_id, source_id) DO NOTHING
+        `);
+        this.db.transaction(() => {
+            for (const sourceId of sourceIds) {
+                statement.run(crypto.randomUUID(), uid, nodeId, sourceId);
+            }
+        })();
+    }
+
+    async linkRelationshipSource(uid, relationshipId, sourceId) {
+        this.run(`
+            INSERT INTO memory_relationship_sources (id, uid, relationship_id, source_id) VALUES (?, ?, ?, ?)
+            ON CONFLICT(relationship_id, source_id) DO NOTHING
+        `, crypto.randomUUID(), uid, relationshipId, sourceId);
+    }
+
+    async nodeSourceIds(uid, nodeId) {
+        return this.all('SELECT source_id FROM memory_node_sources WHERE uid = ? AND node_id = ?', uid, nodeId)
+            .map(link => link.source_id);
+    }
+
+    // Source rows a node was extracted from
+    async nodeSources(uid, nodeId) {
+        return this.all(`
+            SELECT s.id, s.source_type, s.external_id, s.content, s.created_at
+            FROM memory_node_sources l JOIN memory_sources s ON s.id = l.source_id
+            WHERE l.uid = ? AND l.node_id = ?
+        `, uid, nodeId);
+    }
+
+    // Source rows a relationship was extracted from
+    async relationshipSources(uid, relationshipId) {
+        return this.all(`
+            SELECT s.id, s.source_type, s.external_id, s.content, s.created_at
+            FROM memory_relationship_sources l JOIN memory_sources s ON s.id = l.source_id
+            WHERE l.uid = ? AND l.relationship_id = ?
+        `, uid, relationshipId);
+    }
+
+    async orphanedBySource(uid, sourceId) {
+        const relationships = this.all(`
+            SELECT l.relationship_id FROM memory_relationship_sources l
+            WHERE l.uid = ? AND l.source_id = ? AND NOT EXISTS (
+                SELECT 1 FROM memory_relationship_sources o
+                WHERE o.relationship_id = l.relationship_id AND o.source_id != l.source_id
+            )
+        `, uid, sourceId).map(link => link.relationship_id);
+
+        const nodes = this.all(`
+            SELECT l.node_id FROM memory_node_sources l
+            WHERE l.uid = ? AND l.source_id = ? AND NOT EXISTS (
+                SELECT 1 FROM memory_node_sources o
+                WHERE o.uid = l.uid AND o.node_id = l.node_id AND o.source_id != l.source_id
+            )
+        `, uid, sourceId).map(link => link.node_id);
+
+        return { nodes, relationships };
+    }
+
+    // ===== Search =====
+
+    // Same scoring as the brain_search RPC, computed by the registered brain_search_score() function
+    async searchGraph(uid, { query, type = null, since = null, limit = 20 }) {
+        return this.all(`
+            SELECT kind, id, score FROM (
+                SELECT 'node' AS kind, node_id AS id,
+                       MAX(brain_search_score(@query, name), brain_search_score(@query, aliases) * 0.9) AS score
+                FROM memory_nodes
+                WHERE uid = @uid AND (@type IS NULL OR type = @type) AND (@since IS NULL OR last_seen_at >= @since)
+                UNION ALL
+                SELECT 'relationship' AS kind, r.id, brain_search_score(@query, r.action) * 0.9 AS score
+                FROM memory_relationships r
+                WHERE r.uid = @uid AND (@since IS NULL OR r.last_seen_at >= @since) AND (@type IS NULL OR EXISTS (
+                    SELECT 1 FROM memory_nodes n
+                    WHERE n.uid = r.uid AND n.node_id IN (r.source, r.target) AND n.type = @type
+                ))
+            )
+            WHERE score >= @minScore
+            ORDER BY score DESC, kind, id
+            LIMIT @limit
+        `, { query, uid, type, since, minScore: MIN_SEARCH_SCORE, limit });
+    }
+
+    // ===== Timeline =====
+
+    // tzOffset is the client's Date#getTimezoneOffset(): minutes to add to local time to get UTC.
+    // Weeks start on Monday, as with Postgres date_trunc('week').
+    async timelineCounts(uid, { interval = 'day', tzOffset = 0 }) {
+        const local = `datetime(first_seen_at, @shift)`;
+        const bucket = {
+            day: `date(${local})`,
+            week: `date(${local}, 'weekday 0', '-6 days')`,
+            month: `strftime('%Y-%m-01', ${local})`
+        }[interval];
+
+        return this.all(`
+            SELECT ${bucket} AS bucket, 'node' AS kind, COALESCE(type, '') AS type, COUNT(*) AS count
+            FROM memory_nodes WHERE uid = @uid AND first_seen_at IS NOT NULL
+            GROUP BY 1, 3
+            UNION ALL
+            SELECT ${bucket} AS bucket, 'relationship' AS kind, '' AS type, COUNT(*) AS count
+            FROM memory_relationships WHERE uid = @uid AND first_seen_at IS NOT NULL
+            GROUP BY 1
+            ORDER BY bucket, kind, type
+        `, { uid, shift: `${-tzOffset} minutes` });
+    }
+
+    async activityByHour(uid, { tzOffset = 0 }) {
+        return this.all(`
+            SELECT CAST(strftime('%w', local) AS INTEGER) AS weekday, CAST(strftime('%H', local) AS INTEGER) AS hour,
+                   COUNT(*) AS count
+            FROM (
+                SELECT datetime(first_seen_at, @shift) AS local FROM memory_nodes
+                WHERE uid = @uid AND first_seen_at IS NOT NULL
+                UNION ALL
+                SELECT datetime(first_seen_at, @shift) AS local FROM memory_relationships
+                WHERE uid = @uid AND first_seen_at IS NOT NULL
+            )
+            GROUP BY 1, 2
+            ORDER BY 1, 2
+        `, { uid, shift: `${-tzOffset} minutes` });
+    }
+
+    async learnedBetween(uid, { from, to, limit }) {
+        const params = { uid, from, to, limit };
+        return {
+            nodes: this.all(`
+                SELECT * FROM memory_nodes
+                WHERE uid = @uid AND first_seen_at >= @from AND first_seen_at < @to
+                ORDER BY first_seen_at, node_id LIMIT @limit
+            `, params),
+            relationships: this.all(`
+                SELECT * FROM memory_relationships
+                WHERE uid = @uid AND first_seen_at >= @from AND first_seen_at < @to
+                ORDER BY first_seen_at, id LIMIT @limit
+            `, params)
+        };
+    }
+
+    // ===== Node types =====
+
+    async listNodeTypes(uid) {
+        return this.all('SELECT name, description, color, icon, properties FROM brain_node_types WHERE uid = ? ORDER BY name', uid);
+    }
+
+    async upsertNodeType(uid, { name, description = null, color = null, icon = null, properties = {} }) {
+        this.run(`
+            INSERT INTO brain_node_types (id, uid, name, description, color, icon, properties) VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(uid, name) DO UPDATE SET
+                description = excluded.description, color = excluded.color, icon = excluded.icon,
+                properties = excluded.properties
+        `, crypto.randomUUID(), uid, name, description, color, icon, JSON.stringify(properties || {}));
+    }
+
+    async deleteNodeType(uid, name) {
+        return this.run('DELETE FROM brain_node_types WHERE uid = ? AND name = ?', uid, name).changes > 0;
+    }
+
+    async retypeNodes(uid, fromType, toType) {
+        return this.run('UPDATE memory_nodes SET type = ? WHERE uid = ? AND type = ?', toType, uid, fromType).changes;
+    }
+
+    // ===== Enrichment cache =====
+
+    async nodeEnrichment(uid, nodeId) {
+        return this.all('SELECT provider, fingerprint, data, fetched_at FROM memory_node_enrichment WHERE uid = ? AND node_id = ?', uid, nodeId);
+    }
+
+    async saveNodeEnrichment(uid, nodeId, provider, { fingerprint, data }) {
+        this.run(`
+            INSERT INTO memory_node_enrichment (id, uid, node_id, provider, fingerprint, data, fetched_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(uid, node_id, provider) DO UPDATE SET
+                fingerprint = excluded.fingerprint, data = excluded.data, fetched_at = excluded.fetched_at
+        `, crypto.randomUUID(), uid, nodeId, provider, fingerprint, JSON.stringify(data), new Date().toISOString());
+    }
+
+    // ===== Sealed OMI memories =====
+
+    async addPendingMemory(uid, memoryId, sealed) {
+        const id = crypto.randomUUID();
+        this.run('INSERT INTO brain_pending_memories (id, uid, memory_id, data) VALUES (?, ?, ?, ?)',
+            id, uid, memoryId, JSON.stringify(sealed));
+        return id;
+    }
+
+    // Oldest first
+    async listPendingMemories(uid, limit) {
+        return this.all(`
+            SELECT id, memory_id, data, created_at FROM brain_pending_memories
+            WHERE uid = ? ORDER BY created_at, id LIMIT ?
+        `, uid, limit);
+    }
+
+    async deletePendingMemory(uid, id) {
+        return this.run('DELETE FROM brain_pending_memories WHERE uid = ? AND id = ?', uid, id).changes > 0;
+    }
+
+    // ===== Webhook idempotency =====
+
+    async claimMemory(uid, memoryId) {
+        const result = this.run(`
+            INSERT INTO brain_processed_memories (id, uid, memory_id) VALUES (?, ?, ?)
+            ON CONFLICT(uid, memory_id) DO NOTHING
+        `, crypto.randomUUID(), uid, memoryId);
+        return result.changes > 0;
+    }
+
+    async releaseMemory(uid, memoryId) {
+        this.run('DELETE FROM brain_processed_memories WHERE uid = ? AND memory_id = ?', uid, memoryId);
+    }
+
+    // ===== Chat sessions =====
+
+    async getChatSession(uid, sessionId) {
+        return this.get('SELECT * FROM brain_chat_sessions WHERE uid = ? AND session_id = ?', uid, sessionId);
+    }
+
+    // Most recently active first
+    async listChatSessions(uid, limit) {
+        return this.all(`
+            SELECT session_id, title, messages, last_activity, created_at FROM brain_chat_sessions
+            WHERE uid = ? ORDER BY last_activity DESC LIMIT ?
+        `, uid, limit);
+    }
+
+    // Add turns to a session (created with the given title if it doesn't exist yet), keeping the newest maxMessages.
+    // Returns false if the session id belongs to another user.
+    async appendChatMessages(uid, { session_id, title, messages }, maxMessages) {
+        return this.db.transaction(() => {
+            const existing = this.get('SELECT uid, messages FROM brain_chat_sessions WHERE session_id = ?', session_id);
+            if (existing && existing.uid !== uid) return false;
+
+            const kept = [...(existing ? existing.messages || [] : []), ...messages].slice(-maxMessages);
+            if (existing) {
+                this.run('UPDATE brain_chat_sessions SET messages = ?, last_activity = ? WHERE session_id = ?',
+                    JSON.stringify(kept), new Date().toISOString(), session_id);
+            } else {
+                this.insert('brain_chat_sessions', { session_id, uid, title, messages: kept, last_activity: new Date().toISOString() });
+            }
+            return true;
+        })();
+    }
+
+    // Returns false if there was no such session
+    async deleteChatSession(uid, sessionId) {
+        return this.run('DELETE FROM brain_chat_sessions WHERE uid = ? AND session_id = ?', uid, sessionId).changes > 0;
+    }
+
+    // ===== Account =====
+
+    // reset-user-data-procedure.sql removes the same rows; change them together
+    async deleteUserData(uid) {
+        this.db.transaction(() => {
+            for (const table of [
+                'brain_login_sessions',
+                'brain_pending_memories',
+                'brain_chat_sessions',
+                'brain_node_types',
+                'memory_node_enrichment',
+                'memory_sources',
+                'brain_processed_memories',
+                'memory_relationships',
+                'memory_nodes',
+                'brain_users'
+            ]) {
+                this.run(`DELETE FROM ${table} WHERE uid = ?`, uid);
+            }
+        })();
+    }
+}
+
+module.exports = { SqliteStorage };
@@ -0,0 +1,1335 @@
+// Supabase (Postgres) storage adapter. See storage.js for the interface.
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Keep .in() filters short enough for PostgREST URLs
+const IN_CHUNK_SIZE = 200;
+// PostgREST returns at most max-rows rows per request (1000 on Supabase unless changed), without saying it stopped;
+// reads that must see every row go in pages of this size, which must not be larger than max-rows
+const PAGE_SIZE = 1000;
+
+// Quote ids for a PostgREST in.(...) filter
+function postgrestList(ids) {
+    return ids.map(id => `"${String(id).replace(/["\\]/g, '\\$&')}"`).join(',');
+}
+
+function check({ data, error }) {
+    if (error) throw error;
+    return data;
+}
+
+class SupabaseStorage {
+    constructor(url, key) {
+        this.supabase = createClient(url, key);
+    }
+
+    // Create tables through the exec_sql RPC; falls back to asking for setup-supabase.sql
+    async init() {
+        const supabase = this.supabase;
+
+        try {
+            console.log('Setting up Brain app tables...');
+
+            // Create brain_users table
+            const { error: error1 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS brain_users (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT UNIQUE NOT NULL,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+                    );
+                `
+            });
+
+            // Create memory_nodes table
+            const { error: error2 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS memory_nodes (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        node_id TEXT NOT NULL,
+                        type TEXT,
+                        name TEXT,
+                        connections INTEGER DEFAULT 0,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                        UNIQUE(uid, node_id)
+                    );
+                `
+            });
+
+            // Create memory_relationships table
+            const { error: error3 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS memory_relationships (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        source TEXT NOT NULL,
+                        target TEXT NOT NULL,
+                        action TEXT,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+                    );
+                `
+            });
+
+            // Create brain_processed_memories table (webhook idempotency)
+            const { error: error4 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS brain_processed_memories (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        memory_id TEXT NOT NULL,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                        UNIQUE(uid, memory_id)
+                    );
+                `
+            });
+
+            // Aliases collected by entity resolution and node merges
+            const { error: error5 } = await supabase.rpc('exec_sql', {
+                sql_query: `ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS aliases JSONB DEFAULT '[]';`
+            });
+
+            // Create provenance tables: source transcripts and what each one produced
+            const { error: error6 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS memory_sources (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        source_type TEXT DEFAULT 'upload',
+                        external_id TEXT,
+                        content TEXT NOT NULL,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+                    );
+
+                    CREATE TABLE IF NOT EXISTS memory_node_sources (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        node_id TEXT NOT NULL,
+                        source_id UUID NOT NULL REFERENCES memory_sources(id) ON DELETE CASCADE,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                        UNIQUE(uid, node_id, source_id),
+                        FOREIGN KEY (uid, node_id) REFERENCES memory_nodes(uid, node_id)
+                            ON DELETE CASCADE ON UPDATE CASCADE
+                    );
+
+                    CREATE TABLE IF NOT EXISTS memory_relationship_sources (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        relationship_id UUID NOT NULL REFERENCES memory_relationships(id) ON DELETE CASCADE,
+                        source_id UUID NOT NULL REFERENCES memory_sources(id) ON DELETE CASCADE,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                        UNIQUE(relationship_id, source_id)
+                    );
+                `
+            });
+
+            // Create brain_chat_sessions table (multi-turn chat history)
+            const { error: error7 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS brain_chat_sessions (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        session_id TEXT UNIQUE NOT NULL,
+                        uid TEXT NOT NULL,
+                        title TEXT,
+                        messages JSONB DEFAULT '[]',
+                        last_activity TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+                    );
+                `
+            });
+
+            // Temporal tracking: first/last seen and mention counts, backfilled from created_at
+            const { error: error8 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP WITH TIME ZONE;
+                    ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+                    ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS mention_count INTEGER DEFAULT 1;
+                    UPDATE memory_nodes SET first_seen_at = created_at WHERE first_seen_at IS NULL;
+                    UPDATE memory_nodes SET last_seen_at = created_at WHERE last_seen_at IS NULL;
+                    ALTER TABLE memory_nodes ALTER COLUMN first_seen_at SET DEFAULT NOW();
+                    ALTER TABLE memory_nodes ALTER COLUMN last_seen_at SET DEFAULT NOW();
+
+                    ALTER TABLE memory_relationships ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP WITH TIME ZONE;
+                    ALTER TABLE memory_relationships ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+                    ALTER TABLE memory_relationships ADD COLUMN IF NOT EXISTS mention_count INTEGER DEFAULT 1;
+                    UPDATE memory_relationships SET first_seen_at = created_at WHERE first_seen_at IS NULL;
+                    UPDATE memory_relationships SET last_seen_at = created_at WHERE last_seen_at IS NULL;
+                    ALTER TABLE memory_relationships ALTER COLUMN first_seen_at SET DEFAULT NOW();
+                    ALTER TABLE memory_relationships ALTER COLUMN last_seen_at SET DEFAULT NOW();
+                `
+            });
+
+            // One row per fact, plus the batched write and node-rewire functions
+            const { error: error9 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    -- Collapse duplicate relationships, then enforce one row per (uid, source, target, action)
+                    UPDATE memory_relationships SET action = '' WHERE action IS NULL;
+
+                    WITH ranked AS (
+                        SELECT id, mention_count, first_seen_at, last_seen_at,
+                               FIRST_VALUE(id) OVER (PARTITION BY uid, source, target, action ORDER BY created_at, id) AS keep_id
+                        FROM memory_relationships
+                    ), dupes AS (
+                        SELECT * FROM ranked WHERE id <> keep_id
+                    ), moved AS (
+                        INSERT INTO memory_relationship_sources (uid, relationship_id, source_id)
+                        SELECT l.uid, d.keep_id, l.source_id
+                        FROM dupes d JOIN memory_relationship_sources l ON l.relationship_id = d.id
+                        ON CONFLICT (relationship_id, source_id) DO NOTHING
+                    ), totals AS (
+                        SELECT keep_id, SUM(COALESCE(mention_count, 1)) AS mentions,
+                               MIN(first_seen_at) AS first_seen, MAX(last_seen_at) AS last_seen
+                        FROM dupes GROUP BY keep_id
+                    ), reinforced AS (
+                        UPDATE memory_relationships k
+                        SET mention_count = COALESCE(k.mention_count, 1) + t.mentions,
+                            first_seen_at = LEAST(k.first_seen_at, t.first_seen),
+                            last_seen_at = GREATEST(k.last_seen_at, t.last_seen)
+                        FROM totals t WHERE k.id = t.keep_id
+                    )
+                    DELETE FROM memory_relationships WHERE id IN (SELECT id FROM dupes);
+
+                    ALTER TABLE memory_relationships ALTER COLUMN action SET DEFAULT '';
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_memory_relationships_fact
+                        ON memory_relationships(uid, source, target, action);
+
+                    -- Write a batch of nodes and relationships (plus the source they came from) in one transaction
+                    CREATE OR REPLACE FUNCTION brain_save_graph(p_uid TEXT, p_nodes JSONB, p_relationships JSONB, p_source JSONB DEFAULT NULL)
+                    RETURNS JSONB
+                    LANGUAGE plpgsql
+                    AS $$
+                    DECLARE
+                        v_source_id UUID;
+                        v_nodes INTEGER;
+                        v_relationships INTEGER;
+                    BEGIN
+                        IF p_source IS NOT NULL THEN
+                            INSERT INTO memory_sources (uid, source_type, external_id, content)
+                            VALUES (p_uid, COALESCE(p_source->>'source_type', 'upload'), p_source->>'external_id', p_source->>'content')
+                            RETURNING id INTO v_source_id;
+                        END IF;
+
+                        INSERT INTO memory_nodes (uid, node_id, type, name, aliases, properties, first_seen_at, last_seen_at, mention_count)
+                        SELECT p_uid, n->>'node_id', n->>'type', n->>'name', COALESCE(n->'aliases', '[]'::jsonb),
+                               COALESCE(n->'properties', '{}'::jsonb), NOW(), NOW(), 1
+                        FROM jsonb_array_elements(p_nodes) AS n
+                        ON CONFLICT (uid, node_id) DO UPDATE SET
+                            type = EXCLUDED.type,
+                            name = EXCLUDED.name,
+                            aliases = EXCLUDED.aliases,
+                            properties = COALESCE(memory_nodes.properties, '{}'::jsonb) || EXCLUDED.properties,
+                            last_seen_at = NOW(),
+                            mention_count = COALESCE(memory_nodes.mention_count, 1) + 1;
+                        GET DIAGNOSTICS v_nodes = ROW_COUNT;
+
+                        IF v_source_id IS NOT NULL THEN
+                            INSERT INTO memory_node_sources (uid, node_id, source_id)
+                            SELECT p_uid, n->>'node_id', v_source_id
+                            FROM jsonb_array_elements(p_nodes) AS n
+                            ON CONFLICT (uid, node_id, source_id) DO NOTHING;
+                        END IF;
+
+                        WITH saved AS (
+                            INSERT INTO memory_relationships (uid, source, target, action, first_seen_at, last_seen_at, mention_count)
+                            SELECT p_uid, r->>'source', r->>'target', COALESCE(r->>'action', ''), NOW(), NOW(), 1
+                            FROM jsonb_array_elements(p_relationships) AS r
+                            ON CONFLICT (uid, source, target, action) DO UPDATE SET
+                                last_seen_at = NOW(),
+                                mention_count = COALESCE(memory_relationships.mention_count, 1) + 1
+                            RETURNING id
+                        ), linked AS (
+                            INSERT INTO memory_relationship_sources (uid, relationship_id, source_id)
+                            SELECT p_uid, id, v_source_id FROM saved WHERE v_source_id IS NOT NULL
+                            ON CONFLICT (relationship_id, source_id) DO NOTHING
+                        )
+                        SELECT COUNT(*) INTO v_relationships FROM saved;
+
+                        RETURN jsonb_build_object('source_id', v_source_id, 'nodes', v_nodes, 'relationships', v_relationships);
+                    END;
+                    $$;
+
+                    -- Point every relationship of p_from at p_to, folding edges that become duplicates or self-loops
+                    CREATE OR REPLACE FUNCTION brain_rewire_node(p_uid TEXT, p_from TEXT, p_to TEXT)
+                    RETURNS VOID
+                    LANGUAGE plpgsql
+                    AS $$
+                    BEGIN
+                        DELETE FROM memory_relationships
+                        WHERE uid = p_uid AND (source = p_from OR source = p_to) AND (target = p_from OR target = p_to);
+
+                        WITH pairs AS (
+                            SELECT d.id AS dup_id, k.id AS keep_id, d.mention_count, d.first_seen_at, d.last_seen_at
+                            FROM memory_relationships d
+                            JOIN memory_relationships k ON k.uid = d.uid AND k.action = d.action
+                                AND k.source = CASE WHEN d.source = p_from THEN p_to ELSE d.source END
+                                AND k.target = CASE WHEN d.target = p_from THEN p_to ELSE d.target END
+                            WHERE d.uid = p_uid AND (d.source = p_from OR d.target = p_from)
+                        ), moved AS (
+                            INSERT INTO memory_relationship_sources (uid, relationship_id, source_id)
+                            SELECT l.uid, p.keep_id, l.source_id
+                            FROM pairs p JOIN memory_relationship_sources l ON l.relationship_id = p.dup_id
+                            ON CONFLICT (relationship_id, source_id) DO NOTHING
+                        ), reinforced AS (
+                            UPDATE memory_relationships k
+                            SET mention_count = COALESCE(k.mention_count, 1) + COALESCE(p.mention_count, 1),
+                                first_seen_at = LEAST(k.first_seen_at, p.first_seen_at),
+                                last_seen_at = GREATEST(k.last_seen_at, p.last_seen_at)
+                            FROM pairs p WHERE k.id = p.keep_id
+                        )
+                        DELETE FROM memory_relationships WHERE id IN (SELECT dup_id FROM pairs);
+
+                        UPDATE memory_relationships SET source = p_to WHERE uid = p_uid AND source = p_from;
+                        UPDATE memory_relationships SET target = p_to WHERE uid = p_uid AND target = p_from;
+                    END;
+                    $$;
+                `
+            });
+
+            // Server-maintained connection counts (node degree)
+            const { error: error10 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    -- Keep memory_nodes.connections equal to each node's degree as relationships come and go
+                    CREATE OR REPLACE FUNCTION brain_track_connections()
+                    RETURNS TRIGGER
+                    LANGUAGE plpgsql
+                    AS $$
+                    BEGIN
+                        IF TG_OP IN ('DELETE', 'UPDATE') THEN
+                            UPDATE memory_nodes SET connections = GREATEST(COALESCE(connections, 0) - 1, 0)
+                            WHERE uid = OLD.uid AND node_id IN (OLD.source, OLD.target);
+                        END IF;
+                        IF TG_OP IN ('INSERT', 'UPDATE') THEN
+                            UPDATE memory_nodes SET connections = COALESCE(connections, 0) + 1
+                            WHERE uid = NEW.uid AND node_id IN (NEW.source, NEW.target);
+                        END IF;
+                        RETURN NULL;
+                    END;
+                    $$;
+
+                    DROP TRIGGER IF EXISTS memory_relationships_connections ON memory_relationships;
+                    CREATE TRIGGER memory_relationships_connections
+                        AFTER INSERT OR DELETE OR UPDATE OF source, target ON memory_relationships
+                        FOR EACH ROW EXECUTE FUNCTION brain_track_connections();
+
+                    -- Recompute connection counts for one user; returns how many nodes were off
+                    CREATE OR REPLACE FUNCTION brain_recount_connections(p_uid TEXT)
+                    RETURNS INTEGER
+                    LANGUAGE plpgsql
+                    AS $$
+                    DECLARE
+                        v_changed INTEGER;
+                    BEGIN
+                        WITH degrees AS (
+                            SELECT n.node_id, COUNT(r.id) AS degree
+                            FROM memory_nodes n
+                            LEFT JOIN memory_relationships r ON r.uid = n.uid AND (r.source = n.node_id OR r.target = n.node_id)
+                            WHERE n.uid = p_uid
+                            GROUP BY n.node_id
+                        )
+                        UPDATE memory_nodes n SET connections = d.degree
+                        FROM degrees d
+                        WHERE n.uid = p_uid AND n.node_id = d.node_id AND n.connections IS DISTINCT FROM d.degree;
+                        GET DIAGNOSTICS v_changed = ROW_COUNT;
+                        RETURN v_changed;
+                    END;
+                    $$;
+
+                    -- Backfill counts that were written from model output before the trigger existed
+                    UPDATE memory_nodes n SET connections = (
+                        SELECT COUNT(*) FROM memory_relationships r
+                        WHERE r.uid = n.uid AND (r.source = n.node_id OR r.target = n.node_id)
+                    );
+                `
+            });
+
+            // Fuzzy graph search (trigram + full-text)
+            const { error: error11 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+                    -- Ranked node and relationship hits for a query; a full-text match scores 1,
+                    -- otherwise the best trigram similarity. Relationship hits are weighted below node hits.
+                    CREATE OR REPLACE FUNCTION brain_search(
+                        p_uid TEXT,
+                        p_query TEXT,
+                        p_type TEXT DEFAULT NULL,
+                        p_since TIMESTAMPTZ DEFAULT NULL,
+                        p_limit INTEGER DEFAULT 20
+                    )
+                    RETURNS TABLE (kind TEXT, id TEXT, score REAL)
+                    LANGUAGE sql
+                    STABLE
+                    AS $$
+                        WITH node_hits AS (
+                            SELECT 'node'::TEXT AS kind, n.node_id AS id, GREATEST(
+                                CASE WHEN to_tsvector('simple', n.name) @@ plainto_tsquery('simple', p_query) THEN 1 ELSE 0 END,
+                                similarity(lower(p_query), lower(n.name)),
+                                word_similarity(lower(p_query), lower(n.name)),
+                                word_similarity(lower(p_query), lower(n.aliases::TEXT)) * 0.9
+                            )::REAL AS score
+                            FROM memory_nodes n
+                            WHERE n.uid = p_uid
+                              AND (p_type IS NULL OR n.type = p_type)
+                              AND (p_since IS NULL OR n.last_seen_at >= p_since)
+                        ),
+                        relationship_hits AS (
+                            SELECT 'relationship'::TEXT AS kind, r.id::TEXT AS id, (GREATEST(
+                                CASE WHEN to_tsvector('simple', r.action) @@ plainto_tsquery('simple', p_query) THEN 1 ELSE 0 END,
+                                similarity(lower(p_query), lower(r.action)),
+                                word_similarity(lower(p_query), lower(r.action))
+                            ) * 0.9)::REAL AS score
+                            FROM memory_relationships r
+                            WHERE r.uid = p_uid
+                              AND (p_since IS NULL OR r.last_seen_at >= p_since)
+                              AND (p_type IS NULL OR EXISTS (
+                                  SELECT 1 FROM memory_nodes n
+                                  WHERE n.uid = r.uid AND n.node_id IN (r.source, r.target) AND n.type = p_type
+                              ))
+                        )
+                        SELECT hits.kind, hits.id, hits.score
+                        FROM (SELECT * FROM node_hits UNION ALL SELECT * FROM relationship_hits) hits
+                        WHERE hits.score >= 0.4
+                        ORDER BY hits.score DESC, hits.kind, hits.id
+                        LIMIT p_limit;
+                    $$;
+                `
+            });
+
+            // Level-of-detail loading: top nodes by degree / recency and per-type counts
+            const { error: error12 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE INDEX IF NOT EXISTS idx_memory_nodes_degree ON memory_nodes(uid, connections DESC);
+                    CREATE INDEX IF NOT EXISTS idx_memory_nodes_last_seen ON memory_nodes(uid, last_seen_at DESC);
+
+                    CREATE OR REPLACE FUNCTION brain_count_nodes_by_type(p_uid TEXT)
+                    RETURNS TABLE (type TEXT, count BIGINT)
+                    LANGUAGE sql
+                    STABLE
+                    AS $$
+                        SELECT COALESCE(n.type, ''), COUNT(*)
+                        FROM memory_nodes n
+                        WHERE n.uid = p_uid
+                        GROUP BY COALESCE(n.type, '');
+                    $$;
+                `
+            });
+
+            // Timeline: facts bucketed by when they were first seen
+            const { error: error13 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE INDEX IF NOT EXISTS idx_memory_nodes_first_seen ON memory_nodes(uid, first_seen_at);
+                    CREATE INDEX IF NOT EXISTS idx_memory_relationships_first_seen ON memory_relationships(uid, first_seen_at);
+
+                    CREATE OR REPLACE FUNCTION brain_timeline(p_uid TEXT, p_interval TEXT, p_tz_offset INTEGER)
+                    RETURNS TABLE (bucket DATE, kind TEXT, type TEXT, count BIGINT)
+                    LANGUAGE sql
+                    STABLE
+                    AS $$
+                        SELECT date_trunc(p_interval, (n.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset))::date,
+                               'node', COALESCE(n.type, ''), COUNT(*)
+                        FROM memory_nodes n
+                        WHERE n.uid = p_uid AND n.first_seen_at IS NOT NULL
+                        GROUP BY 1, 3
+                        UNION ALL
+                        SELECT date_trunc(p_interval, (r.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset))::date,
+                               'relationship', '', COUNT(*)
+                        FROM memory_relationships r
+                        WHERE r.uid = p_uid AND r.first_seen_at IS NOT NULL
+                        GROUP BY 1
+                        ORDER BY 1, 2, 3;
+                    $$;
+                `
+            });
+
+            // Heatmap: activity by weekday and hour
+            const { error: error14 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE OR REPLACE FUNCTION brain_activity_by_hour(p_uid TEXT, p_tz_offset INTEGER)
+                    RETURNS TABLE (weekday INTEGER, hour INTEGER, count BIGINT)
+                    LANGUAGE sql
+                    STABLE
+                    AS $$
+                        SELECT EXTRACT(DOW FROM t.local)::INTEGER, EXTRACT(HOUR FROM t.local)::INTEGER, COUNT(*)
+                        FROM (
+                            SELECT (n.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset) AS local
+                            FROM memory_nodes n
+                            WHERE n.uid = p_uid AND n.first_seen_at IS NOT NULL
+                            UNION ALL
+                            SELECT (r.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset)
+                            FROM memory_relationships r
+                            WHERE r.uid = p_uid AND r.first_seen_at IS NOT NULL
+                        ) t
+                        GROUP BY 1, 2
+                        ORDER BY 1, 2;
+                    $$;
+                `
+            });
+
+            // Per-user node type ontology
+            const { error: error15 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS brain_node_types (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        name TEXT NOT NULL,
+                        description TEXT,
+                        color TEXT,
+                        icon TEXT,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                        UNIQUE(uid, name)
+                    );
+                `
+            });
+
+            // Structured node attributes, and the properties each node type expects
+            const { error: error16 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS properties JSONB DEFAULT '{}';
+                    ALTER TABLE brain_node_types ADD COLUMN IF NOT EXISTS properties JSONB DEFAULT '{}';
+                `
+            });
+
+            // Cached enrichment results per node and provider
+            const { error: error17 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS memory_node_enrichment (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        node_id TEXT NOT NULL,
+                        provider TEXT NOT NULL,
+                        fingerprint TEXT,
+                        data JSONB,
+                        fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                        UNIQUE(uid, node_id, provider),
+                        FOREIGN KEY (uid, node_id) REFERENCES memory_nodes(uid, node_id)
+                            ON DELETE CASCADE ON UPDATE CASCADE
+                    );
+                `
+            });
+
+            // Generated descriptions, stored with the graph version they were written for
+            const { error: error18 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS description TEXT;
+                    ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS description_version TEXT;
+                    ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS description_generated_at TIMESTAMP WITH TIME ZONE;
+                `
+            });
+
+            // Sign-in codes: hash of the pending code, its expiry and wrong tries
+            const { error: error19 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_check TEXT;
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_expires_at TIMESTAMP WITH TIME ZONE;
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_sent_at TIMESTAMP WITH TIME ZONE;
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_attempts INTEGER DEFAULT 0;
+                `
+            });
+
+            // Express sessions, so sign-ins survive restarts and are shared between instances
+            const { error: error20 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE TABLE IF NOT EXISTS brain_login_sessions (
+                        sid TEXT PRIMARY KEY,
+                        uid TEXT,
+                        data JSONB NOT NULL,
+                        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_brain_login_sessions_uid ON brain_login_sessions(uid);
+                    CREATE INDEX IF NOT EXISTS idx_brain_login_sessions_expires ON brain_login_sessions(expires_at);
+                `
+            });
+
+            // End-to-end encryption: key material per user, OMI memories sealed until the browser extracts them,
+            // and the switch-over of an existing graph to ciphertext
+            const { error: error21 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS has_key BOOLEAN DEFAULT false;
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS key_salt TEXT;
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS key_check TEXT;
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS public_key TEXT;
+                    ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS private_key TEXT;
+
+                    CREATE TABLE IF NOT EXISTS brain_pending_memories (
+                        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+                        uid TEXT NOT NULL,
+                        memory_id TEXT,
+                        data JSONB NOT NULL,
+                        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_brain_pending_memories_uid ON brain_pending_memories(uid, created_at);
+
+                    CREATE OR REPLACE FUNCTION brain_encrypt_graph(p_uid TEXT, p_key JSONB, p_nodes JSONB, p_relationships JSONB)
+                    RETURNS VOID
+                    LANGUAGE plpgsql
+                    AS $$
+                    BEGIN
+                        DELETE FROM memory_node_enrichment WHERE uid = p_uid;
+                        DELETE FROM memory_sources WHERE uid = p_uid;
+                        DELETE FROM brain_chat_sessions WHERE uid = p_uid;
+
+                        UPDATE memory_relationships m
+                        SET source = n->>'new_node_id'
+                        FROM jsonb_array_elements(p_nodes) AS n
+                        WHERE m.uid = p_uid AND m.source = n->>'node_id';
+
+                        UPDATE memory_relationships m
+                        SET target = n->>'new_node_id'
+                        FROM jsonb_array_elements(p_nodes) AS n
+                        WHERE m.uid = p_uid AND m.target = n->>'node_id';
+
+                        UPDATE memory_nodes m
+                        SET node_id = n->>'new_node_id',
+                            name = n->>'name',
+                            aliases = COALESCE(n->'aliases', '[]'::jsonb),
+                            properties = COALESCE(n->'properties', '{}'::jsonb),
+                            description = NULL,
+                            description_version = NULL,
+                            description_generated_at = NULL
+                        FROM jsonb_array_elements(p_nodes) AS n
+                        WHERE m.uid = p_uid AND m.node_id = n->>'node_id';
+
+                        UPDATE memory_relationships m
+                        SET action = r->>'action'
+                        FROM jsonb_array_elements(p_relationships) AS r
+                        WHERE m.uid = p_uid AND m.id = (r->>'id')::UUID;
+
+                        -- Every stored node and relationship must have been in the submitted set, or some would stay plaintext
+                        IF (SELECT count(*) FROM memory_nodes WHERE uid = p_uid) <> jsonb_array_length(p_nodes)
+                            OR (SELECT count(*) FROM memory_nodes m JOIN jsonb_array_elements(p_nodes) AS n ON m.node_id = n->>'new_node_id'
+                                WHERE m.uid = p_uid) <> jsonb_array_length(p_nodes)
+                            OR (SELECT count(*) FROM memory_relationships WHERE uid = p_uid) <> jsonb_array_length(p_relationships)
+                            OR (SELECT count(*) FROM memory_relationships m JOIN jsonb_array_elements(p_relationships) AS r ON m.id = (r->>'id')::UUID
+                                WHERE m.uid = p_uid) <> jsonb_array_length(p_relationships)
+                        THEN
+                            RAISE EXCEPTION 'The encrypted graph does not cover every stored node and relationship' USING ERRCODE = 'BR001';
+                        END IF;
+
+                        -- The connection trigger can't follow a node and its relationships being renamed one by one
+                        PERFORM brain_recount_connections(p_uid);
+
+                        INSERT INTO brain_users (uid, has_key, key_salt, key_check, public_key, private_key)
+                        VALUES (p_uid, true, p_key->>'salt', p_key->>'keyCheck', p_key->>'publicKey', p_key->>'privateKey')
+                        ON CONFLICT (uid) DO UPDATE SET
+                            has_key = true,
+                            key_salt = EXCLUDED.key_salt,
+                            key_check = EXCLUDED.key_check,
+                            public_key = EXCLUDED.public_key,
+                            private_key = EXCLUDED.private_key;
+                    END;
+                    $$;
+                `
+            });
+
+            // Chat turns are appended in the database, so two answers finishing at once don't overwrite each other
+            const { error: error22 } = await supabase.rpc('exec_sql', {
+                sql_query: `
+                    CREATE OR REPLACE FUNCTION brain_last_messages(p_messages JSONB, p_max INTEGER)
+                    RETURNS JSONB
+                    LANGUAGE sql
+                    IMMUTABLE
+                    AS $$
+                        SELECT COALESCE(jsonb_agg(m.value ORDER BY m.i), '[]'::jsonb)
+                        FROM jsonb_array_elements(p_messages) WITH ORDINALITY AS m(value, i)
+                        WHERE m.i > jsonb_array_length(p_messages) - p_max;
+                    $$;
+
+                    CREATE OR REPLACE FUNCTION brain_append_chat(p_uid TEXT, p_session_id TEXT, p_title TEXT, p_messages JSONB, p_max INTEGER)
+                    RETURNS BOOLEAN
+                    LANGUAGE plpgsql
+                    AS $$
+                    BEGIN
+                        INSERT INTO brain_chat_sessions (session_id, uid, title, messages, last_activity)
+                        VALUES (p_session_id, p_uid, p_title, brain_last_messages(p_messages, p_max), NOW())
+                        ON CONFLICT (session_id) DO UPDATE SET
+                            messages = brain_last_messages(brain_chat_sessions.messages || EXCLUDED.messages, p_max),
+                            last_activity = EXCLUDED.last_activity
+                        WHERE brain_chat_sessions.uid = p_uid;
+                        RETURN FOUND;
+                    END;
+                    $$;
+                `
+            });
+
+            if (error1 || error2 || error3 || error4 || error5 || error6 || error7 || error8 || error9 || error10 || error11 || error12 || error13 || error14 || error15 || error16 || error17 || error18 || error19 || error20 || error21 || error22) {
+                console.log('Tables may already exist or exec_sql function not found.');
+                console.log('Please run the setup-supabase.sql script in your Supabase SQL editor.');
+            } else {
+                console.log('Brain app tables created successfully!');
+            }
+        } catch (err) {
+            console.log('Auto-table creation failed. Please run setup-supabase.sql manually.');
+            console.log('Error:', err.message);
+        }
+    }
+
+    // Nothing to release: supabase-js talks plain HTTP
+    close() {}
+
+    // Select rows whose column matches any of the values, in chunks that keep URLs short
+    async selectIn(table, columns, uid, column, values) {
+        const rows = [];
+        for (let i = 0; i < values.length; i += IN_CHUNK_SIZE) {
+            rows.push(...await this.selectAll(() => this.supabase
+                .from(table)
+                .select(columns)
+                .eq('uid', uid)
+                .in(column, values.slice(i, i + IN_CHUNK_SIZE))));
+        }
+        return rows;
+    }
+
+    // Every row of a query, read page by page in primary key order until a short page comes back.
+    // buildQuery returns a fresh filtered query each time; its table must have an id column.
+    async selectAll(buildQuery) {
+        const rows = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const page = check(await buildQuery().order('id').range(from, from + PAGE_SIZE - 1));
+            rows.push(...page);
+            if (page.length < PAGE_SIZE) return rows;
+        }
+    }
+
+    // ===== Users =====
+
+    async upsertUser(uid) {
+        check(await this.supabase
+            .from('brain_users')
+            .upsert([{ uid: uid }], { onConflict: 'uid' }));
+    }
+
+    async getUser(uid) {
+        return check(await this.supabase
+            .from('brain_users')
+            .select()
+            .eq('uid', uid)
+            .maybeSingle());
+    }
+
+    async setLoginCode(uid, { codeCheck, expiresAt }) {
+        check(await this.supabase
+            .from('brain_users')
+            .upsert([{
+                uid: uid,
+                code_check: codeCheck,
+                code_expires_at: expiresAt,
+                code_sent_at: new Date().toISOString(),
+                code_attempts: 0
+            }], { onConflict: 'uid' }));
+    }
+
+    async consumeLoginCode(uid, codeCheck, maxAttempts) {
+        // Clearing the code in the same statement that matches it means it can only be used once
+        const used = check(await this.supabase
+            .from('brain_users')
+            .update({ code_check: null, code_expires_at: null, code_attempts: 0 })
+            .eq('uid', uid)
+            .eq('code_check', codeCheck)
+            .gt('code_expires_at', new Date().toISOString())
+            .lt('code_attempts', maxAttempts)
+            .select('uid'));
+        if (used.length > 0) return true;
+
+        // Count the wrong try. The update only applies to the count it read, so concurrent guesses retry
+        // instead of sharing one attempt
+        for (;;) {
+            const user = await this.getUser(uid);
+            if (!user || !user.code_check) return false;
+
+            const attempts = (user.code_attempts || 0) + 1;
+            const counted = check(await this.supabase
+                .from('brain_users')
+                .update({ code_attempts: attempts, code_check: attempts >= maxAttempts ? null : user.code_check })
+                .eq('uid', uid)
+                .eq('code_attempts', user.code_attempts || 0)
+                .select('uid'));
+            if (counted.length > 0) return false;
+        }
+    }
+
+    // ===== Encryption =====
+
+    // One transaction (brain_encrypt_graph RPC)
+    async encryptGraph(uid, { key, nodes, relationships }) {
+        const { error } = await this.supabase.rpc('brain_encrypt_graph', {
+            p_uid: uid,
+            p_key: key,
+            p_nodes: nodes,
+            p_relationships: relationships
+        });
+        // Raised by brain_encrypt_graph when rows are missing from the submitted graph
+        if (error && error.code === 'BR001') return false;
+        check({ error });
+        return true;
+    }
+
+    // ===== Sign-in sessions =====
+
+    async getLoginSession(sid) {
+        return check(await this.supabase
+            .from('brain_login_sessions')
+            .select()
+            .eq('sid', sid)
+            .gt('expires_at', new Date().toISOString())
+            .maybeSingle());
+    }
+
+    async saveLoginSession(sid, { uid, data, expiresAt }) {
+        check(await this.supabase
+            .from('brain_login_sessions')
+            .upsert([{ sid: sid, uid: uid, data: data, expires_at: expiresAt }], { onConflict: 'sid' }));
+    }
+
+    async touchLoginSession(sid, expiresAt) {
+        check(await this.supabase
+            .from('brain_login_sessions')
+            .update({ expires_at: expiresAt })
+            .eq('sid', sid));
+    }
+
+    async deleteLoginSession(sid) {
+        check(await this.supabase
+            .from('brain_login_sessions')
+            .delete()
+            .eq('sid', sid));
+    }
+
+    async deleteLoginSessions(uid) {
+        return check(await this.supabase
+            .from('brain_login_sessions')
+            .delete()
+            .eq('uid', uid)
+            .select('sid')).length;
+    }
+
+    async pruneLoginSessions() {
+        check(await this.supabase
+            .from('brain_login_sessions')
+            .delete()
+            .lte('expires_at', new Date().toISOString()));
+    }
+
+    // ===== Nodes =====
+
+    async listNodes(uid) {
+        return this.selectAll(() => this.supabase
+            .from('memory_nodes')
+            .select()
+            .eq('uid', uid));
+    }
+
+    async getNodes(uid, nodeIds) {
+        return this.selectIn('memory_nodes', '*', uid, 'node_id', nodeIds);
+    }
+
+    // One page of nodes, best connected (orderBy 'degree') or most recently seen ('recent') first.
+    // type narrows to one node type; '' means untyped nodes.
+    async listNodesPage(uid, { type, orderBy = 'degree', offset = 0, limit }) {
+        let query = this.supabase
+            .from('memory_nodes')
+            .select()
+            .eq('uid', uid);
+
+        if (type) {
+            query = query.eq('type', type);
+        } else if (type === '') {
+            query = query.or('type.is.null,type.eq.""');
+        }
+
+        const columns = orderBy === 'recent' ? ['last_seen_at', 'mention_count'] : ['connections', 'mention_count'];
+        columns.forEach(column => {
+            query = query.order(column, { ascending: false, nullsFirst: false });
+        });
+
+        return check(await query.order('node_id').range(offset, offset + limit - 1));
+    }
+
+    async countNodesByType(uid) {
+        return check(await this.supabase.rpc('brain_count_nodes_by_type', { p_uid: uid }));
+    }
+
+    async timelineCounts(uid, { interval = 'day', tzOffset = 0 }) {
+        const rows = check(await this.supabase.rpc('brain_timeline', {
+            p_uid: uid,
+            p_interval: interval,
+            p_tz_offset: tzOffset
+        }));
+        return rows.map(row => ({ ...row, count: Number(row.count) }));
+    }
+
+    async activityByHour(uid, { tzOffset = 0 }) {
+        const rows = check(await this.supabase.rpc('brain_activity_by_hour', {
+            p_uid: uid,
+            p_tz_offset: tzOffset
+        }));
+        return rows.map(row => ({ ...row, count: Number(row.count) }));
+    }
+
+    async learnedBetween(uid, { from, to, limit }) {
+        const learned = (table, order) => this.supabase
+            .from(table)
+            .select()
+            .eq('uid', uid)
+            .gte('first_seen_at', from)
+            .lt('first_seen_at', to)
+            .order('first_seen_at')
+            .order(order)
+            .limit(limit);
+
+        return {
+            nodes: check(await learned('memory_nodes', 'node_id')),
+            relationships: check(await learned('memory_relationships', 'id'))
+        };
+    }
+
+    async getNode(uid, nodeId) {
+        return check(await this.supabase
+            .from('memory_nodes')
+            .select()
+            .eq('uid', uid)
+            .eq('node_id', nodeId)
+            .maybeSingle());
+    }
+
+    async upsertNode(uid, node) {
+        check(await this.supabase
+            .from('memory_nodes')
+            .upsert([{ ...node, uid: uid }], { onConflict: 'uid,node_id' }));
+    }
+
+    async updateNode(uid, nodeId, fields) {
+        check(await this.supabase
+            .from('memory_nodes')
+            .update(fields)
+            .eq('uid', uid)
+            .eq('node_id', nodeId));
+    }
+
+    // Deletes the node and every relationship touching it
+    async deleteNode(uid, nodeId) {
+        check(await this.supabase
+            .from('memory_relationships')
+            .delete()
+            .eq('uid', uid)
+            .or(`source.in.(${postgrestList([nodeId])}),target.in.(${postgrestList([nodeId])})`));
+
+        check(await this.supabase
+            .from('memory_nodes')
+            .delete()
+            .eq('uid', uid)
+            .eq('node_id', nodeId));
+    }
+
+    // Recompute connection counts from the relationships table; returns how many nodes were corrected
+    async recountConnections(uid) {
+        return check(await this.supabase.rpc('brain_recount_connections', { p_uid: uid }));
+    }
+
+    // ===== Relationships =====
+
+    async listRelationships(uid) {
+        return this.selectAll(() => this.supabase
+            .from('memory_relationships')
+            .select()
+            .eq('uid', uid));
+    }
+
+    async getRelationship(uid, id) {
+        return check(await this.supabase
+            .from('memory_relationships')
+            .select()
+            .eq('uid', uid)
+            .eq('id', id)
+            .maybeSingle());
+    }
+
+    async relationshipsFrom(uid, sourceNodeIds) {
+        return this.selectIn('memory_relationships', '*', uid, 'source', sourceNodeIds);
+    }
+
+    async relationshipsTouching(uid, nodeIds, limit) {
+        const rows = new Map();
+        for (let i = 0; i < nodeIds.length && rows.size < limit; i += IN_CHUNK_SIZE) {
+            const list = postgrestList(nodeIds.slice(i, i + IN_CHUNK_SIZE));
+            const chunk = check(await this.supabase
+                .from('memory_relationships')
+                .select()
+                .eq('uid', uid)
+                .or(`source.in.(${list}),target.in.(${list})`)
+                .limit(limit - rows.size));
+            chunk.forEach(row => rows.set(row.id, row));
+        }
+        return Array.from(rows.values());
+    }
+
+    // Returns the new relationship id
+    async insertRelationship(uid, rel) {
+        const row = check(await this.supabase
+            .from('memory_relationships')
+            .insert([{ ...rel, uid: uid }])
+            .select('id')
+            .single());
+        return row.id;
+    }
+
+    async updateRelationship(uid, id, fields) {
+        check(await this.supabase
+            .from('memory_relationships')
+            .update(fields)
+            .eq('uid', uid)
+            .eq('id', id));
+    }
+
+    async deleteRelationships(uid, ids) {
+        for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+            check(await this.supabase
+                .from('memory_relationships')
+                .delete()
+                .eq('uid', uid)
+                .in('id', ids.slice(i, i + IN_CHUNK_SIZE)));
+        }
+    }
+
+    // Point every relationship of fromNodeId at toNodeId, folding edges that become duplicates or self-loops
+    async rewireNode(uid, fromNodeId, toNodeId) {
+        check(await this.supabase.rpc('brain_rewire_node', {
+            p_uid: uid,
+            p_from: fromNodeId,
+            p_to: toNodeId
+        }));
+    }
+
+    // Write nodes, relationships and their source in one transaction (brain_save_graph RPC)
+    async saveGraph(uid, { nodes, relationships, source = null }) {
+        const saved = check(await this.supabase.rpc('brain_save_graph', {
+            p_uid: uid,
+            p_nodes: nodes,
+            p_relationships: relationships,
+            p_source: source
+        }));
+        return {
+            sourceId: saved.source_id,
+            nodes: saved.nodes,
+            relationships: saved.relationships
+        };
+    }
+
+    // ===== Sources and provenance =====
+
+    // Returns the new source id
+    async insertSource(uid, source) {
+        const row = check(await this.supabase
+            .from('memory_sources')
+            .insert([{ ...source, uid: uid }])
+            .select('id')
+            .single());
+        return row.id;
+    }
+
+    async getSource(uid, id) {
+        return check(await this.supabase
+            .from('memory_sources')
+            .select()
+            .eq('uid', uid)
+            .eq('id', id)
+            .maybeSingle());
+    }
+
+    // Newest first
+    async listSources(uid, limit) {
+        return check(await this.supabase
+            .from('memory_sources')
+            .select()
+            .eq('uid', uid)
+            .order('created_at', { ascending: false })
+            .limit(limit));
+    }
+
+    async deleteSource(uid, id) {
+        check(await this.supabase
+            .from('memory_sources')
+            .delete()
+            .eq('uid', uid)
+            .eq('id', id));
+    }
+
+    async linkNodeSources(uid, nodeId, sourceIds) {
+        if (sourceIds.length === 0) return;
+        check(await this.supabase
+            .from('memory_node_sources')
+            .upsert(sourceIds.map(sourceId => ({
+                uid: uid,
+                node_id: nodeId,
+                source_id: sourceId
+            })), { onConflict: 'uid,node_id,source_id', ignoreDuplicates: true }));
+    }
+
+    async linkRelationshipSource(uid, relationshipId, sourceId) {
+        check(await this.supabase
+            .from('memory_relationship_sources')
+            .upsert([{
+                uid: uid,
+                relationship_id: relationshipId,
+                source_id: sourceId
+            }], { onConflict: 'relationship_id,source_id', ignoreDuplicates: true }));
+    }
+
+    async nodeSourceIds(uid, nodeId) {
+        const links = await this.selectAll(() => this.supabase
+            .from('memory_node_sources')
+            .select('source_id')
+            .eq('uid', uid)
+            .eq('node_id', nodeId));
+        return links.map(link => link.source_id);
+    }
+
+    // Source rows a node was extracted from
+    async nodeSources(uid, nodeId) {
+        const links = await this.selectAll(() => this.supabase
+            .from('memory_node_sources')
+            .select('memory_sources(id, source_type, external_id, content, created_at)')
+            .eq('uid', uid)
+            .eq('node_id', nodeId));
+        return links.map(link => link.memory_sources).filter(Boolean);
+    }
+
+    // Source rows a relationship was extracted from
+    async relationshipSources(uid, relationshipId) {
+        const links = await this.selectAll(() => this.supabase
+            .from('memory_relationship_sources')
+            .select('memory_sources(id, source_type, external_id, content, created_at)')
+            .eq('uid', uid)
+            .eq('relationship_id', relationshipId));
+        return links.map(link => link.memory_sources).filter(Boolean);
+    }
+
+    async orphanedBySource(uid, sourceId) {
+        const orphaned = { nodes: [], relationships: [] };
+
+        const relLinks = await this.selectAll(() => this.supabase
+            .from('memory_relationship_sources')
+            .select('relationship_id')
+            .eq('uid', uid)
+            .eq('source_id', sourceId));
+
+        const relationshipIds = relLinks.map(link => link.relationship_id);
+        if (relationshipIds.length > 0) {
+            const otherLinks = await this.selectIn('memory_relationship_sources', 'relationship_id, source_id',
+                uid, 'relationship_id', relationshipIds);
+            const backedElsewhere = new Set(otherLinks
+                .filter(link => link.source_id !== sourceId)
+                .map(link => link.relationship_id));
+            orphaned.relationships = relationshipIds.filter(id => !backedElsewhere.has(id));
+        }
+
+        const nodeLinks = await this.selectAll(() => this.supabase
+            .from('memory_node_sources')
+            .select('node_id')
+            .eq('uid', uid)
+            .eq('source_id', sourceId));
+
+        const nodeIds = nodeLinks.map(link => link.node_id);
+        if (nodeIds.length > 0) {
+            const otherLinks = await this.selectIn('memory_node_sources', 'node_id, source_id', uid, 'node_id', nodeIds);
+            const backedElsewhere = new Set(otherLinks
+                .filter(link => link.source_id !== sourceId)
+                .map(link => link.node_id));
+            orphaned.nodes = nodeIds.filter(id => !backedElsewhere.has(id));
+        }
+
+        return orphaned;
+    }
+
+    // ===== Search =====
+
+    async searchGraph(uid, { query, type = null, since = null, limit = 20 }) {
+        return check(await this.supabase.rpc('brain_search', {
+            p_uid: uid,
+            p_query: query,
+            p_type: type,
+            p_since: since,
+            p_limit: limit
+        }));
+    }
+
+    // ===== Node types =====
+
+    async listNodeTypes(uid) {
+        return check(await this.supabase
+            .from('brain_node_types')
+            .select('name, description, color, icon, properties')
+            .eq('uid', uid)
+            .order('name'));
+    }
+
+    async upsertNodeType(uid, { name, description = null, color = null, icon = null, properties = {} }) {
+        check(await this.supabase
+            .from('brain_node_types')
+            .upsert([{ uid, name, description, color, icon, properties: properties || {} }], { onConflict: 'uid,name' }));
+    }
+
+    async deleteNodeType(uid, name) {
+        const deleted = check(await this.supabase
+            .from('brain_node_types')
+            .delete()
+            .eq('uid', uid)
+            .eq('name', name)
+            .select('name'));
+        return deleted.length > 0;
+    }
+
+    async retypeNodes(uid, fromType, toType) {
+        const retyped = check(await this.supabase
+            .from('memory_nodes')
+            .update({ type: toType })
+            .eq('uid', uid)
+            .eq('type', fromType)
+            .select('node_id'));
+        return retyped.length;
+    }
+
+    // ===== Enrichment cache =====
+
+    async nodeEnrichment(uid, nodeId) {
+        return check(await this.supabase
+            .from('memory_node_enrichment')
+            .select('provider, fingerprint, data, fetched_at')
+            .eq('uid', uid)
+            .eq('node_id', nodeId));
+    }
+
+    async saveNodeEnrichment(uid, nodeId, provider, { fingerprint, data }) {
+        check(await this.supabase
+            .from('memory_node_enrichment')
+            .upsert([{
+                uid: uid,
+                node_id: nodeId,
+                provider: provider,
+                fingerprint: fingerprint,
+                data: data,
+                fetched_at: new Date().toISOString()
+            }], { onConflict: 'uid,node_id,provider' }));
+    }
+
+    // ===== Sealed OMI memories =====
+
+    async addPendingMemory(uid, memoryId, sealed) {
+        const row = check(await this.supabase
+            .from('brain_pending_memories')
+            .insert([{ uid: uid, memory_id: memoryId, data: sealed }])
+            .select('id')
+            .single());
+        return row.id;
+    }
+
+    // Oldest first
+    async listPendingMemories(uid, limit) {
+        return check(await this.supabase
+            .from('brain_pending_memories')
+            .select('id, memory_id, data, created_at')
+            .eq('uid', uid)
+            .order('created_at', { ascending: true })
+            .limit(limit));
+    }
+
+    async deletePendingMemory(uid, id) {
+        return check(await this.supabase
+            .from('brain_pending_memories')
+            .delete()
+            .eq('uid', uid)
+            .eq('id', id)
+            .select('id')).length > 0;
+    }
+
+    // ===== Webhook idempotency =====
+
+    async claimMemory(uid, memoryId) {
+        const { error } = await this.supabase
+            .from('brain_processed_memories')
+            .insert([{ uid: uid, memory_id: memoryId }]);
+
+        if (error && error.code === '23505') return false;
+        if (error) throw error;
+        return true;
+    }
+
+    async releaseMemory(uid, memoryId) {
+        check(await this.supabase
+            .from('brain_processed_memories')
+            .delete()
+            .eq('uid', uid)
+            .eq('memory_id', memoryId));
+    }
+
+    // ===== Chat sessions =====
+
+    async getChatSession(uid, sessionId) {
+        return check(await this.supabase
+            .from('brain_chat_sessions')
+            .select('*')
+            .eq('uid', uid)
+            .eq('session_id', sessionId)
+            .maybeSingle());
+    }
+
+    // Most recently active first
+    async listChatSessions(uid, limit) {
+        return check(await this.supabase
+            .from('brain_chat_sessions')
+            .select('session_id, title, messages, last_activity, created_at')
+            .eq('uid', uid)
+            .order('last_activity', { ascending: false })
+            .limit(limit));
+    }
+
+    // Add turns to a session (created with the given title if it doesn't exist yet), keeping the newest maxMessages.
+    // Returns false if the session id belongs to another user.
+    async appendChatMessages(uid, { session_id, title, messages }, maxMessages) {
+        return check(await this.supabase.rpc('brain_append_chat', {
+            p_uid: uid,
+            p_session_id: session_id,
+            p_title: title,
+            p_messages: messages,
+            p_max: maxMessages
+        }));
+    }
+
+    // Returns false if there was no such session
+    async deleteChatSession(uid, sessionId) {
+        const deleted = check(await this.supabase
+            .from('brain_chat_sessions')
+            .delete()
+            .eq('uid', uid)
+            .eq('session_id', sessionId)
+            .select('session_id'));
+        return deleted.length > 0;
+    }
+
+    // ===== Account =====
+
+    // reset-user-data-procedure.sql removes the same rows; change them together
+    async deleteUserData(uid) {
+        for (const table of [
+            'brain_login_sessions',
+            'brain_pending_memories',
+            'brain_chat_sessions',
+            'brain_node_types',
+            'memory_node_enrichment',
+            'memory_sources',
+            'brain_processed_memories',
+            'memory_relationships',
+            'memory_nodes',
+            'brain_users'
+        ]) {
+            check(await this.supabase
+                .from(table)
+                .delete()
+                .eq('uid', uid));
+        }
+    }
+}
+
+module.exports = { SupabaseStorage };
@@ -0,0 +1,69 @@
+// Storage backend for Brain.
+// BRAIN_STORAGE picks the implementation: "supabase" (default) or "sqlite" for a local, self-hosted database file.
+//
+// Every adapter exposes the same async interface (all methods take the user's uid first):
+//   init()                                          create tables / run migrations
+//   close()                                         release the database handle
+//   upsertUser(uid), getUser(uid)
+//   setLoginCode(uid, { codeCheck, expiresAt })     store a pending sign-in code (creating the user), resetting its tries
+//   consumeLoginCode(uid, codeCheck, maxAttempts)   true once for the live code; a wrong one counts a try, and
+//                                                   the code is dropped after maxAttempts
+//   encryptGraph(uid, { key: { salt, keyCheck, publicKey, privateKey }, nodes: [{ node_id, new_node_id, name, aliases,
+//       properties }], relationships: [{ id, action }] })   one transaction: turn on encryption, swapping in the
+//       ciphertext and new node ids and dropping sources, chat sessions, descriptions and enrichment; false (and
+//       nothing changed) unless nodes and relationships are every one the user has
+//   addPendingMemory(uid, memoryId, sealed) -> id, listPendingMemories(uid, limit), deletePendingMemory(uid, id) -> bool
+//   Sign-in sessions are keyed by session id, not uid (uid is null until the browser signs in):
+//   getLoginSession(sid) -> { sid, uid, data, expires_at } or null once expired
+//   saveLoginSession(sid, { uid, data, expiresAt }), touchLoginSession(sid, expiresAt), deleteLoginSession(sid)
+//   deleteLoginSessions(uid) -> number of sessions ended, pruneLoginSessions()   drop expired sessions
+//   listNodes(uid), getNodes(uid, nodeIds), getNode(uid, nodeId)
+//   listNodesPage(uid, { type, orderBy: 'degree' | 'recent', offset, limit }), countNodesByType(uid) -> [{ type, count }]
+//   upsertNode(uid, node), updateNode(uid, nodeId, fields), deleteNode(uid, nodeId), recountConnections(uid)
+//   listRelationships(uid), getRelationship(uid, id), relationshipsFrom(uid, sourceNodeIds)
+//   relationshipsTouching(uid, nodeIds, limit), insertRelationship(uid, rel), updateRelationship(uid, id, fields)
+//   deleteRelationships(uid, ids), rewireNode(uid, fromNodeId, toNodeId)
+//   saveGraph(uid, { nodes, relationships, source })  one transaction; returns { sourceId, nodes, relationships }
+//       (a node's properties are merged into what is stored; updateNode replaces them)
+//   insertSource(uid, source), getSource(uid, id), listSources(uid, limit), deleteSource(uid, id)
+//   linkNodeSources(uid, nodeId, sourceIds), linkRelationshipSource(uid, relationshipId, sourceId)
+//   nodeSourceIds(uid, nodeId), nodeSources(uid, nodeId), relationshipSources(uid, relationshipId)
+//   orphanedBySource(uid, sourceId)                 facts only this source backs up: { nodes, relationships }
+//   searchGraph(uid, { query, type, since, limit })  fuzzy search: [{ kind: 'node' | 'relationship', id, score }], best first
+//   timelineCounts(uid, { interval: 'day' | 'week' | 'month', tzOffset })  facts first seen per period:
+//       [{ bucket: 'YYYY-MM-DD' (period start, local time), kind: 'node' | 'relationship', type, count }]
+//   learnedBetween(uid, { from, to, limit })          nodes and relationships first seen in [from, to): { nodes, relationships }
+//   activityByHour(uid, { tzOffset })                 facts first seen per local weekday (0 = Sunday) and hour: [{ weekday, hour, count }]
+//   listNodeTypes(uid), upsertNodeType(uid, { name, description, color, icon, properties }), deleteNodeType(uid, name)
+//   retypeNodes(uid, fromType, toType) -> number of nodes retyped
+//   nodeEnrichment(uid, nodeId) -> [{ provider, fingerprint, data, fetched_at }]   cached enrichment, gone with the node
+//   saveNodeEnrichment(uid, nodeId, provider, { fingerprint, data })               data null caches "nothing found"
+//   claimMemory(uid, memoryId) -> false if already claimed, releaseMemory(uid, memoryId)
+//   getChatSession(uid, sessionId), listChatSessions(uid, limit), deleteChatSession(uid, sessionId)
+//   appendChatMessages(uid, { session_id, title, messages }, maxMessages) -> false if the session is another user's
+//       atomic append that creates the session if needed and keeps its newest maxMessages
+//   deleteUserData(uid)
+//
+// Rows use the column names of setup-supabase.sql; JSON columns (aliases, properties, messages, data) come back parsed.
+// With brain_users.has_key set, names, aliases, property values, actions and source content hold ciphertext.
+// memory_nodes.connections is the node's degree, kept up to date by the database as relationships change.
+// memory_nodes.description is the last generated description, for the graph version in description_version.
+// Reads without a limit (listNodes, listRelationships, ...) return every row, however many there are.
+// Adapters throw on database errors.
+
+function createStorage(kind = process.env.BRAIN_STORAGE || 'supabase') {
+    switch (kind) {
+        case 'sqlite': {
+            const { SqliteStorage } = require('./storage-sqlite');
+            return new SqliteStorage(process.env.BRAIN_SQLITE_PATH || __dirname + '/brain.db');
+        }
+        case 'supabase': {
+            const { SupabaseStorage } = require('./storage-supabase');
+            return new SupabaseStorage(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+        }
+        default:
+            throw new Error(`Unknown BRAIN_STORAGE "${kind}" (expected "supabase" or "sqlite")`);
+    }
+}
+
+module.exports = { createStorage };
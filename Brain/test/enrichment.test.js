@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnrichment, decodeEntities, enrichNode, parseProviderConfig, providersFor } = require('../enrichment');
+const { SqliteStorage } = require('../storage-sqlite');
+
+// The stub provider, counting its calls and failing on demand
+function countingStub() {
+    const enrichment = createEnrichment({ BRAIN_ENRICHMENT_PROVIDERS: 'stub' });
+    const stub = enrichment.providers.get('stub');
+    const counter = { calls: 0, fail: false };
+    enrichment.providers.set('stub', {
+        name: 'stub',
+        async enrich(node) {
+            counter.calls++;
+            if (counter.fail) throw new Error('offline');
+            return stub.enrich(node);
+        }
+    });
+    return { enrichment, counter };
+}
+
+describe('parseProviderConfig', () => {
+    it('uses the defaults when nothing is configured', () => {
+        const config = parseProviderConfig('  ');
+        assert.deepEqual(providersFor('location', config), ['wikipedia', 'image-search', 'opengraph']);
+        assert.deepEqual(providersFor('person', config), ['opengraph']);
+        assert.deepEqual(providersFor('hobby', config), ['wikipedia', 'opengraph']);
+    });
+
+    it('reads per-type lists and a bare list for every type', () => {
+        assert.deepEqual(parseProviderConfig('location = wikipedia, image-search ; *=opengraph;'), {
+            location: ['wikipedia', 'image-search'],
+            '*': ['opengraph']
+        });
+        assert.deepEqual(parseProviderConfig('stub'), { '*': ['stub'] });
+        assert.deepEqual(providersFor('person', parseProviderConfig('location=wikipedia')), []);
+    });
+});
+
+describe('decodeEntities', () => {
+    it('decodes character references and leaves ones outside Unicode as written', () => {
+        assert.equal(decodeEntities('Caf&#233; &#x1F600; &amp; more'), 'Café 😀 & more');
+        assert.equal(decodeEntities('&#9999999; &#x110000;'), '&#9999999; &#x110000;');
+    });
+});
+
+describe('createEnrichment', () => {
+    it('only offers image search when an API is configured', () => {
+        assert.equal(createEnrichment({}).providers.has('image-search'), false);
+        const enrichment = createEnrichment({ BRAIN_IMAGE_SEARCH_URL: 'https://images.example.com/?q={query}' });
+        assert.deepEqual([...enrichment.providers.keys()].sort(), ['image-search', 'opengraph', 'stub', 'wikipedia']);
+    });
+});
+
+describe('enrichNode', () => {
+    const uid = 'enrich-user';
+    let storage, enrichment, counter;
+    const node = { node_id: 'ORB-Berlin', type: 'location', name: 'Berlin', properties: {} };
+
+    beforeEach(async () => {
+        storage = new SqliteStorage(':memory:');
+        await storage.init();
+        for (const owner of [uid, 'someone-else']) {
+            await storage.upsertUser(owner);
+            await storage.upsertNode(owner, { ...node, aliases: [] });
+            await storage.upsertNode(owner, { ...node, node_id: 'ORB-Paris', name: 'Paris', aliases: [] });
+        }
+        ({ enrichment, counter } = countingStub());
+    });
+
+    afterEach(() => storage.close());
+
+    it('fetches once and then serves the cached result', async () => {
+        const first = await enrichNode(storage, enrichment, uid, node);
+        assert.equal(first.summary.title, 'Berlin');
+        assert.equal(first.summary.provider, 'stub');
+        assert.deepEqual(first.images.map(image => image.url), ['https://example.com/berlin.png']);
+        assert.deepEqual(first.links.map(link => link.url), ['https://example.com/berlin']);
+        assert.equal(first.providers[0].cached, false);
+
+        const second = await enrichNode(storage, enrichment, uid, node);
+        assert.equal(counter.calls, 1);
+        assert.equal(second.providers[0].cached, true);
+        assert.deepEqual(second.summary, first.summary);
+    });
+
+    it('fetches again when the node changes, on refresh and after the cache expires', async () => {
+        await enrichNode(storage, enrichment, uid, node);
+        await enrichNode(storage, enrichment, uid, { ...node, properties: { country: 'Germany' } });
+        assert.equal(counter.calls, 2);
+
+        await enrichNode(storage, enrichment, uid, { ...node, properties: { country: 'Germany' } }, { refresh: true });
+        assert.equal(counter.calls, 3);
+
+        await enrichNode(storage, enrichment, uid, { ...node, properties: { country: 'Germany' } }, { ttlMs: 0 });
+        assert.equal(counter.calls, 4);
+    });
+
+    it('falls back to the cached result when a provider fails', async () => {
+        await enrichNode(storage, enrichment, uid, node);
+        counter.fail = true;
+
+        const result = await enrichNode(storage, enrichment, uid, node, { refresh: true });
+        assert.equal(counter.calls, 2);
+        assert.equal(result.summary.title, 'Berlin');
+        assert.equal(result.providers[0].cached, true);
+
+        const other = await enrichNode(storage, enrichment, uid, { ...node, node_id: 'ORB-Paris', name: 'Paris' });
+        assert.equal(other.summary, null);
+        assert.deepEqual(other.providers, []);
+    });
+
+    it('keeps cached results per user', async () => {
+        await enrichNode(storage, enrichment, uid, node);
+        await enrichNode(storage, enrichment, 'someone-else', node);
+        assert.equal(counter.calls, 2);
+    });
+});
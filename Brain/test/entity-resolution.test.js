@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveEntities, resolveEntitiesInBatches, mergeAliases, nameSimilarity, normalizeName } = require('../entity-resolution');
+
+function graphOf(nodes) {
+    return new Map(nodes.map(node => [node.id, { aliases: [], properties: {}, ...node }]));
+}
+
+describe('normalizeName', () => {
+    it('lowercases, folds Latin accents and drops punctuation', () => {
+        assert.equal(normalizeName('  José  Müller-Smith! '), 'jose muller smith');
+        assert.equal(normalizeName('ﬁle №5'), 'file no5');
+        assert.equal(normalizeName(null), '');
+    });
+
+    it('keeps letters of other scripts', () => {
+        assert.equal(normalizeName('Иван Петров'), 'иван петров');
+        assert.equal(normalizeName('東京'), '東京');
+        assert.equal(normalizeName('محمد'), 'محمد');
+        assert.equal(normalizeName('किताब'), 'किताब');
+    });
+
+    it('keeps marks that tell words apart outside Latin', () => {
+        assert.notEqual(normalizeName('мой'), normalizeName('мои'));
+    });
+});
+
+describe('nameSimilarity', () => {
+    it('matches nicknames and typos but not different people', () => {
+        assert.equal(nameSimilarity('mike', 'michael', 'person'), 0.9);
+        assert.equal(nameSimilarity('mike johnson', 'michael johnson', 'person'), 0.95);
+        assert.equal(nameSimilarity('mike johnson', 'michael smith', 'person'), 0);
+        assert.ok(nameSimilarity('jonathan', 'jonathon', 'person') >= 0.94);
+        assert.equal(nameSimilarity('anna', 'emma', 'person'), 0);
+    });
+});
+
+describe('mergeAliases', () => {
+    it('adds names that normalize differently and skips the rest', () => {
+        assert.deepEqual(mergeAliases(['Mike'], 'mike', 'Michael', 'Мария', 'мария'), ['Mike', 'Michael', 'Мария']);
+    });
+});
+
+describe('resolveEntities', () => {
+    it('maps extracted entities onto existing nodes and keeps their names as aliases', () => {
+        const existing = graphOf([{ id: 'ORB-MichaelJohnson', type: 'person', name: 'Michael Johnson' }]);
+        const resolved = resolveEntities({
+            entities: [
+                { id: 'ORB-MikeJohnson', type: 'person', name: 'Mike Johnson' },
+                { id: 'ORB-Berlin', type: 'location', name: 'Berlin' }
+            ],
+            relationships: [{ source: 'ORB-MikeJohnson', target: 'ORB-Berlin', action: 'lives in' }]
+        }, existing);
+
+        assert.deepEqual(resolved.merged, [{ from: 'ORB-MikeJohnson', into: 'ORB-MichaelJohnson' }]);
+        const michael = resolved.entities.find(entity => entity.id === 'ORB-MichaelJohnson');
+        assert.deepEqual(michael.aliases, ['Mike Johnson']);
+        assert.deepEqual(resolved.relationships.map(rel => [rel.source, rel.target]), [['ORB-MichaelJohnson', 'ORB-Berlin']]);
+    });
+
+    it('resolves non-Latin names', () => {
+        const existing = graphOf([
+            { id: 'ORB-Ivan', type: 'person', name: 'Иван Петров' },
+            { id: 'ORB-Tokyo', type: 'location', name: '東京' }
+        ]);
+        const resolved = resolveEntities({
+            entities: [
+                { id: 'ORB-Иван', type: 'person', name: 'иван петров' },
+                { id: 'ORB-東京', type: 'location', name: '東京' }
+            ],
+            relationships: []
+        }, existing);
+
+        assert.deepEqual(resolved.merged, [
+            { from: 'ORB-Иван', into: 'ORB-Ivan' },
+            { from: 'ORB-東京', into: 'ORB-Tokyo' }
+        ]);
+    });
+
+    it('keeps different non-Latin actions between the same nodes', () => {
+        const resolved = resolveEntities({
+            entities: [
+                { id: 'ORB-Ivan', type: 'person', name: 'Иван' },
+                { id: 'ORB-Maria', type: 'person', name: 'Мария' }
+            ],
+            relationships: [
+                { source: 'ORB-Ivan', target: 'ORB-Maria', action: 'любит' },
+                { source: 'ORB-Ivan', target: 'ORB-Maria', action: 'знает' },
+                { source: 'ORB-Ivan', target: 'ORB-Maria', action: 'Любит' }
+            ]
+        }, new Map());
+
+        assert.deepEqual(resolved.relationships.map(rel => rel.action), ['любит', 'знает']);
+    });
+
+    it('gives a clearly different entity with a taken id its own id', () => {
+        const existing = graphOf([{ id: 'ORB-Apple', type: 'organization', name: 'Apple' }]);
+        const resolved = resolveEntities({
+            entities: [{ id: 'ORB-Apple', type: 'food', name: 'Apple' }],
+            relationships: []
+        }, existing);
+
+        assert.deepEqual(resolved.entities.map(entity => entity.id), ['ORB-Apple-2']);
+    });
+
+    it('gives the same result when resolving in batches', async () => {
+        const existing = graphOf([
+            { id: 'ORB-MichaelJohnson', type: 'person', name: 'Michael Johnson' },
+            { id: 'ORB-Berlin', type: 'location', name: 'Berlin' }
+        ]);
+        const newData = {
+            entities: ['Mike Johnson', 'Berlin', 'Anna', 'Ana', 'Anna'].map((name, i) => ({
+                id: `ORB-E${i}`,
+                type: i === 1 ? 'location' : 'person',
+                name
+            })),
+            relationships: [
+                { source: 'ORB-E0', target: 'ORB-E1', action: 'lives in' },
+                { source: 'ORB-E2', target: 'ORB-E4', action: 'is' }
+            ]
+        };
+
+        assert.deepEqual(await resolveEntitiesInBatches(newData, existing, 2), resolveEntities(newData, existing));
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectCommunities } = require('../graph-communities');
+
+// Each ring's nodes all know each other
+function clique(prefix, size) {
+    const ids = Array.from({ length: size }, (_, i) => `${prefix}${i}`);
+    const relationships = [];
+    ids.forEach((source, i) => ids.slice(i + 1).forEach(target => relationships.push({ source, target })));
+    return { ids, relationships };
+}
+
+const sorted = communities => communities.map(community => [...community].sort()).sort((a, b) => a[0].localeCompare(b[0]));
+
+describe('detectCommunities', () => {
+    it('splits two dense groups joined by one edge', () => {
+        const a = clique('a', 5);
+        const b = clique('b', 5);
+        const communities = detectCommunities([...a.ids, ...b.ids], [
+            ...a.relationships,
+            ...b.relationships,
+            { source: 'a0', target: 'b0' }
+        ]);
+
+        assert.deepEqual(sorted(communities), [a.ids, b.ids]);
+    });
+
+    it('keeps isolated nodes as singletons and lists the largest community first', () => {
+        const a = clique('a', 4);
+        const communities = detectCommunities([...a.ids, 'lonely'], a.relationships);
+
+        assert.deepEqual(communities, [a.ids, ['lonely']]);
+    });
+
+    it('follows edge weights', () => {
+        // A square whose heavy sides decide the split
+        const communities = detectCommunities(['n1', 'n2', 'n3', 'n4'], [
+            { source: 'n1', target: 'n2', weight: 10 },
+            { source: 'n3', target: 'n4', weight: 10 },
+            { source: 'n2', target: 'n3', weight: 1 },
+            { source: 'n4', target: 'n1', weight: 1 }
+        ]);
+
+        assert.deepEqual(sorted(communities), [['n1', 'n2'], ['n3', 'n4']]);
+    });
+
+    it('merges small groups into larger ones across levels', () => {
+        // Four triangles in two tightly linked pairs
+        const groups = ['p', 'q', 'r', 's'].map(prefix => clique(prefix, 3));
+        const communities = detectCommunities(groups.flatMap(group => group.ids), [
+            ...groups.flatMap(group => group.relationships),
+            ...['p0', 'p1', 'p2'].map(source => ({ source, target: 'q0' })),
+            ...['r0', 'r1', 'r2'].map(source => ({ source, target: 's0' })),
+            { source: 'q1', target: 'r1' }
+        ]);
+
+        assert.deepEqual(sorted(communities), [
+            [...groups[0].ids, ...groups[1].ids],
+            [...groups[2].ids, ...groups[3].ids]
+        ]);
+    });
+
+    it('ignores edges to unknown nodes and handles an empty graph', () => {
+        assert.deepEqual(detectCommunities([], []), []);
+        assert.deepEqual(detectCommunities(['x'], [{ source: 'x', target: 'ghost' }]), [['x']]);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const graphEncryption = require('../graph-encryption');
+
+function encryptedValue(bytes = 32) {
+    const base64url = buffer => buffer.toString('base64url');
+    return `enc:v1:${base64url(crypto.randomBytes(12))}:${base64url(crypto.randomBytes(bytes))}`;
+}
+
+function rsaKeys(modulusLength = 2048) {
+    return crypto.generateKeyPairSync('rsa', { modulusLength });
+}
+
+describe('isEncryptedValue', () => {
+    it('accepts ciphertext strings within the length limit', () => {
+        assert.equal(graphEncryption.isEncryptedValue(encryptedValue()), true);
+        assert.equal(graphEncryption.isEncryptedValue(encryptedValue(4000)), false);
+        assert.equal(graphEncryption.isEncryptedValue(encryptedValue(4000), graphEncryption.MAX_ENCRYPTED_SOURCE_LENGTH), true);
+    });
+
+    it('rejects plaintext and malformed values', () => {
+        assert.equal(graphEncryption.isEncryptedValue('Ada Lovelace'), false);
+        assert.equal(graphEncryption.isEncryptedValue('enc:v1:short:AAAAAAAAAAAAAAAAAAAAAAAA'), false);
+        assert.equal(graphEncryption.isEncryptedValue('enc:v2:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAAAA'), false);
+        assert.equal(graphEncryption.isEncryptedValue(null), false);
+        assert.equal(graphEncryption.isEncryptedValue(42), false);
+    });
+});
+
+describe('validateKeySetup', () => {
+    let setup;
+
+    before(() => {
+        setup = {
+            salt: crypto.randomBytes(16).toString('base64url'),
+            keyCheck: encryptedValue(),
+            publicKey: rsaKeys().publicKey.export({ format: 'jwk' }),
+            privateKey: encryptedValue(1200)
+        };
+    });
+
+    it('accepts a complete setup', () => {
+        assert.equal(graphEncryption.validateKeySetup(setup), null);
+    });
+
+    it('names the part that is wrong', () => {
+        assert.equal(graphEncryption.validateKeySetup({ ...setup, salt: 'salt' }), 'Invalid key salt');
+        assert.equal(graphEncryption.validateKeySetup({ ...setup, keyCheck: 'plaintext' }), 'Invalid key check');
+        assert.equal(graphEncryption.validateKeySetup({ ...setup, privateKey: 'plaintext' }), 'Invalid private key');
+        assert.equal(graphEncryption.validateKeySetup({}), 'Invalid key salt');
+    });
+
+    it('only takes RSA public keys that are large enough', () => {
+        const { privateKey } = rsaKeys();
+        assert.match(graphEncryption.validateKeySetup({ ...setup, publicKey: privateKey.export({ format: 'jwk' }) }), /public key/);
+        assert.match(graphEncryption.validateKeySetup({ ...setup, publicKey: { kty: 'EC', crv: 'P-256' } }), /RSA/);
+        assert.equal(graphEncryption.validateKeySetup({ ...setup, publicKey: { kty: 'RSA', n: 'AQAB', e: 'AQAB' } }), 'Public key must have at least 2048 bits');
+        assert.match(graphEncryption.validateKeySetup({ ...setup, publicKey: rsaKeys(1024).publicKey.export({ format: 'jwk' }) }), /2048 bits/);
+    });
+});
+
+describe('sealText', () => {
+    it('can only be opened with the private key, the way the browser does', () => {
+        const { publicKey, privateKey } = rsaKeys();
+        const sealed = graphEncryption.sealText(publicKey.export({ format: 'jwk' }), 'Met Ada in Zürich 🚆');
+
+        const aesKey = crypto.privateDecrypt({
+            key: privateKey,
+            padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+            oaepHash: 'sha256'
+        }, Buffer.from(sealed.key, 'base64url'));
+        const data = Buffer.from(sealed.data, 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', aesKey, Buffer.from(sealed.iv, 'base64url'));
+        decipher.setAuthTag(data.subarray(-16));
+        const text = Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]).toString('utf8');
+
+        assert.equal(text, 'Met Ada in Zürich 🚆');
+        assert.notDeepEqual(graphEncryption.sealText(publicKey.export({ format: 'jwk' }), 'Met Ada in Zürich 🚆'), sealed);
+    });
+});
+
+describe('readPlaintext', () => {
+    it('keeps names, simple property values and actions, trimmed to size', () => {
+        const plaintext = graphEncryption.readPlaintext({
+            nodes: {
+                'ORB-1': { name: 'Ada', properties: { born: 1815, alive: false, note: 'x'.repeat(600), nested: { a: 1 } } },
+                'ORB-2': { name: 'y'.repeat(300), properties: ['not', 'an', 'object'] },
+                'ORB-3': { properties: {} }
+            },
+            relationships: { r1: 'knows', r2: 7 }
+        });
+
+        assert.deepEqual([...plaintext.nodes.keys()], ['ORB-1', 'ORB-2']);
+        const ada = plaintext.nodes.get('ORB-1');
+        assert.deepEqual(Object.keys(ada.properties), ['born', 'alive', 'note']);
+        assert.equal(ada.properties.note.length, 500);
+        assert.equal(plaintext.nodes.get('ORB-2').name.length, 200);
+        assert.deepEqual(plaintext.nodes.get('ORB-2').properties, {});
+        assert.deepEqual([...plaintext.relationships], [['r1', 'knows']]);
+    });
+
+    it('reads nothing from missing or malformed input', () => {
+        for (const value of [undefined, null, 'text', { nodes: 'x', relationships: null }]) {
+            const plaintext = graphEncryption.readPlaintext(value);
+            assert.equal(plaintext.nodes.size, 0);
+            assert.equal(plaintext.relationships.size, 0);
+        }
+    });
+});
+
+describe('revealNode and revealRelationship', () => {
+    const plaintext = graphEncryption.readPlaintext({
+        nodes: { 'ORB-1': { name: 'Ada', properties: { born: 1815 } } },
+        relationships: { r1: 'knows' }
+    });
+
+    it('put the plaintext in place of the ciphertext', () => {
+        const node = graphEncryption.revealNode({ node_id: 'ORB-1', type: 'person', name: encryptedValue(), aliases: [encryptedValue()] }, plaintext);
+        assert.deepEqual(node, { node_id: 'ORB-1', type: 'person', name: 'Ada', aliases: [], properties: { born: 1815 } });
+
+        const rel = graphEncryption.revealRelationship({ id: 'r1', source: 'ORB-1', target: 'ORB-2', action: encryptedValue() }, plaintext);
+        assert.equal(rel.action, 'knows');
+        assert.equal(rel.source, 'ORB-1');
+    });
+
+    it('return null for rows the browser sent nothing for', () => {
+        assert.equal(graphEncryption.revealNode({ node_id: 'ORB-2', name: encryptedValue() }, plaintext), null);
+        assert.equal(graphEncryption.revealRelationship({ id: 'r2', action: encryptedValue() }, plaintext), null);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const graphFormats = require('../graph-formats');
+
+const graph = {
+    nodes: [
+        {
+            id: 'ORB-Ada', type: 'person', name: 'Ada "Countess" <Lovelace> & co', aliases: ['Ada', 'A. King'],
+            properties: { birthday: '1815-12-10', note: 'likes, commas' },
+            first_seen_at: '2024-01-02T03:04:05.000Z', last_seen_at: '2024-02-01T00:00:00.000Z', mention_count: 3
+        },
+        { id: 'ORB-Лондон', type: 'location', name: 'Лондон', aliases: [], properties: {} }
+    ],
+    relationships: [
+        { source: 'ORB-Ada', target: 'ORB-Лондон', action: 'lived in', first_seen_at: '2024-01-02T03:04:05.000Z', mention_count: 2 }
+    ]
+};
+
+const expectedEntities = [
+    { id: 'ORB-Ada', type: 'person', name: 'Ada "Countess" <Lovelace> & co', aliases: ['Ada', 'A. King'], properties: { birthday: '1815-12-10', note: 'likes, commas' } },
+    { id: 'ORB-Лондон', type: 'location', name: 'Лондон', aliases: [], properties: {} }
+];
+const expectedRelationships = [{ source: 'ORB-Ada', target: 'ORB-Лондон', action: 'lived in' }];
+
+describe('JSON-LD', () => {
+    it('round-trips nodes and relationships', () => {
+        const parsed = graphFormats.fromJsonLd(JSON.stringify(graphFormats.toJsonLd(graph)));
+        assert.deepEqual(parsed, { entities: expectedEntities, relationships: expectedRelationships });
+    });
+
+    it('writes when facts were seen', () => {
+        const [ada, london, rel] = graphFormats.toJsonLd(graph)['@graph'];
+        assert.equal(ada.firstSeen, '2024-01-02T03:04:05.000Z');
+        assert.equal(ada.mentionCount, 3);
+        assert.equal('firstSeen' in london, false);
+        assert.equal(rel.mentionCount, 2);
+    });
+
+    it('reads a bare array, single aliases and skips unknown items', () => {
+        const parsed = graphFormats.fromJsonLd([
+            { '@id': 'node:ORB-X', '@type': ['Node'], name: 'X', alternateName: 'Ex' },
+            { '@type': 'Thing', name: 'ignored' },
+            null
+        ]);
+        assert.deepEqual(parsed.entities, [{ id: 'ORB-X', type: undefined, name: 'X', aliases: ['Ex'], properties: {} }]);
+    });
+});
+
+describe('GraphML', () => {
+    it('round-trips nodes, properties and relationships', () => {
+        const parsed = graphFormats.fromGraphML(graphFormats.toGraphML(graph));
+        assert.deepEqual(parsed, { entities: expectedEntities, relationships: expectedRelationships });
+    });
+
+    it('writes when facts were seen', () => {
+        const xml = graphFormats.toGraphML(graph);
+        assert.match(xml, /<data key="first_seen">2024-01-02T03:04:05.000Z<\/data>/);
+        assert.match(xml, /<data key="mentions">3<\/data>/);
+        assert.match(xml, /<data key="mentions">2<\/data>\n    <\/edge>/);
+    });
+
+    it('reads files from other tools', () => {
+        const parsed = graphFormats.fromGraphML(`<?xml version="1.0"?>
+            <graphml>
+              <key id="d0" for="node" attr.name="Name"/>
+              <key id="d1" for="edge" attr.name="relationship"/>
+              <graph>
+                <node id="n0"><data key="d0"><![CDATA[Zoë & friends]]></data></node>
+                <node id='n1'><data key="d0">&#x6771;&#20140; &#x1F5FC; &amp;lt;</data></node>
+                <node id="n2"/>
+                <edge source="n0" target="n1"><data key="d1">visited</data></edge>
+              </graph>
+            </graphml>`);
+
+        assert.deepEqual(parsed.entities.map(entity => entity.name), ['Zoë & friends', '東京 🗼 &lt;', 'n2']);
+        assert.deepEqual(parsed.relationships, [{ source: 'n0', target: 'n1', action: 'visited' }]);
+    });
+
+    it('leaves character references outside Unicode and unreadable properties alone', () => {
+        const parsed = graphFormats.fromGraphML(`<graphml>
+            <key id="properties" for="node" attr.name="properties"/>
+            <node id="n0"><data key="label">&#x110000;</data><data key="properties">[1, 2]</data></node>
+            <node id="n1"><data key="label">x</data><data key="properties">{not json</data></node>
+        </graphml>`);
+
+        assert.equal(parsed.entities[0].name, '&#x110000;');
+        assert.deepEqual(parsed.entities.map(entity => entity.properties), [{}, {}]);
+    });
+});
+
+describe('CSV', () => {
+    it('round-trips the nodes and edges tables', () => {
+        const parsed = graphFormats.fromCsv(graphFormats.toNodesCsv(graph), graphFormats.toEdgesCsv(graph));
+        assert.deepEqual(parsed, { entities: expectedEntities, relationships: expectedRelationships });
+    });
+
+    it('writes when facts were seen', () => {
+        const [header, ada, london] = graphFormats.toNodesCsv(graph).split('\r\n');
+        assert.equal(header, 'Id,Label,Type,Aliases,Properties,First Seen,Last Seen,Mentions');
+        assert.match(ada, /,2024-01-02T03:04:05.000Z,2024-02-01T00:00:00.000Z,3$/);
+        assert.equal(london, 'ORB-Лондон,Лондон,location,,,,,');
+        assert.equal(graphFormats.toEdgesCsv(graph).split('\r\n')[1], 'ORB-Ada,ORB-Лондон,lived in,2024-01-02T03:04:05.000Z,,2');
+    });
+
+    it('parses quoting, line breaks, a byte order mark and blank lines', () => {
+        const parsed = graphFormats.fromCsv('\uFEFFid,NAME,type\n"n1","Multi\nline ""quoted""",person\r\n\r\nn2,Plain,\n', 'Source,Target,Action\nn1,n2,met');
+        assert.deepEqual(parsed.entities.map(entity => [entity.id, entity.name, entity.type]), [
+            ['n1', 'Multi\nline "quoted"', 'person'],
+            ['n2', 'Plain', '']
+        ]);
+        assert.deepEqual(parsed.relationships, [{ source: 'n1', target: 'n2', action: 'met' }]);
+    });
+
+    it('takes an edges table on its own', () => {
+        assert.deepEqual(graphFormats.fromCsv('', 'Source,Target\na,b'), { entities: [], relationships: [{ source: 'a', target: 'b', action: '' }] });
+    });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { searchScore, similarity, wordSimilarity } = require('../graph-search');
+
+describe('graph search scoring', () => {
+    it('scores a full-text match as 1', () => {
+        assert.equal(searchScore('anna', 'Anna Schmidt'), 1);
+        assert.equal(searchScore('lives in', 'Lives in Berlin'), 1);
+    });
+
+    it('scores typos by trigram similarity', () => {
+        const score = searchScore('Kyotto', 'Kyoto');
+        assert.ok(score >= 0.4 && score < 1, `score ${score}`);
+        assert.ok(searchScore('Berlin', 'Kyoto') < 0.4);
+    });
+
+    it('finds a query inside a longer text', () => {
+        assert.ok(wordSimilarity('pottery', 'studied potery in Kyoto') > similarity('pottery', 'studied potery in Kyoto'));
+    });
+
+    it('scores text in other scripts', () => {
+        assert.equal(searchScore('Иван', 'Иван'), 1);
+        assert.equal(searchScore('иван', 'Иван Петров'), 1);
+        assert.ok(searchScore('Москваа', 'Москва') >= 0.4);
+        assert.ok(searchScore('東京', '東京タワー') >= 0.4);
+        assert.equal(searchScore('Париж', 'Москва'), 0);
+    });
+
+    it('treats a character outside the Basic Multilingual Plane as one letter', () => {
+        assert.equal(similarity('𠮷野', '𠮷野'), 1);
+        assert.ok(similarity('𠮷野家', '𠮷野') > 0);
+    });
+
+    it('scores empty input as 0', () => {
+        assert.equal(searchScore('', 'Anna'), 0);
+        assert.equal(searchScore('Anna', null), 0);
+        assert.equal(searchScore('!!', 'Anna'), 0);
+    });
+});
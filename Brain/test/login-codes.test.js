@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const loginCodes = require('../login-codes');
+
+describe('login codes', () => {
+    it('generates six-digit codes', () => {
+        for (let i = 0; i < 50; i++) {
+            assert.match(loginCodes.generateLoginCode(), loginCodes.LOGIN_CODE_PATTERN);
+        }
+    });
+
+    it('binds the stored check to the secret, the uid and the code', () => {
+        const check = loginCodes.loginCodeCheck('secret', 'user-1', '123456');
+        assert.match(check, /^[0-9a-f]{64}$/);
+        assert.equal(loginCodes.loginCodeCheck('secret', 'user-1', '123456'), check);
+        assert.notEqual(loginCodes.loginCodeCheck('other secret', 'user-1', '123456'), check);
+        assert.notEqual(loginCodes.loginCodeCheck('secret', 'user-2', '123456'), check);
+        assert.notEqual(loginCodes.loginCodeCheck('secret', 'user-1', '123457'), check);
+    });
+});
+
+describe('createLoginDelivery', () => {
+    it('sends through OMI when the app credentials are set', () => {
+        assert.equal(loginCodes.createLoginDelivery({ OMI_APP_ID: 'app', OMI_APP_SECRET: 'key' }).name, 'omi');
+    });
+
+    it('writes codes to the log in development', () => {
+        assert.equal(loginCodes.createLoginDelivery({}).name, 'console');
+        assert.equal(loginCodes.createLoginDelivery({ OMI_APP_ID: '', OMI_APP_SECRET: '' }).name, 'console');
+    });
+
+    it('refuses the log in production unless asked for by name', () => {
+        assert.throws(() => loginCodes.createLoginDelivery({ NODE_ENV: 'production', OMI_APP_ID: '', OMI_APP_SECRET: '' }),
+            /OMI_APP_ID/);
+        assert.equal(loginCodes.createLoginDelivery({ NODE_ENV: 'production', BRAIN_LOGIN_DELIVERY: 'console' }).name, 'console');
+    });
+
+    it('rejects OMI delivery without credentials and unknown deliveries', () => {
+        assert.throws(() => loginCodes.createLoginDelivery({ BRAIN_LOGIN_DELIVERY: 'omi' }), /OMI_APP_ID/);
+        assert.throws(() => loginCodes.createLoginDelivery({ BRAIN_LOGIN_DELIVERY: 'sms' }), /Unknown/);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const nodeTypes = require('../node-types');
+
+const ENCRYPTED = 'enc:v1:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAAAA';
+
+describe('validateNodeTypeDefinition', () => {
+    it('accepts a complete definition and a bare name', () => {
+        assert.equal(nodeTypes.validateNodeTypeDefinition({
+            name: 'project',
+            description: 'Things being worked on',
+            color: '#12abEF',
+            icon: '🚀',
+            properties: { deadline: 'date', budget: 'number', repo: 'url' }
+        }), null);
+        assert.equal(nodeTypes.validateNodeTypeDefinition({ name: 'org_unit-2' }), null);
+    });
+
+    it('rejects bad names, colours, icons and descriptions', () => {
+        for (const name of ['', 'Project', '2fa', 'a'.repeat(31), 'my type', null]) {
+            assert.match(nodeTypes.validateNodeTypeDefinition({ name }), /Type names/);
+        }
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'cluster' }), /reserved/);
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'project', color: 'red' }), /Color/);
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'project', icon: 'rocket' }), /Icon/);
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'project', description: 'x'.repeat(301) }), /description/);
+    });
+
+    it('checks property names and kinds', () => {
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'project', properties: ['deadline'] }), /map names to kinds/);
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'project', properties: { Deadline: 'date' } }), /Invalid property name "Deadline"/);
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'project', properties: { deadline: 'time' } }), /Property kinds/);
+
+        const many = Object.fromEntries(Array.from({ length: 31 }, (_, i) => [`p${i}`, 'text']));
+        assert.match(nodeTypes.validateNodeTypeDefinition({ name: 'project', properties: many }), /At most 30/);
+    });
+});
+
+describe('cleanNodeProperties', () => {
+    const person = nodeTypes.mergeNodeTypes([]).find(type => type.name === 'person');
+
+    it('normalises values by the kind the type declares', () => {
+        const { properties, errors } = nodeTypes.cleanNodeProperties({
+            Birthday: '--04-12',
+            email: ' ada@example.com ',
+            'Shoe Size': 38,
+            empty: '',
+            missing: null
+        }, person);
+
+        assert.deepEqual(properties, { birthday: '--04-12', email: 'ada@example.com', shoe_size: '38' });
+        assert.deepEqual(errors, {});
+    });
+
+    it('leaves out values that do not fit, with a reason', () => {
+        const type = { properties: { size: 'number', active: 'boolean', born: 'date', home: 'url', site: 'url', mail: 'email' } };
+        const { properties, errors } = nodeTypes.cleanNodeProperties({
+            size: '12.5', active: 'false', born: '1815-13-10', home: 'https://example.com', site: 'javascript:alert(1)', mail: 'nobody', notes: { a: 1 }, long: 'x'.repeat(501)
+        }, type);
+
+        assert.deepEqual(properties, { size: 12.5, active: false, home: 'https://example.com/' });
+        assert.deepEqual(errors, {
+            born: 'Expected a date (YYYY-MM-DD)',
+            site: 'Expected an http(s) URL',
+            mail: 'Expected an email address',
+            notes: 'Expected text',
+            long: 'At most 500 characters'
+        });
+    });
+
+    it('rejects property sets that are not objects and keys that are not names', () => {
+        assert.deepEqual(nodeTypes.cleanNodeProperties(['a'], person).errors, { '': 'Properties must be an object' });
+        assert.deepEqual(nodeTypes.cleanNodeProperties(undefined, person), { properties: {}, errors: {} });
+        assert.deepEqual(Object.keys(nodeTypes.cleanNodeProperties({ '42': 'x', '!!': 'y' }, person).errors), ['42', '!!']);
+    });
+
+    it('caps the number of properties', () => {
+        const many = Object.fromEntries(Array.from({ length: 32 }, (_, i) => [`p${i}`, 'x']));
+        const { properties, errors } = nodeTypes.cleanNodeProperties(many, person);
+        assert.equal(Object.keys(properties).length, 30);
+        assert.deepEqual(Object.keys(errors), ['p30', 'p31']);
+    });
+
+    it('only checks that values are ciphertext for an encrypted graph', () => {
+        const { properties, errors } = nodeTypes.cleanNodeProperties({ birthday: ENCRYPTED, email: 'ada@example.com' }, person, { encrypted: true });
+        assert.deepEqual(properties, { birthday: ENCRYPTED });
+        assert.deepEqual(errors, { email: 'Expected an encrypted value' });
+    });
+});
+
+describe('mergeNodeTypes', () => {
+    it('lists the built-ins with stored overrides, then the user types by name', () => {
+        const types = nodeTypes.mergeNodeTypes([
+            { name: 'project', color: '#000000', properties: { deadline: 'date' } },
+            { name: 'person', color: '#123456', properties: { nickname: 'text' } },
+            { name: 'book' }
+        ]);
+
+        assert.deepEqual(types.map(type => type.name), ['person', 'location', 'event', 'concept', 'book', 'project']);
+        const person = types[0];
+        assert.equal(person.color, '#123456');
+        assert.equal(person.icon, '👤');
+        assert.equal(person.builtin, true);
+        assert.equal(person.properties.birthday, 'date');
+        assert.equal(person.properties.nickname, 'text');
+        assert.deepEqual(types[4], { name: 'book', description: '', color: null, icon: null, properties: {}, builtin: false });
+    });
+
+    it('knows which types are built in', () => {
+        assert.equal(nodeTypes.isBuiltinNodeType('location'), true);
+        assert.equal(nodeTypes.isBuiltinNodeType('project'), false);
+        assert.ok(nodeTypes.BUILTIN_NODE_TYPES.some(type => type.name === nodeTypes.DEFAULT_NODE_TYPE));
+    });
+});
@@ -0,0 +1,680 @@
+// Contract every storage adapter must satisfy. Each adapter's test file calls storageContract()
+// with a factory returning a fresh, uninitialized adapter.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { relationshipKey } = require('../entity-resolution');
+
+function storageContract(name, createAdapter) {
+    describe(`${name} storage`, () => {
+        // Unique per run so shared databases (Supabase) don't collide between runs
+        const uid = `test-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        const otherUid = `${uid}-other`;
+        const encryptedUid = `${uid}-e2e`;
+        const largeUid = `${uid}-large`;
+        let storage;
+
+        before(async () => {
+            storage = createAdapter();
+            await storage.init();
+        });
+
+        after(async () => {
+            await storage.deleteUserData(uid);
+            await storage.deleteUserData(otherUid);
+            await storage.deleteUserData(encryptedUid);
+            await storage.deleteUserData(largeUid);
+            await storage.close();
+        });
+
+        it('creates users idempotently', async () => {
+            assert.equal(await storage.getUser(uid), null);
+            await storage.upsertUser(uid);
+            await storage.upsertUser(uid);
+            const user = await storage.getUser(uid);
+            assert.equal(user.uid, uid);
+        });
+
+        it('accepts a sign-in code once and drops it after too many wrong tries', async () => {
+            const expiresAt = new Date(Date.now() + 60000).toISOString();
+            await storage.setLoginCode(uid, { codeCheck: 'right', expiresAt });
+            assert.ok((await storage.getUser(uid)).code_sent_at);
+
+            assert.equal(await storage.consumeLoginCode(uid, 'wrong', 3), false);
+            assert.equal(await storage.consumeLoginCode(otherUid, 'right', 3), false);
+            assert.equal(await storage.consumeLoginCode(uid, 'right', 3), true);
+            assert.equal(await storage.consumeLoginCode(uid, 'right', 3), false);
+
+            await storage.setLoginCode(uid, { codeCheck: 'right', expiresAt });
+            for (let i = 0; i < 3; i++) {
+                assert.equal(await storage.consumeLoginCode(uid, 'wrong', 3), false);
+            }
+            assert.equal(await storage.consumeLoginCode(uid, 'right', 3), false);
+
+            await storage.setLoginCode(uid, { codeCheck: 'right', expiresAt: new Date(Date.now() - 1000).toISOString() });
+            assert.equal(await storage.consumeLoginCode(uid, 'right', 3), false);
+        });
+
+        it('stores sign-in sessions until they expire or the user signs out everywhere', async () => {
+            const later = new Date(Date.now() + 60000).toISOString();
+            const sid = `${uid}-a`;
+            await storage.saveLoginSession(sid, { uid: null, data: { cookie: {} }, expiresAt: later });
+            await storage.saveLoginSession(sid, { uid, data: { userId: uid, cookie: {} }, expiresAt: later });
+            await storage.saveLoginSession(`${uid}-b`, { uid, data: { userId: uid }, expiresAt: later });
+            await storage.saveLoginSession(`${otherUid}-a`, { uid: otherUid, data: { userId: otherUid }, expiresAt: later });
+
+            const session = await storage.getLoginSession(sid);
+            assert.equal(session.uid, uid);
+            assert.deepEqual(session.data, { userId: uid, cookie: {} });
+
+            await storage.touchLoginSession(sid, new Date(Date.now() - 1000).toISOString());
+            assert.equal(await storage.getLoginSession(sid), null);
+            await storage.pruneLoginSessions();
+            await storage.touchLoginSession(sid, later);
+            assert.equal(await storage.getLoginSession(sid), null);
+
+            assert.equal(await storage.deleteLoginSessions(uid), 1);
+            assert.equal(await storage.getLoginSession(`${uid}-b`), null);
+            assert.ok(await storage.getLoginSession(`${otherUid}-a`));
+
+            await storage.deleteLoginSession(`${otherUid}-a`);
+            assert.equal(await storage.getLoginSession(`${otherUid}-a`), null);
+        });
+
+        it('upserts nodes by node id and parses aliases', async () => {
+            await storage.upsertNode(uid, { node_id: 'ORB-Anna', type: 'person', name: 'Anna', aliases: [], mention_count: 1 });
+            await storage.upsertNode(uid, { node_id: 'ORB-Anna', type: 'person', name: 'Anna', aliases: ['Annie'], mention_count: 2 });
+            await storage.upsertNode(uid, { node_id: 'ORB-Berlin', type: 'location', name: 'Berlin', aliases: [] });
+            await storage.upsertNode(otherUid, { node_id: 'ORB-Anna', type: 'person', name: 'Other Anna', aliases: [] });
+
+            const nodes = await storage.listNodes(uid);
+            assert.equal(nodes.length, 2);
+
+            const anna = await storage.getNode(uid, 'ORB-Anna');
+            assert.equal(anna.name, 'Anna');
+            assert.deepEqual(anna.aliases, ['Annie']);
+            assert.equal(anna.mention_count, 2);
+            assert.ok(anna.first_seen_at);
+            assert.ok(anna.created_at);
+
+            const some = await storage.getNodes(uid, ['ORB-Anna', 'ORB-Missing']);
+            assert.deepEqual(some.map(node => node.node_id), ['ORB-Anna']);
+            assert.equal(await storage.getNode(uid, 'ORB-Missing'), null);
+        });
+
+        it('updates node fields', async () => {
+            await storage.updateNode(uid, 'ORB-Berlin', { name: 'Berlin, Germany', aliases: ['Berlin'] });
+            const berlin = await storage.getNode(uid, 'ORB-Berlin');
+            assert.equal(berlin.name, 'Berlin, Germany');
+            assert.equal(berlin.type, 'location');
+            assert.deepEqual(berlin.aliases, ['Berlin']);
+        });
+
+        it('inserts, finds and updates relationships', async () => {
+            const id = await storage.insertRelationship(uid, {
+                source: 'ORB-Anna', target: 'ORB-Berlin', action: 'lives in', mention_count: 1
+            });
+            assert.equal(typeof id, 'string');
+
+            const rel = await storage.getRelationship(uid, id);
+            assert.equal(rel.source, 'ORB-Anna');
+            assert.equal(rel.action, 'lives in');
+
+            await storage.updateRelationship(uid, id, { mention_count: 3 });
+            assert.equal((await storage.getRelationship(uid, id)).mention_count, 3);
+
+            assert.equal((await storage.relationshipsFrom(uid, ['ORB-Anna'])).length, 1);
+            assert.equal((await storage.relationshipsFrom(uid, ['ORB-Berlin'])).length, 0);
+            assert.equal((await storage.relationshipsTouching(uid, ['ORB-Berlin'], 10)).length, 1);
+            assert.equal((await storage.listRelationships(uid)).length, 1);
+            assert.equal((await storage.listRelationships(otherUid)).length, 0);
+        });
+
+        it('records sources and provenance links', async () => {
+            const sourceId = await storage.insertSource(uid, { source_type: 'upload', external_id: null, content: 'Anna lives in Berlin.' });
+            const [rel] = await storage.listRelationships(uid);
+
+            await storage.linkNodeSources(uid, 'ORB-Anna', [sourceId]);
+            await storage.linkNodeSources(uid, 'ORB-Anna', [sourceId]);
+            await storage.linkRelationshipSource(uid, rel.id, sourceId);
+            await storage.linkRelationshipSource(uid, rel.id, sourceId);
+
+            assert.deepEqual(await storage.nodeSourceIds(uid, 'ORB-Anna'), [sourceId]);
+
+            const nodeSources = await storage.nodeSources(uid, 'ORB-Anna');
+            assert.equal(nodeSources.length, 1);
+            assert.equal(nodeSources[0].content, 'Anna lives in Berlin.');
+
+            const relSources = await storage.relationshipSources(uid, rel.id);
+            assert.equal(relSources.length, 1);
+            assert.equal(relSources[0].id, sourceId);
+
+            const sources = await storage.listSources(uid, 10);
+            assert.equal(sources.length, 1);
+            assert.equal((await storage.getSource(uid, sourceId)).source_type, 'upload');
+            assert.equal(await storage.getSource(otherUid, sourceId), null);
+        });
+
+        it('finds facts backed only by one source', async () => {
+            const [first] = await storage.listSources(uid, 10);
+            const second = await storage.insertSource(uid, { source_type: 'omi', external_id: 'mem-1', content: 'Anna again.' });
+            await storage.linkNodeSources(uid, 'ORB-Anna', [second]);
+
+            const orphaned = await storage.orphanedBySource(uid, first.id);
+            assert.deepEqual(orphaned.nodes, []);
+            assert.equal(orphaned.relationships.length, 1);
+
+            await storage.deleteSource(uid, second);
+            assert.deepEqual((await storage.orphanedBySource(uid, first.id)).nodes, ['ORB-Anna']);
+            assert.deepEqual(await storage.nodeSourceIds(uid, 'ORB-Anna'), [first.id]);
+        });
+
+        it('rewires relationships and drops self-loops', async () => {
+            await storage.upsertNode(uid, { node_id: 'ORB-Annie', type: 'person', name: 'Annie', aliases: [] });
+            await storage.insertRelationship(uid, { source: 'ORB-Annie', target: 'ORB-Berlin', action: 'visited' });
+            await storage.insertRelationship(uid, { source: 'ORB-Annie', target: 'ORB-Anna', action: 'is' });
+
+            await storage.rewireNode(uid, 'ORB-Annie', 'ORB-Anna');
+
+            const relationships = await storage.listRelationships(uid);
+            assert.equal(relationships.length, 2);
+            assert.ok(relationships.every(rel => rel.source === 'ORB-Anna' && rel.target === 'ORB-Berlin'));
+        });
+
+        it('folds duplicate edges when rewiring', async () => {
+            await storage.upsertNode(uid, { node_id: 'ORB-Anne', type: 'person', name: 'Anne', aliases: [] });
+            await storage.insertRelationship(uid, { source: 'ORB-Anne', target: 'ORB-Berlin', action: 'visited', mention_count: 2 });
+
+            await storage.rewireNode(uid, 'ORB-Anne', 'ORB-Anna');
+
+            const visited = (await storage.listRelationships(uid)).filter(rel => rel.action === 'visited');
+            assert.equal(visited.length, 1);
+            assert.equal(visited[0].source, 'ORB-Anna');
+            assert.equal(visited[0].mention_count, 3);
+            await storage.deleteNode(uid, 'ORB-Anne');
+        });
+
+        it('rejects a second row for the same fact', async () => {
+            await assert.rejects(storage.insertRelationship(uid, { source: 'ORB-Anna', target: 'ORB-Berlin', action: 'visited' }));
+        });
+
+        it('deletes nodes with their relationships and provenance', async () => {
+            await storage.deleteNode(uid, 'ORB-Annie');
+            await storage.deleteNode(uid, 'ORB-Berlin');
+
+            assert.equal(await storage.getNode(uid, 'ORB-Berlin'), null);
+            assert.equal((await storage.listRelationships(uid)).length, 0);
+            assert.equal((await storage.listNodes(uid)).length, 1);
+
+            const relId = await storage.insertRelationship(uid, { source: 'ORB-Anna', target: 'ORB-Anna2', action: 'knows' });
+            await storage.deleteRelationships(uid, [relId]);
+            assert.equal(await storage.getRelationship(uid, relId), null);
+
+            await storage.deleteNode(uid, 'ORB-Anna');
+            assert.deepEqual(await storage.nodeSourceIds(uid, 'ORB-Anna'), []);
+        });
+
+        it('saves a graph batch with its source in one call', async () => {
+            const batch = {
+                nodes: [
+                    { node_id: 'ORB-Dora', type: 'person', name: 'Dora', aliases: [] },
+                    { node_id: 'ORB-Lisbon', type: 'location', name: 'Lisbon', aliases: [] }
+                ],
+                relationships: [{ source: 'ORB-Dora', target: 'ORB-Lisbon', action: 'moved to' }]
+            };
+
+            const first = await storage.saveGraph(uid, { ...batch, source: { source_type: 'upload', content: 'Dora moved to Lisbon.' } });
+            assert.equal(first.nodes, 2);
+            assert.equal(first.relationships, 1);
+            assert.equal(typeof first.sourceId, 'string');
+
+            const second = await storage.saveGraph(uid, { ...batch, source: { source_type: 'omi', external_id: 'mem-9', content: 'Dora lives in Lisbon now.' } });
+
+            const dora = await storage.getNode(uid, 'ORB-Dora');
+            assert.equal(dora.mention_count, 2);
+
+            const rels = (await storage.listRelationships(uid)).filter(rel => rel.source === 'ORB-Dora');
+            assert.equal(rels.length, 1);
+            assert.equal(rels[0].mention_count, 2);
+            assert.ok(rels[0].first_seen_at <= rels[0].last_seen_at);
+
+            assert.deepEqual((await storage.nodeSourceIds(uid, 'ORB-Dora')).sort(), [first.sourceId, second.sourceId].sort());
+            assert.equal((await storage.relationshipSources(uid, rels[0].id)).length, 2);
+
+            const withoutSource = await storage.saveGraph(uid, { nodes: [], relationships: [] });
+            assert.equal(withoutSource.sourceId, null);
+            assert.equal(withoutSource.nodes, 0);
+        });
+
+        it('keeps non-Latin facts between the same nodes apart and reinforces repeats', async () => {
+            const nodes = [
+                { node_id: 'ORB-Иван', type: 'person', name: 'Иван', aliases: [] },
+                { node_id: 'ORB-Мария', type: 'person', name: 'Мария', aliases: [] }
+            ];
+            const fact = action => ({ source: 'ORB-Иван', target: 'ORB-Мария', action });
+
+            await storage.saveGraph(uid, { nodes, relationships: [fact('любит'), fact('знает')] });
+            await storage.saveGraph(uid, { nodes, relationships: [fact('любит')] });
+
+            const rels = await storage.relationshipsFrom(uid, ['ORB-Иван']);
+            assert.deepEqual(rels.map(rel => [rel.action, rel.mention_count]).sort(), [['знает', 1], ['любит', 2]]);
+            // The key saveMemoryGraph and the duplicate check compare facts by
+            assert.equal(new Set(rels.map(relationshipKey)).size, 2);
+            assert.equal(relationshipKey(fact('Любит')), relationshipKey(rels.find(rel => rel.action === 'любит')));
+
+            await storage.deleteNode(uid, 'ORB-Иван');
+            await storage.deleteNode(uid, 'ORB-Мария');
+        });
+
+        it('keeps connection counts equal to node degree', async () => {
+            const degree = async nodeId => (await storage.getNode(uid, nodeId)).connections;
+
+            await storage.saveGraph(uid, {
+                nodes: [
+                    { node_id: 'ORB-Eve', type: 'person', name: 'Eve', aliases: [] },
+                    { node_id: 'ORB-Finn', type: 'person', name: 'Finn', aliases: [] },
+                    { node_id: 'ORB-Gent', type: 'location', name: 'Gent', aliases: [] }
+                ],
+                relationships: [
+                    { source: 'ORB-Eve', target: 'ORB-Finn', action: 'knows' },
+                    { source: 'ORB-Eve', target: 'ORB-Gent', action: 'lives in' },
+                    { source: 'ORB-Finn', target: 'ORB-Gent', action: 'lives in' }
+                ]
+            });
+            assert.equal(await degree('ORB-Eve'), 2);
+
+            // Reinforcing an existing fact does not add an edge
+            await storage.saveGraph(uid, {
+                nodes: [],
+                relationships: [{ source: 'ORB-Eve', target: 'ORB-Finn', action: 'knows' }]
+            });
+            assert.equal(await degree('ORB-Finn'), 2);
+
+            await storage.deleteNode(uid, 'ORB-Gent');
+            assert.equal(await degree('ORB-Eve'), 1);
+            assert.equal(await degree('ORB-Finn'), 1);
+
+            await storage.rewireNode(uid, 'ORB-Finn', 'ORB-Eve');
+            assert.equal(await degree('ORB-Eve'), 0);
+
+            await storage.updateNode(uid, 'ORB-Eve', { connections: 42 });
+            assert.equal(await storage.recountConnections(uid), 1);
+            assert.equal(await degree('ORB-Eve'), 0);
+            assert.equal(await storage.recountConnections(uid), 0);
+
+            await storage.deleteNode(uid, 'ORB-Finn');
+            await storage.deleteNode(uid, 'ORB-Eve');
+        });
+
+        it('pages nodes by degree or recency and counts them by type', async () => {
+            await storage.saveGraph(uid, {
+                nodes: [
+                    { node_id: 'ORB-Hub', type: 'person', name: 'Hub', aliases: [] },
+                    { node_id: 'ORB-Spoke1', type: 'location', name: 'Spoke 1', aliases: [] },
+                    { node_id: 'ORB-Spoke2', type: 'location', name: 'Spoke 2', aliases: [] },
+                    { node_id: 'ORB-Loner', type: null, name: 'Loner', aliases: [] }
+                ],
+                relationships: [
+                    { source: 'ORB-Hub', target: 'ORB-Spoke1', action: 'visited' },
+                    { source: 'ORB-Hub', target: 'ORB-Spoke2', action: 'visited' }
+                ]
+            });
+            await storage.updateNode(uid, 'ORB-Loner', { last_seen_at: new Date(Date.now() + 60000).toISOString() });
+
+            const ids = async options => (await storage.listNodesPage(uid, options)).map(node => node.node_id);
+            const allIds = (await storage.listNodes(uid)).map(node => node.node_id);
+
+            assert.equal((await ids({ limit: 1 }))[0], 'ORB-Hub');
+            assert.deepEqual((await ids({ limit: 100 })).sort(), allIds.sort());
+            const locations = await ids({ type: 'location', limit: 100 });
+            assert.ok(locations.includes('ORB-Spoke1') && !locations.includes('ORB-Hub'));
+            assert.deepEqual(await ids({ type: 'location', limit: 1, offset: 1 }), [locations[1]]);
+            assert.deepEqual(await ids({ type: '', limit: 10 }), ['ORB-Loner']);
+            assert.equal((await ids({ orderBy: 'recent', limit: 1 }))[0], 'ORB-Loner');
+
+            const counts = Object.fromEntries((await storage.countNodesByType(uid)).map(row => [row.type, Number(row.count)]));
+            assert.equal(counts.location, locations.length);
+            assert.equal(counts[''], 1);
+
+            for (const nodeId of ['ORB-Hub', 'ORB-Spoke1', 'ORB-Spoke2', 'ORB-Loner']) {
+                await storage.deleteNode(uid, nodeId);
+            }
+        });
+
+        it('searches node names and relationship actions with typos and filters', async () => {
+            await storage.saveGraph(uid, {
+                nodes: [
+                    { node_id: 'ORB-Hiroshi', type: 'person', name: 'Hiroshi Tanaka', aliases: ['Hiro'] },
+                    { node_id: 'ORB-Kyoto', type: 'location', name: 'Kyoto', aliases: [] }
+                ],
+                relationships: [{ source: 'ORB-Hiroshi', target: 'ORB-Kyoto', action: 'studied pottery in' }]
+            });
+            await storage.upsertNode(otherUid, { node_id: 'ORB-Kyoto', type: 'location', name: 'Kyoto', aliases: [] });
+
+            const [typo] = await storage.searchGraph(uid, { query: 'Kyotto' });
+            assert.deepEqual([typo.kind, typo.id], ['node', 'ORB-Kyoto']);
+            assert.equal((await storage.searchGraph(uid, { query: 'Kyoto' })).length, 1);
+
+            const [byAlias] = await storage.searchGraph(uid, { query: 'hiro' });
+            assert.equal(byAlias.id, 'ORB-Hiroshi');
+
+            const [byAction] = await storage.searchGraph(uid, { query: 'pottery' });
+            assert.equal(byAction.kind, 'relationship');
+            const rel = await storage.getRelationship(uid, byAction.id);
+            assert.equal(rel.action, 'studied pottery in');
+
+            assert.deepEqual((await storage.searchGraph(uid, { query: 'Kyoto', type: 'person' })), []);
+            assert.equal((await storage.searchGraph(uid, { query: 'pottery', type: 'location' })).length, 1);
+            assert.deepEqual(await storage.searchGraph(uid, { query: 'Kyoto', since: '2999-01-01T00:00:00.000Z' }), []);
+            assert.deepEqual(await storage.searchGraph(uid, { query: 'zzzz' }), []);
+
+            await storage.deleteNode(uid, 'ORB-Hiroshi');
+            await storage.deleteNode(uid, 'ORB-Kyoto');
+            await storage.deleteNode(otherUid, 'ORB-Kyoto');
+        });
+
+        it('searches names and actions written in other scripts', async () => {
+            await storage.saveGraph(uid, {
+                nodes: [
+                    { node_id: 'ORB-Ivan', type: 'person', name: 'Иван Петров', aliases: [] },
+                    { node_id: 'ORB-Moskva', type: 'location', name: 'Москва', aliases: [] },
+                    { node_id: 'ORB-Tokyo', type: 'location', name: '東京', aliases: [] }
+                ],
+                relationships: [{ source: 'ORB-Ivan', target: 'ORB-Moskva', action: 'живёт в' }]
+            });
+
+            const top = async query => {
+                const [hit] = await storage.searchGraph(uid, { query });
+                return hit ? [hit.kind, hit.kind === 'node' ? hit.id : 'relationship'] : null;
+            };
+            assert.deepEqual(await top('Иван'), ['node', 'ORB-Ivan']);
+            assert.deepEqual(await top('Москваа'), ['node', 'ORB-Moskva']);
+            assert.deepEqual(await top('東京'), ['node', 'ORB-Tokyo']);
+            assert.deepEqual(await top('живёт'), ['relationship', 'relationship']);
+            assert.deepEqual(await storage.searchGraph(uid, { query: 'Париж' }), []);
+
+            for (const nodeId of ['ORB-Ivan', 'ORB-Moskva', 'ORB-Tokyo']) {
+                await storage.deleteNode(uid, nodeId);
+            }
+        });
+
+        it('buckets facts by when they were first seen', async () => {
+            await storage.saveGraph(uid, {
+                nodes: [
+                    { node_id: 'ORB-Pompeii', type: 'location', name: 'Pompeii', aliases: [] },
+                    { node_id: 'ORB-Pliny', type: 'person', name: 'Pliny', aliases: [] }
+                ],
+                relationships: [{ source: 'ORB-Pliny', target: 'ORB-Pompeii', action: 'sailed to' }]
+            });
+            // Wednesday evening UTC, already Thursday at UTC+1
+            const firstSeen = '2001-03-14T23:30:00.000Z';
+            await storage.updateNode(uid, 'ORB-Pompeii', { first_seen_at: firstSeen });
+            await storage.updateNode(uid, 'ORB-Pliny', { first_seen_at: firstSeen });
+            const [sailed] = await storage.relationshipsFrom(uid, ['ORB-Pliny']);
+            await storage.updateRelationship(uid, sailed.id, { first_seen_at: firstSeen });
+
+            const buckets = async options => (await storage.timelineCounts(uid, options))
+                .filter(row => row.bucket < '2002')
+                .map(row => [row.bucket, row.kind, row.type, Number(row.count)]);
+
+            assert.deepEqual(await buckets({ interval: 'day' }), [
+                ['2001-03-14', 'node', 'location', 1],
+                ['2001-03-14', 'node', 'person', 1],
+                ['2001-03-14', 'relationship', '', 1]
+            ]);
+            assert.equal((await buckets({ interval: 'day', tzOffset: -60 }))[0][0], '2001-03-15');
+            assert.equal((await buckets({ interval: 'week' }))[0][0], '2001-03-12');
+            assert.equal((await buckets({ interval: 'month' }))[0][0], '2001-03-01');
+
+            // Wednesday 23:xx UTC, Thursday 00:xx at UTC+1: at least the two nodes and the relationship
+            const hourly = async tzOffset => (await storage.activityByHour(uid, { tzOffset }))
+                .map(row => [Number(row.weekday), Number(row.hour), Number(row.count)]);
+            assert.ok((await hourly(0)).some(([weekday, hour, count]) => weekday === 3 && hour === 23 && count >= 3));
+            assert.ok((await hourly(-60)).some(([weekday, hour, count]) => weekday === 4 && hour === 0 && count >= 3));
+
+            const learned = await storage.learnedBetween(uid, {
+                from: '2001-03-14T00:00:00.000Z',
+                to: '2001-03-15T00:00:00.000Z',
+                limit: 100
+            });
+            assert.deepEqual(learned.nodes.map(node => node.node_id).sort(), ['ORB-Pliny', 'ORB-Pompeii']);
+            assert.deepEqual(learned.relationships.map(rel => rel.action), ['sailed to']);
+            const later = await storage.learnedBetween(uid, {
+                from: '2001-03-15T00:00:00.000Z',
+                to: '2001-03-16T00:00:00.000Z',
+                limit: 100
+            });
+            assert.deepEqual([later.nodes, later.relationships], [[], []]);
+
+            await storage.deleteNode(uid, 'ORB-Pompeii');
+            await storage.deleteNode(uid, 'ORB-Pliny');
+        });
+
+        it('stores node types per user and retypes nodes', async () => {
+            await storage.upsertNodeType(uid, { name: 'project', description: 'Work projects', color: '#112233', icon: '📁' });
+            await storage.upsertNodeType(uid, { name: 'project', description: 'Team projects', color: '#445566', properties: { deadline: 'date' } });
+            await storage.upsertNodeType(otherUid, { name: 'recipe' });
+
+            const types = await storage.listNodeTypes(uid);
+            assert.equal(types.length, 1);
+            assert.deepEqual(
+                { name: types[0].name, description: types[0].description, color: types[0].color, icon: types[0].icon },
+                { name: 'project', description: 'Team projects', color: '#445566', icon: null }
+            );
+            assert.deepEqual(types[0].properties, { deadline: 'date' });
+            assert.deepEqual((await storage.listNodeTypes(otherUid))[0].properties, {});
+
+            await storage.upsertNode(uid, { node_id: 'ORB-Apollo', type: 'concept', name: 'Apollo', aliases: [] });
+            assert.equal(await storage.retypeNodes(uid, 'concept', 'project'), 1);
+            assert.equal((await storage.getNode(uid, 'ORB-Apollo')).type, 'project');
+            assert.equal(await storage.retypeNodes(uid, 'concept', 'project'), 0);
+
+            assert.equal(await storage.deleteNodeType(uid, 'project'), true);
+            assert.equal(await storage.deleteNodeType(uid, 'project'), false);
+            assert.deepEqual(await storage.listNodeTypes(uid), []);
+            assert.equal((await storage.listNodeTypes(otherUid)).length, 1);
+
+            await storage.deleteNode(uid, 'ORB-Apollo');
+        });
+
+        it('merges node properties on save and replaces them on update', async () => {
+            await storage.saveGraph(uid, {
+                nodes: [{ node_id: 'ORB-Grace', type: 'person', name: 'Grace', aliases: [], properties: { role: 'Engineer', email: 'grace@example.com' } }],
+                relationships: []
+            });
+            await storage.saveGraph(uid, {
+                nodes: [{ node_id: 'ORB-Grace', type: 'person', name: 'Grace', aliases: [], properties: { role: 'Rear admiral', birthday: '1906-12-09' } }],
+                relationships: []
+            });
+            assert.deepEqual((await storage.getNode(uid, 'ORB-Grace')).properties,
+                { role: 'Rear admiral', email: 'grace@example.com', birthday: '1906-12-09' });
+
+            await storage.updateNode(uid, 'ORB-Grace', { properties: { email: 'grace@example.com' } });
+            assert.deepEqual((await storage.getNode(uid, 'ORB-Grace')).properties, { email: 'grace@example.com' });
+
+            await storage.upsertNode(uid, { node_id: 'ORB-Hopper', type: 'concept', name: 'Hopper', aliases: [] });
+            assert.deepEqual((await storage.getNode(uid, 'ORB-Hopper')).properties, {});
+
+            await storage.deleteNode(uid, 'ORB-Grace');
+            await storage.deleteNode(uid, 'ORB-Hopper');
+        });
+
+        it('keeps generated descriptions when the node is saved again', async () => {
+            await storage.saveGraph(uid, { nodes: [{ node_id: 'ORB-Ada', type: 'person', name: 'Ada', aliases: [] }], relationships: [] });
+            await storage.updateNode(uid, 'ORB-Ada', {
+                description: 'A computing pioneer',
+                description_version: 'v1',
+                description_generated_at: new Date().toISOString()
+            });
+            await storage.saveGraph(uid, { nodes: [{ node_id: 'ORB-Ada', type: 'person', name: 'Ada', aliases: ['Countess of Lovelace'] }], relationships: [] });
+
+            const node = await storage.getNode(uid, 'ORB-Ada');
+            assert.equal(node.description, 'A computing pioneer');
+            assert.equal(node.description_version, 'v1');
+            assert.ok(node.description_generated_at);
+
+            await storage.deleteNode(uid, 'ORB-Ada');
+        });
+
+        it('caches enrichment per node and provider', async () => {
+            await storage.upsertNode(uid, { node_id: 'ORB-Lisbon', type: 'location', name: 'Lisbon', aliases: [] });
+            await storage.saveNodeEnrichment(uid, 'ORB-Lisbon', 'wikipedia', { fingerprint: 'a', data: { summary: { title: 'Lisbon' }, images: [], links: [] } });
+            await storage.saveNodeEnrichment(uid, 'ORB-Lisbon', 'wikipedia', { fingerprint: 'b', data: { summary: { title: 'Lisboa' }, images: [], links: [] } });
+            await storage.saveNodeEnrichment(uid, 'ORB-Lisbon', 'opengraph', { fingerprint: 'b', data: null });
+
+            const cached = (await storage.nodeEnrichment(uid, 'ORB-Lisbon')).sort((a, b) => a.provider.localeCompare(b.provider));
+            assert.deepEqual(cached.map(row => [row.provider, row.fingerprint, row.data]), [
+                ['opengraph', 'b', null],
+                ['wikipedia', 'b', { summary: { title: 'Lisboa' }, images: [], links: [] }]
+            ]);
+            assert.ok(cached[0].fetched_at);
+            assert.deepEqual(await storage.nodeEnrichment(otherUid, 'ORB-Lisbon'), []);
+
+            await storage.deleteNode(uid, 'ORB-Lisbon');
+            assert.deepEqual(await storage.nodeEnrichment(uid, 'ORB-Lisbon'), []);
+        });
+
+        it('claims webhook memories once', async () => {
+            assert.equal(await storage.claimMemory(uid, 'mem-1'), true);
+            assert.equal(await storage.claimMemory(uid, 'mem-1'), false);
+            assert.equal(await storage.claimMemory(otherUid, 'mem-1'), true);
+
+            await storage.releaseMemory(uid, 'mem-1');
+            assert.equal(await storage.claimMemory(uid, 'mem-1'), true);
+        });
+
+        it('stores chat sessions', async () => {
+            const sessionId = `CHAT-${uid}`;
+            const turn = text => [{ text, is_user: true }, { text: `re: ${text}`, is_user: false }];
+            assert.equal(await storage.appendChatMessages(uid, { session_id: sessionId, title: 'Hello', messages: turn('hi') }, 10), true);
+            assert.equal(await storage.appendChatMessages(uid, { session_id: sessionId, title: 'Ignored', messages: turn('how are you') }, 10), true);
+
+            const session = await storage.getChatSession(uid, sessionId);
+            assert.equal(session.title, 'Hello');
+            assert.deepEqual(session.messages.map(message => message.text), ['hi', 're: hi', 'how are you', 're: how are you']);
+            assert.equal(await storage.getChatSession(otherUid, sessionId), null);
+
+            const sessions = await storage.listChatSessions(uid, 10);
+            assert.equal(sessions.length, 1);
+            assert.equal(sessions[0].title, 'Hello');
+
+            assert.equal(await storage.appendChatMessages(otherUid, { session_id: sessionId, title: 'Mine', messages: turn('hijack') }, 10), false);
+            assert.equal((await storage.getChatSession(uid, sessionId)).messages.length, 4);
+            assert.equal(await storage.getChatSession(otherUid, sessionId), null);
+
+            assert.equal(await storage.deleteChatSession(otherUid, sessionId), false);
+            assert.equal(await storage.deleteChatSession(uid, sessionId), true);
+            assert.equal(await storage.getChatSession(uid, sessionId), null);
+        });
+
+        it('keeps every turn of concurrent answers and only the newest messages', async () => {
+            const sessionId = `CHAT-${uid}-capped`;
+            await Promise.all([1, 2, 3, 4].map(i =>
+                storage.appendChatMessages(uid, { session_id: sessionId, title: 'Busy', messages: [{ text: `q${i}` }, { text: `a${i}` }] }, 6)));
+
+            const texts = (await storage.getChatSession(uid, sessionId)).messages.map(message => message.text);
+            assert.equal(texts.length, 6);
+            // Whole turns, in some order, minus the oldest one
+            for (let i = 0; i < texts.length; i += 2) {
+                assert.equal(texts[i + 1], texts[i].replace('q', 'a'));
+            }
+            assert.equal(new Set(texts).size, 6);
+
+            await storage.deleteChatSession(uid, sessionId);
+        });
+
+        it('swaps in an encrypted graph and drops what was stored as plaintext', async () => {
+            await storage.upsertNode(encryptedUid, { node_id: 'ORB-Eve', type: 'person', name: 'Eve', aliases: ['E'], properties: { age: 30 } });
+            await storage.upsertNode(encryptedUid, { node_id: 'ORB-Oslo', type: 'location', name: 'Oslo', aliases: [] });
+            await storage.updateNode(encryptedUid, 'ORB-Eve', { description: 'Eve lives in Oslo', description_version: 'v1' });
+            const relId = await storage.insertRelationship(encryptedUid, { source: 'ORB-Eve', target: 'ORB-Oslo', action: 'lives in' });
+            const sourceId = await storage.insertSource(encryptedUid, { source_type: 'upload', content: 'Eve lives in Oslo.' });
+            await storage.linkRelationshipSource(encryptedUid, relId, sourceId);
+            await storage.saveNodeEnrichment(encryptedUid, 'ORB-Oslo', 'wikipedia', { fingerprint: 'a', data: null });
+
+            const key = { salt: 'salt', keyCheck: 'enc:check', publicKey: '{"kty":"RSA"}', privateKey: 'enc:private' };
+            const eveOnly = [{ node_id: 'ORB-Eve', new_node_id: 'ORB-1', name: 'enc:eve', aliases: [], properties: {} }];
+            assert.equal(await storage.encryptGraph(encryptedUid, { key, nodes: eveOnly, relationships: [{ id: relId, action: 'enc:lives' }] }), false);
+            assert.equal(await storage.encryptGraph(encryptedUid, {
+                key,
+                nodes: [...eveOnly, { node_id: 'ORB-Oslo', new_node_id: 'ORB-2', name: 'enc:oslo', aliases: [], properties: {} }],
+                relationships: []
+            }), false);
+            assert.ok(!(await storage.getUser(encryptedUid) || {}).has_key);
+            assert.equal((await storage.getNode(encryptedUid, 'ORB-Eve')).name, 'Eve');
+            assert.equal((await storage.getRelationship(encryptedUid, relId)).action, 'lives in');
+            assert.equal((await storage.listSources(encryptedUid, 10)).length, 1);
+
+            assert.equal(await storage.encryptGraph(encryptedUid, {
+                key,
+                nodes: [
+                    { node_id: 'ORB-Eve', new_node_id: 'ORB-1', name: 'enc:eve', aliases: ['enc:e'], properties: { age: 'enc:30' } },
+                    { node_id: 'ORB-Oslo', new_node_id: 'ORB-2', name: 'enc:oslo', aliases: [], properties: {} }
+                ],
+                relationships: [{ id: relId, action: 'enc:lives' }]
+            }), true);
+
+            const user = await storage.getUser(encryptedUid);
+            assert.ok(user.has_key);
+            assert.deepEqual([user.key_salt, user.key_check, user.public_key, user.private_key],
+                ['salt', 'enc:check', '{"kty":"RSA"}', 'enc:private']);
+
+            assert.equal(await storage.getNode(encryptedUid, 'ORB-Eve'), null);
+            const eve = await storage.getNode(encryptedUid, 'ORB-1');
+            assert.deepEqual([eve.name, eve.aliases, eve.properties, eve.description], ['enc:eve', ['enc:e'], { age: 'enc:30' }, null]);
+            assert.equal(eve.connections, 1);
+            const rel = await storage.getRelationship(encryptedUid, relId);
+            assert.deepEqual([rel.source, rel.target, rel.action], ['ORB-1', 'ORB-2', 'enc:lives']);
+            assert.equal((await storage.listSources(encryptedUid, 10)).length, 0);
+            assert.deepEqual(await storage.nodeEnrichment(encryptedUid, 'ORB-Oslo'), []);
+        });
+
+        it('keeps sealed memories until they are taken', async () => {
+            const first = await storage.addPendingMemory(encryptedUid, 'mem-1', { key: 'k', iv: 'i', data: 'd1' });
+            await storage.addPendingMemory(encryptedUid, 'mem-2', { key: 'k', iv: 'i', data: 'd2' });
+
+            const pending = await storage.listPendingMemories(encryptedUid, 10);
+            assert.equal(pending.length, 2);
+            assert.equal(pending.find(row => row.id === first).memory_id, 'mem-1');
+            assert.deepEqual(pending.find(row => row.id === first).data, { key: 'k', iv: 'i', data: 'd1' });
+            assert.equal((await storage.listPendingMemories(otherUid, 10)).length, 0);
+
+            assert.equal(await storage.deletePendingMemory(otherUid, first), false);
+            assert.equal(await storage.deletePendingMemory(encryptedUid, first), true);
+            assert.equal((await storage.listPendingMemories(encryptedUid, 10)).length, 1);
+        });
+
+        // More rows than one Supabase (PostgREST) response holds by default
+        it('reads every row of a graph larger than one page', async () => {
+            const count = 1100;
+            const nodes = Array.from({ length: count }, (_, i) => ({ node_id: `ORB-N${i}`, type: 'concept', name: `N${i}`, aliases: [] }));
+            const relationships = nodes.map((node, i) => ({ source: node.node_id, target: nodes[(i + 1) % count].node_id, action: 'next' }));
+            const saved = await storage.saveGraph(largeUid, { nodes, relationships, source: { source_type: 'import', content: 'A long chain' } });
+
+            assert.equal((await storage.listNodes(largeUid)).length, count);
+            assert.equal((await storage.listRelationships(largeUid)).length, count);
+            assert.equal((await storage.relationshipsFrom(largeUid, nodes.map(node => node.node_id))).length, count);
+
+            const orphaned = await storage.orphanedBySource(largeUid, saved.sourceId);
+            assert.equal(orphaned.nodes.length, count);
+            assert.equal(orphaned.relationships.length, count);
+
+            await storage.deleteUserData(largeUid);
+        });
+
+        it('deletes all data for one user only', async () => {
+            await storage.upsertNode(uid, { node_id: 'ORB-Carl', type: 'person', name: 'Carl', aliases: [] });
+            await storage.insertSource(uid, { source_type: 'upload', content: 'Carl.' });
+
+            await storage.deleteUserData(uid);
+
+            assert.equal(await storage.getUser(uid), null);
+            assert.equal((await storage.listNodes(uid)).length, 0);
+            assert.equal((await storage.listSources(uid, 10)).length, 0);
+            assert.equal(await storage.claimMemory(uid, 'mem-1'), true);
+            assert.equal((await storage.listNodes(otherUid)).length, 1);
+        });
+    });
+}
+
+module.exports = { storageContract };
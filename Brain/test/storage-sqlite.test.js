@@ -0,0 +1,4 @@
+const { storageContract } = require('./storage-contract');
+const { SqliteStorage } = require('../storage-sqlite');
+
+storageContract('SQLite', () => new SqliteStorage(':memory:'));
@@ -0,0 +1,12 @@
+// Runs against a real Supabase project; opt in with BRAIN_TEST_SUPABASE=1 plus SUPABASE_URL and SUPABASE_ANON_KEY.
+// Tables must already exist (setup-supabase.sql).
+
+const { describe } = require('node:test');
+const { storageContract } = require('./storage-contract');
+const { SupabaseStorage } = require('../storage-supabase');
+
+if (process.env.BRAIN_TEST_SUPABASE && process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+    storageContract('Supabase', () => new SupabaseStorage(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY));
+} else {
+    describe('Supabase storage', { skip: 'set BRAIN_TEST_SUPABASE=1, SUPABASE_URL and SUPABASE_ANON_KEY' }, () => {});
+}
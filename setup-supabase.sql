@@ -21,12 +21,29 @@ CREATE TABLE IF NOT EXISTS brain_users (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     uid TEXT UNIQUE NOT NULL,
     code_check TEXT,
+    code_expires_at TIMESTAMP WITH TIME ZONE,
+    code_sent_at TIMESTAMP WITH TIME ZONE,
+    code_attempts INTEGER DEFAULT 0,
     has_key BOOLEAN DEFAULT false,
+    key_salt TEXT,
+    key_check TEXT,
+    public_key TEXT,
+    private_key TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_check TEXT;
 ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS has_key BOOLEAN DEFAULT false;
+-- Sign-in codes: hash of the pending code (code_check), when it expires and how many wrong tries it has had
+ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS code_attempts INTEGER DEFAULT 0;
+-- End-to-end encryption (has_key): PBKDF2 salt, a known text encrypted with the passphrase key, and the RSA key pair
+-- OMI memories are sealed to (public key as JWK, private key encrypted with the passphrase key)
+ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS key_salt TEXT;
+ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS key_check TEXT;
+ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS public_key TEXT;
+ALTER TABLE brain_users ADD COLUMN IF NOT EXISTS private_key TEXT;
 
 CREATE TABLE IF NOT EXISTS memory_nodes (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -34,20 +51,526 @@ CREATE TABLE IF NOT EXISTS memory_nodes (
     node_id TEXT NOT NULL,
     type TEXT,
     name TEXT,
+    aliases JSONB DEFAULT '[]',
+    properties JSONB DEFAULT '{}',
+    description TEXT,
+    description_version TEXT,
+    description_generated_at TIMESTAMP WITH TIME ZONE,
     connections INTEGER DEFAULT 0,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    mention_count INTEGER DEFAULT 1,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(uid, node_id)
 );
 
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS aliases JSONB DEFAULT '[]';
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS mention_count INTEGER DEFAULT 1;
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS properties JSONB DEFAULT '{}';
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS description_version TEXT;
+ALTER TABLE memory_nodes ADD COLUMN IF NOT EXISTS description_generated_at TIMESTAMP WITH TIME ZONE;
+UPDATE memory_nodes SET first_seen_at = created_at WHERE first_seen_at IS NULL;
+UPDATE memory_nodes SET last_seen_at = created_at WHERE last_seen_at IS NULL;
+ALTER TABLE memory_nodes ALTER COLUMN first_seen_at SET DEFAULT NOW();
+ALTER TABLE memory_nodes ALTER COLUMN last_seen_at SET DEFAULT NOW();
+
 CREATE TABLE IF NOT EXISTS memory_relationships (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     uid TEXT NOT NULL,
     source TEXT NOT NULL,
     target TEXT NOT NULL,
-    action TEXT,
+    action TEXT DEFAULT '',
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    mention_count INTEGER DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE memory_relationships ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE memory_relationships ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE memory_relationships ADD COLUMN IF NOT EXISTS mention_count INTEGER DEFAULT 1;
+UPDATE memory_relationships SET first_seen_at = created_at WHERE first_seen_at IS NULL;
+UPDATE memory_relationships SET last_seen_at = created_at WHERE last_seen_at IS NULL;
+ALTER TABLE memory_relationships ALTER COLUMN first_seen_at SET DEFAULT NOW();
+ALTER TABLE memory_relationships ALTER COLUMN last_seen_at SET DEFAULT NOW();
+
+-- Provenance: the text each graph update was extracted from, and what it produced
+CREATE TABLE IF NOT EXISTS memory_sources (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    uid TEXT NOT NULL,
+    source_type TEXT DEFAULT 'upload',
+    external_id TEXT,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS memory_node_sources (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    uid TEXT NOT NULL,
+    node_id TEXT NOT NULL,
+    source_id UUID NOT NULL REFERENCES memory_sources(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(uid, node_id, source_id),
+    FOREIGN KEY (uid, node_id) REFERENCES memory_nodes(uid, node_id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS memory_relationship_sources (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    uid TEXT NOT NULL,
+    relationship_id UUID NOT NULL REFERENCES memory_relationships(id) ON DELETE CASCADE,
+    source_id UUID NOT NULL REFERENCES memory_sources(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(relationship_id, source_id)
+);
+
+-- Tracks OMI memory ids already ingested by the Brain webhook, so retries are no-ops
+CREATE TABLE IF NOT EXISTS brain_processed_memories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    uid TEXT NOT NULL,
+    memory_id TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(uid, memory_id)
+);
+
+-- Brain chat conversations (CHAT-* session ids, like Jarvis)
+CREATE TABLE IF NOT EXISTS brain_chat_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id TEXT UNIQUE NOT NULL,
+    uid TEXT NOT NULL,
+    title TEXT,
+    messages JSONB DEFAULT '[]',
+    last_activity TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Per-user node types (built-in person/location/event/concept are implied; rows here restyle them or add new ones)
+CREATE TABLE IF NOT EXISTS brain_node_types (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    uid TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    color TEXT,
+    icon TEXT,
+    properties JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(uid, name)
+);
+
+ALTER TABLE brain_node_types ADD COLUMN IF NOT EXISTS properties JSONB DEFAULT '{}';
+
+-- Cached enrichment results (summaries, images, links) per node and provider
+CREATE TABLE IF NOT EXISTS memory_node_enrichment (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    uid TEXT NOT NULL,
+    node_id TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    fingerprint TEXT,
+    data JSONB,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(uid, node_id, provider),
+    FOREIGN KEY (uid, node_id) REFERENCES memory_nodes(uid, node_id)
+        ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Express sessions for signed-in browsers (data is the session object; uid is set once signed in)
+CREATE TABLE IF NOT EXISTS brain_login_sessions (
+    sid TEXT PRIMARY KEY,
+    uid TEXT,
+    data JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_brain_login_sessions_uid ON brain_login_sessions(uid);
+CREATE INDEX IF NOT EXISTS idx_brain_login_sessions_expires ON brain_login_sessions(expires_at);
+
+-- OMI memories of users with an encrypted graph, sealed to their public key until the browser extracts them
+CREATE TABLE IF NOT EXISTS brain_pending_memories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    uid TEXT NOT NULL,
+    memory_id TEXT,
+    data JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_brain_pending_memories_uid ON brain_pending_memories(uid, created_at);
+
+-- Collapse duplicate relationships, then enforce one row per (uid, source, target, action)
+UPDATE memory_relationships SET action = '' WHERE action IS NULL;
+
+WITH ranked AS (
+    SELECT id, mention_count, first_seen_at, last_seen_at,
+           FIRST_VALUE(id) OVER (PARTITION BY uid, source, target, action ORDER BY created_at, id) AS keep_id
+    FROM memory_relationships
+), dupes AS (
+    SELECT * FROM ranked WHERE id <> keep_id
+), moved AS (
+    INSERT INTO memory_relationship_sources (uid, relationship_id, source_id)
+    SELECT l.uid, d.keep_id, l.source_id
+    FROM dupes d JOIN memory_relationship_sources l ON l.relationship_id = d.id
+    ON CONFLICT (relationship_id, source_id) DO NOTHING
+), totals AS (
+    SELECT keep_id, SUM(COALESCE(mention_count, 1)) AS mentions,
+           MIN(first_seen_at) AS first_seen, MAX(last_seen_at) AS last_seen
+    FROM dupes GROUP BY keep_id
+), reinforced AS (
+    UPDATE memory_relationships k
+    SET mention_count = COALESCE(k.mention_count, 1) + t.mentions,
+        first_seen_at = LEAST(k.first_seen_at, t.first_seen),
+        last_seen_at = GREATEST(k.last_seen_at, t.last_seen)
+    FROM totals t WHERE k.id = t.keep_id
+)
+DELETE FROM memory_relationships WHERE id IN (SELECT id FROM dupes);
+
+ALTER TABLE memory_relationships ALTER COLUMN action SET DEFAULT '';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_memory_relationships_fact
+    ON memory_relationships(uid, source, target, action);
+
+-- Write a batch of nodes and relationships (plus the source they came from) in one transaction
+CREATE OR REPLACE FUNCTION brain_save_graph(p_uid TEXT, p_nodes JSONB, p_relationships JSONB, p_source JSONB DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_source_id UUID;
+    v_nodes INTEGER;
+    v_relationships INTEGER;
+BEGIN
+    IF p_source IS NOT NULL THEN
+        INSERT INTO memory_sources (uid, source_type, external_id, content)
+        VALUES (p_uid, COALESCE(p_source->>'source_type', 'upload'), p_source->>'external_id', p_source->>'content')
+        RETURNING id INTO v_source_id;
+    END IF;
+
+    INSERT INTO memory_nodes (uid, node_id, type, name, aliases, properties, first_seen_at, last_seen_at, mention_count)
+    SELECT p_uid, n->>'node_id', n->>'type', n->>'name', COALESCE(n->'aliases', '[]'::jsonb),
+           COALESCE(n->'properties', '{}'::jsonb), NOW(), NOW(), 1
+    FROM jsonb_array_elements(p_nodes) AS n
+    ON CONFLICT (uid, node_id) DO UPDATE SET
+        type = EXCLUDED.type,
+        name = EXCLUDED.name,
+        aliases = EXCLUDED.aliases,
+        properties = COALESCE(memory_nodes.properties, '{}'::jsonb) || EXCLUDED.properties,
+        last_seen_at = NOW(),
+        mention_count = COALESCE(memory_nodes.mention_count, 1) + 1;
+    GET DIAGNOSTICS v_nodes = ROW_COUNT;
+
+    IF v_source_id IS NOT NULL THEN
+        INSERT INTO memory_node_sources (uid, node_id, source_id)
+        SELECT p_uid, n->>'node_id', v_source_id
+        FROM jsonb_array_elements(p_nodes) AS n
+        ON CONFLICT (uid, node_id, source_id) DO NOTHING;
+    END IF;
+
+    WITH saved AS (
+        INSERT INTO memory_relationships (uid, source, target, action, first_seen_at, last_seen_at, mention_count)
+        SELECT p_uid, r->>'source', r->>'target', COALESCE(r->>'action', ''), NOW(), NOW(), 1
+        FROM jsonb_array_elements(p_relationships) AS r
+        ON CONFLICT (uid, source, target, action) DO UPDATE SET
+            last_seen_at = NOW(),
+            mention_count = COALESCE(memory_relationships.mention_count, 1) + 1
+        RETURNING id
+    ), linked AS (
+        INSERT INTO memory_relationship_sources (uid, relationship_id, source_id)
+        SELECT p_uid, id, v_source_id FROM saved WHERE v_source_id IS NOT NULL
+        ON CONFLICT (relationship_id, source_id) DO NOTHING
+    )
+    SELECT COUNT(*) INTO v_relationships FROM saved;
+
+    RETURN jsonb_build_object('source_id', v_source_id, 'nodes', v_nodes, 'relationships', v_relationships);
+END;
+$$;
+
+-- Point every relationship of p_from at p_to, folding edges that become duplicates or self-loops
+CREATE OR REPLACE FUNCTION brain_rewire_node(p_uid TEXT, p_from TEXT, p_to TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    DELETE FROM memory_relationships
+    WHERE uid = p_uid AND (source = p_from OR source = p_to) AND (target = p_from OR target = p_to);
+
+    WITH pairs AS (
+        SELECT d.id AS dup_id, k.id AS keep_id, d.mention_count, d.first_seen_at, d.last_seen_at
+        FROM memory_relationships d
+        JOIN memory_relationships k ON k.uid = d.uid AND k.action = d.action
+            AND k.source = CASE WHEN d.source = p_from THEN p_to ELSE d.source END
+            AND k.target = CASE WHEN d.target = p_from THEN p_to ELSE d.target END
+        WHERE d.uid = p_uid AND (d.source = p_from OR d.target = p_from)
+    ), moved AS (
+        INSERT INTO memory_relationship_sources (uid, relationship_id, source_id)
+        SELECT l.uid, p.keep_id, l.source_id
+        FROM pairs p JOIN memory_relationship_sources l ON l.relationship_id = p.dup_id
+        ON CONFLICT (relationship_id, source_id) DO NOTHING
+    ), reinforced AS (
+        UPDATE memory_relationships k
+        SET mention_count = COALESCE(k.mention_count, 1) + COALESCE(p.mention_count, 1),
+            first_seen_at = LEAST(k.first_seen_at, p.first_seen_at),
+            last_seen_at = GREATEST(k.last_seen_at, p.last_seen_at)
+        FROM pairs p WHERE k.id = p.keep_id
+    )
+    DELETE FROM memory_relationships WHERE id IN (SELECT dup_id FROM pairs);
+
+    UPDATE memory_relationships SET source = p_to WHERE uid = p_uid AND source = p_from;
+    UPDATE memory_relationships SET target = p_to WHERE uid = p_uid AND target = p_from;
+END;
+$$;
+
+-- Keep memory_nodes.connections equal to each node's degree as relationships come and go
+CREATE OR REPLACE FUNCTION brain_track_connections()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP IN ('DELETE', 'UPDATE') THEN
+        UPDATE memory_nodes SET connections = GREATEST(COALESCE(connections, 0) - 1, 0)
+        WHERE uid = OLD.uid AND node_id IN (OLD.source, OLD.target);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE memory_nodes SET connections = COALESCE(connections, 0) + 1
+        WHERE uid = NEW.uid AND node_id IN (NEW.source, NEW.target);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS memory_relationships_connections ON memory_relationships;
+CREATE TRIGGER memory_relationships_connections
+    AFTER INSERT OR DELETE OR UPDATE OF source, target ON memory_relationships
+    FOR EACH ROW EXECUTE FUNCTION brain_track_connections();
+
+-- Recompute connection counts for one user; returns how many nodes were off
+CREATE OR REPLACE FUNCTION brain_recount_connections(p_uid TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_changed INTEGER;
+BEGIN
+    WITH degrees AS (
+        SELECT n.node_id, COUNT(r.id) AS degree
+        FROM memory_nodes n
+        LEFT JOIN memory_relationships r ON r.uid = n.uid AND (r.source = n.node_id OR r.target = n.node_id)
+        WHERE n.uid = p_uid
+        GROUP BY n.node_id
+    )
+    UPDATE memory_nodes n SET connections = d.degree
+    FROM degrees d
+    WHERE n.uid = p_uid AND n.node_id = d.node_id AND n.connections IS DISTINCT FROM d.degree;
+    GET DIAGNOSTICS v_changed = ROW_COUNT;
+    RETURN v_changed;
+END;
+$$;
+
+-- Backfill counts that were written from model output before the trigger existed
+UPDATE memory_nodes n SET connections = (
+    SELECT COUNT(*) FROM memory_relationships r
+    WHERE r.uid = n.uid AND (r.source = n.node_id OR r.target = n.node_id)
+);
+
+-- Fuzzy graph search (trigram similarity + full-text)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Ranked node and relationship hits for a query; a full-text match scores 1,
+-- otherwise the best trigram similarity. Relationship hits are weighted below node hits.
+CREATE OR REPLACE FUNCTION brain_search(
+    p_uid TEXT,
+    p_query TEXT,
+    p_type TEXT DEFAULT NULL,
+    p_since TIMESTAMPTZ DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (kind TEXT, id TEXT, score REAL)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH node_hits AS (
+        SELECT 'node'::TEXT AS kind, n.node_id AS id, GREATEST(
+            CASE WHEN to_tsvector('simple', n.name) @@ plainto_tsquery('simple', p_query) THEN 1 ELSE 0 END,
+            similarity(lower(p_query), lower(n.name)),
+            word_similarity(lower(p_query), lower(n.name)),
+            word_similarity(lower(p_query), lower(n.aliases::TEXT)) * 0.9
+        )::REAL AS score
+        FROM memory_nodes n
+        WHERE n.uid = p_uid
+          AND (p_type IS NULL OR n.type = p_type)
+          AND (p_since IS NULL OR n.last_seen_at >= p_since)
+    ),
+    relationship_hits AS (
+        SELECT 'relationship'::TEXT AS kind, r.id::TEXT AS id, (GREATEST(
+            CASE WHEN to_tsvector('simple', r.action) @@ plainto_tsquery('simple', p_query) THEN 1 ELSE 0 END,
+            similarity(lower(p_query), lower(r.action)),
+            word_similarity(lower(p_query), lower(r.action))
+        ) * 0.9)::REAL AS score
+        FROM memory_relationships r
+        WHERE r.uid = p_uid
+          AND (p_since IS NULL OR r.last_seen_at >= p_since)
+          AND (p_type IS NULL OR EXISTS (
+              SELECT 1 FROM memory_nodes n
+              WHERE n.uid = r.uid AND n.node_id IN (r.source, r.target) AND n.type = p_type
+          ))
+    )
+    SELECT hits.kind, hits.id, hits.score
+    FROM (SELECT * FROM node_hits UNION ALL SELECT * FROM relationship_hits) hits
+    WHERE hits.score >= 0.4
+    ORDER BY hits.score DESC, hits.kind, hits.id
+    LIMIT p_limit;
+$$;
+
+-- Level-of-detail loading: top nodes by degree / recency and per-type counts
+CREATE INDEX IF NOT EXISTS idx_memory_nodes_degree ON memory_nodes(uid, connections DESC);
+CREATE INDEX IF NOT EXISTS idx_memory_nodes_last_seen ON memory_nodes(uid, last_seen_at DESC);
+
+CREATE OR REPLACE FUNCTION brain_count_nodes_by_type(p_uid TEXT)
+RETURNS TABLE (type TEXT, count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT COALESCE(n.type, ''), COUNT(*)
+    FROM memory_nodes n
+    WHERE n.uid = p_uid
+    GROUP BY COALESCE(n.type, '');
+$$;
+
+-- Timeline: facts bucketed by when they were first seen
+CREATE INDEX IF NOT EXISTS idx_memory_nodes_first_seen ON memory_nodes(uid, first_seen_at);
+CREATE INDEX IF NOT EXISTS idx_memory_relationships_first_seen ON memory_relationships(uid, first_seen_at);
+
+-- Facts first seen per day / week / month in the client's time zone (p_tz_offset: minutes from local time to UTC)
+CREATE OR REPLACE FUNCTION brain_timeline(p_uid TEXT, p_interval TEXT, p_tz_offset INTEGER)
+RETURNS TABLE (bucket DATE, kind TEXT, type TEXT, count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT date_trunc(p_interval, (n.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset))::date,
+           'node', COALESCE(n.type, ''), COUNT(*)
+    FROM memory_nodes n
+    WHERE n.uid = p_uid AND n.first_seen_at IS NOT NULL
+    GROUP BY 1, 3
+    UNION ALL
+    SELECT date_trunc(p_interval, (r.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset))::date,
+           'relationship', '', COUNT(*)
+    FROM memory_relationships r
+    WHERE r.uid = p_uid AND r.first_seen_at IS NOT NULL
+    GROUP BY 1
+    ORDER BY 1, 2, 3;
+$$;
+
+-- Facts first seen per local weekday (0 = Sunday) and hour of day
+CREATE OR REPLACE FUNCTION brain_activity_by_hour(p_uid TEXT, p_tz_offset INTEGER)
+RETURNS TABLE (weekday INTEGER, hour INTEGER, count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT EXTRACT(DOW FROM t.local)::INTEGER, EXTRACT(HOUR FROM t.local)::INTEGER, COUNT(*)
+    FROM (
+        SELECT (n.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset) AS local
+        FROM memory_nodes n
+        WHERE n.uid = p_uid AND n.first_seen_at IS NOT NULL
+        UNION ALL
+        SELECT (r.first_seen_at AT TIME ZONE 'UTC') - make_interval(mins => p_tz_offset)
+        FROM memory_relationships r
+        WHERE r.uid = p_uid AND r.first_seen_at IS NOT NULL
+    ) t
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+$$;
+
+-- Turn on end-to-end encryption in one go: every name, alias list, property set and action is swapped for the
+-- browser's ciphertext, node ids (often made from names) for new random ones, and what was only ever stored as
+-- plaintext (sources, chat history, descriptions, enrichment) is dropped. Nothing changes (error BR001) unless the
+-- submitted nodes and relationships are all of the user's
+CREATE OR REPLACE FUNCTION brain_encrypt_graph(p_uid TEXT, p_key JSONB, p_nodes JSONB, p_relationships JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    DELETE FROM memory_node_enrichment WHERE uid = p_uid;
+    DELETE FROM memory_sources WHERE uid = p_uid;
+    DELETE FROM brain_chat_sessions WHERE uid = p_uid;
+
+    UPDATE memory_relationships m
+    SET source = n->>'new_node_id'
+    FROM jsonb_array_elements(p_nodes) AS n
+    WHERE m.uid = p_uid AND m.source = n->>'node_id';
+
+    UPDATE memory_relationships m
+    SET target = n->>'new_node_id'
+    FROM jsonb_array_elements(p_nodes) AS n
+    WHERE m.uid = p_uid AND m.target = n->>'node_id';
+
+    UPDATE memory_nodes m
+    SET node_id = n->>'new_node_id',
+        name = n->>'name',
+        aliases = COALESCE(n->'aliases', '[]'::jsonb),
+        properties = COALESCE(n->'properties', '{}'::jsonb),
+        description = NULL,
+        description_version = NULL,
+        description_generated_at = NULL
+    FROM jsonb_array_elements(p_nodes) AS n
+    WHERE m.uid = p_uid AND m.node_id = n->>'node_id';
+
+    UPDATE memory_relationships m
+    SET action = r->>'action'
+    FROM jsonb_array_elements(p_relationships) AS r
+    WHERE m.uid = p_uid AND m.id = (r->>'id')::UUID;
+
+    -- Every stored node and relationship must have been in the submitted set, or some would stay plaintext
+    IF (SELECT count(*) FROM memory_nodes WHERE uid = p_uid) <> jsonb_array_length(p_nodes)
+        OR (SELECT count(*) FROM memory_nodes m JOIN jsonb_array_elements(p_nodes) AS n ON m.node_id = n->>'new_node_id'
+            WHERE m.uid = p_uid) <> jsonb_array_length(p_nodes)
+        OR (SELECT count(*) FROM memory_relationships WHERE uid = p_uid) <> jsonb_array_length(p_relationships)
+        OR (SELECT count(*) FROM memory_relationships m JOIN jsonb_array_elements(p_relationships) AS r ON m.id = (r->>'id')::UUID
+            WHERE m.uid = p_uid) <> jsonb_array_length(p_relationships)
+    THEN
+        RAISE EXCEPTION 'The encrypted graph does not cover every stored node and relationship' USING ERRCODE = 'BR001';
+    END IF;
+
+    -- The connection trigger can't follow a node and its relationships being renamed one by one
+    PERFORM brain_recount_connections(p_uid);
+
+    INSERT INTO brain_users (uid, has_key, key_salt, key_check, public_key, private_key)
+    VALUES (p_uid, true, p_key->>'salt', p_key->>'keyCheck', p_key->>'publicKey', p_key->>'privateKey')
+    ON CONFLICT (uid) DO UPDATE SET
+        has_key = true,
+        key_salt = EXCLUDED.key_salt,
+        key_check = EXCLUDED.key_check,
+        public_key = EXCLUDED.public_key,
+        private_key = EXCLUDED.private_key;
+END;
+$$;
+
+-- Chat turns are appended in the database, keeping the newest p_max, so two answers finishing at once don't
+-- overwrite each other; a session id that belongs to another user is left alone (returns false)
+CREATE OR REPLACE FUNCTION brain_last_messages(p_messages JSONB, p_max INTEGER)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(jsonb_agg(m.value ORDER BY m.i), '[]'::jsonb)
+    FROM jsonb_array_elements(p_messages) WITH ORDINALITY AS m(value, i)
+    WHERE m.i > jsonb_array_length(p_messages) - p_max;
+$$;
+
+CREATE OR REPLACE FUNCTION brain_append_chat(p_uid TEXT, p_session_id TEXT, p_title TEXT, p_messages JSONB, p_max INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    INSERT INTO brain_chat_sessions (session_id, uid, title, messages, last_activity)
+    VALUES (p_session_id, p_uid, p_title, brain_last_messages(p_messages, p_max), NOW())
+    ON CONFLICT (session_id) DO UPDATE SET
+        messages = brain_last_messages(brain_chat_sessions.messages || EXCLUDED.messages, p_max),
+        last_activity = EXCLUDED.last_activity
+    WHERE brain_chat_sessions.uid = p_uid;
+    RETURN FOUND;
+END;
+$$;
+
 -- Friend App Table
 CREATE TABLE IF NOT EXISTS frienddb (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -84,6 +607,12 @@ CREATE INDEX IF NOT EXISTS idx_memory_nodes_node_id ON memory_nodes(node_id);
 CREATE INDEX IF NOT EXISTS idx_memory_relationships_uid ON memory_relationships(uid);
 CREATE INDEX IF NOT EXISTS idx_memory_relationships_source ON memory_relationships(source);
 CREATE INDEX IF NOT EXISTS idx_memory_relationships_target ON memory_relationships(target);
+CREATE INDEX IF NOT EXISTS idx_memory_sources_uid ON memory_sources(uid);
+CREATE INDEX IF NOT EXISTS idx_memory_node_sources_source_id ON memory_node_sources(source_id);
+CREATE INDEX IF NOT EXISTS idx_memory_relationship_sources_source_id ON memory_relationship_sources(source_id);
+CREATE INDEX IF NOT EXISTS idx_memory_relationship_sources_relationship_id ON memory_relationship_sources(relationship_id);
+CREATE INDEX IF NOT EXISTS idx_brain_processed_memories_uid ON brain_processed_memories(uid);
+CREATE INDEX IF NOT EXISTS idx_brain_chat_sessions_uid ON brain_chat_sessions(uid);
 CREATE INDEX IF NOT EXISTS idx_frienddb_uid ON frienddb(uid);
 CREATE INDEX IF NOT EXISTS idx_jarvis_sessions_session_id ON jarvis_sessions(session_id);
 CREATE INDEX IF NOT EXISTS idx_jarvis_sessions_last_activity ON jarvis_sessions(last_activity);
@@ -92,6 +621,15 @@ CREATE INDEX IF NOT EXISTS idx_jarvis_sessions_last_activity ON jarvis_sessions(
 ALTER TABLE brain_users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE memory_nodes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE memory_relationships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory_sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory_node_sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory_relationship_sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brain_processed_memories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brain_chat_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brain_node_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memory_node_enrichment ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brain_login_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brain_pending_memories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE frienddb ENABLE ROW LEVEL SECURITY;
 ALTER TABLE jarvis_sessions ENABLE ROW LEVEL SECURITY;
 
@@ -99,6 +637,15 @@ ALTER TABLE jarvis_sessions ENABLE ROW LEVEL SECURITY;
 CREATE POLICY "Users can access their own data" ON brain_users FOR ALL USING (true);
 CREATE POLICY "Users can access their own memory nodes" ON memory_nodes FOR ALL USING (true);
 CREATE POLICY "Users can access their own relationships" ON memory_relationships FOR ALL USING (true);
+CREATE POLICY "Users can access their own memory sources" ON memory_sources FOR ALL USING (true);
+CREATE POLICY "Users can access their own node sources" ON memory_node_sources FOR ALL USING (true);
+CREATE POLICY "Users can access their own relationship sources" ON memory_relationship_sources FOR ALL USING (true);
+CREATE POLICY "Users can access their own processed memories" ON brain_processed_memories FOR ALL USING (true);
+CREATE POLICY "Users can access their own chat sessions" ON brain_chat_sessions FOR ALL USING (true);
+CREATE POLICY "Users can access their own node types" ON brain_node_types FOR ALL USING (true);
+CREATE POLICY "Users can access their own node enrichment" ON memory_node_enrichment FOR ALL USING (true);
+CREATE POLICY "Users can access their own sign-in sessions" ON brain_login_sessions FOR ALL USING (true);
+CREATE POLICY "Users can access their own pending memories" ON brain_pending_memories FOR ALL USING (true);
 CREATE POLICY "Users can access their own friend data" ON frienddb FOR ALL USING (true);
 CREATE POLICY "Users can access their own sessions" ON jarvis_sessions FOR ALL USING (true);
 